@@ -8,6 +8,7 @@ import { query as sqliteQuery, queryOne as sqliteQueryOne, queryAll as sqliteQue
 import runMigrationsSqlite from '../migrations.js';
 import { fileURLToPath } from 'url';
 import { pathToFileURL } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 import path from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -19,6 +20,28 @@ let pgQueryOne = null;
 let pgQueryAll = null;
 let pgExecute = null;
 let initPgMigrations = null;
+let pgGetPool = null;
+
+// Transação ativa no fluxo assíncrono atual (ver withTransaction)
+const transacaoAtual = new AsyncLocalStorage();
+// SQLite usa uma conexão só: enquanto houver transação aberta, queries de
+// fora dela esperam terminar (senão entrariam no BEGIN de outra requisição)
+let transacaoSqliteAberta = null;
+
+async function aguardarTransacaoSqlite() {
+  while (transacaoSqliteAberta && !transacaoAtual.getStore()) {
+    await transacaoSqliteAberta;
+  }
+}
+
+// Dentro de withTransaction no PostgreSQL, as queries usam o client da transação
+async function pgExecutar(sql, params) {
+  const transacao = transacaoAtual.getStore();
+  if (transacao?.client) {
+    return await transacao.client.query(sql, params);
+  }
+  return await pgQuery(sql, params);
+}
 
 export async function initDatabase() {
   try {
@@ -34,6 +57,7 @@ export async function initDatabase() {
       pgQueryOne = postgres.queryOne;
       pgQueryAll = postgres.queryAll;
       pgExecute = postgres.execute;
+      pgGetPool = postgres.getPool;
       const { initPostgres } = postgres;
       await initPostgres();
 
@@ -103,7 +127,7 @@ export async function query(sql, params = []) {
       finalSql = convertedSql.replace(/;?\s*$/, '') + ' RETURNING id';
     }
     
-    const result = await pgQuery(finalSql, convertedParams);
+    const result = await pgExecutar(finalSql, convertedParams);
     
     // Retornar formato consistente
     return {
@@ -112,6 +136,7 @@ export async function query(sql, params = []) {
       insertId: result.rows?.[0]?.id || null,
     };
   }
+  await aguardarTransacaoSqlite();
   return await sqliteQuery(sql, params);
 }
 
@@ -121,8 +146,10 @@ export async function queryOne(sql, params = []) {
       throw new Error('PostgreSQL não inicializado. Chame initDatabase() primeiro.');
     }
     const { sql: convertedSql, params: convertedParams } = convertParams(sql, params);
-    return await pgQueryOne(convertedSql, convertedParams);
+    const result = await pgExecutar(convertedSql, convertedParams);
+    return result.rows?.[0] || null;
   }
+  await aguardarTransacaoSqlite();
   return await sqliteQueryOne(sql, params);
 }
 
@@ -132,8 +159,10 @@ export async function queryAll(sql, params = []) {
       throw new Error('PostgreSQL não inicializado. Chame initDatabase() primeiro.');
     }
     const { sql: convertedSql, params: convertedParams } = convertParams(sql, params);
-    return await pgQueryAll(convertedSql, convertedParams);
+    const result = await pgExecutar(convertedSql, convertedParams);
+    return result.rows;
   }
+  await aguardarTransacaoSqlite();
   return await sqliteQueryAll(sql, params);
 }
 
@@ -151,9 +180,15 @@ export async function execute(sql, params = []) {
       finalSql = convertedSql.replace(/;?\s*$/, '') + ' RETURNING id';
     }
     
-    return await pgExecute(finalSql, convertedParams);
+    const result = await pgExecutar(finalSql, convertedParams);
+    return {
+      rows: result.rows || [],
+      rowCount: result.rowCount || 0,
+      insertId: result.rows?.[0]?.id || null,
+    };
   }
   // Em SQLite, execute é equivalente a query para INSERT/UPDATE/DELETE
+  await aguardarTransacaoSqlite();
   const result = await sqliteQuery(sql, params);
   return {
     rowCount: result.rowCount || 0,
@@ -162,8 +197,76 @@ export async function execute(sql, params = []) {
   };
 }
 
-// Inicializar migrações conforme o banco
-export async function initMigrations() {
+/**
+ * Executa fn dentro de uma transação (tudo ou nada)
+ *
+ * Toda query/queryOne/queryAll/execute chamada durante fn, inclusive em
+ * serviços, entra na transação. Se fn lançar erro, a transação é desfeita e o
+ * erro é repassado. Chamadas aninhadas reaproveitam a transação externa.
+ *
+ * Não engolir erros de SQL dentro de fn: no PostgreSQL a transação fica
+ * inválida após o primeiro erro.
+ *
+ * @param {Function} fn - async () => resultado
+ * @returns {Promise<*>} Retorno de fn
+ */
+export async function withTransaction(fn) {
+  if (transacaoAtual.getStore()) {
+    return await fn();
+  }
+
+  if (isPostgres()) {
+    if (!pgGetPool) {
+      throw new Error('PostgreSQL não inicializado. Chame initDatabase() primeiro.');
+    }
+    const client = await pgGetPool().connect();
+    try {
+      await client.query('BEGIN');
+      const resultado = await transacaoAtual.run({ client }, fn);
+      await client.query('COMMIT');
+      return resultado;
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        console.error('[DB] Erro ao fazer rollback:', rollbackError.message);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  while (transacaoSqliteAberta) {
+    await transacaoSqliteAberta;
+  }
+  let liberar;
+  transacaoSqliteAberta = new Promise(resolve => { liberar = resolve; });
+  try {
+    return await transacaoAtual.run({ sqlite: true }, async () => {
+      await sqliteQuery('BEGIN IMMEDIATE');
+      try {
+        const resultado = await fn();
+        await sqliteQuery('COMMIT');
+        return resultado;
+      } catch (error) {
+        try {
+          await sqliteQuery('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('[DB] Erro ao fazer rollback:', rollbackError.message);
+        }
+        throw error;
+      }
+    });
+  } finally {
+    transacaoSqliteAberta = null;
+    liberar();
+  }
+}
+
+// Inicializar migrações conforme o banco: esquema base e depois as
+// migrações versionadas de src/migrations (ver migration-runner.js)
+export async function initMigrations({ ate = null } = {}) {
   if (isPostgres()) {
     if (!initPgMigrations) {
       // Usar caminho absoluto baseado em import.meta.url para garantir compatibilidade com Render
@@ -171,9 +274,13 @@ export async function initMigrations() {
       const migrations = await import(migrationsUrl);
       initPgMigrations = migrations.initMigrations || migrations.default;
     }
-    return await initPgMigrations();
+    await initPgMigrations();
+  } else {
+    await runMigrationsSqlite();
   }
-  return await runMigrationsSqlite();
+
+  const { executarMigracoes } = await import('./migration-runner.js');
+  return await executarMigracoes({ ate });
 }
 
 export default {
@@ -185,6 +292,7 @@ export default {
   queryOne,
   queryAll,
   execute,
+  withTransaction,
   initMigrations,
 };
 
@@ -0,0 +1,175 @@
+/**
+ * Helpers de migração independentes do banco
+ *
+ * Cada migração numerada (src/migrations/NNNN_nome.js) recebe o contexto criado
+ * aqui e escreve o esquema uma única vez: os tipos e as verificações de
+ * existência são traduzidos para SQLite ou PostgreSQL conforme o banco ativo.
+ *
+ * Exemplo:
+ *   export async function up(m) {
+ *     await m.criarTabela('exemplos', [
+ *       `id ${m.tipos.id}`,
+ *       `veiculo_id INTEGER NOT NULL REFERENCES veiculos(id) ON DELETE CASCADE`,
+ *       `ativo ${m.tipos.booleano} NOT NULL DEFAULT ${m.verdadeiro}`,
+ *       `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+ *     ]);
+ *     await m.criarIndice('idx_exemplos_veiculo', 'exemplos', ['veiculo_id']);
+ *   }
+ */
+
+import { query, queryOne, queryAll, isPostgres } from './db-adapter.js';
+
+const nomeSeguro = (nome) => {
+  if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(nome)) {
+    throw new Error(`Nome inválido em migração: ${nome}`);
+  }
+  return nome;
+};
+
+/**
+ * Verifica se uma tabela existe
+ * @param {string} tabela
+ * @returns {Promise<boolean>}
+ */
+export async function tabelaExiste(tabela) {
+  if (isPostgres()) {
+    const result = await queryOne(
+      `SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public' AND table_name = ?
+      ) as existe`,
+      [tabela]
+    );
+    return !!result?.existe;
+  }
+  const result = await queryOne(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+    [tabela]
+  );
+  return !!result;
+}
+
+/**
+ * Verifica se uma coluna existe
+ * @param {string} tabela
+ * @param {string} coluna
+ * @returns {Promise<boolean>}
+ */
+export async function colunaExiste(tabela, coluna) {
+  if (isPostgres()) {
+    const result = await queryOne(
+      `SELECT EXISTS (
+        SELECT FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = ? AND column_name = ?
+      ) as existe`,
+      [tabela, coluna]
+    );
+    return !!result?.existe;
+  }
+  // PRAGMA não retorna linhas pelo adaptador; a função de tabela sim
+  const colunas = await queryAll('SELECT name FROM pragma_table_info(?)', [tabela]);
+  return colunas.some(c => c.name === coluna);
+}
+
+/**
+ * Cria o contexto passado para up/down das migrações
+ * @returns {Object}
+ */
+export function criarContextoMigracao() {
+  const postgres = isPostgres();
+
+  const tipos = postgres
+    ? {
+        id: 'SERIAL PRIMARY KEY',
+        dataHora: 'TIMESTAMP',
+        data: 'DATE',
+        booleano: 'BOOLEAN',
+        json: 'JSONB',
+        decimal: 'DECIMAL(10, 2)'
+      }
+    : {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        dataHora: 'DATETIME',
+        data: 'DATE',
+        booleano: 'INTEGER',
+        json: 'TEXT',
+        decimal: 'REAL'
+      };
+
+  return {
+    postgres,
+    tipos,
+    // CURRENT_TIMESTAMP vale como DEFAULT nos dois bancos (UTC, 'YYYY-MM-DD HH:MM:SS' no SQLite)
+    agora: 'CURRENT_TIMESTAMP',
+    verdadeiro: postgres ? 'true' : '1',
+    falso: postgres ? 'false' : '0',
+
+    /** Converte boolean JS para parâmetro (SQLite não aceita boolean) */
+    booleano: (valor) => (postgres ? !!valor : (valor ? 1 : 0)),
+
+    executar: (sql, params = []) => query(sql, params),
+    buscarUm: (sql, params = []) => queryOne(sql, params),
+    buscarTodos: (sql, params = []) => queryAll(sql, params),
+
+    tabelaExiste,
+    colunaExiste,
+
+    /**
+     * Cria a tabela se ainda não existir
+     * @param {string} tabela
+     * @param {string[]} definicoes - Colunas e constraints
+     */
+    async criarTabela(tabela, definicoes) {
+      await query(`CREATE TABLE IF NOT EXISTS ${nomeSeguro(tabela)} (\n  ${definicoes.join(',\n  ')}\n)`);
+    },
+
+    async removerTabela(tabela) {
+      await query(`DROP TABLE IF EXISTS ${nomeSeguro(tabela)}`);
+    },
+
+    /**
+     * Adiciona a coluna se ainda não existir
+     * @returns {Promise<boolean>} true se a coluna foi criada
+     */
+    async adicionarColuna(tabela, coluna, definicao) {
+      if (await colunaExiste(tabela, coluna)) return false;
+      await query(`ALTER TABLE ${nomeSeguro(tabela)} ADD COLUMN ${nomeSeguro(coluna)} ${definicao}`);
+      return true;
+    },
+
+    /**
+     * Remove a coluna se existir (SQLite 3.35+; colunas indexadas exigem remover o índice antes)
+     * @returns {Promise<boolean>} true se a coluna foi removida
+     */
+    async removerColuna(tabela, coluna) {
+      if (!(await colunaExiste(tabela, coluna))) return false;
+      await query(`ALTER TABLE ${nomeSeguro(tabela)} DROP COLUMN ${nomeSeguro(coluna)}`);
+      return true;
+    },
+
+    /**
+     * Cria índice se ainda não existir
+     * @param {string} nome
+     * @param {string} tabela
+     * @param {string[]} colunas
+     * @param {Object} [opcoes]
+     * @param {boolean} [opcoes.unico]
+     * @param {string} [opcoes.where] - Índice parcial (suportado nos dois bancos)
+     */
+    async criarIndice(nome, tabela, colunas, { unico = false, where = null } = {}) {
+      await query(
+        `CREATE ${unico ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${nomeSeguro(nome)} ON ${nomeSeguro(tabela)}(${colunas.map(nomeSeguro).join(', ')})${where ? ` WHERE ${where}` : ''}`
+      );
+    },
+
+    async removerIndice(nome) {
+      await query(`DROP INDEX IF EXISTS ${nomeSeguro(nome)}`);
+    }
+  };
+}
+
+export default {
+  tabelaExiste,
+  colunaExiste,
+  criarContextoMigracao
+};
@@ -0,0 +1,175 @@
+/**
+ * Executor de migrações versionadas
+ *
+ * As migrações ficam em src/migrations/ com nome `NNNN_descricao.js` e são
+ * aplicadas em ordem numérica. Cada arquivo exporta `up(m)` e `down(m)`, onde
+ * `m` é o contexto de migration-helpers.js (mesmo código para SQLite e PostgreSQL).
+ *
+ * Cada migração roda numa transação junto com o seu registro em schema_migrations:
+ * se falhar no meio, nada dela fica aplicado.
+ *
+ * As aplicadas ficam registradas em schema_migrations. O esquema base
+ * (migrations.js / migrations-postgres.js) roda antes e não é versionado:
+ * alterações novas de esquema entram apenas como migração numerada.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { query, queryAll, isPostgres, withTransaction } from './db-adapter.js';
+import { criarContextoMigracao } from './migration-helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PASTA_MIGRACOES = path.join(__dirname, '..', 'migrations');
+const PADRAO_ARQUIVO = /^(\d{4})_([a-z0-9_]+)\.js$/;
+
+async function garantirTabelaControle() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      versao VARCHAR(4) PRIMARY KEY,
+      nome VARCHAR(255) NOT NULL,
+      aplicada_em ${isPostgres() ? 'TIMESTAMP' : 'DATETIME'} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Lista os arquivos de migração em ordem
+ * @returns {Array<{versao: string, nome: string, arquivo: string}>}
+ */
+export function listarArquivosMigracao() {
+  if (!fs.existsSync(PASTA_MIGRACOES)) return [];
+
+  const migracoes = fs.readdirSync(PASTA_MIGRACOES)
+    .map(arquivo => {
+      const partes = arquivo.match(PADRAO_ARQUIVO);
+      return partes ? { versao: partes[1], nome: partes[2], arquivo: path.join(PASTA_MIGRACOES, arquivo) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.versao.localeCompare(b.versao));
+
+  const repetida = migracoes.find((m, i) => i > 0 && m.versao === migracoes[i - 1].versao);
+  if (repetida) {
+    throw new Error(`Número de migração repetido: ${repetida.versao}`);
+  }
+  return migracoes;
+}
+
+async function carregarMigracao(migracao) {
+  const modulo = await import(pathToFileURL(migracao.arquivo).href);
+  if (typeof modulo.up !== 'function') {
+    throw new Error(`Migração ${migracao.versao}_${migracao.nome} não exporta up()`);
+  }
+  return modulo;
+}
+
+async function listarAplicadas() {
+  await garantirTabelaControle();
+  return queryAll('SELECT versao, nome, aplicada_em FROM schema_migrations ORDER BY versao ASC');
+}
+
+/**
+ * Situação de cada migração (aplicada ou pendente)
+ * @returns {Promise<Array<{versao: string, nome: string, aplicada: boolean, aplicada_em: string|null}>>}
+ */
+export async function statusMigracoes() {
+  const aplicadas = new Map((await listarAplicadas()).map(a => [a.versao, a]));
+  const arquivos = listarArquivosMigracao();
+
+  const status = arquivos.map(m => ({
+    versao: m.versao,
+    nome: m.nome,
+    aplicada: aplicadas.has(m.versao),
+    aplicada_em: aplicadas.get(m.versao)?.aplicada_em || null
+  }));
+
+  // Registradas no banco mas sem arquivo (ex.: código mais antigo que o banco)
+  for (const [versao, aplicada] of aplicadas) {
+    if (!arquivos.some(m => m.versao === versao)) {
+      status.push({ versao, nome: aplicada.nome, aplicada: true, aplicada_em: aplicada.aplicada_em, arquivo_ausente: true });
+    }
+  }
+
+  return status.sort((a, b) => a.versao.localeCompare(b.versao));
+}
+
+/**
+ * Aplica as migrações pendentes em ordem
+ * @param {Object} [opcoes]
+ * @param {string} [opcoes.ate] - Para na versão informada (inclusive)
+ * @returns {Promise<string[]>} Versões aplicadas
+ */
+export async function executarMigracoes({ ate = null } = {}) {
+  const aplicadas = new Set((await listarAplicadas()).map(a => a.versao));
+  const pendentes = listarArquivosMigracao()
+    .filter(m => !aplicadas.has(m.versao) && (!ate || m.versao <= ate));
+
+  const contexto = criarContextoMigracao();
+  const executadas = [];
+
+  for (const migracao of pendentes) {
+    console.log(`  ✓ Aplicando migração ${migracao.versao}_${migracao.nome}...`);
+    const modulo = await carregarMigracao(migracao);
+    try {
+      await withTransaction(async () => {
+        await modulo.up(contexto);
+        // schema_migrations não tem id: sem RETURNING explícito o adaptador acrescenta RETURNING id
+        await query(
+          'INSERT INTO schema_migrations (versao, nome) VALUES (?, ?) RETURNING versao',
+          [migracao.versao, migracao.nome]
+        );
+      });
+    } catch (error) {
+      console.error(`  ✗ Falha na migração ${migracao.versao}_${migracao.nome}:`, error.message);
+      throw error;
+    }
+    executadas.push(migracao.versao);
+  }
+
+  if (executadas.length === 0) {
+    console.log('  ✓ Nenhuma migração pendente');
+  }
+  return executadas;
+}
+
+/**
+ * Desfaz as últimas migrações aplicadas
+ * @param {Object} [opcoes]
+ * @param {number} [opcoes.passos=1] - Quantas migrações desfazer
+ * @returns {Promise<string[]>} Versões revertidas
+ */
+export async function reverterMigracoes({ passos = 1 } = {}) {
+  const aplicadas = (await listarAplicadas()).reverse().slice(0, passos);
+  const arquivos = new Map(listarArquivosMigracao().map(m => [m.versao, m]));
+  const contexto = criarContextoMigracao();
+  const revertidas = [];
+
+  for (const aplicada of aplicadas) {
+    const migracao = arquivos.get(aplicada.versao);
+    if (!migracao) {
+      throw new Error(`Arquivo da migração ${aplicada.versao}_${aplicada.nome} não encontrado`);
+    }
+    const modulo = await carregarMigracao(migracao);
+    if (typeof modulo.down !== 'function') {
+      throw new Error(`Migração ${migracao.versao}_${migracao.nome} não pode ser revertida (sem down())`);
+    }
+
+    console.log(`  ✓ Revertendo migração ${migracao.versao}_${migracao.nome}...`);
+    await withTransaction(async () => {
+      await modulo.down(contexto);
+      await query('DELETE FROM schema_migrations WHERE versao = ?', [migracao.versao]);
+    });
+    revertidas.push(migracao.versao);
+  }
+
+  return revertidas;
+}
+
+export default {
+  listarArquivosMigracao,
+  statusMigracoes,
+  executarMigracoes,
+  reverterMigracoes
+};
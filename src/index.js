@@ -1,8 +1,6 @@
 import express from 'express';
 import path from 'path';
 import cors from 'cors';
-import multer from 'multer';
-import fs from 'fs';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import OpenAI from 'openai';
@@ -23,6 +21,12 @@ import compartilhamentoRouter from './routes/compartilhamento.js';
 import usuariosRouter from './routes/usuarios.js';
 import fabricantesRouter from './routes/fabricantes.js';
 import modelosRouter from './routes/modelos.js';
+import relatoriosRouter from './routes/relatorios.js';
+import organizacoesRouter from './routes/organizacoes.js';
+import transferenciasRouter from './routes/transferencias.js';
+import arquivosRouter from './routes/arquivos.js';
+import notificacoesRouter from './routes/notificacoes.js';
+import { getStorageDriver, urlArquivo } from './services/armazenamento/index.js';
 
 // Carregar variáveis de ambiente
 dotenv.config();
@@ -74,43 +78,28 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Compartilhamento-Senha']
 };
 
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Criar pasta uploads se não existir
-const uploadsDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-app.use('/uploads', express.static(uploadsDir));
-
-// Configurar multer
-const storage = multer.diskStorage({
-  destination: uploadsDir,
-  filename: (req, file, cb) => {
-    const uniqueSuffix =
-      Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 10 * 1024 * 1024 }
-});
+// Arquivos enviados não são mais públicos por nome (antigo /uploads):
+// as respostas levam URLs assinadas (ver services/armazenamento)
+app.use('/arquivos', arquivosRouter);
 
 // Rotas - Ordem importa: rotas específicas antes de genéricas
 // Dashboard e Alertas devem estar registrados explicitamente
 // Compartilhamento deve vir antes (não requer auth)
 app.use('/compartilhamento', compartilhamentoRouter);
+app.use('/relatorios', relatoriosRouter);
 app.use('/dashboard', dashboardRouter);
 app.use('/alertas', alertasRouter);
+app.use('/notificacoes', notificacoesRouter);
 app.use('/auth', authRouter);
 app.use('/usuarios', usuariosRouter);
+app.use('/organizacoes', organizacoesRouter);
+app.use('/transferencias', transferenciasRouter);
 app.use('/buscar', buscarRouter);
 app.use('/estatisticas', estatisticasRouter);
 app.use('/proprietarios', proprietariosRouter);
@@ -126,20 +115,20 @@ const openaiClient = process.env.OPENAI_API_KEY
   ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
   : null;
 
-// Helper para construir URL de imagem
+// Helper para construir URL (assinada) de imagem
 const construirUrlImagem = (filename, req) => {
   if (!filename) return null;
 
   if (process.env.NODE_ENV === 'production') {
     const renderExternal = process.env.RENDER_EXTERNAL_URL;
     if (renderExternal) {
-      return `${renderExternal.replace(/\/$/, '')}/uploads/${filename}`;
+      return urlArquivo(filename, renderExternal.replace(/\/$/, ''));
     }
   }
 
   const protocol = req.protocol || 'http';
   const host = req.get('host') || 'localhost:3000';
-  return `${protocol}://${host}/uploads/${filename}`;
+  return urlArquivo(filename, `${protocol}://${host}`);
 };
 
 app.locals.construirUrlImagem = construirUrlImagem;
@@ -156,6 +145,18 @@ function validateEnvironment() {
     warnings.push('JWT_SECRET não definida — inseguro para produção');
   }
 
+  if (process.env.NODE_ENV === 'production' && getStorageDriver().nome === 'local') {
+    warnings.push('Armazenamento local em produção — arquivos enviados se perdem a cada deploy (configure S3_BUCKET)');
+  }
+
+  if (process.env.NODE_ENV === 'production' && !process.env.SMTP_HOST && !process.env.MAIL_TRANSPORT) {
+    warnings.push('SMTP_HOST não definida — e-mails (redefinição de senha, verificação) não serão enviados');
+  }
+
+  if (!process.env.OCR_PROVIDER && !process.env.OPENAI_API_KEY) {
+    warnings.push('OPENAI_API_KEY não definida — OCR usará o provedor local (tesseract)');
+  }
+
   warnings.forEach(w => console.warn('⚠️', w));
 }
 
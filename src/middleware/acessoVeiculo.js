@@ -0,0 +1,44 @@
+/**
+ * Middleware de acesso a veículos
+ * Carrega o veículo da requisição em req.veiculo, verificando se o usuário é dono
+ * (veículo pessoal) ou membro da organização dona com papel que permite a ação.
+ * Deve vir depois de authRequired (e do multer, quando o ID vem no corpo multipart).
+ */
+
+import { buscarVeiculoAcessivel, temPermissao } from '../services/organizacoesService.js';
+
+/**
+ * @param {string} permissao - Ex.: 'veiculo:ler', 'manutencao:registrar'
+ * @param {Object} [opcoes]
+ * @param {string} [opcoes.param='id'] - Nome do campo com o ID do veículo
+ * @param {string} [opcoes.origem='params'] - 'params', 'body' ou 'query'
+ */
+export function exigirAcessoVeiculo(permissao, { param = 'id', origem = 'params' } = {}) {
+  return async function (req, res, next) {
+    try {
+      const veiculoId = req[origem]?.[param];
+      if (!veiculoId) {
+        return res.status(400).json({ error: `${param} é obrigatório` });
+      }
+
+      const veiculo = await buscarVeiculoAcessivel(veiculoId, req.userId);
+      if (!veiculo) {
+        return res.status(404).json({ error: 'Veículo não encontrado' });
+      }
+
+      if (!temPermissao(veiculo.papel_organizacao, permissao)) {
+        return res.status(403).json({
+          error: 'Seu papel na organização não permite esta ação',
+          code: 'PERMISSAO_NEGADA',
+          papel: veiculo.papel_organizacao
+        });
+      }
+
+      req.veiculo = veiculo;
+      next();
+    } catch (error) {
+      console.error('[ERRO] Erro ao verificar acesso ao veículo:', error);
+      res.status(500).json({ error: 'Erro ao verificar acesso ao veículo', details: error.message });
+    }
+  };
+}
@@ -1,12 +1,16 @@
 import jwt from "jsonwebtoken";
+import { sessaoAtiva } from "../services/sessoesService.js";
+
+// Access token é curto; a sessão continua via refresh token (POST /auth/refresh)
+export const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
 
 export function generateToken(payload) {
   const secret = process.env.JWT_SECRET || "troia-default-secret";
-  const expires = process.env.JWT_EXPIRES_IN || "7d";
-  return jwt.sign(payload, secret, { expiresIn: expires });
+  return jwt.sign(payload, secret, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
-export function authRequired(req, res, next) {
+export async function authRequired(req, res, next) {
+  let payload;
   try {
     const header = req.headers.authorization;
     if (!header) return res.status(401).json({ error: "Token ausente" });
@@ -15,14 +19,32 @@ export function authRequired(req, res, next) {
     if (type !== "Bearer" || !token)
       return res.status(401).json({ error: "Token inválido" });
 
-    const payload = jwt.verify(token, process.env.JWT_SECRET || "troia-default-secret");
-    req.user = payload;
-    // Compatibilidade: definir req.userId (pode vir como id ou userId no payload)
-    req.userId = payload.id || payload.userId || payload.user_id;
-    next();
+    payload = jwt.verify(token, process.env.JWT_SECRET || "troia-default-secret");
   } catch (err) {
     return res.status(401).json({ error: "Token inválido ou expirado" });
   }
+
+  req.user = payload;
+  // Compatibilidade: definir req.userId (pode vir como id ou userId no payload)
+  req.userId = payload.id || payload.userId || payload.user_id;
+
+  // Tokens emitidos antes das sessões não têm sid: não há como revogá-los
+  // (logout de todas, desativação), então exigem novo login
+  if (!payload.sid) {
+    return res.status(401).json({ error: "Sessão expirada. Faça login novamente", code: "SESSAO_REVOGADA" });
+  }
+
+  try {
+    if (!(await sessaoAtiva(payload.sid, req.userId))) {
+      return res.status(401).json({ error: "Sessão encerrada", code: "SESSAO_REVOGADA" });
+    }
+  } catch (err) {
+    console.error("[ERRO] Erro ao verificar sessão:", err);
+    return res.status(500).json({ error: "Erro ao verificar sessão", details: err.message });
+  }
+  req.sessaoId = payload.sid;
+
+  next();
 }
 
 export function requireRole(...roles) {
@@ -33,4 +55,3 @@ export function requireRole(...roles) {
     next();
   };
 }
-
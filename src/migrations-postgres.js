@@ -1,3 +1,11 @@
+/**
+ * Esquema base (PostgreSQL)
+ *
+ * Mantido para criar/atualizar bancos existentes. Não adicionar alterações
+ * novas aqui: use uma migração numerada em src/migrations/ (ver
+ * database/migration-runner.js), que roda nos dois bancos.
+ */
+
 import { query, queryOne, queryAll } from './database/postgres.js';
 
 // Função auxiliar para verificar se uma tabela existe
@@ -248,6 +256,14 @@ const addMissingColumns = async () => {
         await query('ALTER TABLE veiculos ADD COLUMN tipo_veiculo VARCHAR(50)');
         console.log('  ✓ Coluna tipo_veiculo adicionada em veiculos');
       }
+
+      // Tabela veiculos — unidade de uso escolhida para tipos configuráveis (km | horas)
+      const unidadeUsoExists = await columnExists('veiculos', 'unidade_uso');
+      if (!unidadeUsoExists) {
+        console.log('  ✓ Adicionando coluna unidade_uso em veiculos...');
+        await query('ALTER TABLE veiculos ADD COLUMN unidade_uso VARCHAR(10)');
+        console.log('  ✓ Coluna unidade_uso adicionada em veiculos');
+      }
     }
 
     // Criar tabela km_historico se não existir
@@ -357,6 +373,40 @@ const addMissingColumns = async () => {
       // Mas logar erro para investigação
     }
 
+    // Unidade de cada leitura em km_historico (km | horas)
+    // Equipamentos com horímetro (barco, jetski, máquinas) registram horas na coluna km
+    const unidadeKmHistoricoExists = await columnExists('km_historico', 'unidade');
+    if (!unidadeKmHistoricoExists) {
+      console.log('  ✓ Adicionando coluna unidade em km_historico...');
+      await query("ALTER TABLE km_historico ADD COLUMN unidade VARCHAR(10) NOT NULL DEFAULT 'km'");
+      await query(`
+        UPDATE km_historico
+        SET unidade = 'horas'
+        WHERE veiculo_id IN (
+          SELECT id FROM veiculos
+          WHERE tipo_veiculo IN ('barco', 'jetski', 'maquina_agricola', 'maquina_industrial')
+        )
+      `);
+      console.log('  ✓ Coluna unidade adicionada em km_historico');
+    }
+
+    // Tabela abastecimentos — vínculo com a leitura de km_historico gerada pelo abastecimento
+    const kmHistoricoIdExists = await columnExists('abastecimentos', 'km_historico_id');
+    if (!kmHistoricoIdExists) {
+      console.log('  ✓ Adicionando coluna km_historico_id em abastecimentos...');
+      await query('ALTER TABLE abastecimentos ADD COLUMN km_historico_id INTEGER REFERENCES km_historico(id) ON DELETE SET NULL');
+      console.log('  ✓ Coluna km_historico_id adicionada em abastecimentos');
+    }
+
+    // Tabela abastecimentos — flag de tanque cheio (consumo calculado entre tanques cheios)
+    // Registros existentes ficam como tanque cheio
+    const tanqueCheioExists = await columnExists('abastecimentos', 'tanque_cheio');
+    if (!tanqueCheioExists) {
+      console.log('  ✓ Adicionando coluna tanque_cheio em abastecimentos...');
+      await query('ALTER TABLE abastecimentos ADD COLUMN tanque_cheio BOOLEAN NOT NULL DEFAULT true');
+      console.log('  ✓ Coluna tanque_cheio adicionada em abastecimentos');
+    }
+
     // Criar tabela ocr_usage para controle de rate limiting
     const ocrUsageExists = await tableExists('ocr_usage');
     if (!ocrUsageExists) {
@@ -730,6 +780,207 @@ const addMissingColumns = async () => {
       }
     }
 
+    // Tabela planos_manutencao (itens de plano por veículo, modelo ou fabricante)
+    const planosManutencaoExists = await tableExists('planos_manutencao');
+    if (!planosManutencaoExists) {
+      console.log('  ✓ Criando tabela planos_manutencao...');
+      await query(`
+        CREATE TABLE IF NOT EXISTS planos_manutencao (
+          id SERIAL PRIMARY KEY,
+          veiculo_id INTEGER REFERENCES veiculos(id) ON DELETE CASCADE,
+          modelo_id INTEGER REFERENCES modelos(id) ON DELETE CASCADE,
+          fabricante_id INTEGER REFERENCES fabricantes(id) ON DELETE CASCADE,
+          usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+          nome VARCHAR(100) NOT NULL,
+          intervalo_km INTEGER,
+          intervalo_horas INTEGER,
+          intervalo_meses INTEGER,
+          tipo_manutencao VARCHAR(50),
+          area_manutencao VARCHAR(50),
+          palavras_chave TEXT,
+          ativo BOOLEAN NOT NULL DEFAULT true,
+          criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_planos_manutencao_veiculo ON planos_manutencao(veiculo_id)');
+      await query('CREATE INDEX IF NOT EXISTS idx_planos_manutencao_modelo ON planos_manutencao(modelo_id)');
+      await query('CREATE INDEX IF NOT EXISTS idx_planos_manutencao_fabricante ON planos_manutencao(fabricante_id)');
+      console.log('  ✓ Tabela planos_manutencao criada');
+    } else {
+      console.log('  ✓ Tabela planos_manutencao já existe');
+    }
+
+    // Tabela relatorios_veiculo (PDFs de histórico e código de verificação)
+    const relatoriosVeiculoExists = await tableExists('relatorios_veiculo');
+    if (!relatoriosVeiculoExists) {
+      console.log('  ✓ Criando tabela relatorios_veiculo...');
+      await query(`
+        CREATE TABLE IF NOT EXISTS relatorios_veiculo (
+          id SERIAL PRIMARY KEY,
+          veiculo_id INTEGER NOT NULL REFERENCES veiculos(id) ON DELETE CASCADE,
+          usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+          codigo_verificacao VARCHAR(20) UNIQUE NOT NULL,
+          arquivo TEXT NOT NULL,
+          hash_sha256 VARCHAR(64) NOT NULL,
+          tamanho_bytes INTEGER,
+          placa VARCHAR(20),
+          km_relatorio INTEGER,
+          unidade VARCHAR(10),
+          gerado_em TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_relatorios_veiculo_veiculo ON relatorios_veiculo(veiculo_id)');
+      console.log('  ✓ Tabela relatorios_veiculo criada');
+    } else {
+      console.log('  ✓ Tabela relatorios_veiculo já existe');
+    }
+
+    // Organizações (frotas) e membros com papel por organização
+    const organizacoesExists = await tableExists('organizacoes');
+    if (!organizacoesExists) {
+      console.log('  ✓ Criando tabela organizacoes...');
+      await query(`
+        CREATE TABLE IF NOT EXISTS organizacoes (
+          id SERIAL PRIMARY KEY,
+          nome VARCHAR(255) NOT NULL,
+          criado_por_usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+          criado_em TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      console.log('  ✓ Tabela organizacoes criada');
+    } else {
+      console.log('  ✓ Tabela organizacoes já existe');
+    }
+
+    const organizacaoMembrosExists = await tableExists('organizacao_membros');
+    if (!organizacaoMembrosExists) {
+      console.log('  ✓ Criando tabela organizacao_membros...');
+      await query(`
+        CREATE TABLE IF NOT EXISTS organizacao_membros (
+          id SERIAL PRIMARY KEY,
+          organizacao_id INTEGER NOT NULL REFERENCES organizacoes(id) ON DELETE CASCADE,
+          usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+          papel VARCHAR(20) NOT NULL DEFAULT 'driver'
+            CHECK (papel IN ('owner', 'manager', 'driver', 'mechanic')),
+          criado_em TIMESTAMP NOT NULL DEFAULT NOW(),
+          UNIQUE (organizacao_id, usuario_id)
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_organizacao_membros_usuario ON organizacao_membros(usuario_id)');
+      console.log('  ✓ Tabela organizacao_membros criada');
+    } else {
+      console.log('  ✓ Tabela organizacao_membros já existe');
+    }
+
+    // Veículo de organização: acesso pelos membros em vez do usuario_id
+    const organizacaoIdExists = await columnExists('veiculos', 'organizacao_id');
+    if (!organizacaoIdExists) {
+      console.log('  ✓ Adicionando coluna organizacao_id em veiculos...');
+      await query('ALTER TABLE veiculos ADD COLUMN organizacao_id INTEGER REFERENCES organizacoes(id) ON DELETE SET NULL');
+      await query('CREATE INDEX IF NOT EXISTS idx_veiculos_organizacao ON veiculos(organizacao_id)');
+      console.log('  ✓ Coluna organizacao_id adicionada em veiculos');
+    }
+
+    // Sessões de login (refresh tokens rotativos, revogação de access tokens)
+    const sessoesExists = await tableExists('sessoes');
+    if (!sessoesExists) {
+      console.log('  ✓ Criando tabela sessoes...');
+      await query(`
+        CREATE TABLE IF NOT EXISTS sessoes (
+          id SERIAL PRIMARY KEY,
+          usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+          refresh_token_hash VARCHAR(64) NOT NULL,
+          user_agent TEXT,
+          ip VARCHAR(64),
+          criado_em TIMESTAMP NOT NULL DEFAULT NOW(),
+          ultimo_uso_em TIMESTAMP NOT NULL DEFAULT NOW(),
+          expira_em TIMESTAMP NOT NULL,
+          revogada_em TIMESTAMP,
+          motivo_revogacao VARCHAR(50)
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_sessoes_usuario ON sessoes(usuario_id)');
+      console.log('  ✓ Tabela sessoes criada');
+    } else {
+      console.log('  ✓ Tabela sessoes já existe');
+    }
+
+    // Tokens de uso único (verificação de e-mail, redefinição de senha)
+    const tokensUsuarioExists = await tableExists('tokens_usuario');
+    if (!tokensUsuarioExists) {
+      console.log('  ✓ Criando tabela tokens_usuario...');
+      await query(`
+        CREATE TABLE IF NOT EXISTS tokens_usuario (
+          id SERIAL PRIMARY KEY,
+          usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+          tipo VARCHAR(30) NOT NULL,
+          token_hash VARCHAR(64) NOT NULL UNIQUE,
+          expira_em TIMESTAMP NOT NULL,
+          usado_em TIMESTAMP,
+          criado_em TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_tokens_usuario_usuario ON tokens_usuario(usuario_id, tipo)');
+      console.log('  ✓ Tabela tokens_usuario criada');
+    } else {
+      console.log('  ✓ Tabela tokens_usuario já existe');
+    }
+
+    const emailVerificadoExists = await columnExists('usuarios', 'email_verificado_em');
+    if (!emailVerificadoExists) {
+      console.log('  ✓ Adicionando coluna email_verificado_em em usuarios...');
+      await query('ALTER TABLE usuarios ADD COLUMN email_verificado_em TIMESTAMP');
+      console.log('  ✓ Coluna email_verificado_em adicionada em usuarios');
+    }
+
+    // Contas desativadas por admin e redefinição de senha exigida
+    const desativadoEmExists = await columnExists('usuarios', 'desativado_em');
+    if (!desativadoEmExists) {
+      console.log('  ✓ Adicionando coluna desativado_em em usuarios...');
+      await query('ALTER TABLE usuarios ADD COLUMN desativado_em TIMESTAMP');
+      console.log('  ✓ Coluna desativado_em adicionada em usuarios');
+    }
+
+    const redefinicaoExigidaExists = await columnExists('usuarios', 'senha_redefinicao_exigida_em');
+    if (!redefinicaoExigidaExists) {
+      console.log('  ✓ Adicionando coluna senha_redefinicao_exigida_em em usuarios...');
+      await query('ALTER TABLE usuarios ADD COLUMN senha_redefinicao_exigida_em TIMESTAMP');
+      console.log('  ✓ Coluna senha_redefinicao_exigida_em adicionada em usuarios');
+    }
+
+    // Auditoria (quem alterou o quê, com valores antes/depois)
+    const auditoriaExists = await tableExists('auditoria');
+    if (!auditoriaExists) {
+      console.log('  ✓ Criando tabela auditoria...');
+      await query(`
+        CREATE TABLE IF NOT EXISTS auditoria (
+          id SERIAL PRIMARY KEY,
+          ator_usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+          acao VARCHAR(50) NOT NULL,
+          entidade VARCHAR(50) NOT NULL,
+          entidade_id INTEGER,
+          antes JSONB,
+          depois JSONB,
+          ip VARCHAR(64),
+          criado_em TIMESTAMP NOT NULL DEFAULT NOW()
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_auditoria_entidade ON auditoria(entidade, entidade_id)');
+      await query('CREATE INDEX IF NOT EXISTS idx_auditoria_ator ON auditoria(ator_usuario_id)');
+      console.log('  ✓ Tabela auditoria criada');
+    } else {
+      console.log('  ✓ Tabela auditoria já existe');
+    }
+
+    // Veículo afetado (consulta do histórico de auditoria por veículo)
+    const auditoriaVeiculoExists = await columnExists('auditoria', 'veiculo_id');
+    if (!auditoriaVeiculoExists) {
+      console.log('  ✓ Adicionando coluna veiculo_id em auditoria...');
+      await query('ALTER TABLE auditoria ADD COLUMN veiculo_id INTEGER');
+      await query('CREATE INDEX IF NOT EXISTS idx_auditoria_veiculo ON auditoria(veiculo_id, criado_em)');
+      console.log('  ✓ Coluna veiculo_id adicionada em auditoria');
+    }
+
     // Migração de dados legados: corrigir proprietarios_historico com dados incompletos
     console.log('  🔄 Migrando dados legados de proprietarios_historico...');
     try {
@@ -825,12 +1076,17 @@ const addMissingColumns = async () => {
         const timestampFunc = isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')";
         
         await query(`
-          INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, data_registro, criado_em)
+          INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, unidade, data_registro, criado_em)
           SELECT 
             v.id,
             v.usuario_id,
             COALESCE(v.km_atual, 0),
             'inicio_posse',
+            CASE
+              WHEN v.tipo_veiculo IN ('barco', 'jetski', 'maquina_agricola', 'maquina_industrial') THEN 'horas'
+              WHEN v.tipo_veiculo = 'outro' AND v.unidade_uso = 'horas' THEN 'horas'
+              ELSE 'km'
+            END,
             COALESCE(ph.data_inicio, ph.data_aquisicao, DATE(v.criado_em), ${timestampFunc}),
             ${timestampFunc}
           FROM veiculos v
@@ -1,3 +1,11 @@
+/**
+ * Esquema base (SQLite)
+ *
+ * Mantido para criar/atualizar bancos existentes. Não adicionar alterações
+ * novas aqui: use uma migração numerada em src/migrations/ (ver
+ * database/migration-runner.js), que roda nos dois bancos.
+ */
+
 import sqlite3 from 'sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -270,6 +278,29 @@ const addMissingColumns = async (db) => {
         console.log('  ✓ Coluna tipo_veiculo adicionada em veiculos');
       }
 
+      // SQLite: adicionar coluna unidade_uso a veiculos (tipos configuráveis: km | horas)
+      const unidadeUsoExists = await columnExists(db, 'veiculos', 'unidade_uso');
+      if (!unidadeUsoExists) {
+        console.log('  ✓ Adicionando coluna unidade_uso em veiculos...');
+        await runSQL(db, 'ALTER TABLE veiculos ADD COLUMN unidade_uso TEXT').catch(() => {});
+        console.log('  ✓ Coluna unidade_uso adicionada em veiculos');
+      }
+
+      // SQLite: documento do veículo (CRLV) e flag de OCR pendente
+      const documentoUrlExists = await columnExists(db, 'veiculos', 'documento_url');
+      if (!documentoUrlExists) {
+        console.log('  ✓ Adicionando coluna documento_url em veiculos...');
+        await runSQL(db, 'ALTER TABLE veiculos ADD COLUMN documento_url TEXT').catch(() => {});
+        console.log('  ✓ Coluna documento_url adicionada em veiculos');
+      }
+
+      const documentoPendenteOcrExists = await columnExists(db, 'veiculos', 'documento_pendente_ocr');
+      if (!documentoPendenteOcrExists) {
+        console.log('  ✓ Adicionando coluna documento_pendente_ocr em veiculos...');
+        await runSQL(db, 'ALTER TABLE veiculos ADD COLUMN documento_pendente_ocr INTEGER DEFAULT 0').catch(() => {});
+        console.log('  ✓ Coluna documento_pendente_ocr adicionada em veiculos');
+      }
+
       // Verificar se placa tem UNIQUE (não pode adicionar via ALTER, mas verificamos)
       const placaExists = await columnExists(db, 'veiculos', 'placa');
       if (!placaExists) {
@@ -357,6 +388,38 @@ const addMissingColumns = async (db) => {
       }
     }
 
+    // SQLite: unidade de cada leitura em km_historico (km | horas)
+    const unidadeKmHistoricoExists = await columnExists(db, 'km_historico', 'unidade');
+    if (!unidadeKmHistoricoExists) {
+      console.log('  ✓ Adicionando coluna unidade em km_historico...');
+      await runSQL(db, "ALTER TABLE km_historico ADD COLUMN unidade TEXT NOT NULL DEFAULT 'km'");
+      await runSQL(db, `
+        UPDATE km_historico
+        SET unidade = 'horas'
+        WHERE veiculo_id IN (
+          SELECT id FROM veiculos
+          WHERE tipo_veiculo IN ('barco', 'jetski', 'maquina_agricola', 'maquina_industrial')
+        )
+      `);
+      console.log('  ✓ Coluna unidade adicionada em km_historico');
+    }
+
+    // SQLite: vincular abastecimento à leitura de km_historico que ele gerou
+    const kmHistoricoIdExists = await columnExists(db, 'abastecimentos', 'km_historico_id');
+    if (!kmHistoricoIdExists) {
+      console.log('  ✓ Adicionando coluna km_historico_id em abastecimentos...');
+      await runSQL(db, 'ALTER TABLE abastecimentos ADD COLUMN km_historico_id INTEGER REFERENCES km_historico(id) ON DELETE SET NULL');
+      console.log('  ✓ Coluna km_historico_id adicionada em abastecimentos');
+    }
+
+    // SQLite: flag de tanque cheio (consumo calculado entre tanques cheios)
+    const tanqueCheioExists = await columnExists(db, 'abastecimentos', 'tanque_cheio');
+    if (!tanqueCheioExists) {
+      console.log('  ✓ Adicionando coluna tanque_cheio em abastecimentos...');
+      await runSQL(db, 'ALTER TABLE abastecimentos ADD COLUMN tanque_cheio INTEGER NOT NULL DEFAULT 1');
+      console.log('  ✓ Coluna tanque_cheio adicionada em abastecimentos');
+    }
+
     // SQLite: criar tabela veiculo_compartilhamentos
     const compartilhamentosExists = await tableExists(db, 'veiculo_compartilhamentos');
     if (!compartilhamentosExists) {
@@ -403,6 +466,213 @@ const addMissingColumns = async (db) => {
       console.log('  ✓ Tabela proprietarios_historico já existe');
     }
 
+    // SQLite: criar tabela planos_manutencao
+    const planosManutencaoExists = await tableExists(db, 'planos_manutencao');
+    if (!planosManutencaoExists) {
+      console.log('  ✓ Criando tabela planos_manutencao...');
+      await runSQL(db, `
+        CREATE TABLE IF NOT EXISTS planos_manutencao (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          veiculo_id INTEGER,
+          modelo_id INTEGER,
+          fabricante_id INTEGER,
+          usuario_id INTEGER,
+          nome TEXT NOT NULL,
+          intervalo_km INTEGER,
+          intervalo_horas INTEGER,
+          intervalo_meses INTEGER,
+          tipo_manutencao TEXT,
+          area_manutencao TEXT,
+          palavras_chave TEXT,
+          ativo INTEGER NOT NULL DEFAULT 1,
+          criado_em TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (veiculo_id) REFERENCES veiculos(id) ON DELETE CASCADE
+        )
+      `);
+      await runSQL(db, 'CREATE INDEX IF NOT EXISTS idx_planos_manutencao_veiculo ON planos_manutencao(veiculo_id)');
+      console.log('  ✓ Tabela planos_manutencao criada');
+    } else {
+      console.log('  ✓ Tabela planos_manutencao já existe');
+    }
+
+    // SQLite: criar tabela relatorios_veiculo (PDFs de histórico e código de verificação)
+    const relatoriosVeiculoExists = await tableExists(db, 'relatorios_veiculo');
+    if (!relatoriosVeiculoExists) {
+      console.log('  ✓ Criando tabela relatorios_veiculo...');
+      await runSQL(db, `
+        CREATE TABLE IF NOT EXISTS relatorios_veiculo (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          veiculo_id INTEGER NOT NULL,
+          usuario_id INTEGER NOT NULL,
+          codigo_verificacao TEXT UNIQUE NOT NULL,
+          arquivo TEXT NOT NULL,
+          hash_sha256 TEXT NOT NULL,
+          tamanho_bytes INTEGER,
+          placa TEXT,
+          km_relatorio INTEGER,
+          unidade TEXT,
+          gerado_em TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (veiculo_id) REFERENCES veiculos(id) ON DELETE CASCADE,
+          FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+        )
+      `);
+      await runSQL(db, 'CREATE INDEX IF NOT EXISTS idx_relatorios_veiculo_veiculo ON relatorios_veiculo(veiculo_id)');
+      console.log('  ✓ Tabela relatorios_veiculo criada');
+    } else {
+      console.log('  ✓ Tabela relatorios_veiculo já existe');
+    }
+
+    // SQLite: organizações (frotas) e membros com papel por organização
+    const organizacoesExists = await tableExists(db, 'organizacoes');
+    if (!organizacoesExists) {
+      console.log('  ✓ Criando tabela organizacoes...');
+      await runSQL(db, `
+        CREATE TABLE IF NOT EXISTS organizacoes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          nome TEXT NOT NULL,
+          criado_por_usuario_id INTEGER,
+          criado_em TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (criado_por_usuario_id) REFERENCES usuarios(id) ON DELETE SET NULL
+        )
+      `);
+      console.log('  ✓ Tabela organizacoes criada');
+    } else {
+      console.log('  ✓ Tabela organizacoes já existe');
+    }
+
+    const organizacaoMembrosExists = await tableExists(db, 'organizacao_membros');
+    if (!organizacaoMembrosExists) {
+      console.log('  ✓ Criando tabela organizacao_membros...');
+      await runSQL(db, `
+        CREATE TABLE IF NOT EXISTS organizacao_membros (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          organizacao_id INTEGER NOT NULL,
+          usuario_id INTEGER NOT NULL,
+          papel TEXT NOT NULL DEFAULT 'driver',
+          criado_em TEXT DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (organizacao_id, usuario_id),
+          FOREIGN KEY (organizacao_id) REFERENCES organizacoes(id) ON DELETE CASCADE,
+          FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+        )
+      `);
+      await runSQL(db, 'CREATE INDEX IF NOT EXISTS idx_organizacao_membros_usuario ON organizacao_membros(usuario_id)');
+      console.log('  ✓ Tabela organizacao_membros criada');
+    } else {
+      console.log('  ✓ Tabela organizacao_membros já existe');
+    }
+
+    // Veículo de organização: acesso pelos membros em vez do usuario_id
+    const organizacaoIdExists = await columnExists(db, 'veiculos', 'organizacao_id');
+    if (!organizacaoIdExists) {
+      console.log('  ✓ Adicionando coluna organizacao_id em veiculos...');
+      await runSQL(db, 'ALTER TABLE veiculos ADD COLUMN organizacao_id INTEGER REFERENCES organizacoes(id) ON DELETE SET NULL');
+      await runSQL(db, 'CREATE INDEX IF NOT EXISTS idx_veiculos_organizacao ON veiculos(organizacao_id)');
+      console.log('  ✓ Coluna organizacao_id adicionada em veiculos');
+    }
+
+    // SQLite: sessões de login (refresh tokens rotativos, revogação de access tokens)
+    const sessoesExists = await tableExists(db, 'sessoes');
+    if (!sessoesExists) {
+      console.log('  ✓ Criando tabela sessoes...');
+      await runSQL(db, `
+        CREATE TABLE IF NOT EXISTS sessoes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          usuario_id INTEGER NOT NULL,
+          refresh_token_hash TEXT NOT NULL,
+          user_agent TEXT,
+          ip TEXT,
+          criado_em TEXT DEFAULT CURRENT_TIMESTAMP,
+          ultimo_uso_em TEXT DEFAULT CURRENT_TIMESTAMP,
+          expira_em TEXT NOT NULL,
+          revogada_em TEXT,
+          motivo_revogacao TEXT,
+          FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+        )
+      `);
+      await runSQL(db, 'CREATE INDEX IF NOT EXISTS idx_sessoes_usuario ON sessoes(usuario_id)');
+      console.log('  ✓ Tabela sessoes criada');
+    } else {
+      console.log('  ✓ Tabela sessoes já existe');
+    }
+
+    // SQLite: tokens de uso único (verificação de e-mail, redefinição de senha)
+    const tokensUsuarioExists = await tableExists(db, 'tokens_usuario');
+    if (!tokensUsuarioExists) {
+      console.log('  ✓ Criando tabela tokens_usuario...');
+      await runSQL(db, `
+        CREATE TABLE IF NOT EXISTS tokens_usuario (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          usuario_id INTEGER NOT NULL,
+          tipo TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          expira_em TEXT NOT NULL,
+          usado_em TEXT,
+          criado_em TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+        )
+      `);
+      await runSQL(db, 'CREATE INDEX IF NOT EXISTS idx_tokens_usuario_usuario ON tokens_usuario(usuario_id, tipo)');
+      console.log('  ✓ Tabela tokens_usuario criada');
+    } else {
+      console.log('  ✓ Tabela tokens_usuario já existe');
+    }
+
+    const emailVerificadoExists = await columnExists(db, 'usuarios', 'email_verificado_em');
+    if (!emailVerificadoExists) {
+      console.log('  ✓ Adicionando coluna email_verificado_em em usuarios...');
+      await runSQL(db, 'ALTER TABLE usuarios ADD COLUMN email_verificado_em TEXT');
+      console.log('  ✓ Coluna email_verificado_em adicionada em usuarios');
+    }
+
+    // Contas desativadas por admin e redefinição de senha exigida
+    const desativadoEmExists = await columnExists(db, 'usuarios', 'desativado_em');
+    if (!desativadoEmExists) {
+      console.log('  ✓ Adicionando coluna desativado_em em usuarios...');
+      await runSQL(db, 'ALTER TABLE usuarios ADD COLUMN desativado_em TEXT');
+      console.log('  ✓ Coluna desativado_em adicionada em usuarios');
+    }
+
+    const redefinicaoExigidaExists = await columnExists(db, 'usuarios', 'senha_redefinicao_exigida_em');
+    if (!redefinicaoExigidaExists) {
+      console.log('  ✓ Adicionando coluna senha_redefinicao_exigida_em em usuarios...');
+      await runSQL(db, 'ALTER TABLE usuarios ADD COLUMN senha_redefinicao_exigida_em TEXT');
+      console.log('  ✓ Coluna senha_redefinicao_exigida_em adicionada em usuarios');
+    }
+
+    // SQLite: auditoria (quem alterou o quê, com valores antes/depois)
+    const auditoriaExists = await tableExists(db, 'auditoria');
+    if (!auditoriaExists) {
+      console.log('  ✓ Criando tabela auditoria...');
+      await runSQL(db, `
+        CREATE TABLE IF NOT EXISTS auditoria (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          ator_usuario_id INTEGER,
+          acao TEXT NOT NULL,
+          entidade TEXT NOT NULL,
+          entidade_id INTEGER,
+          antes TEXT,
+          depois TEXT,
+          ip TEXT,
+          criado_em TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (ator_usuario_id) REFERENCES usuarios(id) ON DELETE SET NULL
+        )
+      `);
+      await runSQL(db, 'CREATE INDEX IF NOT EXISTS idx_auditoria_entidade ON auditoria(entidade, entidade_id)');
+      await runSQL(db, 'CREATE INDEX IF NOT EXISTS idx_auditoria_ator ON auditoria(ator_usuario_id)');
+      console.log('  ✓ Tabela auditoria criada');
+    } else {
+      console.log('  ✓ Tabela auditoria já existe');
+    }
+
+    // Veículo afetado (consulta do histórico de auditoria por veículo)
+    const auditoriaVeiculoExists = await columnExists(db, 'auditoria', 'veiculo_id');
+    if (!auditoriaVeiculoExists) {
+      console.log('  ✓ Adicionando coluna veiculo_id em auditoria...');
+      await runSQL(db, 'ALTER TABLE auditoria ADD COLUMN veiculo_id INTEGER');
+      await runSQL(db, 'CREATE INDEX IF NOT EXISTS idx_auditoria_veiculo ON auditoria(veiculo_id, criado_em)');
+      console.log('  ✓ Coluna veiculo_id adicionada em auditoria');
+    }
+
     // Verificar e adicionar colunas em manutencoes (SEM ACENTO)
     // IMPORTANTE: SQLite não suporta acentos em nomes de tabelas
     const manutencoesExists = await tableExists(db, 'manutencoes');
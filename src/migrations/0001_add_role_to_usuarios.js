@@ -0,0 +1,16 @@
+/**
+ * Coluna role em usuarios (bancos criados antes dos papéis)
+ *
+ * O esquema base já cria a coluna; a migração só cobre bancos antigos.
+ */
+
+export async function up(m) {
+  if (await m.adicionarColuna('usuarios', 'role', "TEXT DEFAULT 'cliente'")) {
+    console.log("  ✓ Coluna 'role' adicionada em usuarios");
+  }
+}
+
+export async function down() {
+  // role faz parte do esquema base: removê-la quebraria login e rotas administrativas
+  console.log("  ⚠ Coluna 'role' mantida (faz parte do esquema base)");
+}
@@ -0,0 +1,34 @@
+/**
+ * Normaliza strings vazias em campos de data
+ * Converte "" para NULL nas tabelas relevantes
+ *
+ * Só afeta SQLite: no PostgreSQL as colunas são DATE/TIMESTAMP e não aceitam "".
+ */
+
+const CAMPOS_DATA = [
+  ['proprietarios_historico', 'data_inicio'],
+  ['proprietarios_historico', 'data_venda'],
+  ['proprietarios_historico', 'data_aquisicao'],
+  ['veiculos', 'data_aquisicao'],
+  ['manutencoes', 'data'],
+  ['abastecimentos', 'data'],
+  ['km_historico', 'data_registro']
+];
+
+export async function up(m) {
+  if (m.postgres) return;
+
+  for (const [tabela, coluna] of CAMPOS_DATA) {
+    if (!(await m.colunaExiste(tabela, coluna))) continue;
+    const result = await m.executar(
+      `UPDATE ${tabela} SET ${coluna} = NULL WHERE TRIM(${coluna}) = ''`
+    );
+    if (result.rowCount > 0) {
+      console.log(`  ✓ ${tabela}.${coluna}: ${result.rowCount} data(s) vazia(s) normalizada(s)`);
+    }
+  }
+}
+
+export async function down() {
+  // Não é possível restaurar strings vazias: normalização irreversível (e inofensiva)
+}
@@ -0,0 +1,65 @@
+/**
+ * Alinha o esquema SQLite com o PostgreSQL
+ *
+ * O esquema base do SQLite nunca recebeu colunas que as rotas de veículos,
+ * histórico de KM e proprietários já gravam (cadastro de veículo falhava em
+ * bancos novos). veiculos.chassi faltava nos dois bancos.
+ * Tudo é condicional: no PostgreSQL só entra o que ainda não existe.
+ */
+
+const COLUNAS = [
+  ['km_historico', 'fonte', 'TEXT'],
+  ['veiculos', 'ano_modelo', 'INTEGER'],
+  ['veiculos', 'origem_dados', "VARCHAR(20) DEFAULT 'manual'"],
+  ['veiculos', 'chassi', 'VARCHAR(30)'],
+  ['proprietarios_historico', 'usuario_id', 'INTEGER REFERENCES usuarios(id) ON DELETE SET NULL'],
+  ['proprietarios_historico', 'data_inicio', 'DATE'],
+  ['proprietarios_historico', 'km_inicio', 'INTEGER'],
+  ['proprietarios_historico', 'origem_posse', "VARCHAR(50) DEFAULT 'usado'"]
+];
+
+export async function up(m) {
+  await m.criarTabela('fabricantes', [
+    `id ${m.tipos.id}`,
+    'nome VARCHAR(100) NOT NULL UNIQUE',
+    `ativo ${m.tipos.booleano} NOT NULL DEFAULT ${m.verdadeiro}`,
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+  await m.criarTabela('modelos', [
+    `id ${m.tipos.id}`,
+    'fabricante_id INTEGER NOT NULL REFERENCES fabricantes(id) ON DELETE CASCADE',
+    'nome VARCHAR(100) NOT NULL',
+    'ano_inicio INTEGER',
+    'ano_fim INTEGER',
+    `ativo ${m.tipos.booleano} NOT NULL DEFAULT ${m.verdadeiro}`,
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`,
+    'UNIQUE(fabricante_id, nome)'
+  ]);
+  await m.criarIndice('idx_modelos_fabricante', 'modelos', ['fabricante_id']);
+
+  await m.adicionarColuna('veiculos', 'fabricante_id', 'INTEGER REFERENCES fabricantes(id) ON DELETE SET NULL');
+  await m.adicionarColuna('veiculos', 'modelo_id', 'INTEGER REFERENCES modelos(id) ON DELETE SET NULL');
+  await m.adicionarColuna('veiculos', 'dados_nao_padronizados', `${m.tipos.booleano} DEFAULT ${m.falso}`);
+
+  for (const [tabela, coluna, definicao] of COLUNAS) {
+    if (await m.adicionarColuna(tabela, coluna, definicao)) {
+      console.log(`  ✓ Coluna ${coluna} adicionada em ${tabela}`);
+    }
+  }
+}
+
+export async function down(m) {
+  // No PostgreSQL as colunas podem ter sido criadas antes desta migração
+  // (esquema base ou ajuste manual em produção): não remover dados
+  if (m.postgres) return;
+
+  for (const [tabela, coluna] of [...COLUNAS].reverse()) {
+    await m.removerColuna(tabela, coluna);
+  }
+  await m.removerColuna('veiculos', 'dados_nao_padronizados');
+  await m.removerColuna('veiculos', 'modelo_id');
+  await m.removerColuna('veiculos', 'fabricante_id');
+  await m.removerIndice('idx_modelos_fabricante');
+  await m.removerTabela('modelos');
+  await m.removerTabela('fabricantes');
+}
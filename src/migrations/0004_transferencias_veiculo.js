@@ -0,0 +1,37 @@
+/**
+ * Pedidos de transferência de veículo
+ *
+ * O dono cria o pedido; o histórico de proprietários só muda quando o
+ * destinatário aceita. status: pendente | aceita | recusada | cancelada | expirada
+ */
+
+export async function up(m) {
+  await m.criarTabela('transferencias_veiculo', [
+    `id ${m.tipos.id}`,
+    'veiculo_id INTEGER NOT NULL REFERENCES veiculos(id) ON DELETE CASCADE',
+    'remetente_usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE',
+    'destinatario_usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE',
+    "status VARCHAR(20) NOT NULL DEFAULT 'pendente'",
+    'km_transferencia INTEGER',
+    `valor_venda ${m.tipos.decimal}`,
+    'documento_venda VARCHAR(255)',
+    'documento_venda_nome VARCHAR(255)',
+    'documento_venda_tipo VARCHAR(100)',
+    'mensagem TEXT',
+    'motivo_recusa TEXT',
+    // ISO 8601, comparado no código (mesmo formato nos dois bancos)
+    'expira_em VARCHAR(30) NOT NULL',
+    `respondida_em ${m.tipos.dataHora}`,
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+  await m.criarIndice('idx_transferencias_destinatario', 'transferencias_veiculo', ['destinatario_usuario_id', 'status']);
+  await m.criarIndice('idx_transferencias_remetente', 'transferencias_veiculo', ['remetente_usuario_id', 'status']);
+  await m.criarIndice('idx_transferencias_veiculo', 'transferencias_veiculo', ['veiculo_id', 'status']);
+}
+
+export async function down(m) {
+  await m.removerIndice('idx_transferencias_veiculo');
+  await m.removerIndice('idx_transferencias_remetente');
+  await m.removerIndice('idx_transferencias_destinatario');
+  await m.removerTabela('transferencias_veiculo');
+}
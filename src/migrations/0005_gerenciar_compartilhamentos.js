@@ -0,0 +1,24 @@
+/**
+ * Gestão de links de compartilhamento
+ *
+ * Contador e último acesso (GET /compartilhamento/:token), limite opcional de
+ * usos, senha opcional (hash bcrypt) e revogação sem apagar o histórico.
+ */
+
+const COLUNAS = ['acessos', 'ultimo_acesso_em', 'max_usos', 'senha_hash', 'revogado_em'];
+
+export async function up(m) {
+  await m.adicionarColuna('veiculo_compartilhamentos', 'acessos', 'INTEGER NOT NULL DEFAULT 0');
+  await m.adicionarColuna('veiculo_compartilhamentos', 'ultimo_acesso_em', m.tipos.dataHora);
+  await m.adicionarColuna('veiculo_compartilhamentos', 'max_usos', 'INTEGER');
+  await m.adicionarColuna('veiculo_compartilhamentos', 'senha_hash', 'VARCHAR(255)');
+  await m.adicionarColuna('veiculo_compartilhamentos', 'revogado_em', m.tipos.dataHora);
+  await m.criarIndice('idx_compartilhamentos_veiculo', 'veiculo_compartilhamentos', ['veiculo_id']);
+}
+
+export async function down(m) {
+  await m.removerIndice('idx_compartilhamentos_veiculo');
+  for (const coluna of [...COLUNAS].reverse()) {
+    await m.removerColuna('veiculo_compartilhamentos', coluna);
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Escopos dos links de compartilhamento e links de oficina
+ *
+ * escopos: lista JSON das seções reveladas (NULL = seções dos links antigos)
+ * mascarar_identificacao: placa e RENAVAM mascarados na página pública
+ * manutencoes.compartilhamento_id: registro incluído pela oficina via link 'mecanico'
+ */
+
+export async function up(m) {
+  await m.adicionarColuna('veiculo_compartilhamentos', 'escopos', 'TEXT');
+  await m.adicionarColuna(
+    'veiculo_compartilhamentos',
+    'mascarar_identificacao',
+    `${m.tipos.booleano} NOT NULL DEFAULT ${m.falso}`
+  );
+  await m.adicionarColuna(
+    'manutencoes',
+    'compartilhamento_id',
+    'INTEGER REFERENCES veiculo_compartilhamentos(id) ON DELETE SET NULL'
+  );
+  await m.adicionarColuna('manutencoes', 'oficina_nome', 'VARCHAR(255)');
+}
+
+export async function down(m) {
+  await m.removerColuna('manutencoes', 'oficina_nome');
+  await m.removerColuna('manutencoes', 'compartilhamento_id');
+  await m.removerColuna('veiculo_compartilhamentos', 'mascarar_identificacao');
+  await m.removerColuna('veiculo_compartilhamentos', 'escopos');
+}
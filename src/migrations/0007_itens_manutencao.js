@@ -0,0 +1,47 @@
+/**
+ * Itens de manutenção e catálogo de peças por usuário
+ *
+ * Cada manutenção pode ter itens (peça ou mão de obra) com quantidade e valor
+ * unitário. Peças apontam para o catálogo do usuário, que permite consultar o
+ * histórico de uma peça ("quando troquei as pastilhas de freio?").
+ */
+
+export async function up(m) {
+  await m.criarTabela('pecas_catalogo', [
+    `id ${m.tipos.id}`,
+    'usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE',
+    'nome VARCHAR(255) NOT NULL',
+    // Minúsculo e sem acentos, para reaproveitar a peça digitada de outro jeito
+    'nome_normalizado VARCHAR(255) NOT NULL',
+    'codigo VARCHAR(100)',
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+  await m.criarIndice('idx_pecas_catalogo_usuario_nome', 'pecas_catalogo', ['usuario_id', 'nome_normalizado']);
+  await m.criarIndice('idx_pecas_catalogo_usuario_codigo', 'pecas_catalogo', ['usuario_id', 'codigo']);
+
+  await m.criarTabela('itens_manutencao', [
+    `id ${m.tipos.id}`,
+    'manutencao_id INTEGER NOT NULL REFERENCES manutencoes(id) ON DELETE CASCADE',
+    'peca_id INTEGER REFERENCES pecas_catalogo(id) ON DELETE SET NULL',
+    // peca | mao_de_obra
+    "tipo VARCHAR(20) NOT NULL DEFAULT 'peca'",
+    'descricao VARCHAR(255) NOT NULL',
+    'codigo_peca VARCHAR(100)',
+    `quantidade ${m.tipos.decimal} NOT NULL DEFAULT 1`,
+    `valor_unitario ${m.tipos.decimal}`,
+    `valor_total ${m.tipos.decimal}`,
+    'ordem INTEGER NOT NULL DEFAULT 0',
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+  await m.criarIndice('idx_itens_manutencao_manutencao', 'itens_manutencao', ['manutencao_id']);
+  await m.criarIndice('idx_itens_manutencao_peca', 'itens_manutencao', ['peca_id']);
+}
+
+export async function down(m) {
+  await m.removerIndice('idx_itens_manutencao_peca');
+  await m.removerIndice('idx_itens_manutencao_manutencao');
+  await m.removerTabela('itens_manutencao');
+  await m.removerIndice('idx_pecas_catalogo_usuario_codigo');
+  await m.removerIndice('idx_pecas_catalogo_usuario_nome');
+  await m.removerTabela('pecas_catalogo');
+}
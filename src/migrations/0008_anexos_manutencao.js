@@ -0,0 +1,50 @@
+/**
+ * Anexos de manutenção (fotos, notas fiscais, garantias)
+ *
+ * Substitui a coluna única manutencoes.imagem: cada comprovante existente vira
+ * um anexo 'foto' e a coluna é esvaziada. A coluna continua na tabela porque
+ * as migrações legadas (src/migrations.js) a recriariam a cada inicialização.
+ */
+
+export async function up(m) {
+  await m.criarTabela('manutencao_anexos', [
+    `id ${m.tipos.id}`,
+    'manutencao_id INTEGER NOT NULL REFERENCES manutencoes(id) ON DELETE CASCADE',
+    'usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL',
+    // Nome do arquivo em uploads/
+    'arquivo VARCHAR(255) NOT NULL',
+    'nome_original VARCHAR(255)',
+    'mime_type VARCHAR(100)',
+    'tamanho INTEGER',
+    // foto | nota_fiscal | garantia | outro
+    "categoria VARCHAR(20) NOT NULL DEFAULT 'foto'",
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+  await m.criarIndice('idx_manutencao_anexos_manutencao', 'manutencao_anexos', ['manutencao_id']);
+
+  const result = await m.executar(
+    `INSERT INTO manutencao_anexos (manutencao_id, usuario_id, arquivo, categoria)
+     SELECT id, usuario_id, imagem, 'foto'
+     FROM manutencoes
+     WHERE imagem IS NOT NULL AND imagem <> ''`
+  );
+  await m.executar("UPDATE manutencoes SET imagem = NULL WHERE imagem IS NOT NULL AND imagem <> ''");
+  if (result.rowCount > 0) {
+    console.log(`  ✓ ${result.rowCount} comprovante(s) de manutenção migrado(s) para anexos`);
+  }
+}
+
+export async function down(m) {
+  // Volta o primeiro anexo de cada manutenção para a coluna imagem
+  await m.executar(
+    `UPDATE manutencoes SET imagem = (
+       SELECT a.arquivo FROM manutencao_anexos a
+       WHERE a.manutencao_id = manutencoes.id
+       ORDER BY a.id
+       LIMIT 1
+     )
+     WHERE imagem IS NULL`
+  );
+  await m.removerIndice('idx_manutencao_anexos_manutencao');
+  await m.removerTabela('manutencao_anexos');
+}
@@ -0,0 +1,16 @@
+/**
+ * Miniaturas das imagens enviadas (listagens e timeline)
+ *
+ * manutencao_anexos.miniatura / abastecimentos.imagem_miniatura: chave da miniatura
+ * WebP no armazenamento (NULL para PDFs, HEIC e envios anteriores ao processamento)
+ */
+
+export async function up(m) {
+  await m.adicionarColuna('manutencao_anexos', 'miniatura', 'TEXT');
+  await m.adicionarColuna('abastecimentos', 'imagem_miniatura', 'TEXT');
+}
+
+export async function down(m) {
+  await m.removerColuna('abastecimentos', 'imagem_miniatura');
+  await m.removerColuna('manutencao_anexos', 'miniatura');
+}
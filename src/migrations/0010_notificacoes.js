@@ -0,0 +1,104 @@
+/**
+ * Notificações de manutenção
+ *
+ * - notificacoes: alertas gerados pelo agendador, com estado lida/não lida
+ * - notificacao_entregas: fila de envio por canal (push, email, webhook)
+ * - preferencias_notificacao: canais, nível mínimo e horário de silêncio por usuário
+ * - dispositivos_push: tokens Expo registrados pelo app
+ * - tarefas_agendadas: última execução de cada tarefa (uma instância executa por dia)
+ */
+
+export async function up(m) {
+  await m.criarTabela('notificacoes', [
+    `id ${m.tipos.id}`,
+    'usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE',
+    'veiculo_id INTEGER REFERENCES veiculos(id) ON DELETE CASCADE',
+    "tipo VARCHAR(30) NOT NULL DEFAULT 'manutencao'",
+    // Identifica o alerta (veículo, item do plano, nível e ciclo) para não repetir a notificação
+    'chave VARCHAR(255) NOT NULL',
+    // amarelo | vermelho
+    'nivel VARCHAR(20)',
+    'titulo VARCHAR(200) NOT NULL',
+    'mensagem TEXT NOT NULL',
+    `dados ${m.tipos.json}`,
+    `lida ${m.tipos.booleano} NOT NULL DEFAULT ${m.falso}`,
+    `lida_em ${m.tipos.dataHora}`,
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+  await m.criarIndice('idx_notificacoes_usuario_lida', 'notificacoes', ['usuario_id', 'lida']);
+  await m.criarIndice('idx_notificacoes_usuario_chave', 'notificacoes', ['usuario_id', 'chave']);
+
+  await m.criarTabela('notificacao_entregas', [
+    `id ${m.tipos.id}`,
+    'notificacao_id INTEGER NOT NULL REFERENCES notificacoes(id) ON DELETE CASCADE',
+    // push | email | webhook
+    'canal VARCHAR(20) NOT NULL',
+    // pendente | enviada | falhou | descartada
+    "status VARCHAR(20) NOT NULL DEFAULT 'pendente'",
+    'tentativas INTEGER NOT NULL DEFAULT 0',
+    // Adiada pelo horário de silêncio ou por nova tentativa
+    `enviar_apos ${m.tipos.dataHora}`,
+    'erro TEXT',
+    `enviada_em ${m.tipos.dataHora}`,
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+  await m.criarIndice('idx_notificacao_entregas_status', 'notificacao_entregas', ['status', 'enviar_apos']);
+  await m.criarIndice('idx_notificacao_entregas_notificacao', 'notificacao_entregas', ['notificacao_id']);
+
+  await m.criarTabela('preferencias_notificacao', [
+    'usuario_id INTEGER PRIMARY KEY REFERENCES usuarios(id) ON DELETE CASCADE',
+    `push ${m.tipos.booleano} NOT NULL DEFAULT ${m.verdadeiro}`,
+    `email ${m.tipos.booleano} NOT NULL DEFAULT ${m.falso}`,
+    `webhook ${m.tipos.booleano} NOT NULL DEFAULT ${m.falso}`,
+    'webhook_url VARCHAR(500)',
+    // Segredo da assinatura HMAC enviada ao webhook
+    'webhook_segredo VARCHAR(64)',
+    // amarelo (avisos e vencidos) | vermelho (só vencidos)
+    "nivel_minimo VARCHAR(20) NOT NULL DEFAULT 'amarelo'",
+    // HH:MM no fuso do usuário; fim menor que o início atravessa a meia-noite
+    'silencio_inicio VARCHAR(5)',
+    'silencio_fim VARCHAR(5)',
+    "fuso_horario VARCHAR(64) NOT NULL DEFAULT 'America/Sao_Paulo'",
+    `atualizado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+
+  await m.criarTabela('dispositivos_push', [
+    `id ${m.tipos.id}`,
+    'usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE',
+    // ExponentPushToken[...] obtido no app com o projectId do EAS
+    'token VARCHAR(255) NOT NULL',
+    'plataforma VARCHAR(20)',
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`,
+    `atualizado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+  await m.criarIndice('idx_dispositivos_push_token', 'dispositivos_push', ['token'], { unico: true });
+  await m.criarIndice('idx_dispositivos_push_usuario', 'dispositivos_push', ['usuario_id']);
+
+  await m.criarTabela('tarefas_agendadas', [
+    'nome VARCHAR(50) PRIMARY KEY',
+    // Dia (YYYY-MM-DD) da última execução
+    'referencia VARCHAR(20)',
+    `executada_em ${m.tipos.dataHora}`
+  ]);
+  // Sem id na tabela: RETURNING explícito (o adaptador acrescentaria RETURNING id no PostgreSQL)
+  await m.executar(
+    `INSERT INTO tarefas_agendadas (nome)
+     SELECT 'avaliar_alertas'
+     WHERE NOT EXISTS (SELECT 1 FROM tarefas_agendadas WHERE nome = 'avaliar_alertas')
+     RETURNING nome`
+  );
+}
+
+export async function down(m) {
+  await m.removerTabela('tarefas_agendadas');
+  await m.removerIndice('idx_dispositivos_push_usuario');
+  await m.removerIndice('idx_dispositivos_push_token');
+  await m.removerTabela('dispositivos_push');
+  await m.removerTabela('preferencias_notificacao');
+  await m.removerIndice('idx_notificacao_entregas_notificacao');
+  await m.removerIndice('idx_notificacao_entregas_status');
+  await m.removerTabela('notificacao_entregas');
+  await m.removerIndice('idx_notificacoes_usuario_chave');
+  await m.removerIndice('idx_notificacoes_usuario_lida');
+  await m.removerTabela('notificacoes');
+}
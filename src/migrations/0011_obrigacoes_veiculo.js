@@ -0,0 +1,40 @@
+/**
+ * Obrigações do veículo (IPVA, licenciamento, seguro, DPVAT, inspeção)
+ *
+ * - veiculos.uf: estado de registro, usado no calendário de licenciamento
+ * - obrigacoes_veiculo: vencimento, valor e pagamento de cada obrigação
+ */
+
+export async function up(m) {
+  await m.adicionarColuna('veiculos', 'uf', 'VARCHAR(2)');
+
+  await m.criarTabela('obrigacoes_veiculo', [
+    `id ${m.tipos.id}`,
+    'veiculo_id INTEGER NOT NULL REFERENCES veiculos(id) ON DELETE CASCADE',
+    'usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL',
+    // ipva | licenciamento | seguro | dpvat | inspecao | outro
+    'tipo VARCHAR(20) NOT NULL',
+    'descricao VARCHAR(200)',
+    'ano_referencia INTEGER',
+    `vencimento ${m.tipos.data} NOT NULL`,
+    `valor ${m.tipos.decimal}`,
+    // pendente | pago | cancelado
+    "status VARCHAR(20) NOT NULL DEFAULT 'pendente'",
+    `pago_em ${m.tipos.data}`,
+    `valor_pago ${m.tipos.decimal}`,
+    // manual | calendario (licenciamento gerado pelo final da placa)
+    "origem VARCHAR(20) NOT NULL DEFAULT 'manual'",
+    'observacoes TEXT',
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`,
+    `atualizado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+  await m.criarIndice('idx_obrigacoes_veiculo_vencimento', 'obrigacoes_veiculo', ['veiculo_id', 'vencimento']);
+  await m.criarIndice('idx_obrigacoes_status_vencimento', 'obrigacoes_veiculo', ['status', 'vencimento']);
+}
+
+export async function down(m) {
+  await m.removerIndice('idx_obrigacoes_status_vencimento');
+  await m.removerIndice('idx_obrigacoes_veiculo_vencimento');
+  await m.removerTabela('obrigacoes_veiculo');
+  await m.removerColuna('veiculos', 'uf');
+}
@@ -0,0 +1,25 @@
+/**
+ * Pedidos de transferência feitos pelo destinatário (link de compartilhamento)
+ *
+ * iniciada_por: 'remetente' (o dono enviou; o destinatário aceita) ou
+ * 'destinatario' (quem recebeu o link pediu; o dono aprova)
+ * compartilhamento_id: link usado no pedido
+ */
+
+export async function up(m) {
+  await m.adicionarColuna(
+    'transferencias_veiculo',
+    'iniciada_por',
+    "VARCHAR(20) NOT NULL DEFAULT 'remetente'"
+  );
+  await m.adicionarColuna(
+    'transferencias_veiculo',
+    'compartilhamento_id',
+    'INTEGER REFERENCES veiculo_compartilhamentos(id) ON DELETE SET NULL'
+  );
+}
+
+export async function down(m) {
+  await m.removerColuna('transferencias_veiculo', 'compartilhamento_id');
+  await m.removerColuna('transferencias_veiculo', 'iniciada_por');
+}
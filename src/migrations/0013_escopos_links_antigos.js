@@ -0,0 +1,24 @@
+/**
+ * Grava os escopos dos links criados antes dos escopos configuráveis
+ *
+ * Esses links mostravam a lista de manutenções (sem valores) com as imagens
+ * e o histórico de KM, nunca o documento do veículo (escopo documento_veiculo,
+ * que fica de fora). Com os escopos gravados, o padrão dos links novos
+ * pode ser mais restrito sem esconder nada de quem já recebeu um link.
+ */
+
+const ESCOPOS_LINKS_ANTIGOS = ['manutencoes', 'km_historico', 'documentos'];
+
+export async function up(m) {
+  const result = await m.executar(
+    "UPDATE veiculo_compartilhamentos SET escopos = ? WHERE escopos IS NULL OR escopos = ''",
+    [JSON.stringify(ESCOPOS_LINKS_ANTIGOS)]
+  );
+  if (result.rowCount > 0) {
+    console.log(`  ✓ ${result.rowCount} link(s) antigo(s) com escopos gravados`);
+  }
+}
+
+export async function down() {
+  // Não dá para distinguir os links preenchidos aqui: o conteúdo exibido continua o mesmo
+}
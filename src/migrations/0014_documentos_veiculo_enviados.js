@@ -0,0 +1,24 @@
+/**
+ * Documentos de veículo enviados pelo OCR antes do cadastro
+ *
+ * POST /veiculos/ocr-documento sem veiculo_id guarda o arquivo e registra aqui
+ * quem o enviou; POST /veiculos só aceita documento_url que esteja nesta tabela
+ * para o mesmo usuário e dentro do prazo (e remove o registro ao usar).
+ */
+
+export async function up(m) {
+  await m.criarTabela('documentos_veiculo_enviados', [
+    `id ${m.tipos.id}`,
+    'usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE',
+    'chave VARCHAR(255) NOT NULL',
+    // ISO 8601, comparado no código (mesmo formato nos dois bancos)
+    'expira_em VARCHAR(30) NOT NULL',
+    `criado_em ${m.tipos.dataHora} DEFAULT ${m.agora}`
+  ]);
+  await m.criarIndice('idx_documentos_veiculo_enviados', 'documentos_veiculo_enviados', ['usuario_id', 'chave']);
+}
+
+export async function down(m) {
+  await m.removerIndice('idx_documentos_veiculo_enviados');
+  await m.removerTabela('documentos_veiculo_enviados');
+}
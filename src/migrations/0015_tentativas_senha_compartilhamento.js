@@ -0,0 +1,17 @@
+/**
+ * Limite de tentativas de senha por link de compartilhamento
+ *
+ * tentativas_senha: tentativas desde o último acerto (ou bloqueio)
+ * senha_bloqueada_ate: ISO 8601, comparado como texto (mesmo formato nos dois bancos);
+ * até lá nenhuma senha é conferida
+ */
+
+export async function up(m) {
+  await m.adicionarColuna('veiculo_compartilhamentos', 'tentativas_senha', 'INTEGER NOT NULL DEFAULT 0');
+  await m.adicionarColuna('veiculo_compartilhamentos', 'senha_bloqueada_ate', 'VARCHAR(30)');
+}
+
+export async function down(m) {
+  await m.removerColuna('veiculo_compartilhamentos', 'senha_bloqueada_ate');
+  await m.removerColuna('veiculo_compartilhamentos', 'tentativas_senha');
+}
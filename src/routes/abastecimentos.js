@@ -5,44 +5,70 @@
 
 import express from 'express';
 import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
 import { authRequired } from '../middleware/auth.js';
 import { ocrRateLimit } from '../middleware/ocrRateLimit.js';
-import { query, queryOne, queryAll, isPostgres } from '../database/db-adapter.js';
-import { extrairDadosAbastecimento } from '../services/abastecimentoOcr.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { query, queryOne, queryAll, isPostgres, withTransaction } from '../database/db-adapter.js';
+import { getOcrProvider } from '../services/ocrProviders/index.js';
+import { getUnidadeUso, getUnidadeConsumo } from '../utils/tipoEquipamento.js';
+import {
+  isTanqueCheio,
+  calcularConsumoTanqueCheio,
+  recalcularConsumoVeiculo,
+  buscarProximoAbastecimento,
+  buscarAbastecimentoAnterior,
+  rederivarProximoAbastecimento,
+  buscarLeituraDoAbastecimento,
+  sincronizarKmAtualVeiculo,
+  dataAntesDaPosseAtual
+} from '../services/abastecimentosService.js';
+import { buscarVeiculoAcessivel, filtroRegistrosDoVeiculo, temPermissao } from '../services/organizacoesService.js';
+import { registrarAuditoria } from '../services/auditoriaService.js';
+import {
+  armazenamentoTemporario,
+  armazenarUpload,
+  urlArquivo,
+  removerArquivos,
+  removerUploadsTemporarios
+} from '../services/armazenamento/index.js';
+import {
+  TIPOS_IMAGEM_PROCESSAVEIS,
+  validarAssinaturaArquivo,
+  processarImagemUpload
+} from '../services/imagensService.js';
 
 const router = express.Router();
 
-// Configurar multer para uploads
-const uploadsDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
+// Configurar multer para uploads (pasta temporária; a foto do cupom segue para o armazenamento)
 const upload = multer({
-  dest: uploadsDir,
+  storage: armazenamentoTemporario,
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB
 });
 
-// Função auxiliar para construir URL completa da imagem
+// Confere e prepara a foto do cupom (rotação, sem metadados, miniatura)
+// Só tipos que o sharp reescreve: HEIC guardaria a localização GPS
+const prepararImagemCupom = async (file) =>
+  validarAssinaturaArquivo(file, TIPOS_IMAGEM_PROCESSAVEIS) || await processarImagemUpload(file);
+
+const erroDataAntesDaPosse = (inicioPosse) => ({
+  error: `A data do abastecimento é anterior ao início da posse atual do veículo (${inicioPosse})`,
+  code: 'DATA_ANTES_DA_POSSE',
+  inicio_posse: inicioPosse
+});
+
+// Função auxiliar para construir URL completa (assinada) da imagem
 const construirUrlImagem = (filename, req) => {
   if (!filename) return null;
   
   if (process.env.NODE_ENV === 'production') {
     const renderExternal = process.env.RENDER_EXTERNAL_URL;
     if (renderExternal) {
-      return `${renderExternal.replace(/\/$/, '')}/uploads/${filename}`;
+      return urlArquivo(filename, renderExternal.replace(/\/$/, ''));
     }
   }
   
   const protocol = req.protocol || 'http';
   const host = req.get('host') || 'localhost:3000';
-  return `${protocol}://${host}/uploads/${filename}`;
+  return urlArquivo(filename, `${protocol}://${host}`);
 };
 
 /**
@@ -56,19 +82,22 @@ router.post('/ocr', authRequired, ocrRateLimit('abastecimento'), upload.single('
       return res.status(400).json({ error: 'Nenhuma imagem enviada' });
     }
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: 'OpenAI API Key não configurada' });
+    const erroImagem = validarAssinaturaArquivo(req.file, TIPOS_IMAGEM_PROCESSAVEIS);
+    if (erroImagem) {
+      removerUploadsTemporarios(req.file);
+      return res.status(400).json({ error: erroImagem.mensagem, code: erroImagem.erro });
+    }
+
+    const provedorOcr = getOcrProvider();
+    if (!provedorOcr.disponivel()) {
+      return res.status(500).json({ error: `Provedor de OCR "${provedorOcr.nome}" não configurado` });
     }
 
     const mimeType = req.file.mimetype || 'image/jpeg';
-    const dados = await extrairDadosAbastecimento(req.file.path, mimeType);
+    const dados = await provedorOcr.extrairAbastecimento(req.file.path, mimeType);
 
     // Limpar arquivo temporário
-    try {
-      fs.unlinkSync(req.file.path);
-    } catch (unlinkError) {
-      console.warn('[AVISO] Erro ao excluir arquivo temporário:', unlinkError.message);
-    }
+    removerUploadsTemporarios(req.file);
 
     res.json({
       success: true,
@@ -79,13 +108,7 @@ router.post('/ocr', authRequired, ocrRateLimit('abastecimento'), upload.single('
     console.error('[ERRO] Erro ao processar OCR de abastecimento:', error);
     
     // Limpar arquivo temporário em caso de erro
-    if (req.file?.path) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        // Ignorar erro de limpeza
-      }
-    }
+    removerUploadsTemporarios(req.file);
 
     res.status(500).json({ 
       error: 'Erro ao processar imagem',
@@ -110,6 +133,7 @@ router.post('/', authRequired, upload.single('imagem'), async (req, res) => {
       posto,
       km_antes,
       km_depois,
+      tanque_cheio,
       data
     } = req.body;
     
@@ -118,16 +142,34 @@ router.post('/', authRequired, upload.single('imagem'), async (req, res) => {
       return res.status(400).json({ error: 'veiculo_id é obrigatório' });
     }
 
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT id FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [veiculo_id, userId]
-    );
+    // Verificar se o usuário é dono do veículo ou membro da organização dona
+    const veiculo = await buscarVeiculoAcessivel(veiculo_id, userId);
 
     if (!veiculo) {
       return res.status(404).json({ error: 'Veículo não encontrado' });
     }
 
+    if (!temPermissao(veiculo.papel_organizacao, 'abastecimento:registrar')) {
+      return res.status(403).json({
+        error: 'Seu papel na organização não permite esta ação',
+        code: 'PERMISSAO_NEGADA',
+        papel: veiculo.papel_organizacao
+      });
+    }
+
+    // Data padrão: hoje se não informada
+    const dataAbastecimento = data || new Date().toISOString().split('T')[0];
+
+    // Antes da posse atual o abastecimento é do proprietário anterior
+    const inicioPosse = await dataAntesDaPosseAtual(veiculo.id, dataAbastecimento);
+    if (inicioPosse) {
+      removerUploadsTemporarios(req.file);
+      return res.status(400).json(erroDataAntesDaPosse(inicioPosse));
+    }
+
+    // km_antes/km_depois ficam na unidade do equipamento (km ou horas de horímetro)
+    const unidadeUso = getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso);
+
     // IMPORTANTE: Abastecimento NUNCA é bloqueado - sempre permitir cadastro
     // Verificar histórico apenas para cálculos, não para bloquear
     const historicoExiste = await queryOne(
@@ -177,38 +219,29 @@ router.post('/', authRequired, upload.single('imagem'), async (req, res) => {
       // Continuar - abastecimento será salvo mesmo com KM inconsistente
     }
 
-    // Calcular consumo (km/l)
-    let consumo = null;
     const litrosNum = litros ? parseFloat(litros) : null;
-    if (kmAntes && kmDepois && litrosNum && litrosNum > 0) {
-      const kmRodados = kmDepois - kmAntes;
-      if (kmRodados > 0) {
-        consumo = kmRodados / litrosNum;
-      }
-    }
-
-    // Calcular custo por km
-    let custoPorKm = null;
     const valorTotalNum = valor_total ? parseFloat(valor_total) : null;
-    if (kmAntes && kmDepois && valorTotalNum) {
-      const kmRodados = kmDepois - kmAntes;
-      if (kmRodados > 0) {
-        custoPorKm = valorTotalNum / kmRodados;
-      }
-    }
 
-    // Processar imagem
-    const imagem = req.file ? req.file.filename : null;
+    // Abastecimento parcial não fecha trecho de consumo (padrão: tanque cheio)
+    const tanqueCheio = isTanqueCheio(tanque_cheio);
 
-    // Data padrão: hoje se não informada
-    const dataAbastecimento = data || new Date().toISOString().split('T')[0];
+    // Processar imagem
+    if (req.file) {
+      const erroImagem = await prepararImagemCupom(req.file);
+      if (erroImagem) {
+        removerUploadsTemporarios(req.file);
+        return res.status(400).json({ error: erroImagem.mensagem, code: erroImagem.erro });
+      }
+    }
+    const imagem = req.file ? await armazenarUpload(req.file) : null;
+    const imagemMiniatura = req.file?.miniatura?.chave || null;
 
     // Inserir abastecimento
     const result = await query(
       `INSERT INTO abastecimentos (
         veiculo_id, usuario_id, litros, valor_total, preco_por_litro,
-        tipo_combustivel, posto, km_antes, km_depois, consumo,
-        custo_por_km, data, imagem
+        tipo_combustivel, posto, km_antes, km_depois, tanque_cheio,
+        data, imagem, imagem_miniatura
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         veiculo_id,
@@ -220,10 +253,10 @@ router.post('/', authRequired, upload.single('imagem'), async (req, res) => {
         posto || null,
         kmAntes,
         kmDepois,
-        consumo,
-        custoPorKm,
+        isPostgres() ? tanqueCheio : (tanqueCheio ? 1 : 0),
         dataAbastecimento,
-        imagem
+        imagem,
+        imagemMiniatura
       ]
     );
 
@@ -241,18 +274,32 @@ router.post('/', authRequired, upload.single('imagem'), async (req, res) => {
           throw new Error('fonteHistorico não definida no abastecimento');
         }
         
+        const leituraResult = await query(
+          `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, fonte, unidade, data_registro, criado_em) 
+           VALUES (?, ?, ?, ?, ?, ?, ${timestampFunc}, ${timestampFunc})`,
+          [veiculo_id, userId, kmDepois, 'abastecimento', fonteHistorico, unidadeUso]
+        );
+        await registrarAuditoria({
+          req,
+          acao: 'criar',
+          entidade: 'km_historico',
+          entidadeId: leituraResult.insertId,
+          veiculoId: parseInt(veiculo_id),
+          depois: { km: kmDepois, origem: 'abastecimento', fonte: fonteHistorico, unidade: unidadeUso, abastecimento_id: result.insertId }
+        });
+
+        // Vincular a leitura ao abastecimento (permite corrigir/excluir depois)
         await query(
-          `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, fonte, data_registro, criado_em) 
-           VALUES (?, ?, ?, ?, ?, ${timestampFunc}, ${timestampFunc})`,
-          [veiculo_id, userId, kmDepois, 'abastecimento', fonteHistorico]
+          'UPDATE abastecimentos SET km_historico_id = ? WHERE id = ?',
+          [leituraResult.insertId, result.insertId]
         );
 
         // IMPORTANTE: km_atual é CACHE/LEGADO - fonte única de verdade é km_historico
         // Atualizamos km_atual apenas para compatibilidade e performance de consultas
         // Sempre salvar no histórico ANTES de atualizar km_atual (garantir consistência)
         await query(
-          'UPDATE veiculos SET km_atual = ? WHERE id = ? AND usuario_id = ?',
-          [kmDepois, veiculo_id, userId]
+          'UPDATE veiculos SET km_atual = ? WHERE id = ?',
+          [kmDepois, veiculo_id]
         );
       } catch (kmError) {
         console.error('[ERRO CRÍTICO] Falha ao salvar KM no histórico durante abastecimento:', kmError);
@@ -261,33 +308,43 @@ router.post('/', authRequired, upload.single('imagem'), async (req, res) => {
       }
     }
 
+    // Consumo pelo método do tanque cheio (recalcula o trecho fechado por este abastecimento)
+    await recalcularConsumoVeiculo(veiculo_id, unidadeUso);
+
     // Buscar abastecimento criado
     const abastecimento = await queryOne(
       'SELECT * FROM abastecimentos WHERE id = ?',
       [result.insertId]
     );
 
+    await registrarAuditoria({
+      req,
+      acao: 'criar',
+      entidade: 'abastecimentos',
+      entidadeId: abastecimento.id,
+      veiculoId: abastecimento.veiculo_id,
+      depois: abastecimento
+    });
+
     // Calcular feedback de valor para o usuário (sempre tentar, mas nunca bloquear)
     let consumoMedio = null;
     let gastoMesAtual = null;
+    const filtroRegistros = filtroRegistrosDoVeiculo(veiculo, userId);
 
     try {
-      // 1. Calcular consumo médio (média de todos os abastecimentos com consumo válido)
+      // 1. Calcular consumo médio entre tanques cheios
       // IMPORTANTE: Só calcular se houver histórico suficiente
       if (historicoExiste) {
-        const abastecimentosComConsumo = await queryAll(
-          `SELECT consumo 
+        const abastecimentosUsuario = await queryAll(
+          `SELECT id, data, litros, valor_total, km_depois, tanque_cheio 
            FROM abastecimentos 
-           WHERE veiculo_id = ? AND usuario_id = ? AND consumo IS NOT NULL AND consumo > 0
-           ORDER BY data DESC, id DESC`,
-          [veiculo_id, userId]
+           WHERE ${filtroRegistros.sql}`,
+          filtroRegistros.params
         );
 
-        if (abastecimentosComConsumo && abastecimentosComConsumo.length > 0) {
-          const somaConsumo = abastecimentosComConsumo.reduce((acc, ab) => {
-            return acc + (parseFloat(ab.consumo) || 0);
-          }, 0);
-          consumoMedio = parseFloat((somaConsumo / abastecimentosComConsumo.length).toFixed(2));
+        const { consumoMedio: consumoTanqueCheio } = calcularConsumoTanqueCheio(abastecimentosUsuario, unidadeUso);
+        if (consumoTanqueCheio) {
+          consumoMedio = parseFloat(consumoTanqueCheio.toFixed(2));
         }
       }
 
@@ -299,9 +356,9 @@ router.post('/', authRequired, upload.single('imagem'), async (req, res) => {
       const abastecimentosMes = await queryAll(
         `SELECT valor_total 
          FROM abastecimentos 
-         WHERE veiculo_id = ? AND usuario_id = ? 
+         WHERE ${filtroRegistros.sql} 
            AND data >= ? AND valor_total IS NOT NULL`,
-        [veiculo_id, userId, primeiroDiaMesStr]
+        [...filtroRegistros.params, primeiroDiaMesStr]
       );
 
       if (abastecimentosMes && abastecimentosMes.length > 0) {
@@ -320,10 +377,12 @@ router.post('/', authRequired, upload.single('imagem'), async (req, res) => {
       success: true,
       data: {
         ...abastecimento,
-        imagem_url: construirUrlImagem(imagem, req)
+        imagem_url: construirUrlImagem(imagem, req),
+        miniatura_url: construirUrlImagem(imagemMiniatura, req)
       },
       feedback: {
         consumo_medio: consumoMedio,
+        unidade_consumo: getUnidadeConsumo(unidadeUso),
         gasto_mes_atual: gastoMesAtual
       }
     });
@@ -332,13 +391,7 @@ router.post('/', authRequired, upload.single('imagem'), async (req, res) => {
     console.error('[ERRO] Erro ao registrar abastecimento:', error);
     
     // Limpar arquivo temporário em caso de erro
-    if (req.file?.path) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        // Ignorar erro de limpeza
-      }
-    }
+    removerUploadsTemporarios(req.file);
 
     res.status(500).json({ 
       error: 'Erro ao registrar abastecimento',
@@ -347,6 +400,456 @@ router.post('/', authRequired, upload.single('imagem'), async (req, res) => {
   }
 });
 
+// Converte campo numérico do body: undefined = não enviado, '' ou null = limpar
+const lerNumero = (valor, parser) => {
+  if (valor === undefined) return undefined;
+  if (valor === null || valor === '') return null;
+  const numero = parser(valor);
+  return isNaN(numero) ? NaN : numero;
+};
+
+// Remove a imagem e a miniatura do armazenamento (não crítico)
+const removerImagem = (abastecimento) => removerArquivos([abastecimento.imagem, abastecimento.imagem_miniatura]);
+
+/**
+ * Busca um abastecimento que o usuário pode corrigir ou excluir
+ * Veículo de organização: papel com abastecimento:editar (qualquer registro do veículo).
+ * Veículo pessoal: só os registros do próprio usuário.
+ * @returns {Promise<{abastecimento: Object|null, negado: boolean, papel?: string}>}
+ */
+const buscarAbastecimentoEditavel = async (abastecimentoId, userId) => {
+  const abastecimento = await queryOne('SELECT * FROM abastecimentos WHERE id = ?', [abastecimentoId]);
+  if (!abastecimento) return { abastecimento: null, negado: false };
+
+  const veiculo = await buscarVeiculoAcessivel(abastecimento.veiculo_id, userId);
+  if (!veiculo) return { abastecimento: null, negado: false };
+
+  if (!veiculo.organizacao_id) {
+    const proprio = parseInt(abastecimento.usuario_id) === parseInt(userId);
+    return { abastecimento: proprio ? abastecimento : null, negado: false };
+  }
+
+  if (!temPermissao(veiculo.papel_organizacao, 'abastecimento:editar')) {
+    return { abastecimento, negado: true, papel: veiculo.papel_organizacao };
+  }
+  return { abastecimento, negado: false };
+};
+
+/**
+ * PUT /abastecimentos/:id
+ * Corrige um abastecimento registrado
+ * Recalcula consumo/custo, o km_antes do abastecimento seguinte que dependia
+ * deste registro (o antigo e o novo, se a data mudar) e a leitura de km_historico
+ * gerada por ele, numa única transação
+ */
+router.put('/:id', authRequired, upload.single('imagem'), async (req, res) => {
+  try {
+    const abastecimentoId = req.params.id;
+    const userId = req.userId;
+
+    if (!abastecimentoId || isNaN(parseInt(abastecimentoId))) {
+      removerUploadsTemporarios(req.file);
+      return res.status(400).json({
+        error: 'ID do abastecimento inválido',
+        code: 'ABASTECIMENTO_ID_INVALID'
+      });
+    }
+
+    const { abastecimento: atual, negado, papel } = await buscarAbastecimentoEditavel(abastecimentoId, userId);
+
+    if (!atual) {
+      removerUploadsTemporarios(req.file);
+      return res.status(404).json({
+        error: 'Abastecimento não encontrado',
+        code: 'ABASTECIMENTO_NOT_FOUND'
+      });
+    }
+
+    if (negado) {
+      removerUploadsTemporarios(req.file);
+      return res.status(403).json({
+        error: 'Seu papel na organização não permite esta ação',
+        code: 'PERMISSAO_NEGADA',
+        papel
+      });
+    }
+
+    const veiculo = await queryOne(
+      'SELECT id, tipo_veiculo, unidade_uso FROM veiculos WHERE id = ?',
+      [atual.veiculo_id]
+    );
+    const unidadeUso = getUnidadeUso(veiculo?.tipo_veiculo, veiculo?.unidade_uso);
+
+    const {
+      litros,
+      valor_total,
+      preco_por_litro,
+      tipo_combustivel,
+      posto,
+      km_antes,
+      km_depois,
+      tanque_cheio,
+      data
+    } = req.body;
+
+    const campos = {
+      litros: lerNumero(litros, parseFloat),
+      valor_total: lerNumero(valor_total, parseFloat),
+      preco_por_litro: lerNumero(preco_por_litro, parseFloat),
+      km_antes: lerNumero(km_antes, v => parseInt(v)),
+      km_depois: lerNumero(km_depois, v => parseInt(v))
+    };
+
+    const campoInvalido = Object.keys(campos).find(campo => Number.isNaN(campos[campo]));
+    if (campoInvalido) {
+      removerUploadsTemporarios(req.file);
+      return res.status(400).json({
+        error: `Valor inválido para ${campoInvalido}`,
+        code: 'ABASTECIMENTO_INVALIDO'
+      });
+    }
+
+    // Mesclar com os valores atuais (campos não enviados permanecem)
+    const valorAtual = (campo, parser) => (atual[campo] !== null && atual[campo] !== undefined ? parser(atual[campo]) : null);
+    const litrosNum = campos.litros !== undefined ? campos.litros : valorAtual('litros', parseFloat);
+    const valorTotalNum = campos.valor_total !== undefined ? campos.valor_total : valorAtual('valor_total', parseFloat);
+    const precoPorLitro = campos.preco_por_litro !== undefined ? campos.preco_por_litro : valorAtual('preco_por_litro', parseFloat);
+    const kmAntes = campos.km_antes !== undefined ? campos.km_antes : valorAtual('km_antes', v => parseInt(v));
+    const kmDepois = campos.km_depois !== undefined ? campos.km_depois : valorAtual('km_depois', v => parseInt(v));
+
+    if (litrosNum !== null && litrosNum <= 0) {
+      removerUploadsTemporarios(req.file);
+      return res.status(400).json({
+        error: 'Litros deve ser maior que zero',
+        code: 'ABASTECIMENTO_INVALIDO'
+      });
+    }
+
+    // Na correção o usuário está informando os valores corretos: não aceitar leitura invertida
+    if (kmAntes && kmDepois && kmDepois < kmAntes) {
+      removerUploadsTemporarios(req.file);
+      return res.status(400).json({
+        error: 'km_depois não pode ser menor que km_antes',
+        code: 'KM_INCONSISTENTE'
+      });
+    }
+
+    const tanqueCheio = tanque_cheio !== undefined ? isTanqueCheio(tanque_cheio) : isTanqueCheio(atual.tanque_cheio);
+
+    // Data: YYYY-MM-DD (com ou sem horário); vazia mantém a atual
+    let dataFinal = atual.data;
+    if (data !== undefined && data !== null && data !== '') {
+      dataFinal = String(data).trim();
+      if (!/^\d{4}-\d{2}-\d{2}/.test(dataFinal) || isNaN(new Date(dataFinal).getTime())) {
+        removerUploadsTemporarios(req.file);
+        return res.status(400).json({
+          error: 'Data inválida. Use o formato YYYY-MM-DD',
+          code: 'ABASTECIMENTO_INVALIDO'
+        });
+      }
+
+      // Mesma regra do cadastro: não mover para antes da posse atual
+      // (registro antigo reenviado com a própria data continua editável)
+      const dataAtual = atual.data instanceof Date ? atual.data.toISOString().split('T')[0] : String(atual.data || '').slice(0, 10);
+      const inicioPosse = dataFinal.slice(0, 10) !== dataAtual
+        ? await dataAntesDaPosseAtual(atual.veiculo_id, dataFinal)
+        : null;
+      if (inicioPosse) {
+        removerUploadsTemporarios(req.file);
+        return res.status(400).json(erroDataAntesDaPosse(inicioPosse));
+      }
+    }
+
+    if (req.file) {
+      const erroImagem = await prepararImagemCupom(req.file);
+      if (erroImagem) {
+        removerUploadsTemporarios(req.file);
+        return res.status(400).json({ error: erroImagem.mensagem, code: erroImagem.erro });
+      }
+    }
+    const imagem = req.file ? await armazenarUpload(req.file) : atual.imagem;
+    const imagemMiniatura = req.file ? (req.file.miniatura?.chave || null) : atual.imagem_miniatura;
+
+    const kmDepoisAntigo = atual.km_depois !== null ? parseInt(atual.km_depois) : null;
+    const kmDe = (registro) => (registro && registro.km_depois !== null ? parseInt(registro.km_depois) : null);
+    // Auditoria gravada depois do commit (erro nela não pode invalidar a transação)
+    const auditorias = [];
+
+    // Registro, leitura de km, km_atual, vizinhos e consumo: tudo ou nada
+    let kmAtual, recalculados;
+    try {
+      ({ kmAtual, recalculados } = await withTransaction(async () => {
+        // Posição na sequência antes da edição (a data pode mudar)
+        const anteriorAntigo = await buscarAbastecimentoAnterior(atual.id);
+        const proximoAntigo = await buscarProximoAbastecimento(atual.id);
+        const leitura = await buscarLeituraDoAbastecimento(atual);
+
+        await query(
+          `UPDATE abastecimentos SET
+            litros = ?, valor_total = ?, preco_por_litro = ?,
+            tipo_combustivel = ?, posto = ?, km_antes = ?, km_depois = ?,
+            tanque_cheio = ?, data = ?, imagem = ?, imagem_miniatura = ?
+           WHERE id = ?`,
+          [
+            litrosNum,
+            valorTotalNum,
+            precoPorLitro,
+            tipo_combustivel !== undefined ? (tipo_combustivel || null) : atual.tipo_combustivel,
+            posto !== undefined ? (posto || null) : atual.posto,
+            kmAntes,
+            kmDepois,
+            isPostgres() ? tanqueCheio : (tanqueCheio ? 1 : 0),
+            dataFinal,
+            imagem,
+            imagemMiniatura,
+            atual.id
+          ]
+        );
+
+        // Manter km_historico consistente com a leitura corrigida
+        let kmHistoricoId = leitura ? leitura.id : null;
+        if (kmDepois) {
+          if (leitura) {
+            await query(
+              'UPDATE km_historico SET km = ?, unidade = ? WHERE id = ?',
+              [kmDepois, unidadeUso, leitura.id]
+            );
+            auditorias.push({
+              acao: 'atualizar',
+              entidade: 'km_historico',
+              entidadeId: leitura.id,
+              antes: leitura,
+              depois: { km: kmDepois, unidade: unidadeUso }
+            });
+          } else if (kmDepois !== kmDepoisAntigo) {
+            const timestampFunc = isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')";
+            const leituraResult = await query(
+              `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, fonte, unidade, data_registro, criado_em) 
+               VALUES (?, ?, ?, ?, ?, ?, ${timestampFunc}, ${timestampFunc})`,
+              [atual.veiculo_id, userId, kmDepois, 'abastecimento', 'abastecimento', unidadeUso]
+            );
+            kmHistoricoId = leituraResult.insertId;
+            auditorias.push({
+              acao: 'criar',
+              entidade: 'km_historico',
+              entidadeId: kmHistoricoId,
+              depois: { km: kmDepois, origem: 'abastecimento', fonte: 'abastecimento', unidade: unidadeUso, abastecimento_id: atual.id }
+            });
+          }
+        } else if (leitura) {
+          await query('DELETE FROM km_historico WHERE id = ?', [leitura.id]);
+          kmHistoricoId = null;
+          auditorias.push({
+            acao: 'excluir',
+            entidade: 'km_historico',
+            entidadeId: leitura.id,
+            antes: leitura
+          });
+        }
+
+        await query(
+          'UPDATE abastecimentos SET km_historico_id = ? WHERE id = ?',
+          [kmHistoricoId, atual.id]
+        );
+
+        const kmAtualVeiculo = await sincronizarKmAtualVeiculo(atual.veiculo_id);
+
+        // Abastecimentos seguintes que dependiam do km_depois de outro registro
+        const ajustados = new Set();
+        const rederivar = async (proximo, kmDepoisReferencia, novoKmAntes) => {
+          const recalculadoId = await rederivarProximoAbastecimento(proximo, kmDepoisReferencia, novoKmAntes);
+          if (recalculadoId) ajustados.add(recalculadoId);
+        };
+        const proximoNovo = await buscarProximoAbastecimento(atual.id);
+        if ((proximoNovo?.id ?? null) === (proximoAntigo?.id ?? null)) {
+          // Mesma posição: o seguinte passa a partir do km_depois corrigido
+          if (kmDepoisAntigo !== kmDepois) {
+            await rederivar(proximoAntigo, kmDepoisAntigo, kmDepois);
+          }
+        } else {
+          // A data moveu o registro: o antigo seguinte volta a partir do antigo anterior
+          // (como na exclusão) e o novo seguinte passa a partir deste registro
+          const anteriorNovo = await buscarAbastecimentoAnterior(atual.id);
+          await rederivar(
+            proximoAntigo,
+            kmDepoisAntigo,
+            kmDe(anteriorAntigo) ?? (atual.km_antes !== null ? parseInt(atual.km_antes) : null)
+          );
+          await rederivar(proximoNovo, kmDe(anteriorNovo), kmDepois);
+        }
+
+        // Trechos de tanque cheio afetados pela correção
+        const { atualizados } = await recalcularConsumoVeiculo(atual.veiculo_id, unidadeUso);
+        atualizados.filter(id => id !== atual.id).forEach(id => ajustados.add(id));
+
+        return { kmAtual: kmAtualVeiculo, recalculados: ajustados };
+      }));
+    } catch (transacaoError) {
+      // Nada foi gravado: descartar a imagem nova
+      if (req.file) await removerArquivos([imagem, imagemMiniatura]);
+      throw transacaoError;
+    }
+
+    if (req.file) {
+      await removerImagem(atual);
+    }
+
+    const abastecimento = await queryOne(
+      'SELECT * FROM abastecimentos WHERE id = ?',
+      [atual.id]
+    );
+
+    for (const auditoria of auditorias) {
+      await registrarAuditoria({ req, veiculoId: atual.veiculo_id, ...auditoria });
+    }
+    await registrarAuditoria({
+      req,
+      acao: 'atualizar',
+      entidade: 'abastecimentos',
+      entidadeId: atual.id,
+      veiculoId: atual.veiculo_id,
+      antes: atual,
+      depois: abastecimento
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...abastecimento,
+        imagem_url: construirUrlImagem(abastecimento.imagem, req),
+        miniatura_url: construirUrlImagem(abastecimento.imagem_miniatura, req)
+      },
+      recalculados: [...recalculados],
+      km_atual: kmAtual
+    });
+
+  } catch (error) {
+    console.error('[ERRO] Erro ao atualizar abastecimento:', error);
+
+    removerUploadsTemporarios(req.file);
+
+    res.status(500).json({
+      error: 'Erro ao atualizar abastecimento',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /abastecimentos/:id
+ * Exclui um abastecimento
+ * Remove a leitura de km_historico gerada por ele e re-deriva o km_antes
+ * do abastecimento seguinte
+ */
+router.delete('/:id', authRequired, async (req, res) => {
+  try {
+    const abastecimentoId = req.params.id;
+    const userId = req.userId;
+
+    if (!abastecimentoId || isNaN(parseInt(abastecimentoId))) {
+      return res.status(400).json({
+        error: 'ID do abastecimento inválido',
+        code: 'ABASTECIMENTO_ID_INVALID'
+      });
+    }
+
+    const { abastecimento, negado, papel } = await buscarAbastecimentoEditavel(abastecimentoId, userId);
+
+    if (!abastecimento) {
+      return res.status(404).json({
+        error: 'Abastecimento não encontrado',
+        code: 'ABASTECIMENTO_NOT_FOUND'
+      });
+    }
+
+    if (negado) {
+      return res.status(403).json({
+        error: 'Seu papel na organização não permite esta ação',
+        code: 'PERMISSAO_NEGADA',
+        papel
+      });
+    }
+
+    const veiculo = await queryOne(
+      'SELECT id, tipo_veiculo, unidade_uso FROM veiculos WHERE id = ?',
+      [abastecimento.veiculo_id]
+    );
+    const unidadeUso = getUnidadeUso(veiculo?.tipo_veiculo, veiculo?.unidade_uso);
+
+    // Registro, leitura de km, km_atual, vizinho e consumo: tudo ou nada
+    const { leitura, kmAtual, recalculados } = await withTransaction(async () => {
+      // Vizinhos precisam ser buscados antes de excluir o registro de referência
+      const anterior = await buscarAbastecimentoAnterior(abastecimento.id);
+      const proximo = await buscarProximoAbastecimento(abastecimento.id);
+      const leituraAbastecimento = await buscarLeituraDoAbastecimento(abastecimento);
+
+      await query(
+        'DELETE FROM abastecimentos WHERE id = ?',
+        [abastecimento.id]
+      );
+
+      if (leituraAbastecimento) {
+        await query('DELETE FROM km_historico WHERE id = ?', [leituraAbastecimento.id]);
+      }
+
+      const kmAtualVeiculo = await sincronizarKmAtualVeiculo(abastecimento.veiculo_id);
+
+      // O seguinte passa a partir de onde o anterior terminou
+      const novoKmAntes = anterior && anterior.km_depois !== null
+        ? parseInt(anterior.km_depois)
+        : (abastecimento.km_antes !== null ? parseInt(abastecimento.km_antes) : null);
+      const ajustados = new Set();
+      const recalculadoId = await rederivarProximoAbastecimento(
+        proximo,
+        abastecimento.km_depois !== null ? parseInt(abastecimento.km_depois) : null,
+        novoKmAntes
+      );
+      if (recalculadoId) ajustados.add(recalculadoId);
+
+      // Sem este abastecimento, os litros passam a contar no trecho de tanque cheio vizinho
+      const { atualizados } = await recalcularConsumoVeiculo(abastecimento.veiculo_id, unidadeUso);
+      atualizados.forEach(id => ajustados.add(id));
+
+      return { leitura: leituraAbastecimento, kmAtual: kmAtualVeiculo, recalculados: ajustados };
+    });
+
+    await registrarAuditoria({
+      req,
+      acao: 'excluir',
+      entidade: 'abastecimentos',
+      entidadeId: abastecimento.id,
+      veiculoId: abastecimento.veiculo_id,
+      antes: abastecimento
+    });
+    if (leitura) {
+      await registrarAuditoria({
+        req,
+        acao: 'excluir',
+        entidade: 'km_historico',
+        entidadeId: leitura.id,
+        veiculoId: abastecimento.veiculo_id,
+        antes: leitura
+      });
+    }
+
+    await removerImagem(abastecimento);
+
+    res.json({
+      success: true,
+      message: 'Abastecimento excluído com sucesso',
+      recalculados: [...recalculados],
+      km_atual: kmAtual
+    });
+
+  } catch (error) {
+    console.error('[ERRO] Erro ao excluir abastecimento:', error);
+    res.status(500).json({
+      error: 'Erro ao excluir abastecimento',
+      details: error.message
+    });
+  }
+});
+
 /**
  * GET /abastecimentos/:veiculo_id
  * Lista abastecimentos de um veículo
@@ -356,28 +859,27 @@ router.get('/:veiculo_id', authRequired, async (req, res) => {
     const veiculoId = req.params.veiculo_id;
     const userId = req.userId;
 
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT id FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [veiculoId, userId]
-    );
+    // Verificar se o usuário é dono do veículo ou membro da organização dona
+    const veiculo = await buscarVeiculoAcessivel(veiculoId, userId);
 
     if (!veiculo) {
       return res.status(404).json({ error: 'Veículo não encontrado' });
     }
 
     // Buscar abastecimentos
+    const filtro = filtroRegistrosDoVeiculo(veiculo, userId);
     const abastecimentos = await queryAll(
       `SELECT * FROM abastecimentos 
-       WHERE veiculo_id = ? AND usuario_id = ?
+       WHERE ${filtro.sql}
        ORDER BY data DESC, criado_em DESC`,
-      [veiculoId, userId]
+      filtro.params
     );
 
     // Adicionar URLs das imagens
     const abastecimentosComUrl = abastecimentos.map(ab => ({
       ...ab,
-      imagem_url: construirUrlImagem(ab.imagem, req)
+      imagem_url: construirUrlImagem(ab.imagem, req),
+      miniatura_url: construirUrlImagem(ab.imagem_miniatura, req)
     }));
 
     res.json({
@@ -404,48 +906,62 @@ router.get('/estatisticas/:veiculo_id', authRequired, async (req, res) => {
     const veiculoId = req.params.veiculo_id;
     const userId = req.userId;
 
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT id FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [veiculoId, userId]
-    );
+    // Verificar se o usuário é dono do veículo ou membro da organização dona
+    const veiculo = await buscarVeiculoAcessivel(veiculoId, userId);
 
     if (!veiculo) {
       return res.status(404).json({ error: 'Veículo não encontrado' });
     }
 
+    const unidadeUso = getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso);
+    const filtro = filtroRegistrosDoVeiculo(veiculo, userId);
+
     // Buscar estatísticas
     const stats = await queryOne(
       `SELECT 
         COUNT(*) as total_abastecimentos,
         SUM(litros) as total_litros,
         SUM(valor_total) as total_gasto,
-        AVG(consumo) as consumo_medio,
-        AVG(custo_por_km) as custo_medio_por_km,
         MIN(data) as primeira_data,
         MAX(data) as ultima_data,
         AVG(preco_por_litro) as preco_medio_litro
       FROM abastecimentos
-      WHERE veiculo_id = ? AND usuario_id = ?`,
-      [veiculoId, userId]
+      WHERE ${filtro.sql}`,
+      filtro.params
+    );
+
+    // Consumo e custo médios entre tanques cheios (parciais somam no trecho)
+    const abastecimentosVeiculo = await queryAll(
+      `SELECT id, data, litros, valor_total, km_depois, tanque_cheio
+       FROM abastecimentos
+       WHERE ${filtro.sql}`,
+      filtro.params
     );
+    const consumoTanqueCheio = calcularConsumoTanqueCheio(abastecimentosVeiculo, unidadeUso);
 
     // Buscar último abastecimento
     const ultimoAbastecimento = await queryOne(
       `SELECT * FROM abastecimentos
-       WHERE veiculo_id = ? AND usuario_id = ?
+       WHERE ${filtro.sql}
        ORDER BY data DESC, criado_em DESC
        LIMIT 1`,
-      [veiculoId, userId]
+      filtro.params
     );
 
     res.json({
       success: true,
       data: {
         ...stats,
+        consumo_medio: consumoTanqueCheio.consumoMedio,
+        custo_medio_por_km: consumoTanqueCheio.custoMedioPorUso,
+        metodo_consumo: 'tanque_cheio',
+        trechos_consumo: consumoTanqueCheio.trechos.length,
+        unidade: unidadeUso,
+        unidade_consumo: getUnidadeConsumo(unidadeUso),
         ultimo_abastecimento: ultimoAbastecimento ? {
           ...ultimoAbastecimento,
-          imagem_url: construirUrlImagem(ultimoAbastecimento.imagem, req)
+          imagem_url: construirUrlImagem(ultimoAbastecimento.imagem, req),
+          miniatura_url: construirUrlImagem(ultimoAbastecimento.imagem_miniatura, req)
         } : null
       }
     });
@@ -3,13 +3,25 @@
  * 
  * Endpoints protegidos para operações administrativas do sistema.
  * Requer autenticação JWT e role 'admin'.
+ * 
+ * - /usuarios: gestão de usuários (papel, desativação, redefinição de senha)
+ * - /reset-operational-data: só existe com ENABLE_ADMIN_RESET=true
  */
 
 import express from 'express';
 import jwt from 'jsonwebtoken';
+import { query, queryOne, queryAll, isPostgres } from '../database/db-adapter.js';
 import { resetOperationalData } from '../services/resetDataService.js';
+import { sessaoAtiva, revogarTodasSessoes } from '../services/sessoesService.js';
+import { registrarAuditoria, formatarRegistroAuditoria } from '../services/auditoriaService.js';
+import { enviarEmailRedefinicaoSenha } from '../services/emailsContaService.js';
 import logger from '../logger.js';
 
+export const ROLES_USUARIO = ['admin', 'operador', 'cliente'];
+
+// Campos de usuário expostos na API administrativa (nunca a senha)
+const CAMPOS_USUARIO = 'id, nome, email, role, created_at, email_verificado_em, desativado_em, senha_redefinicao_exigida_em';
+
 const router = express.Router();
 
 function sendOk(res, payload) {
@@ -41,7 +53,7 @@ function requireAdminResetEnabled(req, res, next) {
 /**
  * Middleware JWT (local, para manter response padronizada)
  */
-function requireJwt(req, res, next) {
+async function requireJwt(req, res, next) {
   try {
     const header = req.headers.authorization;
     if (!header) return sendError(res, 401, 'NO_TOKEN', 'Token de autenticação não fornecido');
@@ -58,19 +70,349 @@ function requireJwt(req, res, next) {
     req.userId = payload.id || payload.userId || payload.user_id;
     if (!req.userId) return sendError(res, 401, 'INVALID_TOKEN', 'Token inválido');
 
+    // Sessão encerrada por logout/revogação invalida o token antes de expirar;
+    // tokens sem sid (anteriores às sessões) não podem ser revogados e exigem novo login
+    if (!payload.sid || !(await sessaoAtiva(payload.sid, req.userId))) {
+      return sendError(res, 401, 'SESSAO_REVOGADA', 'Sessão encerrada');
+    }
+
     return next();
   } catch (_err) {
     return sendError(res, 401, 'INVALID_TOKEN', 'Token inválido ou expirado');
   }
 }
 
-function requireAdminRole(req, res, next) {
-  if (!req.user || req.user.role !== 'admin') {
-    return sendError(res, 403, 'FORBIDDEN', 'Acesso negado');
+// Papel conferido no banco: rebaixamento ou desativação valem na hora, sem esperar o token expirar
+async function requireAdminRole(req, res, next) {
+  try {
+    if (!req.user || req.user.role !== 'admin') {
+      return sendError(res, 403, 'FORBIDDEN', 'Acesso negado');
+    }
+    const atual = await queryOne('SELECT role, desativado_em FROM usuarios WHERE id = ?', [req.userId]);
+    if (!atual || atual.role !== 'admin' || atual.desativado_em) {
+      return sendError(res, 403, 'FORBIDDEN', 'Acesso negado');
+    }
+    next();
+  } catch (error) {
+    logger.error({ error: error.message, userId: req.userId }, 'Erro ao verificar papel de admin');
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Erro ao verificar permissão');
+  }
+}
+
+const agoraSql = () => (isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')");
+
+const buscarUsuario = (id) => queryOne(`SELECT ${CAMPOS_USUARIO} FROM usuarios WHERE id = ?`, [id]);
+
+const formatarUsuario = (usuario) => ({
+  ...usuario,
+  ativo: !usuario.desativado_em,
+  email_verificado: !!usuario.email_verificado_em,
+  redefinicao_senha_exigida: !!usuario.senha_redefinicao_exigida_em,
+});
+
+/**
+ * Carrega o usuário alvo (:id) em req.usuarioAlvo
+ */
+async function carregarUsuarioAlvo(req, res, next) {
+  try {
+    if (!req.params.id || isNaN(parseInt(req.params.id))) {
+      return sendError(res, 400, 'INVALID_ID', 'ID de usuário inválido');
+    }
+    const usuario = await buscarUsuario(req.params.id);
+    if (!usuario) {
+      return sendError(res, 404, 'USUARIO_NAO_ENCONTRADO', 'Usuário não encontrado');
+    }
+    req.usuarioAlvo = usuario;
+    next();
+  } catch (error) {
+    logger.error({ error: error.message, userId: req.userId }, 'Erro ao buscar usuário');
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Erro ao buscar usuário');
+  }
+}
+
+// Ações que o admin não pode aplicar a si mesmo (evita se trancar fora do sistema)
+function bloquearAutoAlteracao(req, res, next) {
+  if (parseInt(req.usuarioAlvo.id) === parseInt(req.userId)) {
+    return sendError(res, 400, 'PROPRIO_USUARIO', 'Não é possível aplicar esta ação à própria conta');
   }
   next();
 }
 
+const usuariosRouter = express.Router();
+usuariosRouter.use(requireJwt, requireAdminRole);
+
+/**
+ * GET /admin/usuarios
+ * Lista usuários com busca e filtros
+ * Query: busca (nome ou email), role, status ('ativo' | 'desativado'), page, limit
+ */
+usuariosRouter.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const condicoes = [];
+    const params = [];
+
+    if (req.query.busca) {
+      condicoes.push('(LOWER(nome) LIKE ? OR LOWER(email) LIKE ?)');
+      const like = `%${String(req.query.busca).trim().toLowerCase()}%`;
+      params.push(like, like);
+    }
+    if (req.query.role) {
+      condicoes.push('role = ?');
+      params.push(req.query.role);
+    }
+    if (req.query.status === 'ativo') condicoes.push('desativado_em IS NULL');
+    if (req.query.status === 'desativado') condicoes.push('desativado_em IS NOT NULL');
+
+    const where = condicoes.length ? `WHERE ${condicoes.join(' AND ')}` : '';
+    const total = await queryOne(`SELECT COUNT(*) as total FROM usuarios ${where}`, params);
+    const usuarios = await queryAll(
+      `SELECT ${CAMPOS_USUARIO} FROM usuarios ${where} ORDER BY nome ASC, id ASC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return sendOk(res, {
+      usuarios: usuarios.map(formatarUsuario),
+      total: parseInt(total?.total) || 0,
+      page,
+      limit,
+    });
+  } catch (error) {
+    logger.error({ error: error.message, userId: req.userId }, 'Erro ao listar usuários');
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Erro ao listar usuários');
+  }
+});
+
+/**
+ * GET /admin/usuarios/:id
+ * Detalhes do usuário com quantidade de sessões ativas e veículos
+ */
+usuariosRouter.get('/:id', carregarUsuarioAlvo, async (req, res) => {
+  try {
+    const sessoes = await queryOne(
+      'SELECT COUNT(*) as total FROM sessoes WHERE usuario_id = ? AND revogada_em IS NULL',
+      [req.usuarioAlvo.id]
+    );
+    const veiculos = await queryOne(
+      'SELECT COUNT(*) as total FROM veiculos WHERE usuario_id = ?',
+      [req.usuarioAlvo.id]
+    );
+    return sendOk(res, {
+      usuario: {
+        ...formatarUsuario(req.usuarioAlvo),
+        sessoes_ativas: parseInt(sessoes?.total) || 0,
+        total_veiculos: parseInt(veiculos?.total) || 0,
+      },
+    });
+  } catch (error) {
+    logger.error({ error: error.message, userId: req.userId }, 'Erro ao buscar usuário');
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Erro ao buscar usuário');
+  }
+});
+
+/**
+ * PUT /admin/usuarios/:id/role
+ * Altera o papel global do usuário. Body: { role }
+ * Encerra as sessões do usuário: o papel vai no access token, então o antigo
+ * seguiria valendo em requireRole até o token expirar. O novo vale no próximo login.
+ */
+usuariosRouter.put('/:id/role', carregarUsuarioAlvo, bloquearAutoAlteracao, async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!ROLES_USUARIO.includes(role)) {
+      return sendError(res, 400, 'INVALID_ROLE', `role deve ser um de: ${ROLES_USUARIO.join(', ')}`);
+    }
+
+    if (role === req.usuarioAlvo.role) {
+      return sendOk(res, { usuario: formatarUsuario(req.usuarioAlvo), sessoes_encerradas: 0 });
+    }
+
+    await query('UPDATE usuarios SET role = ? WHERE id = ?', [role, req.usuarioAlvo.id]);
+    const sessoesEncerradas = await revogarTodasSessoes(req.usuarioAlvo.id, { motivo: 'papel_alterado' });
+    await registrarAuditoria({
+      req,
+      acao: 'alterar_papel',
+      entidade: 'usuarios',
+      entidadeId: req.usuarioAlvo.id,
+      antes: { role: req.usuarioAlvo.role },
+      depois: { role },
+    });
+
+    logger.info({ userId: req.userId, alvo: req.usuarioAlvo.id, role, sessoesEncerradas }, 'Papel de usuário alterado');
+    return sendOk(res, {
+      usuario: formatarUsuario(await buscarUsuario(req.usuarioAlvo.id)),
+      sessoes_encerradas: sessoesEncerradas,
+    });
+  } catch (error) {
+    logger.error({ error: error.message, userId: req.userId }, 'Erro ao alterar papel do usuário');
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Erro ao alterar papel do usuário');
+  }
+});
+
+/**
+ * POST /admin/usuarios/:id/desativar
+ * Bloqueia o login e encerra todas as sessões do usuário. Body: { motivo } (opcional)
+ */
+usuariosRouter.post('/:id/desativar', carregarUsuarioAlvo, bloquearAutoAlteracao, async (req, res) => {
+  try {
+    if (req.usuarioAlvo.desativado_em) {
+      return sendError(res, 409, 'USUARIO_JA_DESATIVADO', 'Usuário já está desativado');
+    }
+
+    await query(`UPDATE usuarios SET desativado_em = ${agoraSql()} WHERE id = ?`, [req.usuarioAlvo.id]);
+    const sessoesEncerradas = await revogarTodasSessoes(req.usuarioAlvo.id, { motivo: 'usuario_desativado' });
+    const usuario = await buscarUsuario(req.usuarioAlvo.id);
+
+    await registrarAuditoria({
+      req,
+      acao: 'desativar',
+      entidade: 'usuarios',
+      entidadeId: req.usuarioAlvo.id,
+      antes: { desativado_em: null },
+      depois: { desativado_em: usuario.desativado_em, motivo: req.body?.motivo || null },
+    });
+
+    logger.info({ userId: req.userId, alvo: req.usuarioAlvo.id, sessoesEncerradas }, 'Usuário desativado');
+    return sendOk(res, { usuario: formatarUsuario(usuario), sessoes_encerradas: sessoesEncerradas });
+  } catch (error) {
+    logger.error({ error: error.message, userId: req.userId }, 'Erro ao desativar usuário');
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Erro ao desativar usuário');
+  }
+});
+
+/**
+ * POST /admin/usuarios/:id/reativar
+ * Libera novamente o login do usuário
+ */
+usuariosRouter.post('/:id/reativar', carregarUsuarioAlvo, async (req, res) => {
+  try {
+    if (!req.usuarioAlvo.desativado_em) {
+      return sendError(res, 409, 'USUARIO_JA_ATIVO', 'Usuário já está ativo');
+    }
+
+    await query('UPDATE usuarios SET desativado_em = NULL WHERE id = ?', [req.usuarioAlvo.id]);
+    await registrarAuditoria({
+      req,
+      acao: 'reativar',
+      entidade: 'usuarios',
+      entidadeId: req.usuarioAlvo.id,
+      antes: { desativado_em: req.usuarioAlvo.desativado_em },
+      depois: { desativado_em: null },
+    });
+
+    logger.info({ userId: req.userId, alvo: req.usuarioAlvo.id }, 'Usuário reativado');
+    return sendOk(res, { usuario: formatarUsuario(await buscarUsuario(req.usuarioAlvo.id)) });
+  } catch (error) {
+    logger.error({ error: error.message, userId: req.userId }, 'Erro ao reativar usuário');
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Erro ao reativar usuário');
+  }
+});
+
+/**
+ * POST /admin/usuarios/:id/forcar-redefinicao-senha
+ * Encerra as sessões, bloqueia o login até a troca de senha e envia o link de redefinição
+ */
+usuariosRouter.post('/:id/forcar-redefinicao-senha', carregarUsuarioAlvo, bloquearAutoAlteracao, async (req, res) => {
+  try {
+    await query(
+      `UPDATE usuarios SET senha_redefinicao_exigida_em = ${agoraSql()} WHERE id = ?`,
+      [req.usuarioAlvo.id]
+    );
+    const sessoesEncerradas = await revogarTodasSessoes(req.usuarioAlvo.id, { motivo: 'redefinicao_senha_exigida' });
+
+    let emailEnviado = true;
+    try {
+      await enviarEmailRedefinicaoSenha(req.usuarioAlvo, { exigidaPorAdmin: true });
+    } catch (emailError) {
+      emailEnviado = false;
+      logger.error({ error: emailError.message, alvo: req.usuarioAlvo.id }, 'Falha ao enviar e-mail de redefinição de senha');
+    }
+
+    const usuario = await buscarUsuario(req.usuarioAlvo.id);
+    await registrarAuditoria({
+      req,
+      acao: 'forcar_redefinicao_senha',
+      entidade: 'usuarios',
+      entidadeId: req.usuarioAlvo.id,
+      antes: { senha_redefinicao_exigida_em: req.usuarioAlvo.senha_redefinicao_exigida_em },
+      depois: { senha_redefinicao_exigida_em: usuario.senha_redefinicao_exigida_em },
+    });
+
+    logger.info({ userId: req.userId, alvo: req.usuarioAlvo.id, sessoesEncerradas }, 'Redefinição de senha exigida');
+    return sendOk(res, {
+      usuario: formatarUsuario(usuario),
+      sessoes_encerradas: sessoesEncerradas,
+      email_enviado: emailEnviado,
+    });
+  } catch (error) {
+    logger.error({ error: error.message, userId: req.userId }, 'Erro ao exigir redefinição de senha');
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Erro ao exigir redefinição de senha');
+  }
+});
+
+router.use('/usuarios', usuariosRouter);
+
+/**
+ * GET /admin/auditoria
+ * Consulta o registro de auditoria de todo o sistema
+ * Query: ator_usuario_id, entidade, entidade_id, veiculo_id, acao, de, ate (datas), page, limit
+ */
+router.get('/auditoria', requireJwt, requireAdminRole, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const condicoes = [];
+    const params = [];
+
+    const filtrosExatos = {
+      ator_usuario_id: 'a.ator_usuario_id',
+      entidade: 'a.entidade',
+      entidade_id: 'a.entidade_id',
+      veiculo_id: 'a.veiculo_id',
+      acao: 'a.acao',
+    };
+    for (const [parametro, coluna] of Object.entries(filtrosExatos)) {
+      if (req.query[parametro]) {
+        condicoes.push(`${coluna} = ?`);
+        params.push(req.query[parametro]);
+      }
+    }
+    if (req.query.de) {
+      condicoes.push('a.criado_em >= ?');
+      params.push(req.query.de);
+    }
+    if (req.query.ate) {
+      // Data sem horário inclui o dia inteiro
+      const ate = /^\d{4}-\d{2}-\d{2}$/.test(req.query.ate) ? `${req.query.ate} 23:59:59` : req.query.ate;
+      condicoes.push('a.criado_em <= ?');
+      params.push(ate);
+    }
+
+    const where = condicoes.length ? `WHERE ${condicoes.join(' AND ')}` : '';
+    const total = await queryOne(`SELECT COUNT(*) as total FROM auditoria a ${where}`, params);
+    const registros = await queryAll(
+      `SELECT a.*, u.nome as ator_nome, u.email as ator_email
+       FROM auditoria a
+       LEFT JOIN usuarios u ON u.id = a.ator_usuario_id
+       ${where}
+       ORDER BY a.criado_em DESC, a.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return sendOk(res, {
+      registros: registros.map(formatarRegistroAuditoria),
+      total: parseInt(total?.total) || 0,
+      page,
+      limit,
+    });
+  } catch (error) {
+    logger.error({ error: error.message, userId: req.userId }, 'Erro ao consultar auditoria');
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Erro ao consultar auditoria');
+  }
+});
+
 /**
  * POST /admin/reset-operational-data
  * 
@@ -0,0 +1,47 @@
+/**
+ * Rotas Públicas de Arquivos (driver de armazenamento 'local')
+ * Entrega fotos e documentos enviados só com URL assinada e dentro da validade
+ * (SEM autenticação: a assinatura é a autorização). Com o driver 's3' as URLs
+ * assinadas apontam direto para o bucket e esta rota não é usada.
+ */
+
+import express from 'express';
+import { getStorageDriver } from '../services/armazenamento/index.js';
+import { verificarUrlAssinada, caminhoArquivoLocal } from '../services/armazenamento/localDriver.js';
+
+const router = express.Router();
+
+/**
+ * GET /arquivos/:chave?expira=&assinatura=
+ */
+router.get('/*chave', (req, res) => {
+  try {
+    const chave = [].concat(req.params.chave).join('/');
+
+    if (getStorageDriver().nome !== 'local') {
+      return res.status(404).json({ error: 'Arquivo não encontrado', code: 'ARQUIVO_NOT_FOUND' });
+    }
+
+    if (!verificarUrlAssinada(chave, req.query.expira, req.query.assinatura)) {
+      return res.status(403).json({
+        error: 'Link do arquivo inválido ou expirado',
+        code: 'URL_ARQUIVO_INVALIDA'
+      });
+    }
+
+    const caminho = caminhoArquivoLocal(chave);
+    if (!caminho) {
+      return res.status(404).json({ error: 'Arquivo não encontrado', code: 'ARQUIVO_NOT_FOUND' });
+    }
+
+    // Cache só até a URL expirar
+    const restante = Math.max(0, parseInt(req.query.expira) - Math.floor(Date.now() / 1000));
+    res.set('Cache-Control', `private, max-age=${restante}`);
+    res.sendFile(caminho);
+  } catch (error) {
+    console.error('[ERRO] Erro ao entregar arquivo:', error.message);
+    res.status(400).json({ error: 'Chave de arquivo inválida', code: 'ARQUIVO_INVALIDO' });
+  }
+});
+
+export default router;
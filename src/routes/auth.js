@@ -1,17 +1,74 @@
 import express from "express";
 import bcrypt from "bcrypt";
-import { query, queryOne } from "../database/db-adapter.js";
-import { generateToken, authRequired } from "../middleware/auth.js";
+import { query, queryOne, isPostgres } from "../database/db-adapter.js";
+import { generateToken, authRequired, ACCESS_TOKEN_EXPIRES_IN } from "../middleware/auth.js";
+import {
+  criarSessao,
+  rotacionarRefreshToken,
+  revogarSessao,
+  revogarTodasSessoes,
+  listarSessoesAtivas,
+} from "../services/sessoesService.js";
+import { TIPOS_TOKEN, consumirTokenUsuario } from "../services/tokensUsuarioService.js";
+import {
+  enviarEmailVerificacao,
+  enviarEmailRedefinicaoSenha,
+} from "../services/emailsContaService.js";
 
 const router = express.Router();
 
+const MENSAGENS_REFRESH = {
+  TOKEN_INVALIDO: "Refresh token inválido",
+  SESSAO_REVOGADA: "Sessão encerrada",
+  SESSAO_EXPIRADA: "Sessão expirada, faça login novamente",
+  TOKEN_REUTILIZADO: "Refresh token já utilizado; a sessão foi encerrada por segurança",
+};
+
+const MENSAGENS_TOKEN_EMAIL = {
+  TOKEN_INVALIDO: "Link inválido",
+  TOKEN_USADO: "Este link já foi utilizado",
+  TOKEN_EXPIRADO: "Este link expirou, solicite um novo",
+};
+
+const SENHA_MIN_CARACTERES = 6;
+
+// URL pública da API (links de verificação apontam para GET /auth/verify-email)
+function construirUrlBase(req) {
+  if (process.env.NODE_ENV === "production" && process.env.RENDER_EXTERNAL_URL) {
+    return process.env.RENDER_EXTERNAL_URL.replace(/\/$/, "");
+  }
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+// Conta desativada por admin ou com troca de senha exigida não abre sessão
+function verificarBloqueioConta(user) {
+  if (user.desativado_em)
+    return { error: "Conta desativada. Entre em contato com o suporte.", code: "USUARIO_DESATIVADO" };
+  if (user.senha_redefinicao_exigida_em)
+    return {
+      error: "É necessário redefinir a senha. Verifique seu e-mail ou use \"Esqueci a senha\".",
+      code: "SENHA_REDEFINICAO_OBRIGATORIA",
+    };
+  return null;
+}
+
+function gerarAccessToken(user, sessaoId) {
+  return generateToken({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    sid: sessaoId,
+  });
+}
+
 /**
  * Registrar usuário
- * Campos: nome, email, senha, role (opcional)
+ * Campos: nome, email, senha. Todo cadastro público entra como 'cliente';
+ * outros papéis só por um admin (PUT /api/admin/usuarios/:id/role).
  */
 router.post("/register", async (req, res) => {
   try {
-    const { nome, email, senha, role = "cliente" } = req.body;
+    const { nome, email, senha } = req.body;
 
     if (!nome || !email || !senha)
       return res.status(400).json({ error: "Campos obrigatórios ausentes" });
@@ -26,12 +83,21 @@ router.post("/register", async (req, res) => {
 
     const hash = await bcrypt.hash(senha, 10);
 
-    await query(
-      "INSERT INTO usuarios (nome, email, senha, role) VALUES (?, ?, ?, ?)",
-      [nome, email, hash, role]
+    const result = await query(
+      "INSERT INTO usuarios (nome, email, senha, role) VALUES (?, ?, ?, 'cliente')",
+      [nome, email, hash]
     );
 
-    return res.json({ success: true });
+    // Falha no envio não desfaz o cadastro (reenvio via /auth/resend-verification)
+    let verificacaoEnviada = true;
+    try {
+      await enviarEmailVerificacao({ id: result.insertId, nome, email }, construirUrlBase(req));
+    } catch (err) {
+      verificacaoEnviada = false;
+      console.error("[ERRO] Falha ao enviar e-mail de verificação:", err.message);
+    }
+
+    return res.json({ success: true, verificacao_email_enviada: verificacaoEnviada });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
@@ -56,11 +122,15 @@ router.post("/login", async (req, res) => {
     if (!match)
       return res.status(401).json({ error: "Credenciais inválidas" });
 
-    const token = generateToken({
-      id: user.id,
-      email: user.email,
-      role: user.role,
+    const bloqueio = verificarBloqueioConta(user);
+    if (bloqueio)
+      return res.status(403).json(bloqueio);
+
+    const sessao = await criarSessao(user.id, {
+      userAgent: req.headers["user-agent"],
+      ip: req.ip,
     });
+    const token = gerarAccessToken(user, sessao.sessaoId);
 
     return res.json({
       usuario: {
@@ -68,14 +138,230 @@ router.post("/login", async (req, res) => {
         nome: user.nome,
         email: user.email,
         role: user.role,
+        email_verificado: !!user.email_verificado_em,
       },
       token,
+      expires_in: ACCESS_TOKEN_EXPIRES_IN,
+      refresh_token: sessao.refreshToken,
+      refresh_token_expira_em: sessao.expiraEm,
     });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * Renovar access token
+ * Campos: refresh_token. O refresh token é trocado a cada uso (o anterior deixa de valer).
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {};
+    if (!refresh_token)
+      return res.status(400).json({ error: "refresh_token é obrigatório" });
+
+    const resultado = await rotacionarRefreshToken(refresh_token);
+    if (resultado.erro)
+      return res.status(401).json({ error: MENSAGENS_REFRESH[resultado.erro], code: resultado.erro });
+
+    const user = await queryOne(
+      "SELECT id, email, role, desativado_em, senha_redefinicao_exigida_em FROM usuarios WHERE id = ? LIMIT 1",
+      [resultado.sessao.usuario_id]
+    );
+    if (!user) {
+      await revogarSessao(resultado.sessao.id, "usuario_removido");
+      return res.status(401).json({ error: MENSAGENS_REFRESH.TOKEN_INVALIDO, code: "TOKEN_INVALIDO" });
+    }
+
+    const bloqueio = verificarBloqueioConta(user);
+    if (bloqueio) {
+      await revogarSessao(resultado.sessao.id, bloqueio.code.toLowerCase());
+      return res.status(403).json(bloqueio);
+    }
+
+    return res.json({
+      token: gerarAccessToken(user, resultado.sessao.id),
+      expires_in: ACCESS_TOKEN_EXPIRES_IN,
+      refresh_token: resultado.refreshToken,
+      refresh_token_expira_em: resultado.expiraEm,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Logout
+ * Encerra a sessão do token atual (access e refresh tokens dela deixam de valer)
+ */
+router.post("/logout", authRequired, async (req, res) => {
+  try {
+    if (req.sessaoId) await revogarSessao(req.sessaoId, "logout", req.userId);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Logout de todas as sessões
+ * Campos: manter_atual (opcional) para encerrar só os outros dispositivos
+ */
+router.post("/logout-all", authRequired, async (req, res) => {
+  try {
+    const manterAtual = req.body?.manter_atual === true && req.sessaoId;
+    const encerradas = await revogarTodasSessoes(req.userId, {
+      exceto: manterAtual ? req.sessaoId : null,
+    });
+    return res.json({ success: true, sessoes_encerradas: encerradas });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Listar sessões ativas do usuário (dispositivos logados)
+ */
+router.get("/sessoes", authRequired, async (req, res) => {
+  try {
+    const sessoes = await listarSessoesAtivas(req.userId);
+    return res.json(
+      sessoes.map((s) => ({ ...s, atual: parseInt(s.id) === parseInt(req.sessaoId) }))
+    );
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Encerrar uma sessão específica (ex.: dispositivo perdido)
+ */
+router.delete("/sessoes/:id", authRequired, async (req, res) => {
+  try {
+    const revogada = await revogarSessao(req.params.id, "logout_remoto", req.userId);
+    if (!revogada)
+      return res.status(404).json({ error: "Sessão não encontrada" });
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Confirmar e-mail
+ * Token em ?token= (link do e-mail) ou no corpo
+ */
+async function verificarEmail(req, res) {
+  try {
+    const token = req.query.token || req.body?.token;
+    if (!token)
+      return res.status(400).json({ error: "token é obrigatório" });
+
+    const resultado = await consumirTokenUsuario(token, TIPOS_TOKEN.VERIFICACAO_EMAIL);
+    if (resultado.erro)
+      return res.status(400).json({ error: MENSAGENS_TOKEN_EMAIL[resultado.erro], code: resultado.erro });
+
+    const agora = isPostgres() ? "CURRENT_TIMESTAMP" : "datetime('now')";
+    await query(
+      `UPDATE usuarios SET email_verificado_em = COALESCE(email_verificado_em, ${agora}) WHERE id = ?`,
+      [resultado.usuarioId]
+    );
+
+    return res.json({ success: true, email_verificado: true });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+router.get("/verify-email", verificarEmail);
+router.post("/verify-email", verificarEmail);
+
+/**
+ * Reenviar e-mail de verificação para o usuário logado
+ */
+router.post("/resend-verification", authRequired, async (req, res) => {
+  try {
+    const user = await queryOne(
+      "SELECT id, nome, email, email_verificado_em FROM usuarios WHERE id = ? LIMIT 1",
+      [req.userId]
+    );
+    if (!user)
+      return res.status(404).json({ error: "Usuário não encontrado" });
+    if (user.email_verificado_em)
+      return res.status(400).json({ error: "E-mail já verificado", code: "EMAIL_JA_VERIFICADO" });
+
+    await enviarEmailVerificacao(user, construirUrlBase(req));
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Esqueci a senha
+ * Campos: email. Resposta é a mesma exista ou não a conta (não revela e-mails cadastrados).
+ */
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email)
+      return res.status(400).json({ error: "email é obrigatório" });
+
+    const user = await queryOne(
+      "SELECT id, nome, email, desativado_em FROM usuarios WHERE email = ? LIMIT 1",
+      [email]
+    );
+
+    if (user && !user.desativado_em) {
+      try {
+        await enviarEmailRedefinicaoSenha(user);
+      } catch (err) {
+        console.error("[ERRO] Falha ao enviar e-mail de redefinição de senha:", err.message);
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: "Se o e-mail estiver cadastrado, você receberá as instruções para redefinir a senha.",
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Redefinir senha
+ * Campos: token, senha. Encerra todas as sessões abertas do usuário.
+ */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, senha } = req.body || {};
+    if (!token || !senha)
+      return res.status(400).json({ error: "Campos obrigatórios ausentes" });
+    if (String(senha).length < SENHA_MIN_CARACTERES)
+      return res.status(400).json({ error: `A senha deve ter pelo menos ${SENHA_MIN_CARACTERES} caracteres`, code: "SENHA_CURTA" });
+
+    const resultado = await consumirTokenUsuario(token, TIPOS_TOKEN.REDEFINICAO_SENHA);
+    if (resultado.erro)
+      return res.status(400).json({ error: MENSAGENS_TOKEN_EMAIL[resultado.erro], code: resultado.erro });
+
+    const hash = await bcrypt.hash(senha, 10);
+    // O link chegou pelo e-mail, então o endereço fica confirmado
+    const agora = isPostgres() ? "CURRENT_TIMESTAMP" : "datetime('now')";
+    await query(
+      `UPDATE usuarios SET senha = ?, senha_redefinicao_exigida_em = NULL,
+         email_verificado_em = COALESCE(email_verificado_em, ${agora})
+       WHERE id = ?`,
+      [hash, resultado.usuarioId]
+    );
+    await revogarTodasSessoes(resultado.usuarioId, { motivo: "senha_redefinida" });
+
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * Validar token JWT
  * Rota protegida que verifica se o token é válido
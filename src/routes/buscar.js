@@ -6,9 +6,25 @@
 import express from 'express';
 import { authRequired } from '../middleware/auth.js';
 import { query, queryAll } from '../database/db-adapter.js';
+import { sqlImagemPrincipal } from '../services/anexosManutencaoService.js';
+import { urlArquivo } from '../services/armazenamento/index.js';
 
 const router = express.Router();
 
+// URL base pública da API
+const construirUrlBase = (req) => {
+  if (process.env.NODE_ENV === 'production') {
+    const renderExternal = process.env.RENDER_EXTERNAL_URL;
+    if (renderExternal) {
+      return renderExternal.replace(/\/$/, '');
+    }
+  }
+
+  const protocol = req.protocol || 'http';
+  const host = req.get('host') || 'localhost:3000';
+  return `${protocol}://${host}`;
+};
+
 /**
  * GET /buscar
  * Busca global com filtros avançados
@@ -216,7 +232,8 @@ router.get('/', authRequired, async (req, res) => {
             km_depois.km AS km_depois,
             m.tipo_manutencao,
             m.area_manutencao,
-            m.imagem as imagem_url,
+            ${sqlImagemPrincipal('m')} as imagem_url,
+            ${sqlImagemPrincipal('m', 'miniatura')} as miniatura_url,
             v.id as veiculo_id,
             v.placa as veiculo_placa,
             v.modelo as veiculo_modelo
@@ -259,7 +276,8 @@ router.get('/', authRequired, async (req, res) => {
           km_depois: m.km_depois,
           tipo_manutencao: m.tipo_manutencao,
           area_manutencao: m.area_manutencao,
-          imagem_url: m.imagem_url,
+          imagem_url: urlArquivo(m.imagem_url, construirUrlBase(req)),
+          miniatura_url: urlArquivo(m.miniatura_url, construirUrlBase(req)),
           veiculo_id: m.veiculo_id,
           veiculo_placa: m.veiculo_placa,
           veiculo_modelo: m.veiculo_modelo,
@@ -334,6 +352,7 @@ router.get('/', authRequired, async (req, res) => {
           a.km_antes,
           a.km_depois,
           a.imagem,
+          a.imagem_miniatura,
           v.id as veiculo_id,
           v.placa as veiculo_placa,
           v.modelo as veiculo_modelo
@@ -361,7 +380,8 @@ router.get('/', authRequired, async (req, res) => {
         tipo_combustivel: a.tipo_combustivel,
         km_antes: a.km_antes,
         km_depois: a.km_depois,
-        imagem_url: a.imagem,
+        imagem_url: urlArquivo(a.imagem, construirUrlBase(req)),
+        miniatura_url: urlArquivo(a.imagem_miniatura, construirUrlBase(req)),
         veiculo_id: a.veiculo_id,
         veiculo_placa: a.veiculo_placa,
         veiculo_modelo: a.veiculo_modelo,
@@ -1,272 +1,445 @@
 /**
  * Rotas de Compartilhamento de Veículos
- * Permite compartilhar veículos via link público seguro
+ * Permite compartilhar veículos via link público seguro; links 'mecanico'
+ * também permitem à oficina incluir manutenções
  */
 
 import express from 'express';
-import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import multer from 'multer';
+import { query, queryOne, withTransaction } from '../database/db-adapter.js';
 import { authRequired } from '../middleware/auth.js';
 import crypto from 'crypto';
+import { registrarAuditoria } from '../services/auditoriaService.js';
+import {
+  CABECALHO_SENHA_COMPARTILHAMENTO,
+  validarCompartilhamento,
+  registrarAcessoCompartilhamento,
+  montarDadosPublicos,
+  construirUrlCompartilhamento,
+} from '../services/compartilhamentosService.js';
+import {
+  isRoboPrevia,
+  isRoboBusca,
+  renderizarPaginaHistorico,
+  renderizarPrevia,
+  renderizarPaginaRoboBusca,
+  renderizarPaginaSenha,
+  renderizarPaginaErro,
+} from '../services/paginaCompartilhamentoService.js';
+import {
+  verificarPodeTransferir,
+  criarPedidoTransferencia,
+  formatarTransferencia
+} from '../services/transferenciasService.js';
+import {
+  validarArquivosAnexo,
+  armazenarArquivosAnexo,
+  salvarAnexos,
+  imagemPrincipal,
+  formatarAnexo
+} from '../services/anexosManutencaoService.js';
+import {
+  armazenamentoTemporario,
+  urlArquivo,
+  removerArquivos,
+  removerUploadsTemporarios
+} from '../services/armazenamento/index.js';
+import { processarImagensUpload } from '../services/imagensService.js';
+import { TIPOS_MANUTENCAO_VALIDOS, AREAS_MANUTENCAO_VALIDAS } from '../utils/categoriasManutencao.js';
 
 const router = express.Router();
 
+// Comprovante da manutenção enviado pela oficina (link 'mecanico'), foto ou PDF
+const upload = multer({
+  storage: armazenamentoTemporario,
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+// URL base pública da API
+const construirUrlBase = (req) => {
+  if (process.env.NODE_ENV === 'production') {
+    const renderExternal = process.env.RENDER_EXTERNAL_URL;
+    if (renderExternal) {
+      return renderExternal.replace(/\/$/, '');
+    }
+  }
+
+  const protocol = req.protocol || 'http';
+  const host = req.get('host') || 'localhost:3000';
+  return `${protocol}://${host}`;
+};
+
+// Remove upload recusado pela validação
+const removerArquivoTemporario = (file) => {
+  removerUploadsTemporarios(file);
+};
+
+// Data YYYY-MM-DD válida e não futura
+const validarData = (data) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data)) return false;
+  const date = new Date(data);
+  if (isNaN(date.getTime())) return false;
+  const hoje = new Date();
+  hoje.setHours(23, 59, 59, 999);
+  return date <= hoje;
+};
+
+// Resposta para link inválido, revogado, expirado, esgotado ou protegido por senha
+const ERROS_COMPARTILHAMENTO = {
+  NAO_ENCONTRADO: [404, 'Link de compartilhamento não encontrado ou inválido'],
+  LINK_REVOGADO: [410, 'Link de compartilhamento revogado'],
+  LINK_EXPIRADO: [410, 'Link de compartilhamento expirado'],
+  LIMITE_USOS_ATINGIDO: [410, 'Link de compartilhamento atingiu o limite de acessos'],
+  SENHA_NECESSARIA: [401, 'Este link é protegido por senha'],
+  SENHA_INCORRETA: [403, 'Senha do link incorreta'],
+  SENHA_BLOQUEADA: [429, 'Muitas tentativas de senha neste link. Tente novamente em alguns minutos'],
+  TIPO_NAO_PERMITIDO: [403, 'Este link não permite esta ação'],
+};
+
+const responderErroCompartilhamento = (res, erro, { html = false, acao = null } = {}) => {
+  const [status, mensagem] = ERROS_COMPARTILHAMENTO[erro];
+  if (!html) {
+    return res.status(status).json({ error: mensagem, code: erro });
+  }
+  // No navegador, senha ausente ou errada volta para o formulário
+  const pagina = acao && (erro === 'SENHA_NECESSARIA' || erro === 'SENHA_INCORRETA')
+    ? renderizarPaginaSenha({ acao, senhaIncorreta: erro === 'SENHA_INCORRETA' })
+    : renderizarPaginaErro(mensagem);
+  return res.status(status).type('html').send(pagina);
+};
+
 /**
- * GET /compartilhamento/:token
- * Retorna dados públicos do veículo compartilhado (SEM autenticação)
+ * Exibe o histórico público do link (JSON para o app, HTML para navegadores)
+ * @param {string|null} senha - Senha do link (cabeçalho no app, formulário no navegador)
  */
-router.get('/:token', async (req, res) => {
+async function exibirCompartilhamento(req, res, senha) {
+  // Navegadores pedem text/html; o app e clientes HTTP recebem JSON
+  res.vary('Accept');
+  const html = req.accepts(['json', 'html']) === 'html';
+
   try {
     const { token } = req.params;
 
     if (!token || token.trim() === '') {
-      return res.status(400).json({ error: 'Token inválido' });
+      return html
+        ? res.status(400).type('html').send(renderizarPaginaErro('Token inválido'))
+        : res.status(400).json({ error: 'Token inválido' });
     }
 
-    // Buscar compartilhamento pelo token
-    const compartilhamento = await queryOne(
-      `SELECT * FROM veiculo_compartilhamentos 
-       WHERE token = ? AND tipo = 'visualizacao'`,
-      [token]
-    );
+    const urlLink = construirUrlCompartilhamento(token);
 
-    if (!compartilhamento) {
-      return res.status(404).json({ error: 'Link de compartilhamento não encontrado ou inválido' });
+    // Robôs de busca não indexam o link: página sem dados, sem contar acesso
+    if (isRoboBusca(req.get('user-agent'))) {
+      res.set('X-Robots-Tag', 'noindex, nofollow');
+      return res.type('html').send(renderizarPaginaRoboBusca());
     }
 
-    // Verificar se expirou
-    if (compartilhamento.expira_em) {
-      const dataExpiracao = new Date(compartilhamento.expira_em);
-      const agora = new Date();
-      if (dataExpiracao < agora) {
-        return res.status(410).json({ error: 'Link de compartilhamento expirado' });
+    // Robôs de pré-visualização (WhatsApp, Telegram...) recebem só as tags Open Graph, sem contar acesso.
+    // O User-Agent é do cliente: link esgotado ou com senha recebe a prévia genérica, sem dados
+    if (html && isRoboPrevia(req.get('user-agent'))) {
+      const previa = await validarCompartilhamento(token, null);
+      if (previa.erro && !['SENHA_NECESSARIA', 'LIMITE_USOS_ATINGIDO'].includes(previa.erro)) {
+        return responderErroCompartilhamento(res, previa.erro, { html });
       }
+      const dados = previa.compartilhamento
+        ? await montarDadosPublicos(previa.compartilhamento, construirUrlBase(req))
+        : null;
+      return res.type('html').send(renderizarPrevia(dados, { url: urlLink }));
     }
 
-    const veiculoId = compartilhamento.veiculo_id;
-
-    // Buscar dados do veículo
-    const veiculo = await queryOne(
-      'SELECT id, placa, renavam, marca, modelo, ano, tipo_veiculo, km_atual FROM veiculos WHERE id = ?',
-      [veiculoId]
-    );
-
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
+    // Link válido (não revogado, não expirado, com usos disponíveis e senha correta)
+    const validacao = await validarCompartilhamento(token, senha);
+    if (validacao.erro) {
+      return responderErroCompartilhamento(res, validacao.erro, { html, acao: req.originalUrl.split('?')[0] });
     }
+    const { compartilhamento } = validacao;
 
-    // Buscar histórico completo de manutenções (sem valores privados) com KM derivado de km_historico
-    const manutencoes = await queryAll(
-      `SELECT 
-        m.id,
-        m.veiculo_id,
-        m.data,
-        km_antes.km AS km_antes,
-        km_depois.km AS km_depois,
-        m.tipo,
-        m.tipo_manutencao,
-        m.area_manutencao,
-        m.descricao,
-        m.imagem as imagem_url,
-        m.imagem
-      FROM manutencoes m
-      LEFT JOIN LATERAL (
-        SELECT km
-        FROM km_historico
-        WHERE veiculo_id = m.veiculo_id
-          AND COALESCE(data_registro, criado_em) <= m.data
-        ORDER BY COALESCE(data_registro, criado_em) DESC
-        LIMIT 1
-      ) km_antes ON true
-      LEFT JOIN LATERAL (
-        SELECT km
-        FROM km_historico
-        WHERE veiculo_id = m.veiculo_id
-          AND COALESCE(data_registro, criado_em) >= m.data
-        ORDER BY COALESCE(data_registro, criado_em) ASC
-        LIMIT 1
-      ) km_depois ON true
-      WHERE m.veiculo_id = ?
-      ORDER BY m.data DESC, m.id DESC`,
-      [veiculoId]
-    );
+    // Contar o acesso; condicional para não passar do limite em acessos simultâneos
+    if (!(await registrarAcessoCompartilhamento(compartilhamento))) {
+      return responderErroCompartilhamento(res, 'LIMITE_USOS_ATINGIDO', { html });
+    }
 
-    // Processar manutenções: remover valores privados, todas são "herdadas" em visualização pública
-    const manutencoesPublicas = manutencoes.map(man => ({
-      id: man.id,
-      veiculo_id: man.veiculo_id,
-      data: man.data,
-      km_antes: man.km_antes,
-      km_depois: man.km_depois,
-      tipo: man.tipo,
-      tipo_manutencao: man.tipo_manutencao,
-      area_manutencao: man.area_manutencao,
-      descricao: man.descricao,
-      imagem_url: man.imagem_url,
-      imagem: man.imagem,
-      // NÃO incluir: valor, observacoes
-      // Todas são consideradas "herdadas" em visualização pública
-      isHerdada: true,
-    }));
-
-    // Buscar histórico completo de KM (público, ordenado cronologicamente)
-    const kmHistorico = await queryAll(
-      `SELECT 
-        id,
-        veiculo_id,
-        km,
-        origem,
-        data_registro,
-        criado_em
-      FROM km_historico
-      WHERE veiculo_id = ?
-      ORDER BY COALESCE(data_registro, criado_em) DESC, criado_em DESC`,
-      [veiculoId]
-    );
+    // Só as seções escolhidas pelo dono (escopos do link)
+    const dados = await montarDadosPublicos(compartilhamento, construirUrlBase(req));
+    if (!dados) {
+      return html
+        ? res.status(404).type('html').send(renderizarPaginaErro('Veículo não encontrado'))
+        : res.status(404).json({ error: 'Veículo não encontrado' });
+    }
 
-    // Retornar dados públicos
-    res.json({
-      veiculo: {
-        id: veiculo.id,
-        placa: veiculo.placa,
-        renavam: veiculo.renavam,
-        marca: veiculo.marca,
-        modelo: veiculo.modelo,
-        ano: veiculo.ano,
-        tipo_veiculo: veiculo.tipo_veiculo,
-        km_atual: veiculo.km_atual,
-      },
-      manutencoes: manutencoesPublicas,
-      km_historico: kmHistorico,
-      compartilhamento: {
-        tipo: compartilhamento.tipo,
-        criado_em: compartilhamento.criado_em,
-        expira_em: compartilhamento.expira_em,
-      },
-    });
+    if (html) {
+      return res.type('html').send(renderizarPaginaHistorico(dados, { url: urlLink }));
+    }
+    res.json(dados);
   } catch (error) {
     console.error('Erro ao buscar veículo compartilhado:', error);
+    if (html) {
+      return res.status(500).type('html').send(renderizarPaginaErro('Erro ao carregar o histórico do veículo'));
+    }
     res.status(500).json({ error: 'Erro ao buscar dados do veículo compartilhado' });
   }
-});
+}
+
+/**
+ * GET /compartilhamento/:token
+ * Retorna dados públicos do veículo compartilhado (SEM autenticação)
+ * Accept: text/html → página de histórico com Open Graph; caso contrário JSON.
+ * Senha do link no cabeçalho X-Compartilhamento-Senha.
+ */
+router.get('/:token', (req, res) => exibirCompartilhamento(req, res, req.get(CABECALHO_SENHA_COMPARTILHAMENTO)));
+
+/**
+ * POST /compartilhamento/:token
+ * Formulário de senha da página HTML (campo senha, application/x-www-form-urlencoded)
+ */
+router.post('/:token', express.urlencoded({ extended: false }), (req, res) => (
+  exibirCompartilhamento(req, res, req.body?.senha || req.get(CABECALHO_SENHA_COMPARTILHAMENTO))
+));
 
 /**
  * POST /compartilhamento/:token/aceitar
- * Aceita um veículo compartilhado e transfere para o usuário autenticado
- * Requer autenticação
+ * Pede ao dono a transferência do veículo compartilhado para o usuário autenticado.
+ * Cria um pedido pendente (transferencias_veiculo, iniciada_por = 'destinatario');
+ * o veículo só muda de dono quando o dono aprovar em POST /transferencias/:id/aceitar.
+ * Body: mensagem (opcional). Requer autenticação
  */
 router.post('/:token/aceitar', authRequired, async (req, res) => {
   try {
     const { token } = req.params;
-    const novoUsuarioId = req.userId; // Usuário que está aceitando
+    const solicitanteId = req.userId;
 
     if (!token || token.trim() === '') {
       return res.status(400).json({ error: 'Token inválido' });
     }
 
-    // Buscar compartilhamento pelo token
-    const compartilhamento = await queryOne(
-      `SELECT * FROM veiculo_compartilhamentos 
-       WHERE token = ? AND tipo = 'visualizacao'`,
-      [token]
+    // O pedido vem depois da visualização: não consome uso, mas respeita revogação, prazo e senha
+    // Link de oficina ('mecanico') não dá direito a pedir o veículo
+    const validacao = await validarCompartilhamento(
+      token,
+      req.get(CABECALHO_SENHA_COMPARTILHAMENTO),
+      { exigirUsoDisponivel: false, tipos: ['visualizacao'] }
     );
+    if (validacao.erro) {
+      return responderErroCompartilhamento(res, validacao.erro);
+    }
+    const { compartilhamento } = validacao;
 
-    if (!compartilhamento) {
-      return res.status(404).json({ error: 'Link de compartilhamento não encontrado ou inválido' });
+    const veiculo = await queryOne('SELECT id, usuario_id FROM veiculos WHERE id = ?', [compartilhamento.veiculo_id]);
+    if (!veiculo) {
+      return res.status(404).json({ error: 'Veículo não encontrado' });
+    }
+    if (parseInt(veiculo.usuario_id) === solicitanteId) {
+      return res.status(400).json({ error: 'Você já é o proprietário atual deste veículo' });
     }
 
-    // Verificar se expirou
-    if (compartilhamento.expira_em) {
-      const dataExpiracao = new Date(compartilhamento.expira_em);
-      const agora = new Date();
-      if (dataExpiracao < agora) {
-        return res.status(410).json({ error: 'Link de compartilhamento expirado' });
+    // Quem aprova: quem criou o link, se ainda pode transferir; senão o dono do veículo
+    let origem = { erro: 'PROPRIETARIO_INDEFINIDO' };
+    let remetenteId = null;
+    for (const candidato of [compartilhamento.criado_por_usuario_id, veiculo.usuario_id]) {
+      if (!candidato || parseInt(candidato) === solicitanteId) continue;
+      origem = await verificarPodeTransferir(veiculo.id, candidato);
+      if (!origem.erro) {
+        remetenteId = parseInt(candidato);
+        break;
       }
     }
+    if (origem.erro) {
+      return res.status(409).json({
+        error: 'Não foi possível identificar quem pode aprovar a transferência deste veículo',
+        code: 'PROPRIETARIO_INDEFINIDO'
+      });
+    }
 
-    const veiculoId = compartilhamento.veiculo_id;
-
-    // Buscar dados do veículo
-    const veiculo = await queryOne(
-      'SELECT * FROM veiculos WHERE id = ?',
-      [veiculoId]
-    );
+    const { mensagem } = req.body || {};
+    const resultado = await criarPedidoTransferencia({
+      veiculo: origem.veiculo,
+      remetenteId: remetenteId,
+      destinatarioId: solicitanteId,
+      mensagem: mensagem ? mensagem.toString().trim().slice(0, 1000) || null : null,
+      iniciadaPor: 'destinatario',
+      compartilhamentoId: compartilhamento.id
+    });
 
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
+    if (resultado.erro === 'TRANSFERENCIA_PENDENTE') {
+      return res.status(409).json({
+        error: 'Já existe uma transferência pendente para este veículo',
+        code: 'TRANSFERENCIA_PENDENTE'
+      });
     }
 
-    // Verificar se o usuário já é o proprietário atual
-    if (veiculo.usuario_id === novoUsuarioId) {
-      return res.status(400).json({ error: 'Você já é o proprietário atual deste veículo' });
-    }
+    await registrarAuditoria({
+      req,
+      acao: 'criar',
+      entidade: 'transferencias_veiculo',
+      entidadeId: resultado.id,
+      veiculoId: veiculo.id,
+      depois: {
+        remetente_usuario_id: remetenteId,
+        destinatario_usuario_id: solicitanteId,
+        iniciada_por: 'destinatario',
+        compartilhamento_id: compartilhamento.id,
+        expira_em: resultado.expira_em
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      mensagem: 'Pedido de transferência enviado. O veículo muda de dono quando o proprietário aprovar.',
+      transferencia: formatarTransferencia(resultado, construirUrlBase(req))
+    });
+  } catch (error) {
+    console.error('Erro ao pedir transferência do veículo compartilhado:', error);
+    res.status(500).json({ error: 'Erro ao pedir transferência do veículo compartilhado' });
+  }
+});
 
-    // Buscar proprietário atual (último sem data_venda)
-    const proprietarioAtual = await queryOne(
-      `SELECT * FROM proprietarios_historico 
-       WHERE veiculo_id = ? AND (data_venda IS NULL OR data_venda = '')
-       ORDER BY data_aquisicao DESC, id DESC
-       LIMIT 1`,
-      [veiculoId]
+/**
+ * POST /compartilhamento/:token/manutencoes
+ * Oficina inclui uma manutenção pelo link 'mecanico' (SEM autenticação)
+ * Body (multipart): data, valor, descricao, tipo_manutencao, area_manutencao, oficina_nome, documento (foto ou PDF)
+ */
+router.post('/:token/manutencoes', upload.single('documento'), async (req, res) => {
+  let chavesArmazenadas = [];
+  try {
+    const validacao = await validarCompartilhamento(
+      req.params.token,
+      req.get(CABECALHO_SENHA_COMPARTILHAMENTO),
+      { exigirUsoDisponivel: false, tipos: ['mecanico'] }
     );
+    if (validacao.erro) {
+      removerArquivoTemporario(req.file);
+      return responderErroCompartilhamento(res, validacao.erro);
+    }
+    const { compartilhamento } = validacao;
 
-    const hoje = new Date().toISOString().split('T')[0];
-    const kmAtual = veiculo.km_atual || 0;
+    const { descricao, data, valor, tipo_manutencao, area_manutencao, oficina_nome } = req.body;
 
-    // Encerrar período do proprietário atual (se existir)
-    if (proprietarioAtual) {
-      await query(
-        `UPDATE proprietarios_historico 
-         SET data_venda = ?, km_venda = ?
-         WHERE id = ?`,
-        [hoje, kmAtual, proprietarioAtual.id]
-      );
+    if (!data || !validarData(data)) {
+      removerArquivoTemporario(req.file);
+      return res.status(400).json({
+        error: 'Data inválida. Use o formato YYYY-MM-DD e não pode ser futura.',
+        code: 'DATA_INVALID'
+      });
     }
 
-    // Criar novo período de proprietário para o novo usuário
-    // Buscar nome do usuário
-    const novoUsuario = await queryOne(
-      'SELECT nome, email FROM usuarios WHERE id = ?',
-      [novoUsuarioId]
-    );
+    if (!valor || isNaN(parseFloat(valor)) || parseFloat(valor) <= 0) {
+      removerArquivoTemporario(req.file);
+      return res.status(400).json({
+        error: 'Valor é obrigatório e deve ser maior que zero',
+        code: 'VALOR_REQUIRED'
+      });
+    }
 
-    const nomeNovoProprietario = novoUsuario?.nome || novoUsuario?.email || 'Novo Proprietário';
+    if (tipo_manutencao && !TIPOS_MANUTENCAO_VALIDOS.includes(tipo_manutencao)) {
+      removerArquivoTemporario(req.file);
+      return res.status(400).json({
+        error: `Tipo de manutenção inválido. Valores aceitos: ${TIPOS_MANUTENCAO_VALIDOS.join(', ')}`,
+        code: 'TIPO_MANUTENCAO_INVALID'
+      });
+    }
 
-    await query(
-      `INSERT INTO proprietarios_historico 
-       (veiculo_id, nome, data_aquisicao, data_venda, km_aquisicao, km_venda)
-       VALUES (?, ?, ?, NULL, ?, NULL)`,
-      [veiculoId, nomeNovoProprietario, hoje, kmAtual]
-    );
+    if (area_manutencao && !AREAS_MANUTENCAO_VALIDAS.includes(area_manutencao)) {
+      removerArquivoTemporario(req.file);
+      return res.status(400).json({
+        error: `Área de manutenção inválida. Valores aceitos: ${AREAS_MANUTENCAO_VALIDAS.join(', ')}`,
+        code: 'AREA_MANUTENCAO_INVALID'
+      });
+    }
 
-    // Atualizar veículo para o novo usuário
-    await query(
-      'UPDATE veiculos SET usuario_id = ? WHERE id = ?',
-      [novoUsuarioId, veiculoId]
-    );
+    // Sem login, a descrição é o que identifica o serviço para o dono
+    if (!descricao || !descricao.toString().trim()) {
+      removerArquivoTemporario(req.file);
+      return res.status(400).json({
+        error: 'Descrição do serviço é obrigatória',
+        code: 'DESCRICAO_REQUIRED'
+      });
+    }
 
-    // Registrar no histórico de KM (opcional, para rastreabilidade)
-    // Garantir que data_registro sempre seja preenchido
-    const { isPostgres } = await import('../database/db-adapter.js');
-    const timestampFunc = isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')";
-    await query(
-      `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, data_registro, criado_em)
-       VALUES (?, ?, ?, 'transferencia', ${timestampFunc}, ${timestampFunc})`,
-      [veiculoId, novoUsuarioId, kmAtual]
-    );
+    const erroArquivo = req.file
+      ? validarArquivosAnexo([req.file]) || await processarImagensUpload([req.file])
+      : null;
+    if (erroArquivo) {
+      removerArquivoTemporario(req.file);
+      return res.status(400).json({
+        error: erroArquivo.mensagem,
+        code: erroArquivo.erro
+      });
+    }
 
-    res.json({
+    const veiculo = await queryOne('SELECT id, usuario_id FROM veiculos WHERE id = ?', [compartilhamento.veiculo_id]);
+    if (!veiculo) {
+      removerArquivoTemporario(req.file);
+      return res.status(404).json({ error: 'Veículo não encontrado' });
+    }
+
+    const oficinaNome = oficina_nome ? oficina_nome.toString().trim().slice(0, 255) || null : null;
+
+    chavesArmazenadas = await armazenarArquivosAnexo(req.file ? [req.file] : []);
+
+    // O registro pertence ao dono atual (aparece no histórico dele) e guarda o link de origem
+    const { result, anexos } = await withTransaction(async () => {
+      const result = await query(
+        `INSERT INTO manutencoes
+        (veiculo_id, descricao, data, valor, tipo, tipo_manutencao, area_manutencao, usuario_id, compartilhamento_id, oficina_nome)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          veiculo.id,
+          descricao.toString().trim(),
+          data,
+          parseFloat(valor),
+          tipo_manutencao || null,
+          tipo_manutencao || null,
+          area_manutencao || null,
+          veiculo.usuario_id,
+          compartilhamento.id,
+          oficinaNome
+        ]
+      );
+      // Anexo sem usuario_id: enviado pela oficina, sem login
+      const anexos = await salvarAnexos(result.insertId, null, req.file ? [req.file] : []);
+      return { result, anexos };
+    });
+    const urlUpload = (arquivo) => urlArquivo(arquivo, construirUrlBase(req));
+
+    await registrarAuditoria({
+      req,
+      acao: 'criar',
+      entidade: 'manutencoes',
+      entidadeId: result.insertId,
+      veiculoId: veiculo.id,
+      depois: {
+        descricao: descricao.toString().trim(),
+        data,
+        valor: parseFloat(valor),
+        tipo_manutencao: tipo_manutencao || null,
+        area_manutencao: area_manutencao || null,
+        anexos: anexos.map(a => ({ arquivo: a.arquivo, categoria: a.categoria })),
+        compartilhamento_id: compartilhamento.id,
+        oficina_nome: oficinaNome
+      }
+    });
+
+    res.status(201).json({
       success: true,
-      mensagem: 'Veículo aceito com sucesso. Um novo período de posse foi iniciado.',
-      veiculo: {
-        id: veiculo.id,
-        placa: veiculo.placa,
-        marca: veiculo.marca,
-        modelo: veiculo.modelo,
-      },
+      mensagem: 'Manutenção registrada no histórico do veículo',
+      manutencao: {
+        id: result.insertId,
+        veiculo_id: veiculo.id,
+        data,
+        descricao: descricao.toString().trim(),
+        valor: parseFloat(valor),
+        tipo_manutencao: tipo_manutencao || null,
+        area_manutencao: area_manutencao || null,
+        oficina_nome: oficinaNome,
+        imagem_url: imagemPrincipal(anexos) ? urlUpload(imagemPrincipal(anexos)) : null,
+        anexos: anexos.map(anexo => formatarAnexo(anexo, urlUpload))
+      }
     });
   } catch (error) {
-    console.error('Erro ao aceitar veículo compartilhado:', error);
-    res.status(500).json({ error: 'Erro ao aceitar veículo compartilhado' });
+    removerArquivoTemporario(req.file);
+    await removerArquivos(chavesArmazenadas);
+    console.error('Erro ao registrar manutenção pelo link de oficina:', error);
+    res.status(500).json({ error: 'Erro ao registrar manutenção' });
   }
 });
 
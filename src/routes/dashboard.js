@@ -6,6 +6,19 @@
 import express from 'express';
 import { authRequired } from '../middleware/auth.js';
 import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { getUnidadeUso } from '../utils/tipoEquipamento.js';
+import { avaliarPlanoVeiculo } from '../services/planosManutencaoService.js';
+import { calcularConsumoTanqueCheio } from '../services/abastecimentosService.js';
+import { filtroVeiculosAcessiveis, filtroRegistrosDoVeiculo } from '../services/organizacoesService.js';
+import { nomeVeiculoAlerta } from '../services/alertasService.js';
+import {
+  avaliarObrigacoesVeiculo,
+  calcularVencimentoLicenciamento,
+  buscarLicenciamentoDoAno,
+  listarObrigacoesPendentes,
+  formatarObrigacao,
+  situacaoObrigacao,
+} from '../services/obrigacoesService.js';
 
 const router = express.Router();
 
@@ -20,18 +33,25 @@ router.get('/resumo', authRequired, async (req, res) => {
     // Importar helper de proprietário atual
     const { getPeriodoProprietarioAtual, manutencaoPertenceAoProprietarioAtual } = await import('../utils/proprietarioAtual.js');
 
-    // (A) Buscar todos os veículos do usuário
+    // (A) Buscar todos os veículos do usuário (pessoais e das organizações de que é membro)
+    const filtroVeiculos = filtroVeiculosAcessiveis(userId, '');
     const veiculos = await queryAll(
-      'SELECT id, km_atual FROM veiculos WHERE usuario_id = ?',
-      [userId]
+      `SELECT id, placa, uf, km_atual, tipo_veiculo, unidade_uso, fabricante_id, modelo_id, organizacao_id FROM veiculos WHERE ${filtroVeiculos.sql}`,
+      filtroVeiculos.params
     ) || [];
 
-    // Calcular kmTotal (soma do km_atual de todos os veículos)
-    const kmTotal = Array.isArray(veiculos) && veiculos.length > 0
-      ? veiculos.reduce((total, veiculo) => {
-          return total + (parseInt(veiculo?.km_atual) || 0);
-        }, 0)
-      : 0;
+    // Calcular kmTotal (soma do km_atual dos veículos com odômetro)
+    // e horasTotal (soma das leituras dos equipamentos com horímetro)
+    let kmTotal = 0;
+    let horasTotal = 0;
+    for (const veiculo of Array.isArray(veiculos) ? veiculos : []) {
+      if (!veiculo) continue;
+      if (getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso) === 'horas') {
+        horasTotal += parseInt(veiculo.km_atual) || 0;
+      } else {
+        kmTotal += parseInt(veiculo.km_atual) || 0;
+      }
+    }
 
     // (B) Buscar abastecimentos dos últimos 30 dias (apenas do proprietário atual)
     const data30DiasAtras = new Date();
@@ -56,11 +76,12 @@ router.get('/resumo', authRequired, async (req, res) => {
         }
       }
 
+      const filtroRegistros = filtroRegistrosDoVeiculo(veiculo, userId);
       const abastVeiculo = await queryAll(
         `SELECT valor_total FROM abastecimentos 
-         WHERE usuario_id = ? AND veiculo_id = ? 
+         WHERE ${filtroRegistros.sql} 
            AND data >= COALESCE(CAST(? AS DATE), data)`,
-        [userId, veiculo.id, dataInicioFiltro || null]
+        [...filtroRegistros.params, dataInicioFiltro || null]
       ) || [];
       abastecimentos30Dias = abastecimentos30Dias.concat(Array.isArray(abastVeiculo) ? abastVeiculo : []);
     }
@@ -124,8 +145,13 @@ router.get('/resumo', authRequired, async (req, res) => {
 
     const gasto30dias = (gastoAbastecimentos || 0) + (gastoManutencoes || 0);
 
-    // (C) Calcular consumo médio (km rodado / litros abastecidos) - apenas do proprietário atual
-    let abastecimentosComKm = [];
+    // (C) Calcular consumo médio entre tanques cheios - apenas do proprietário atual
+    // Odômetro: km rodado / litros (km/l) | Horímetro: litros / horas trabalhadas (l/h)
+    let kmRodadoTotal = 0;
+    let litrosTotal = 0;
+    let horasTrabalhadasTotal = 0;
+    let litrosHorasTotal = 0;
+
     for (const veiculo of veiculos) {
       if (!veiculo || !veiculo.id) continue;
       const periodo = await getPeriodoProprietarioAtual(veiculo.id);
@@ -142,34 +168,31 @@ router.get('/resumo', authRequired, async (req, res) => {
       }
       const dataInicioStr = dataInicioValida.toISOString().split('T')[0];
 
+      const filtroRegistros = filtroRegistrosDoVeiculo(veiculo, userId);
       const abastVeiculo = await queryAll(
-        `SELECT km_antes, km_depois, litros, data
+        `SELECT id, km_depois, litros, valor_total, tanque_cheio, data
          FROM abastecimentos 
-         WHERE usuario_id = ? AND veiculo_id = ? 
-           AND km_antes IS NOT NULL AND km_depois IS NOT NULL 
-           AND litros > 0 AND data >= COALESCE(CAST(? AS DATE), data)`,
-        [userId, veiculo.id, dataInicioStr || null]
+         WHERE ${filtroRegistros.sql} 
+           AND data >= COALESCE(CAST(? AS DATE), data)`,
+        [...filtroRegistros.params, dataInicioStr || null]
       ) || [];
-      abastecimentosComKm = abastecimentosComKm.concat(Array.isArray(abastVeiculo) ? abastVeiculo : []);
-    }
-
-    let kmRodadoTotal = 0;
-    let litrosTotal = 0;
+      const unidadeVeiculo = getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso);
+      const { usoTotal, litrosTotal: litrosVeiculo } = calcularConsumoTanqueCheio(
+        Array.isArray(abastVeiculo) ? abastVeiculo : [],
+        unidadeVeiculo
+      );
 
-    if (Array.isArray(abastecimentosComKm) && abastecimentosComKm.length > 0) {
-      abastecimentosComKm.forEach((ab) => {
-        if (ab && ab.km_depois && ab.km_antes && ab.litros) {
-          const kmRodado = (parseInt(ab.km_depois) || 0) - (parseInt(ab.km_antes) || 0);
-          const litros = parseFloat(ab.litros) || 0;
-          if (kmRodado > 0 && litros > 0) {
-            kmRodadoTotal += kmRodado;
-            litrosTotal += litros;
-          }
-        }
-      });
+      if (unidadeVeiculo === 'horas') {
+        horasTrabalhadasTotal += usoTotal;
+        litrosHorasTotal += litrosVeiculo;
+      } else {
+        kmRodadoTotal += usoTotal;
+        litrosTotal += litrosVeiculo;
+      }
     }
 
     const consumoMedio = litrosTotal > 0 ? (kmRodadoTotal / litrosTotal).toFixed(2) : '0';
+    const consumoMedioHoras = horasTrabalhadasTotal > 0 ? (litrosHorasTotal / horasTrabalhadasTotal).toFixed(2) : '0';
 
     // (D) Calcular litros abastecidos no mês atual (apenas do proprietário atual)
     const agora = new Date();
@@ -193,11 +216,12 @@ router.get('/resumo', authRequired, async (req, res) => {
         }
       }
 
+      const filtroRegistros = filtroRegistrosDoVeiculo(veiculo, userId);
       const abastVeiculo = await queryAll(
         `SELECT litros FROM abastecimentos 
-         WHERE usuario_id = ? AND veiculo_id = ? 
+         WHERE ${filtroRegistros.sql} 
            AND data >= COALESCE(CAST(? AS DATE), data)`,
-        [userId, veiculo.id, dataInicioFiltro || null]
+        [...filtroRegistros.params, dataInicioFiltro || null]
       ) || [];
       abastecimentosMes = abastecimentosMes.concat(Array.isArray(abastVeiculo) ? abastVeiculo : []);
     }
@@ -209,148 +233,65 @@ router.get('/resumo', authRequired, async (req, res) => {
       : 0;
 
     // (E) Calcular previsão de manutenção mais próxima (considerando período do proprietário atual)
-    // Buscar última troca de óleo (manutenção preventiva na área motor/cambio) - pode ser herdada
-    let ultimaTrocaOleo = null;
-    let veiculoTrocaOleo = null;
-    
+    // Avalia o plano de manutenção de cada veículo e escolhe o alerta mais urgente
+    let manutencaoProxima = null;
+    let alertaMaisUrgente = null;
+    const prioridadeStatus = { vermelho: 0, amarelo: 1 };
+
     for (const veiculo of veiculos) {
       if (!veiculo || !veiculo.id) continue;
       const periodo = await getPeriodoProprietarioAtual(veiculo.id);
       if (!periodo) continue;
 
-      // Construir query dinamicamente baseado em se há data de início válida
-      let trocaOleo;
-      if (periodo.dataInicio && typeof periodo.dataInicio === 'string' && periodo.dataInicio.trim() !== '') {
-        const dataInicioValida = new Date(periodo.dataInicio);
-        if (!isNaN(dataInicioValida.getTime())) {
-          const dataInicioStr = dataInicioValida.toISOString().split('T')[0];
-          trocaOleo = await queryOne(
-            `SELECT m.*, v.km_atual 
-             FROM manutencoes m
-             JOIN veiculos v ON m.veiculo_id = v.id
-             WHERE m.veiculo_id = ?
-               AND m.tipo_manutencao = 'preventiva'
-               AND m.area_manutencao = 'motor_cambio'
-               AND m.data IS NOT NULL
-               AND m.data >= COALESCE(CAST(? AS DATE), m.data)
-             ORDER BY m.data DESC, m.id DESC
-             LIMIT 1`,
-            [veiculo.id, dataInicioStr || null]
-          );
-        } else {
-          // Data inválida, buscar sem filtro de data
-          trocaOleo = await queryOne(
-            `SELECT m.*, v.km_atual 
-             FROM manutencoes m
-             JOIN veiculos v ON m.veiculo_id = v.id
-             WHERE m.veiculo_id = ?
-               AND m.tipo_manutencao = 'preventiva'
-               AND m.area_manutencao = 'motor_cambio'
-               AND m.data IS NOT NULL
-             ORDER BY m.data DESC, m.id DESC
-             LIMIT 1`,
-            [veiculo.id]
-          );
+      const { alertas } = await avaliarPlanoVeiculo(veiculo, periodo, agora);
+      for (const alerta of alertas) {
+        // Verde = ainda longe do vencimento, não entra na previsão
+        if (!(alerta.status in prioridadeStatus)) continue;
+        const faltaUso = alerta.metrica === 'horas' ? alerta.faltaHoras : alerta.faltaKm;
+        const candidato = { ...alerta, faltaUso, veiculoId: veiculo.id };
+        if (
+          !alertaMaisUrgente ||
+          prioridadeStatus[candidato.status] < prioridadeStatus[alertaMaisUrgente.status] ||
+          (prioridadeStatus[candidato.status] === prioridadeStatus[alertaMaisUrgente.status] &&
+            (candidato.faltaUso ?? Infinity) < (alertaMaisUrgente.faltaUso ?? Infinity))
+        ) {
+          alertaMaisUrgente = candidato;
         }
-      } else {
-        // Sem data de início, buscar sem filtro de data
-        trocaOleo = await queryOne(
-          `SELECT m.*, v.km_atual 
-           FROM manutencoes m
-           JOIN veiculos v ON m.veiculo_id = v.id
-           WHERE m.veiculo_id = ?
-             AND m.tipo_manutencao = 'preventiva'
-             AND m.area_manutencao = 'motor_cambio'
-             AND m.data IS NOT NULL
-           ORDER BY m.data DESC, m.id DESC
-           LIMIT 1`,
-          [veiculo.id]
-        );
-      }
-
-      if (trocaOleo && (!ultimaTrocaOleo || trocaOleo.data > ultimaTrocaOleo.data)) {
-        ultimaTrocaOleo = trocaOleo;
-        veiculoTrocaOleo = veiculo;
       }
     }
 
-    let manutencaoProxima = null;
-
-    if (ultimaTrocaOleo && veiculoTrocaOleo) {
-      // Intervalo padrão: 10.000 km ou 6 meses
-      const intervaloKm = 10000;
-      const intervaloMeses = 6;
+    if (alertaMaisUrgente) {
+      manutencaoProxima = {
+        tipo: alertaMaisUrgente.tipo,
+        metrica: alertaMaisUrgente.metrica,
+        emKm: alertaMaisUrgente.metrica === 'km' ? alertaMaisUrgente.proximoServicoEm : null,
+        emHoras: alertaMaisUrgente.metrica === 'horas' ? alertaMaisUrgente.proximoServicoEm : null,
+        faltaKm: alertaMaisUrgente.faltaKm,
+        faltaHoras: alertaMaisUrgente.faltaHoras,
+        faltaMeses: alertaMaisUrgente.faltaMeses,
+        veiculoId: alertaMaisUrgente.veiculoId,
+      };
+    }
 
-      const periodo = await getPeriodoProprietarioAtual(veiculoTrocaOleo.id);
-      const kmInicio = periodo ? (parseInt(periodo.kmInicio) || 0) : 0;
-      const kmAtualVeiculo = parseInt(veiculoTrocaOleo.km_atual) || 0;
-      
-      // Buscar KM do veículo na data da última manutenção (usar histórico de KM)
-      // Validar data antes de usar em query
-      let dataManutencaoValida = new Date();
-      if (ultimaTrocaOleo.data) {
-        const dataTeste = new Date(ultimaTrocaOleo.data);
-        if (!isNaN(dataTeste.getTime())) {
-          dataManutencaoValida = dataTeste;
-        }
-      }
-      const dataManutencaoStr = dataManutencaoValida.toISOString().split('T')[0];
-      
-      const kmHistorico = await queryOne(
-        `SELECT km FROM km_historico 
-         WHERE veiculo_id = ? 
-           AND (data_registro <= COALESCE(CAST(? AS DATE), data_registro) 
-                OR criado_em <= COALESCE(CAST(? AS TIMESTAMP), criado_em))
-         ORDER BY data_registro DESC, criado_em DESC LIMIT 1`,
-        [veiculoTrocaOleo.id, dataManutencaoStr || null, dataManutencaoValida.toISOString() || null]
-      );
-      
-      const kmNaDataManutencao = (kmHistorico && kmHistorico.km != null)
-        ? parseInt(kmHistorico.km) || 0
-        : Math.max(kmInicio, kmAtualVeiculo - 5000); // Aproximação, mas não menor que kmInicio
-      
-      // Calcular KM rodado desde a última manutenção (apenas no período do proprietário atual)
-      const kmRodadoDesdeManutencao = Math.max(0, kmAtualVeiculo - Math.max(kmNaDataManutencao, kmInicio));
-      const faltaKm = intervaloKm - kmRodadoDesdeManutencao;
-
-      // Verificar também por data (6 meses) - considerar período do proprietário atual
-      let dataUltimaManutencao;
-      try {
-        dataUltimaManutencao = ultimaTrocaOleo.data 
-          ? new Date(ultimaTrocaOleo.data) 
-          : new Date();
-        if (isNaN(dataUltimaManutencao.getTime())) {
-          dataUltimaManutencao = new Date();
-        }
-      } catch (err) {
-        dataUltimaManutencao = new Date();
-      }
-      
-      let dataInicioPeriodo;
-      try {
-        dataInicioPeriodo = periodo && periodo.dataInicio 
-          ? new Date(periodo.dataInicio) 
-          : dataUltimaManutencao;
-        if (isNaN(dataInicioPeriodo.getTime())) {
-          dataInicioPeriodo = dataUltimaManutencao;
+    // (F) Obrigação mais próxima (IPVA, licenciamento, seguro...): vencida ou a vencer
+    let obrigacaoProxima = null;
+    for (const veiculo of veiculos) {
+      if (!veiculo || !veiculo.id) continue;
+      const alertas = await avaliarObrigacoesVeiculo(veiculo, agora);
+      for (const alerta of alertas) {
+        if (!(alerta.status in prioridadeStatus)) continue;
+        if (!obrigacaoProxima || alerta.vencimento < obrigacaoProxima.vencimento) {
+          obrigacaoProxima = {
+            tipo: alerta.tipo,
+            obrigacaoTipo: alerta.obrigacaoTipo,
+            obrigacaoId: alerta.obrigacaoId,
+            status: alerta.status,
+            vencimento: alerta.vencimento,
+            diasParaVencimento: alerta.diasParaVencimento,
+            valor: alerta.valor,
+            veiculoId: veiculo.id,
+          };
         }
-      } catch (err) {
-        dataInicioPeriodo = dataUltimaManutencao;
-      }
-      
-      const dataReferencia = dataUltimaManutencao > dataInicioPeriodo ? dataUltimaManutencao : dataInicioPeriodo;
-      const mesesDesdeManutencao = (agora - dataReferencia) / (1000 * 60 * 60 * 24 * 30);
-      const faltaMeses = intervaloMeses - mesesDesdeManutencao;
-
-      // Se falta menos de 2000 km ou menos de 1 mês, alertar
-      if (faltaKm <= 2000 || faltaMeses <= 1) {
-        manutencaoProxima = {
-          tipo: 'Troca de Óleo',
-          emKm: kmNaDataManutencao + intervaloKm,
-          faltaKm: Math.max(0, faltaKm),
-          faltaMeses: Math.max(0, Math.round(faltaMeses * 10) / 10),
-          veiculoId: veiculoTrocaOleo.id,
-        };
       }
     }
 
@@ -359,14 +300,18 @@ router.get('/resumo', authRequired, async (req, res) => {
     const consumoMedioNum = typeof consumoMedio === 'string' 
       ? parseFloat(consumoMedio) || 0 
       : (typeof consumoMedio === 'number' && !isNaN(consumoMedio) ? consumoMedio : 0);
+    const consumoMedioHorasNum = parseFloat(consumoMedioHoras) || 0;
     const litrosMesNum = typeof litrosMes === 'number' && !isNaN(litrosMes) ? litrosMes : 0;
     
     const resumoFinal = {
       kmTotal: typeof kmTotal === 'number' && !isNaN(kmTotal) ? kmTotal : 0,
+      horasTotal: typeof horasTotal === 'number' && !isNaN(horasTotal) ? horasTotal : 0,
       gasto30dias: parseFloat(gasto30diasNum.toFixed(2)) || 0,
       consumoMedio: consumoMedioNum > 0 ? parseFloat(consumoMedioNum.toFixed(2)) : 0,
+      consumoMedioHoras: consumoMedioHorasNum > 0 ? parseFloat(consumoMedioHorasNum.toFixed(2)) : 0,
       litrosMes: parseFloat(litrosMesNum.toFixed(2)) || 0,
       manutencaoProxima: manutencaoProxima || null,
+      obrigacaoProxima,
     };
     
     console.log('[DIAGNÓSTICO GET /dashboard/resumo] Resumo final retornado:', JSON.stringify(resumoFinal, null, 2));
@@ -386,10 +331,13 @@ router.get('/resumo', authRequired, async (req, res) => {
     // SEMPRE retornar 200 com valores padrão, nunca 500
     const resumoFallback = {
       kmTotal: 0,
+      horasTotal: 0,
       gasto30dias: 0,
       consumoMedio: 0,
+      consumoMedioHoras: 0,
       litrosMes: 0,
       manutencaoProxima: null,
+      obrigacaoProxima: null,
     };
     
     console.log('[DIAGNÓSTICO - BACKEND] Retornando resumo fallback devido a erro:', JSON.stringify(resumoFallback, null, 2));
@@ -397,5 +345,114 @@ router.get('/resumo', authRequired, async (req, res) => {
   }
 });
 
+/**
+ * GET /dashboard/custos-previstos?dias=90
+ * Custos previstos dos veículos acessíveis até hoje + dias (padrão 90, máx. 365)
+ * - obrigacoes: pendentes com vencimento no período (inclui vencidas) e o licenciamento
+ *   previsto pelo calendário quando o do ano não foi registrado (origem 'previsto', sem valor)
+ * - manutencoes: itens do plano vencidos ou próximos (sem valor estimado)
+ * - totais: soma dos valores conhecidos, quanto já venceu e total por mês de vencimento
+ */
+router.get('/custos-previstos', authRequired, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const dias = Math.min(Math.max(parseInt(req.query.dias) || 90, 1), 365);
+    const agora = new Date();
+    const hoje = agora.toISOString().split('T')[0];
+    const limite = new Date(agora);
+    limite.setUTCDate(limite.getUTCDate() + dias);
+    const ate = limite.toISOString().split('T')[0];
+
+    const { getPeriodoProprietarioAtual } = await import('../utils/proprietarioAtual.js');
+
+    const filtroVeiculos = filtroVeiculosAcessiveis(userId, '');
+    const veiculos = await queryAll(
+      `SELECT id, placa, modelo, ano, uf, km_atual, tipo_veiculo, unidade_uso, fabricante_id, modelo_id, organizacao_id
+       FROM veiculos WHERE ${filtroVeiculos.sql} ORDER BY id`,
+      filtroVeiculos.params
+    );
+    const veiculosPorId = new Map(veiculos.map(v => [parseInt(v.id), v]));
+
+    // Obrigações registradas
+    const obrigacoes = (await listarObrigacoesPendentes([...veiculosPorId.keys()], ate)).map(obrigacao => ({
+      ...formatarObrigacao(obrigacao, agora),
+      veiculo_nome: nomeVeiculoAlerta(veiculosPorId.get(parseInt(obrigacao.veiculo_id))),
+    }));
+
+    // Licenciamento previsto pelo calendário (anos do período sem registro; o do ano atual pode estar vencido)
+    for (const veiculo of veiculos) {
+      for (let ano = parseInt(hoje.slice(0, 4)); ano <= parseInt(ate.slice(0, 4)); ano++) {
+        const previsto = calcularVencimentoLicenciamento(veiculo, ano);
+        if (!previsto || previsto.vencimento > ate) continue;
+        if (await buscarLicenciamentoDoAno(veiculo.id, ano)) continue;
+
+        const obrigacao = { tipo: 'licenciamento', ano_referencia: ano, vencimento: previsto.vencimento, status: 'pendente' };
+        const { situacao, diasParaVencimento } = situacaoObrigacao(obrigacao, agora);
+        obrigacoes.push({
+          id: null,
+          veiculo_id: veiculo.id,
+          tipo: 'licenciamento',
+          rotulo: `Licenciamento ${ano}`,
+          ano_referencia: ano,
+          vencimento: previsto.vencimento,
+          valor: null,
+          status: 'pendente',
+          origem: 'previsto',
+          situacao,
+          dias_para_vencimento: diasParaVencimento,
+          veiculo_nome: nomeVeiculoAlerta(veiculo),
+        });
+      }
+    }
+    obrigacoes.sort((a, b) => a.vencimento.localeCompare(b.vencimento));
+
+    // Manutenções vencidas ou próximas (período do proprietário atual)
+    const manutencoes = [];
+    for (const veiculo of veiculos) {
+      const periodo = await getPeriodoProprietarioAtual(veiculo.id);
+      if (!periodo) continue;
+
+      const { alertas } = await avaliarPlanoVeiculo(veiculo, periodo, agora);
+      for (const alerta of alertas) {
+        if (alerta.status !== 'vermelho' && alerta.status !== 'amarelo') continue;
+        manutencoes.push({
+          ...alerta,
+          veiculoId: veiculo.id,
+          veiculoNome: nomeVeiculoAlerta(veiculo),
+          valor: null,
+        });
+      }
+    }
+
+    // Totais (só obrigações com valor informado)
+    let total = 0;
+    let totalVencido = 0;
+    const porMes = {};
+    for (const obrigacao of obrigacoes) {
+      if (obrigacao.valor === null) continue;
+      total += obrigacao.valor;
+      if (obrigacao.situacao === 'vencida') totalVencido += obrigacao.valor;
+      const mes = obrigacao.vencimento.slice(0, 7);
+      porMes[mes] = (porMes[mes] || 0) + obrigacao.valor;
+    }
+
+    res.json({
+      dias,
+      ate,
+      obrigacoes,
+      manutencoes,
+      totais: {
+        total: parseFloat(total.toFixed(2)),
+        total_vencido: parseFloat(totalVencido.toFixed(2)),
+        sem_valor: obrigacoes.filter(o => o.valor === null).length + manutencoes.length,
+        por_mes: Object.keys(porMes).sort().map(mes => ({ mes, total: parseFloat(porMes[mes].toFixed(2)) })),
+      },
+    });
+  } catch (error) {
+    console.error('[ERRO] Erro ao calcular custos previstos:', error);
+    res.status(500).json({ error: 'Erro ao calcular custos previstos', details: error.message });
+  }
+});
+
 export default router;
 
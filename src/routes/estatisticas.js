@@ -6,6 +6,8 @@
 import express from 'express';
 import { authRequired } from '../middleware/auth.js';
 import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { getUnidadeUso, getUnidadeConsumo } from '../utils/tipoEquipamento.js';
+import { calcularConsumoTanqueCheio } from '../services/abastecimentosService.js';
 
 const router = express.Router();
 
@@ -23,7 +25,7 @@ router.get('/:veiculoId', authRequired, async (req, res) => {
 
     // Validar que o veículo pertence ao usuário
     const veiculo = await queryOne(
-      'SELECT id, km_atual FROM veiculos WHERE id = ? AND usuario_id = ?',
+      'SELECT id, km_atual, tipo_veiculo, unidade_uso FROM veiculos WHERE id = ? AND usuario_id = ?',
       [veiculoId, userId]
     );
 
@@ -31,19 +33,27 @@ router.get('/:veiculoId', authRequired, async (req, res) => {
       return res.status(404).json({ error: 'Veículo não encontrado' });
     }
 
+    // Unidade das leituras (km ou horas de horímetro) e do consumo (km/l ou l/h)
+    const unidade = getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso);
+    const unidadeConsumo = getUnidadeConsumo(unidade);
+
     // Obter período do proprietário atual (bootstrap automático se não existir)
     const periodo = await getPeriodoProprietarioAtual(veiculoId);
     if (!periodo || !periodo.dataInicio) {
       // Se não houver período após bootstrap, retornar estrutura vazia ao invés de 404
       return res.json({
+        unidade,
+        unidadeConsumo,
         consumo: [],
+        consumoMedio: null,
         gastosMensais: [],
         kmRodados: [],
         manutencoes: []
       });
     }
 
-    // (A) CONSUMO: Abastecimentos com cálculo de consumo (apenas do proprietário atual)
+    // (A) CONSUMO: Trechos entre tanques cheios (apenas do proprietário atual)
+    // Abastecimentos parciais somam litros no trecho, mas não geram ponto próprio
     const abastecimentos = await queryAll(
       `SELECT 
         id,
@@ -53,33 +63,30 @@ router.get('/:veiculoId', authRequired, async (req, res) => {
         km_depois,
         valor_total,
         preco_por_litro,
-        tipo_combustivel
+        tipo_combustivel,
+        tanque_cheio
       FROM abastecimentos
       WHERE veiculo_id = ? AND usuario_id = ? AND data >= ?
       ORDER BY data DESC, id DESC`,
       [veiculoId, userId, periodo.dataInicio]
     );
 
-    const consumo = abastecimentos
-      .filter(ab => ab.km_antes && ab.km_depois && ab.litros && parseFloat(ab.litros) > 0)
-      .map(ab => {
-        const kmAntes = parseInt(ab.km_antes) || 0;
-        const kmDepois = parseInt(ab.km_depois) || 0;
-        const litros = parseFloat(ab.litros) || 0;
-        const kmRodado = kmDepois - kmAntes;
-        const consumoCalculado = kmRodado > 0 && litros > 0 ? (kmRodado / litros).toFixed(2) : null;
-
-        return {
-          data: ab.data,
-          litros: parseFloat(litros.toFixed(2)),
-          kmAntes,
-          kmDepois,
-          consumo: consumoCalculado ? parseFloat(consumoCalculado) : null,
-          valorTotal: parseFloat(ab.valor_total) || 0,
-          tipoCombustivel: ab.tipo_combustivel || null,
-        };
-      })
-      .reverse(); // Ordenar do mais antigo para o mais recente
+    const consumoTanqueCheio = calcularConsumoTanqueCheio(abastecimentos, unidade);
+
+    // Trechos já vêm do mais antigo para o mais recente
+    const consumo = consumoTanqueCheio.trechos.map(trecho => ({
+      data: trecho.data,
+      litros: parseFloat(trecho.litros.toFixed(2)),
+      kmAntes: trecho.usoInicio,
+      kmDepois: trecho.usoFim,
+      consumo: trecho.consumo !== null ? parseFloat(trecho.consumo.toFixed(2)) : null,
+      valorTotal: parseFloat(trecho.valorTotal.toFixed(2)),
+      tipoCombustivel: trecho.tipoCombustivel,
+    }));
+
+    const consumoMedio = consumoTanqueCheio.consumoMedio !== null
+      ? parseFloat(consumoTanqueCheio.consumoMedio.toFixed(2))
+      : null;
 
     // (B) GASTOS MENSAIS: Agrupar manutenções + abastecimentos por mês (apenas do proprietário atual)
     // Importar helper para verificar se manutenção pertence ao proprietário atual
@@ -268,7 +275,10 @@ router.get('/:veiculoId', authRequired, async (req, res) => {
     }));
 
     res.json({
+      unidade,
+      unidadeConsumo,
       consumo,
+      consumoMedio,
       gastosMensais,
       kmRodados,
       manutencoesDistribuicao: manutencoesDistribuicaoFinal,
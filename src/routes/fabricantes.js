@@ -3,8 +3,15 @@
  */
 
 import express from 'express';
-import { authRequired } from '../middleware/auth.js';
+import { authRequired, requireRole } from '../middleware/auth.js';
 import { queryAll, queryOne } from '../database/db-adapter.js';
+import {
+  validarItemPlano,
+  listarItensPlano,
+  criarItemPlano,
+  atualizarItemPlano,
+  removerItemPlano,
+} from '../services/planosManutencaoService.js';
 
 const router = express.Router();
 
@@ -93,5 +100,97 @@ router.get('/:id/modelos', authRequired, async (req, res) => {
   }
 });
 
+/**
+ * GET /fabricantes/:id/planos
+ * Lista o plano de manutenção padrão do fabricante
+ */
+router.get('/:id/planos', authRequired, async (req, res) => {
+  try {
+    const registro = await queryOne('SELECT id FROM fabricantes WHERE id = ?', [req.params.id]);
+    if (!registro) {
+      return res.status(404).json({ error: 'Fabricante não encontrado' });
+    }
+
+    const itens = await listarItensPlano({ fabricanteId: registro.id });
+    res.json(itens);
+  } catch (error) {
+    console.error('Erro ao listar plano padrão do fabricante:', error);
+    res.status(500).json({ error: 'Erro ao listar plano de manutenção' });
+  }
+});
+
+/**
+ * POST /fabricantes/:id/planos
+ * Adiciona item ao plano padrão do fabricante (apenas admin/operador)
+ */
+router.post('/:id/planos', authRequired, requireRole('admin', 'operador'), async (req, res) => {
+  try {
+    const registro = await queryOne('SELECT id FROM fabricantes WHERE id = ?', [req.params.id]);
+    if (!registro) {
+      return res.status(404).json({ error: 'Fabricante não encontrado' });
+    }
+
+    const { erro, item } = validarItemPlano(req.body);
+    if (erro) {
+      return res.status(400).json({ error: erro, code: 'PLANO_INVALIDO' });
+    }
+
+    const criado = await criarItemPlano({ fabricanteId: registro.id }, item, req.userId);
+    res.status(201).json(criado);
+  } catch (error) {
+    console.error('Erro ao criar item do plano padrão do fabricante:', error);
+    res.status(500).json({ error: 'Erro ao criar item do plano de manutenção' });
+  }
+});
+
+/**
+ * PUT /fabricantes/:id/planos/:itemId
+ * Atualiza item do plano padrão do fabricante (apenas admin/operador)
+ */
+router.put('/:id/planos/:itemId', authRequired, requireRole('admin', 'operador'), async (req, res) => {
+  try {
+    const itemExistente = await queryOne(
+      'SELECT id FROM planos_manutencao WHERE id = ? AND fabricante_id = ? AND modelo_id IS NULL AND veiculo_id IS NULL',
+      [req.params.itemId, req.params.id]
+    );
+    if (!itemExistente) {
+      return res.status(404).json({ error: 'Item do plano não encontrado' });
+    }
+
+    const { erro, item } = validarItemPlano(req.body);
+    if (erro) {
+      return res.status(400).json({ error: erro, code: 'PLANO_INVALIDO' });
+    }
+
+    const atualizado = await atualizarItemPlano(itemExistente.id, item);
+    res.json(atualizado);
+  } catch (error) {
+    console.error('Erro ao atualizar item do plano padrão do fabricante:', error);
+    res.status(500).json({ error: 'Erro ao atualizar item do plano de manutenção' });
+  }
+});
+
+/**
+ * DELETE /fabricantes/:id/planos/:itemId
+ * Remove item do plano padrão do fabricante (apenas admin/operador)
+ */
+router.delete('/:id/planos/:itemId', authRequired, requireRole('admin', 'operador'), async (req, res) => {
+  try {
+    const itemExistente = await queryOne(
+      'SELECT id FROM planos_manutencao WHERE id = ? AND fabricante_id = ? AND modelo_id IS NULL AND veiculo_id IS NULL',
+      [req.params.itemId, req.params.id]
+    );
+    if (!itemExistente) {
+      return res.status(404).json({ error: 'Item do plano não encontrado' });
+    }
+
+    await removerItemPlano(itemExistente.id);
+    res.json({ success: true, message: 'Item do plano removido com sucesso' });
+  } catch (error) {
+    console.error('Erro ao remover item do plano padrão do fabricante:', error);
+    res.status(500).json({ error: 'Erro ao remover item do plano de manutenção' });
+  }
+});
+
 export default router;
 
@@ -3,30 +3,62 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { authRequired, requireRole } from '../middleware/auth.js';
-import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { authRequired } from '../middleware/auth.js';
+import { query, queryOne, queryAll, withTransaction } from '../database/db-adapter.js';
 import { ocrRateLimit } from '../middleware/ocrRateLimit.js';
+import { filtroVeiculosAcessiveis, filtroRegistrosDoVeiculo, buscarVeiculoAcessivel, temPermissao } from '../services/organizacoesService.js';
+import { registrarAuditoria } from '../services/auditoriaService.js';
+import {
+  validarItensManutencao,
+  somarItens,
+  salvarItensManutencao,
+  listarItensPorManutencao,
+  removerItensManutencao,
+  listarPecasDoUsuario,
+  historicoPeca
+} from '../services/itensManutencaoService.js';
+import {
+  MAX_ANEXOS_POR_MANUTENCAO,
+  validarArquivosAnexo,
+  armazenarArquivosAnexo,
+  salvarAnexos,
+  listarAnexosPorManutencao,
+  contarAnexos,
+  buscarAnexo,
+  removerAnexo,
+  removerAnexosDaManutencao,
+  imagemPrincipal,
+  miniaturaPrincipal,
+  formatarAnexo
+} from '../services/anexosManutencaoService.js';
+import {
+  armazenamentoTemporario,
+  armazenarUpload,
+  urlArquivo,
+  removerArquivos,
+  removerUploadsTemporarios
+} from '../services/armazenamento/index.js';
+import {
+  TIPOS_IMAGEM_PROCESSAVEIS,
+  validarAssinaturaArquivo,
+  processarImagemUpload,
+  processarImagensUpload
+} from '../services/imagensService.js';
+import { getProprietarioAtual } from '../utils/proprietarioAtual.js';
+import { TIPOS_MANUTENCAO_VALIDOS, AREAS_MANUTENCAO_VALIDAS } from '../utils/categoriasManutencao.js';
 import logger from '../logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = express.Router();
+// Uploads vão para a pasta temporária; só depois de validados seguem para o armazenamento
 const upload = multer({ 
-  dest: path.join(__dirname, '..', 'uploads'), 
-  limits: { fileSize: 5*1024*1024 } 
+  storage: armazenamentoTemporario,
+  limits: { fileSize: 10*1024*1024 } 
 });
 
-// Constantes para validação
-const TIPOS_MANUTENCAO_VALIDOS = ['preventiva', 'corretiva'];
-const AREAS_MANUTENCAO_VALIDAS = [
-  'motor_cambio',
-  'suspensao_freio',
-  'funilaria_pintura',
-  'higienizacao_estetica'
-];
-
-// Função auxiliar para construir URL completa da imagem
+// Função auxiliar para construir URL completa (assinada) da imagem
 const construirUrlImagem = (filename, req) => {
   if (!filename) return null;
   
@@ -34,18 +66,18 @@ const construirUrlImagem = (filename, req) => {
   if (process.env.NODE_ENV === 'production') {
     const renderExternal = process.env.RENDER_EXTERNAL_URL;
     if (renderExternal) {
-      return `${renderExternal.replace(/\/$/, '')}/uploads/${filename}`;
+      return urlArquivo(filename, renderExternal.replace(/\/$/, ''));
     }
     const serviceName = process.env.RENDER_SERVICE_NAME;
     if (serviceName) {
-      return `https://${serviceName}.onrender.com/uploads/${filename}`;
+      return urlArquivo(filename, `https://${serviceName}.onrender.com`);
     }
   }
   
   // Em desenvolvimento, usar host da requisição
   const protocol = req.protocol || 'http';
   const host = req.get('host') || 'localhost:10000';
-  return `${protocol}://${host}/uploads/${filename}`;
+  return urlArquivo(filename, `${protocol}://${host}`);
 };
 
 // Função auxiliar para validar data (formato YYYY-MM-DD)
@@ -68,10 +100,189 @@ const validarData = (data) => {
   return true;
 };
 
-// Cadastrar manutenção
-router.post('/cadastrar', authRequired, requireRole('admin', 'operador'), upload.single('documento'), async (req, res) => {
+// Remove uploads (ainda na pasta temporária) de uma requisição recusada
+const removerArquivosEnviados = (arquivos) => {
+  removerUploadsTemporarios(arquivos);
+};
+
+// Arquivos do cadastro: 'documento' (campo antigo, um arquivo) e 'anexos'
+const arquivosDoCadastro = (req) => [
+  ...(req.files?.documento || []),
+  ...(req.files?.anexos || [])
+];
+
+// Anexos formatados e o comprovante principal (imagem/imagem_url, compatibilidade)
+const comAnexos = (manutencao, anexos, req) => {
+  const imagem = imagemPrincipal(anexos);
+  return {
+    ...manutencao,
+    imagem,
+    imagem_url: construirUrlImagem(imagem, req),
+    miniatura_url: construirUrlImagem(miniaturaPrincipal(anexos), req),
+    anexos: anexos.map(anexo => formatarAnexo(anexo, (arquivo) => construirUrlImagem(arquivo, req)))
+  };
+};
+
+/**
+ * Confere se o veículo tem período de posse válido para receber manutenções
+ * Aceita data_inicio/km_inicio OU data_aquisicao/km_aquisicao (compatibilidade)
+ * @returns {Promise<boolean>}
+ */
+async function temPeriodoPosseValido(veiculoId, rota) {
+  const proprietarioAtual = await getProprietarioAtual(veiculoId);
+
+  if (!proprietarioAtual) {
+    console.error(`[${rota}] Veículo sem proprietário atual:`, veiculoId);
+    return false;
+  }
+
+  const temData = proprietarioAtual.data_inicio || proprietarioAtual.data_aquisicao;
+  const temKm = (proprietarioAtual.km_inicio !== null && proprietarioAtual.km_inicio !== undefined) ||
+                (proprietarioAtual.km_aquisicao !== null && proprietarioAtual.km_aquisicao !== undefined);
+
+  if (!temData || !temKm) {
+    console.error(`[${rota}] Período de posse incompleto:`, {
+      veiculoId,
+      temData,
+      temKm
+    });
+    return false;
+  }
+
+  return true;
+}
+
+const ERRO_PERIODO_POSSE = {
+  error: 'Não é possível cadastrar manutenção. O veículo não possui um período de posse válido. Por favor, edite o veículo e configure a data de aquisição e KM inicial.',
+  code: 'PERIODO_POSSE_INVALIDO'
+};
+
+/**
+ * Valida data, tipo e área da manutenção
+ * @returns {Object|null} Corpo da resposta 400 ou null se válido
+ */
+function validarCamposManutencao({ data, tipo_manutencao, area_manutencao }) {
+  if (!data) {
+    return { error: 'Data é obrigatória', code: 'DATA_REQUIRED' };
+  }
+
+  // Validar formato da data
+  if (!validarData(data)) {
+    return {
+      error: 'Data inválida. Use o formato YYYY-MM-DD e não pode ser futura.',
+      code: 'DATA_INVALID'
+    };
+  }
+
+  // Validar tipo_manutencao se fornecido
+  if (tipo_manutencao && !TIPOS_MANUTENCAO_VALIDOS.includes(tipo_manutencao)) {
+    return {
+      error: `Tipo de manutenção inválido. Valores aceitos: ${TIPOS_MANUTENCAO_VALIDOS.join(', ')}`,
+      code: 'TIPO_MANUTENCAO_INVALID'
+    };
+  }
+
+  // Validar area_manutencao se fornecido
+  if (area_manutencao && !AREAS_MANUTENCAO_VALIDAS.includes(area_manutencao)) {
+    return {
+      error: `Área de manutenção inválida. Valores aceitos: ${AREAS_MANUTENCAO_VALIDAS.join(', ')}`,
+      code: 'AREA_MANUTENCAO_INVALID'
+    };
+  }
+
+  return null;
+}
+
+// Descrição padrão construída a partir de tipo_manutencao e area_manutencao
+function descricaoPadrao(tipo_manutencao, area_manutencao) {
+  if (!tipo_manutencao || !area_manutencao) return null;
+  const tipoLabel = tipo_manutencao === 'preventiva' ? 'Preventiva' : 'Corretiva';
+  const areaLabel = area_manutencao === 'motor_cambio' ? 'Motor/Câmbio' :
+                   area_manutencao === 'suspensao_freio' ? 'Suspensão/Freio' :
+                   area_manutencao === 'funilaria_pintura' ? 'Funilaria/Pintura' :
+                   area_manutencao === 'higienizacao_estetica' ? 'Higienização/Estética' :
+                   area_manutencao;
+  return `${tipoLabel} - ${areaLabel}`;
+}
+
+/**
+ * Carrega a manutenção de :id em req.manutencao (e o veículo em req.veiculo)
+ * Leitura: registros visíveis ao usuário (veículo pessoal: só os próprios; de organização: todos)
+ * Edição: veículo de organização exige manutencao:registrar; veículo pessoal, ser quem registrou
+ * @param {Object} [opcoes]
+ * @param {boolean} [opcoes.edicao=false]
+ */
+function exigirAcessoManutencao({ edicao = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const manutencaoId = req.params.id;
+      const userId = req.userId;
+
+      if (!manutencaoId || isNaN(parseInt(manutencaoId))) {
+        removerArquivosEnviados(req.files);
+        return res.status(400).json({
+          error: 'ID da manutenção inválido',
+          code: 'MANUTENCAO_ID_INVALID'
+        });
+      }
+
+      const manutencao = await queryOne('SELECT * FROM manutencoes WHERE id = ?', [manutencaoId]);
+      const veiculo = manutencao ? await buscarVeiculoAcessivel(manutencao.veiculo_id, userId) : null;
+      const proprio = manutencao && parseInt(manutencao.usuario_id) === parseInt(userId);
+
+      if (!veiculo || (!edicao && !veiculo.organizacao_id && !proprio)) {
+        removerArquivosEnviados(req.files);
+        return res.status(404).json({
+          error: 'Manutenção não encontrada',
+          code: 'MANUTENCAO_NOT_FOUND'
+        });
+      }
+
+      const permitido = veiculo.organizacao_id
+        ? temPermissao(veiculo.papel_organizacao, 'manutencao:registrar')
+        : proprio;
+      if (edicao && !permitido) {
+        console.warn(`[SEGURANÇA] Tentativa de alterar manutenção sem permissão. ID: ${manutencaoId}, userId: ${userId}`);
+        removerArquivosEnviados(req.files);
+        return res.status(403).json({
+          error: 'Você não tem permissão para alterar esta manutenção',
+          code: 'FORBIDDEN'
+        });
+      }
+
+      req.manutencao = manutencao;
+      req.veiculo = veiculo;
+      next();
+    } catch (error) {
+      removerArquivosEnviados(req.files);
+      console.error('❌ Erro ao verificar acesso à manutenção:', error);
+      return res.status(500).json({
+        error: 'Erro interno ao processar requisição',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      });
+    }
+  };
+}
+
+/**
+ * POST /manutencoes/cadastrar
+ * Cadastra manutenção com itens e anexos
+ * Body (JSON ou multipart): veiculo_id, data, valor, descricao, tipo, tipo_manutencao,
+ * area_manutencao, itens, categoria_anexo; arquivos em 'anexos' (vários) ou 'documento'
+ */
+router.post('/cadastrar', authRequired, upload.fields([
+  { name: 'documento', maxCount: 1 },
+  { name: 'anexos', maxCount: MAX_ANEXOS_POR_MANUTENCAO }
+]), async (req, res) => {
+  const arquivos = arquivosDoCadastro(req);
+  let chavesArmazenadas = [];
+  const recusar = (status, corpo) => {
+    removerArquivosEnviados(arquivos);
+    return res.status(status).json(corpo);
+  };
+
   try {
-    const file = req.file;
     const userId = req.userId; // Do middleware JWT
     
     // Extrair dados do body
@@ -82,152 +293,140 @@ router.post('/cadastrar', authRequired, requireRole('admin', 'operador'), upload
       valor, 
       tipo,
       tipo_manutencao,
-      area_manutencao
+      area_manutencao,
+      itens: itensEnviados,
+      categoria_anexo
     } = req.body;
 
     // Validações obrigatórias
     if (!veiculo_id) {
-      return res.status(400).json({ 
+      return recusar(400, { 
         error: 'Veículo é obrigatório',
         code: 'VEICULO_REQUIRED'
       });
     }
 
-    // Verificar se veículo pertence ao usuário (SEGURANÇA)
-    const veiculo = await queryOne(
-      'SELECT id FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [veiculo_id, userId]
-    );
+    // Verificar acesso ao veículo (dono ou membro da organização) (SEGURANÇA)
+    const veiculo = await buscarVeiculoAcessivel(veiculo_id, userId);
 
     if (!veiculo) {
-      return res.status(403).json({ 
+      return recusar(403, { 
         error: 'Veículo não encontrado ou não pertence ao usuário',
         code: 'VEICULO_NOT_FOUND'
       });
     }
 
-    // Validar que existe proprietário atual válido
-    // Aceitar data_inicio/km_inicio OU data_aquisicao/km_aquisicao (compatibilidade)
-    const { getProprietarioAtual } = await import('../utils/proprietarioAtual.js');
-    const proprietarioAtual = await getProprietarioAtual(veiculo_id);
-    
-    if (!proprietarioAtual) {
-      console.error('[POST /manutencoes/cadastrar] Veículo sem proprietário atual:', veiculo_id);
-      return res.status(400).json({ 
-        error: 'Não é possível cadastrar manutenção. O veículo não possui um período de posse válido. Por favor, edite o veículo e configure a data de aquisição e KM inicial.',
-        code: 'PERIODO_POSSE_INVALIDO'
+    if (!temPermissao(veiculo.papel_organizacao, 'manutencao:registrar')) {
+      return recusar(403, {
+        error: 'Seu papel na organização não permite esta ação',
+        code: 'PERMISSAO_NEGADA',
+        papel: veiculo.papel_organizacao
       });
     }
-    
-    // Verificar se tem data e KM válidos (aceitar data_inicio/km_inicio OU data_aquisicao/km_aquisicao)
-    const temData = proprietarioAtual.data_inicio || proprietarioAtual.data_aquisicao;
-    const temKm = (proprietarioAtual.km_inicio !== null && proprietarioAtual.km_inicio !== undefined) ||
-                  (proprietarioAtual.km_aquisicao !== null && proprietarioAtual.km_aquisicao !== undefined);
-    
-    if (!temData || !temKm) {
-      console.error('[POST /manutencoes/cadastrar] Período de posse incompleto:', {
-        veiculoId: veiculo_id,
-        temData,
-        temKm
-      });
-      return res.status(400).json({ 
-        error: 'Não é possível cadastrar manutenção. O veículo não possui um período de posse válido. Por favor, edite o veículo e configure a data de aquisição e KM inicial.',
-        code: 'PERIODO_POSSE_INVALIDO'
-      });
+
+    // Validar que existe proprietário atual válido
+    if (!(await temPeriodoPosseValido(veiculo_id, 'POST /manutencoes/cadastrar'))) {
+      return recusar(400, ERRO_PERIODO_POSSE);
     }
 
-    if (!data) {
-      return res.status(400).json({ 
-        error: 'Data é obrigatória',
-        code: 'DATA_REQUIRED'
-      });
+    const erroCampos = validarCamposManutencao({ data, tipo_manutencao, area_manutencao });
+    if (erroCampos) {
+      return recusar(400, erroCampos);
     }
 
-    // Validar formato da data
-    if (!validarData(data)) {
-      return res.status(400).json({ 
-        error: 'Data inválida. Use o formato YYYY-MM-DD e não pode ser futura.',
-        code: 'DATA_INVALID'
+    // Itens da OS (peças e mão de obra); sem valor informado, vale a soma dos itens
+    const validacaoItens = validarItensManutencao(itensEnviados);
+    if (validacaoItens.erro) {
+      return recusar(400, {
+        error: validacaoItens.mensagem,
+        code: validacaoItens.erro
       });
     }
+    const itens = validacaoItens.itens;
+    const valorFinal = valor ? parseFloat(valor) : somarItens(itens);
 
-    if (!valor || parseFloat(valor) <= 0) {
-      return res.status(400).json({ 
+    if (!valorFinal || valorFinal <= 0) {
+      return recusar(400, { 
         error: 'Valor é obrigatório e deve ser maior que zero',
         code: 'VALOR_REQUIRED'
       });
     }
 
-    // Validar tipo_manutencao se fornecido
-    if (tipo_manutencao && !TIPOS_MANUTENCAO_VALIDOS.includes(tipo_manutencao)) {
-      return res.status(400).json({ 
-        error: `Tipo de manutenção inválido. Valores aceitos: ${TIPOS_MANUTENCAO_VALIDOS.join(', ')}`,
-        code: 'TIPO_MANUTENCAO_INVALID'
-      });
-    }
-
-    // Validar area_manutencao se fornecido
-    if (area_manutencao && !AREAS_MANUTENCAO_VALIDAS.includes(area_manutencao)) {
-      return res.status(400).json({ 
-        error: `Área de manutenção inválida. Valores aceitos: ${AREAS_MANUTENCAO_VALIDAS.join(', ')}`,
-        code: 'AREA_MANUTENCAO_INVALID'
+    const erroArquivos = validarArquivosAnexo(arquivos, categoria_anexo) || await processarImagensUpload(arquivos);
+    if (erroArquivos) {
+      return recusar(400, {
+        error: erroArquivos.mensagem,
+        code: erroArquivos.erro
       });
     }
 
-    // Fallback para imagem: se não vier, usar null (não é obrigatória)
-    const imagem = file ? file.filename : null;
-
     // Preparar descrição (pode ser construída a partir de tipo_manutencao e area_manutencao)
-    let descricaoFinal = descricao;
-    if (!descricaoFinal && tipo_manutencao && area_manutencao) {
-      const tipoLabel = tipo_manutencao === 'preventiva' ? 'Preventiva' : 'Corretiva';
-      const areaLabel = area_manutencao === 'motor_cambio' ? 'Motor/Câmbio' :
-                       area_manutencao === 'suspensao_freio' ? 'Suspensão/Freio' :
-                       area_manutencao === 'funilaria_pintura' ? 'Funilaria/Pintura' :
-                       area_manutencao === 'higienizacao_estetica' ? 'Higienização/Estética' :
-                       area_manutencao;
-      descricaoFinal = `${tipoLabel} - ${areaLabel}`;
-    }
+    const descricaoFinal = descricao || descricaoPadrao(tipo_manutencao, area_manutencao);
 
     // Preparar tipo (compatibilidade com formato antigo)
     const tipoFinal = tipo || tipo_manutencao || null;
 
-    // Inserir no banco
-    const result = await query(
-      `INSERT INTO manutencoes 
-      (veiculo_id, descricao, data, valor, tipo, tipo_manutencao, area_manutencao, imagem, usuario_id) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        veiculo_id,
-        descricaoFinal || null,
+    chavesArmazenadas = await armazenarArquivosAnexo(arquivos);
+
+    // Inserir no banco (manutenção, itens e anexos juntos)
+    const { result, itensGravados, anexos } = await withTransaction(async () => {
+      const result = await query(
+        `INSERT INTO manutencoes 
+        (veiculo_id, descricao, data, valor, tipo, tipo_manutencao, area_manutencao, usuario_id) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          veiculo_id,
+          descricaoFinal || null,
+          data,
+          valorFinal,
+          tipoFinal,
+          tipo_manutencao || null,
+          area_manutencao || null,
+          userId
+        ]
+      );
+      const itensGravados = await salvarItensManutencao(result.insertId, userId, itens);
+      const anexos = await salvarAnexos(result.insertId, userId, arquivos, categoria_anexo || null);
+      return { result, itensGravados, anexos };
+    });
+
+    await registrarAuditoria({
+      req,
+      acao: 'criar',
+      entidade: 'manutencoes',
+      entidadeId: result.insertId,
+      veiculoId: parseInt(veiculo_id),
+      depois: {
+        descricao: descricaoFinal || null,
         data,
-        parseFloat(valor),
-        tipoFinal,
-        tipo_manutencao || null,
-        area_manutencao || null,
-        imagem,
-        userId
-      ]
-    );
+        valor: valorFinal,
+        tipo: tipoFinal,
+        tipo_manutencao: tipo_manutencao || null,
+        area_manutencao: area_manutencao || null,
+        itens,
+        anexos: anexos.map(a => ({ arquivo: a.arquivo, categoria: a.categoria }))
+      }
+    });
 
     // Construir resposta consistente
-    const resposta = {
+    const resposta = comAnexos({
       id: result.insertId,
       veiculo_id: parseInt(veiculo_id),
       descricao: descricaoFinal,
       data: data,
-      valor: parseFloat(valor),
+      valor: valorFinal,
       tipo: tipoFinal,
       tipo_manutencao: tipo_manutencao || null,
       area_manutencao: area_manutencao || null,
-      imagem: imagem,
-      imagem_url: construirUrlImagem(imagem, req),
       usuario_id: userId,
+      itens: itensGravados,
       success: true
-    };
+    }, anexos, req);
 
     res.status(201).json(resposta);
   } catch (error) {
+    removerArquivosEnviados(arquivos);
+    await removerArquivos(chavesArmazenadas);
     console.error('❌ Erro ao processar cadastro de manutenção:', error);
     return res.status(500).json({ 
       error: 'Erro interno ao processar requisição',
@@ -251,7 +450,14 @@ router.get('/veiculo/:id', authRequired, async (req, res) => {
       });
     }
 
-    // Buscar manutenções com JOIN para garantir que o veículo pertence ao usuário
+    // Veículo fora do alcance do usuário (nem dono nem membro da organização): lista vazia
+    const veiculo = await buscarVeiculoAcessivel(veiculoId, userId);
+    if (!veiculo) {
+      return res.json({ success: true, data: [], count: 0 });
+    }
+
+    // Veículo pessoal: só as manutenções do usuário; de organização: todas
+    const filtro = filtroRegistrosDoVeiculo(veiculo, userId, 'm');
     const rows = await queryAll(
       `SELECT 
         m.*,
@@ -261,19 +467,21 @@ router.get('/veiculo/:id', authRequired, async (req, res) => {
       FROM manutencoes m
       INNER JOIN veiculos v ON m.veiculo_id = v.id
       LEFT JOIN proprietarios p ON v.proprietario_id = p.id
-      WHERE m.veiculo_id = ? 
-        AND m.usuario_id = ?
-        AND v.usuario_id = ?
+      WHERE ${filtro.sql}
       ORDER BY m.data DESC, m.id DESC`,
-      [veiculoId, userId, userId]
+      filtro.params
     );
 
-    // Adicionar URLs completas das imagens
-    const manutencoes = rows.map(manutencao => ({
+    const ids = rows.map(m => parseInt(m.id));
+    const itensPorManutencao = await listarItensPorManutencao(ids);
+    const anexosPorManutencao = await listarAnexosPorManutencao(ids);
+
+    // Adicionar itens da OS e anexos com URLs completas
+    const manutencoes = rows.map(manutencao => comAnexos({
       ...manutencao,
-      imagem_url: construirUrlImagem(manutencao.imagem, req),
-      valor: manutencao.valor ? parseFloat(manutencao.valor) : null
-    }));
+      valor: manutencao.valor ? parseFloat(manutencao.valor) : null,
+      itens: itensPorManutencao.get(parseInt(manutencao.id)) || []
+    }, anexosPorManutencao.get(parseInt(manutencao.id)) || [], req));
 
     res.json({
       success: true,
@@ -306,6 +514,7 @@ router.get('/buscar', authRequired, async (req, res) => {
     }
 
     const like = `%${termo}%`;
+    const filtro = filtroVeiculosAcessiveis(userId, 'v');
 
     const rows = await queryAll(
       `SELECT 
@@ -316,8 +525,8 @@ router.get('/buscar', authRequired, async (req, res) => {
       INNER JOIN veiculos v ON m.veiculo_id = v.id
       LEFT JOIN proprietarios p ON v.proprietario_id = p.id
       WHERE 
-        m.usuario_id = ?
-        AND v.usuario_id = ?
+        ${filtro.sql}
+        AND (v.organizacao_id IS NOT NULL OR m.usuario_id = ?)
         AND (
           v.placa LIKE ?
           OR p.nome LIKE ?
@@ -327,15 +536,15 @@ router.get('/buscar', authRequired, async (req, res) => {
           OR m.area_manutencao LIKE ?
         )
       ORDER BY m.data DESC, m.id DESC`,
-      [userId, userId, like, like, like, like, like, like]
+      [...filtro.params, userId, like, like, like, like, like, like]
     );
 
-    // Adicionar URLs completas das imagens
-    const manutencoes = rows.map(manutencao => ({
+    // Adicionar anexos com URLs completas
+    const anexosPorManutencao = await listarAnexosPorManutencao(rows.map(m => parseInt(m.id)));
+    const manutencoes = rows.map(manutencao => comAnexos({
       ...manutencao,
-      imagem_url: construirUrlImagem(manutencao.imagem, req),
       valor: manutencao.valor ? parseFloat(manutencao.valor) : null
-    }));
+    }, anexosPorManutencao.get(parseInt(manutencao.id)) || [], req));
 
     return res.json({ 
       success: true, 
@@ -352,6 +561,82 @@ router.get('/buscar', authRequired, async (req, res) => {
   }
 });
 
+/**
+ * GET /manutencoes/pecas
+ * Catálogo de peças do usuário com a última troca de cada uma
+ * Query: busca (nome ou código), veiculo_id
+ */
+router.get('/pecas', authRequired, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const busca = req.query.busca?.trim() || null;
+    const veiculoId = req.query.veiculo_id ? parseInt(req.query.veiculo_id) : null;
+
+    if (req.query.veiculo_id && isNaN(veiculoId)) {
+      return res.status(400).json({
+        error: 'ID do veículo inválido',
+        code: 'VEICULO_ID_INVALID'
+      });
+    }
+
+    const pecas = await listarPecasDoUsuario(userId, { busca, veiculoId });
+
+    res.json({
+      success: true,
+      data: pecas,
+      count: pecas.length
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar catálogo de peças:', error);
+    return res.status(500).json({
+      error: 'Erro interno ao processar requisição',
+      code: 'INTERNAL_ERROR',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /manutencoes/pecas/:id/historico
+ * Manutenções em que a peça foi usada, da mais recente para a mais antiga
+ * Query: veiculo_id
+ */
+router.get('/pecas/:id/historico', authRequired, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const pecaId = parseInt(req.params.id);
+    const veiculoId = req.query.veiculo_id ? parseInt(req.query.veiculo_id) : null;
+
+    if (isNaN(pecaId) || (req.query.veiculo_id && isNaN(veiculoId))) {
+      return res.status(400).json({
+        error: 'Parâmetros inválidos',
+        code: 'PARAMETROS_INVALIDOS'
+      });
+    }
+
+    const historico = await historicoPeca(pecaId, userId, { veiculoId });
+    if (!historico) {
+      return res.status(404).json({
+        error: 'Peça não encontrada',
+        code: 'PECA_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...historico,
+      count: historico.historico.length
+    });
+  } catch (error) {
+    console.error('❌ Erro ao buscar histórico da peça:', error);
+    return res.status(500).json({
+      error: 'Erro interno ao processar requisição',
+      code: 'INTERNAL_ERROR',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /manutencoes/ocr
  * Processa imagem de documento de manutenção via OCR
@@ -369,22 +654,24 @@ router.post('/ocr', authRequired, ocrRateLimit('manutencao'), upload.single('ima
       });
     }
 
-    // Validar tipo de arquivo
-    const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-    if (!allowedMimeTypes.includes(file.mimetype)) {
+    // Validar tipo de arquivo pelo conteúdo, girar e remover metadados (a imagem fica guardada)
+    const erroImagem = validarAssinaturaArquivo(file, TIPOS_IMAGEM_PROCESSAVEIS)
+      || await processarImagemUpload(file, { miniatura: false });
+    if (erroImagem) {
       // Limpar arquivo inválido
       if (fs.existsSync(file.path)) {
         fs.unlinkSync(file.path);
       }
       return res.status(400).json({
-        error: 'Tipo de arquivo não suportado. Use JPEG, PNG ou WebP',
-        code: 'INVALID_FILE_TYPE'
+        error: erroImagem.erro === 'INVALID_FILE_TYPE' ? 'Tipo de arquivo não suportado. Use JPEG, PNG ou WebP' : erroImagem.mensagem,
+        code: erroImagem.erro
       });
     }
 
     try {
-      // Importar serviço de OCR
-      const { extrairDadosManutencao } = await import('../services/ocrMaintenanceService.js');
+      // Provedor de OCR configurado (OpenAI ou tesseract local)
+      const { getOcrProvider } = await import('../services/ocrProviders/index.js');
+      const provedorOcr = getOcrProvider();
       
       // Iniciar processamento OCR
       const inicioProcessamento = Date.now();
@@ -395,7 +682,7 @@ router.post('/ocr', authRequired, ocrRateLimit('manutencao'), upload.single('ima
       }, 'Iniciando OCR de manutenção');
       
       // Processar OCR
-      const dadosExtraidos = await extrairDadosManutencao(file.path, file.mimetype);
+      const dadosExtraidos = await provedorOcr.extrairManutencao(file.path, file.mimetype);
       
       const tempoProcessamento = Date.now() - inicioProcessamento;
 
@@ -409,8 +696,9 @@ router.post('/ocr', authRequired, ocrRateLimit('manutencao'), upload.single('ima
       }, 'OCR de manutenção concluído');
 
       // Retornar dados estruturados
-      // NOTA: A imagem permanece no servidor e pode ser reutilizada no cadastro
+      // NOTA: A imagem permanece no armazenamento para pré-visualização
       // O frontend deve enviar a imagem novamente no cadastro (mais seguro)
+      await armazenarUpload(file);
       res.json({
         success: true,
         dados: dadosExtraidos,
@@ -472,63 +760,267 @@ function contarCamposExtraidos(dados) {
   ).length;
 }
 
-// Excluir manutenção
-router.delete('/:id', authRequired, requireRole('admin', 'operador'), async (req, res) => {
+/**
+ * PUT /manutencoes/:id
+ * Atualiza os dados da manutenção (campos omitidos ficam como estão)
+ * Body: data, valor, descricao, tipo, tipo_manutencao, area_manutencao, itens (substitui a lista)
+ */
+router.put('/:id', authRequired, exigirAcessoManutencao({ edicao: true }), async (req, res) => {
   try {
-    const manutencaoId = req.params.id;
-    const userId = req.userId; // Do middleware JWT
+    const userId = req.userId;
+    const manutencao = req.manutencao;
+    const corpo = req.body || {};
+    const campo = (nome) => (corpo[nome] !== undefined ? corpo[nome] : manutencao[nome]);
 
-    // Validar parâmetro
-    if (!manutencaoId || isNaN(parseInt(manutencaoId))) {
-      return res.status(400).json({ 
-        error: 'ID da manutenção inválido',
-        code: 'MANUTENCAO_ID_INVALID'
+    if (!(await temPeriodoPosseValido(manutencao.veiculo_id, 'PUT /manutencoes/:id'))) {
+      return res.status(400).json(ERRO_PERIODO_POSSE);
+    }
+
+    const data = campo('data');
+    const tipo_manutencao = campo('tipo_manutencao') || null;
+    const area_manutencao = campo('area_manutencao') || null;
+
+    const erroCampos = validarCamposManutencao({ data, tipo_manutencao, area_manutencao });
+    if (erroCampos) {
+      return res.status(400).json(erroCampos);
+    }
+
+    // itens enviado: substitui a lista inteira (lista vazia remove todos)
+    let itens = null;
+    if (corpo.itens !== undefined) {
+      const validacaoItens = validarItensManutencao(corpo.itens);
+      if (validacaoItens.erro) {
+        return res.status(400).json({
+          error: validacaoItens.mensagem,
+          code: validacaoItens.erro
+        });
+      }
+      itens = validacaoItens.itens;
+    }
+
+    const valorFinal = corpo.valor !== undefined && corpo.valor !== null && corpo.valor !== ''
+      ? parseFloat(corpo.valor)
+      : (itens && somarItens(itens)) || parseFloat(manutencao.valor);
+
+    if (!valorFinal || valorFinal <= 0) {
+      return res.status(400).json({
+        error: 'Valor é obrigatório e deve ser maior que zero',
+        code: 'VALOR_REQUIRED'
       });
     }
 
-    // Buscar manutenção para verificar se pertence ao usuário e obter nome da imagem
-    const manutencao = await queryOne(
-      'SELECT imagem, usuario_id FROM manutencoes WHERE id = ?',
-      [manutencaoId]
-    );
+    const depois = {
+      descricao: campo('descricao') || descricaoPadrao(tipo_manutencao, area_manutencao),
+      data,
+      valor: valorFinal,
+      tipo: campo('tipo') || null,
+      tipo_manutencao,
+      area_manutencao
+    };
 
-    // Verificar se manutenção existe
-    if (!manutencao) {
-      return res.status(404).json({ 
-        error: 'Manutenção não encontrada',
-        code: 'MANUTENCAO_NOT_FOUND'
+    const itensAntes = (await listarItensPorManutencao([parseInt(manutencao.id)])).get(parseInt(manutencao.id)) || [];
+
+    await withTransaction(async () => {
+      await query(
+        `UPDATE manutencoes
+         SET descricao = ?, data = ?, valor = ?, tipo = ?, tipo_manutencao = ?, area_manutencao = ?
+         WHERE id = ?`,
+        [depois.descricao, depois.data, depois.valor, depois.tipo, depois.tipo_manutencao, depois.area_manutencao, manutencao.id]
+      );
+      if (itens) {
+        await removerItensManutencao(manutencao.id);
+        await salvarItensManutencao(manutencao.id, userId, itens);
+      }
+    });
+
+    await registrarAuditoria({
+      req,
+      acao: 'atualizar',
+      entidade: 'manutencoes',
+      entidadeId: manutencao.id,
+      veiculoId: manutencao.veiculo_id,
+      antes: {
+        descricao: manutencao.descricao,
+        data: manutencao.data,
+        valor: manutencao.valor !== null ? parseFloat(manutencao.valor) : null,
+        tipo: manutencao.tipo,
+        tipo_manutencao: manutencao.tipo_manutencao,
+        area_manutencao: manutencao.area_manutencao,
+        ...(itens ? { itens: itensAntes } : {})
+      },
+      depois: itens ? { ...depois, itens } : depois
+    });
+
+    const ids = [parseInt(manutencao.id)];
+    const itensAtuais = itens ? (await listarItensPorManutencao(ids)).get(ids[0]) || [] : itensAntes;
+    const anexos = (await listarAnexosPorManutencao(ids)).get(ids[0]) || [];
+
+    res.json(comAnexos({
+      ...manutencao,
+      ...depois,
+      itens: itensAtuais,
+      success: true
+    }, anexos, req));
+  } catch (error) {
+    console.error('❌ Erro ao processar atualização de manutenção:', error);
+    return res.status(500).json({
+      error: 'Erro interno ao processar requisição',
+      code: 'INTERNAL_ERROR',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /manutencoes/:id/anexos
+ * Lista os anexos da manutenção
+ */
+router.get('/:id/anexos', authRequired, exigirAcessoManutencao(), async (req, res) => {
+  try {
+    const id = parseInt(req.manutencao.id);
+    const anexos = (await listarAnexosPorManutencao([id])).get(id) || [];
+
+    res.json({
+      success: true,
+      data: anexos.map(anexo => formatarAnexo(anexo, (arquivo) => construirUrlImagem(arquivo, req))),
+      count: anexos.length
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar anexos da manutenção:', error);
+    return res.status(500).json({
+      error: 'Erro interno ao processar requisição',
+      code: 'INTERNAL_ERROR',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /manutencoes/:id/anexos
+ * Adiciona anexos à manutenção
+ * Body (multipart): anexos (um ou mais arquivos), categoria
+ */
+router.post('/:id/anexos', authRequired, upload.array('anexos', MAX_ANEXOS_POR_MANUTENCAO), exigirAcessoManutencao({ edicao: true }), async (req, res) => {
+  const arquivos = req.files || [];
+  let chavesArmazenadas = [];
+  try {
+    const manutencao = req.manutencao;
+    const categoria = req.body?.categoria || null;
+
+    if (arquivos.length === 0) {
+      return res.status(400).json({
+        error: 'Envie ao menos um arquivo no campo anexos',
+        code: 'ANEXOS_REQUIRED'
       });
     }
 
-    // Verificar se a manutenção pertence ao usuário
-    if (parseInt(manutencao.usuario_id) !== parseInt(userId)) {
-      console.warn(`[SEGURANÇA] Tentativa de excluir manutenção de outro usuário. ID: ${manutencaoId}, userId: ${userId}`);
-      return res.status(403).json({ 
-        error: 'Você não tem permissão para excluir esta manutenção',
-        code: 'FORBIDDEN'
+    const erroArquivos = validarArquivosAnexo(arquivos, categoria) || await processarImagensUpload(arquivos);
+    if (erroArquivos) {
+      removerArquivosEnviados(arquivos);
+      return res.status(400).json({
+        error: erroArquivos.mensagem,
+        code: erroArquivos.erro
       });
     }
 
-    // Excluir imagem do sistema de arquivos se existir
-    if (manutencao.imagem) {
-      const caminhoImagem = path.join(__dirname, '..', 'uploads', manutencao.imagem);
-      if (fs.existsSync(caminhoImagem)) {
-        try {
-          fs.unlinkSync(caminhoImagem);
-          // Debug: Descomentar apenas para desenvolvimento
-          // console.log(`✅ Imagem excluída`);
-        } catch (fsError) {
-          console.error('⚠️ Erro ao excluir imagem (não crítico):', fsError.message);
-          // Não falhar a exclusão se a imagem não puder ser excluída
-        }
-      }
+    const existentes = await contarAnexos(manutencao.id);
+    if (existentes + arquivos.length > MAX_ANEXOS_POR_MANUTENCAO) {
+      removerArquivosEnviados(arquivos);
+      return res.status(400).json({
+        error: `Limite de ${MAX_ANEXOS_POR_MANUTENCAO} anexos por manutenção`,
+        code: 'LIMITE_ANEXOS',
+        existentes
+      });
     }
 
-    // Excluir manutenção do banco de dados
-    const result = await query(
-      'DELETE FROM manutencoes WHERE id = ? AND usuario_id = ?',
-      [manutencaoId, userId]
-    );
+    chavesArmazenadas = await armazenarArquivosAnexo(arquivos);
+    const anexos = await withTransaction(() => salvarAnexos(manutencao.id, req.userId, arquivos, categoria));
+
+    for (const anexo of anexos) {
+      await registrarAuditoria({
+        req,
+        acao: 'criar',
+        entidade: 'manutencao_anexos',
+        entidadeId: anexo.id,
+        veiculoId: manutencao.veiculo_id,
+        depois: anexo
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: anexos.map(anexo => formatarAnexo(anexo, (arquivo) => construirUrlImagem(arquivo, req))),
+      count: anexos.length
+    });
+  } catch (error) {
+    removerArquivosEnviados(arquivos);
+    await removerArquivos(chavesArmazenadas);
+    console.error('❌ Erro ao adicionar anexos à manutenção:', error);
+    return res.status(500).json({
+      error: 'Erro interno ao processar requisição',
+      code: 'INTERNAL_ERROR',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /manutencoes/:id/anexos/:anexoId
+ * Remove o anexo e o arquivo
+ */
+router.delete('/:id/anexos/:anexoId', authRequired, exigirAcessoManutencao({ edicao: true }), async (req, res) => {
+  try {
+    const manutencao = req.manutencao;
+    const anexo = await buscarAnexo(manutencao.id, req.params.anexoId);
+
+    if (!anexo || !(await removerAnexo(anexo))) {
+      return res.status(404).json({
+        error: 'Anexo não encontrado',
+        code: 'ANEXO_NOT_FOUND'
+      });
+    }
+
+    await registrarAuditoria({
+      req,
+      acao: 'excluir',
+      entidade: 'manutencao_anexos',
+      entidadeId: anexo.id,
+      veiculoId: manutencao.veiculo_id,
+      antes: anexo
+    });
+
+    res.json({
+      success: true,
+      message: 'Anexo excluído com sucesso'
+    });
+  } catch (error) {
+    console.error('❌ Erro ao excluir anexo da manutenção:', error);
+    return res.status(500).json({
+      error: 'Erro interno ao processar requisição',
+      code: 'INTERNAL_ERROR',
+      details: error.message
+    });
+  }
+});
+
+// Excluir manutenção
+router.delete('/:id', authRequired, exigirAcessoManutencao({ edicao: true }), async (req, res) => {
+  try {
+    const manutencao = req.manutencao;
+    const id = parseInt(manutencao.id);
+
+    const itens = (await listarItensPorManutencao([id])).get(id) || [];
+    const anexos = (await listarAnexosPorManutencao([id])).get(id) || [];
+
+    // Excluir manutenção, itens e anexos do banco de dados (SQLite não aplica o CASCADE)
+    const result = await withTransaction(async () => {
+      await removerItensManutencao(id);
+      await removerAnexosDaManutencao(id);
+      return query(
+        'DELETE FROM manutencoes WHERE id = ?',
+        [id]
+      );
+    });
 
     // Verificar se alguma linha foi afetada
     if (result.rowCount === 0) {
@@ -538,8 +1030,18 @@ router.delete('/:id', authRequired, requireRole('admin', 'operador'), async (req
       });
     }
 
-    // Debug: Descomentar apenas para desenvolvimento
-    // console.log(`✅ Manutenção excluída com sucesso`);
+    // Arquivos só depois do commit; imagem é a coluna antiga (registros não migrados)
+    await removerArquivos([...anexos.flatMap(a => [a.arquivo, a.miniatura]), manutencao.imagem]);
+
+    await registrarAuditoria({
+      req,
+      acao: 'excluir',
+      entidade: 'manutencoes',
+      entidadeId: manutencao.id,
+      veiculoId: manutencao.veiculo_id,
+      antes: { ...manutencao, itens, anexos }
+    });
+
     res.json({ 
       success: true,
       message: 'Manutenção excluída com sucesso'
@@ -3,8 +3,15 @@
  */
 
 import express from 'express';
-import { authRequired } from '../middleware/auth.js';
+import { authRequired, requireRole } from '../middleware/auth.js';
 import { queryOne } from '../database/db-adapter.js';
+import {
+  validarItemPlano,
+  listarItensPlano,
+  criarItemPlano,
+  atualizarItemPlano,
+  removerItemPlano,
+} from '../services/planosManutencaoService.js';
 
 const router = express.Router();
 
@@ -39,5 +46,97 @@ router.get('/:id/anos', authRequired, async (req, res) => {
   }
 });
 
+/**
+ * GET /modelos/:id/planos
+ * Lista o plano de manutenção padrão do modelo
+ */
+router.get('/:id/planos', authRequired, async (req, res) => {
+  try {
+    const registro = await queryOne('SELECT id FROM modelos WHERE id = ?', [req.params.id]);
+    if (!registro) {
+      return res.status(404).json({ error: 'Modelo não encontrado' });
+    }
+
+    const itens = await listarItensPlano({ modeloId: registro.id });
+    res.json(itens);
+  } catch (error) {
+    console.error('Erro ao listar plano padrão do modelo:', error);
+    res.status(500).json({ error: 'Erro ao listar plano de manutenção' });
+  }
+});
+
+/**
+ * POST /modelos/:id/planos
+ * Adiciona item ao plano padrão do modelo (apenas admin/operador)
+ */
+router.post('/:id/planos', authRequired, requireRole('admin', 'operador'), async (req, res) => {
+  try {
+    const registro = await queryOne('SELECT id FROM modelos WHERE id = ?', [req.params.id]);
+    if (!registro) {
+      return res.status(404).json({ error: 'Modelo não encontrado' });
+    }
+
+    const { erro, item } = validarItemPlano(req.body);
+    if (erro) {
+      return res.status(400).json({ error: erro, code: 'PLANO_INVALIDO' });
+    }
+
+    const criado = await criarItemPlano({ modeloId: registro.id }, item, req.userId);
+    res.status(201).json(criado);
+  } catch (error) {
+    console.error('Erro ao criar item do plano padrão do modelo:', error);
+    res.status(500).json({ error: 'Erro ao criar item do plano de manutenção' });
+  }
+});
+
+/**
+ * PUT /modelos/:id/planos/:itemId
+ * Atualiza item do plano padrão do modelo (apenas admin/operador)
+ */
+router.put('/:id/planos/:itemId', authRequired, requireRole('admin', 'operador'), async (req, res) => {
+  try {
+    const itemExistente = await queryOne(
+      'SELECT id FROM planos_manutencao WHERE id = ? AND modelo_id = ? AND veiculo_id IS NULL',
+      [req.params.itemId, req.params.id]
+    );
+    if (!itemExistente) {
+      return res.status(404).json({ error: 'Item do plano não encontrado' });
+    }
+
+    const { erro, item } = validarItemPlano(req.body);
+    if (erro) {
+      return res.status(400).json({ error: erro, code: 'PLANO_INVALIDO' });
+    }
+
+    const atualizado = await atualizarItemPlano(itemExistente.id, item);
+    res.json(atualizado);
+  } catch (error) {
+    console.error('Erro ao atualizar item do plano padrão do modelo:', error);
+    res.status(500).json({ error: 'Erro ao atualizar item do plano de manutenção' });
+  }
+});
+
+/**
+ * DELETE /modelos/:id/planos/:itemId
+ * Remove item do plano padrão do modelo (apenas admin/operador)
+ */
+router.delete('/:id/planos/:itemId', authRequired, requireRole('admin', 'operador'), async (req, res) => {
+  try {
+    const itemExistente = await queryOne(
+      'SELECT id FROM planos_manutencao WHERE id = ? AND modelo_id = ? AND veiculo_id IS NULL',
+      [req.params.itemId, req.params.id]
+    );
+    if (!itemExistente) {
+      return res.status(404).json({ error: 'Item do plano não encontrado' });
+    }
+
+    await removerItemPlano(itemExistente.id);
+    res.json({ success: true, message: 'Item do plano removido com sucesso' });
+  } catch (error) {
+    console.error('Erro ao remover item do plano padrão do modelo:', error);
+    res.status(500).json({ error: 'Erro ao remover item do plano de manutenção' });
+  }
+});
+
 export default router;
 
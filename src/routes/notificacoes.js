@@ -0,0 +1,173 @@
+/**
+ * Rotas de Notificações
+ * Notificações geradas pelo agendador (ver agendadorService), preferências de
+ * entrega e registro dos dispositivos para push
+ */
+
+import express from 'express';
+import { authRequired } from '../middleware/auth.js';
+import {
+  obterPreferencias,
+  validarPreferencias,
+  salvarPreferencias,
+  formatarPreferencias,
+  listarNotificacoes,
+  contarNaoLidas,
+  buscarNotificacao,
+  marcarNotificacao,
+  marcarTodasLidas,
+  formatarNotificacao,
+  registrarDispositivo,
+  removerDispositivo,
+} from '../services/notificacoesService.js';
+
+const router = express.Router();
+
+/**
+ * GET /notificacoes
+ * Query: nao_lidas (true para só as não lidas), page, limit
+ */
+router.get('/', authRequired, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const { notificacoes, total, naoLidas } = await listarNotificacoes(req.userId, {
+      naoLidas: req.query.nao_lidas === 'true',
+      page,
+      limit
+    });
+
+    res.json({
+      notificacoes: notificacoes.map(formatarNotificacao),
+      total,
+      nao_lidas: naoLidas,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('[ERRO] Erro ao listar notificações:', error);
+    res.status(500).json({ error: 'Erro ao listar notificações', details: error.message });
+  }
+});
+
+/**
+ * GET /notificacoes/nao-lidas
+ * Contador para o badge do app
+ */
+router.get('/nao-lidas', authRequired, async (req, res) => {
+  try {
+    res.json({ nao_lidas: await contarNaoLidas(req.userId) });
+  } catch (error) {
+    console.error('[ERRO] Erro ao contar notificações:', error);
+    res.status(500).json({ error: 'Erro ao contar notificações', details: error.message });
+  }
+});
+
+/**
+ * POST /notificacoes/lidas
+ * Marca todas as notificações como lidas
+ */
+router.post('/lidas', authRequired, async (req, res) => {
+  try {
+    const atualizadas = await marcarTodasLidas(req.userId);
+    res.json({ atualizadas, nao_lidas: 0 });
+  } catch (error) {
+    console.error('[ERRO] Erro ao marcar notificações como lidas:', error);
+    res.status(500).json({ error: 'Erro ao marcar notificações como lidas', details: error.message });
+  }
+});
+
+/**
+ * GET /notificacoes/preferencias
+ */
+router.get('/preferencias', authRequired, async (req, res) => {
+  try {
+    res.json(formatarPreferencias(await obterPreferencias(req.userId)));
+  } catch (error) {
+    console.error('[ERRO] Erro ao buscar preferências de notificação:', error);
+    res.status(500).json({ error: 'Erro ao buscar preferências de notificação', details: error.message });
+  }
+});
+
+/**
+ * PUT /notificacoes/preferencias
+ * Body (todos opcionais): push, email, webhook, webhook_url, regenerar_segredo_webhook,
+ * nivel_minimo ('amarelo' | 'vermelho'), silencio_inicio, silencio_fim (HH:MM), fuso_horario
+ */
+router.put('/preferencias', authRequired, async (req, res) => {
+  try {
+    const atuais = await obterPreferencias(req.userId);
+    const { erro, mensagem, preferencias } = validarPreferencias(req.body || {}, atuais);
+    if (erro) {
+      return res.status(400).json({ error: mensagem, code: erro });
+    }
+
+    const salvas = await salvarPreferencias(req.userId, preferencias);
+    res.json(formatarPreferencias(salvas));
+  } catch (error) {
+    console.error('[ERRO] Erro ao salvar preferências de notificação:', error);
+    res.status(500).json({ error: 'Erro ao salvar preferências de notificação', details: error.message });
+  }
+});
+
+/**
+ * POST /notificacoes/dispositivos
+ * Body: token (Expo push token), plataforma (ios | android | web)
+ */
+router.post('/dispositivos', authRequired, async (req, res) => {
+  try {
+    const erro = await registrarDispositivo(req.userId, req.body || {});
+    if (erro) {
+      return res.status(400).json({ error: erro.mensagem, code: erro.erro });
+    }
+    res.status(201).json({ success: true });
+  } catch (error) {
+    console.error('[ERRO] Erro ao registrar dispositivo:', error);
+    res.status(500).json({ error: 'Erro ao registrar dispositivo', details: error.message });
+  }
+});
+
+/**
+ * DELETE /notificacoes/dispositivos/:token
+ */
+router.delete('/dispositivos/:token', authRequired, async (req, res) => {
+  try {
+    const removido = await removerDispositivo(req.userId, req.params.token);
+    if (!removido) {
+      return res.status(404).json({ error: 'Dispositivo não encontrado', code: 'DISPOSITIVO_NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERRO] Erro ao remover dispositivo:', error);
+    res.status(500).json({ error: 'Erro ao remover dispositivo', details: error.message });
+  }
+});
+
+/**
+ * Marca a notificação :id como lida ou não lida
+ * @param {boolean} lida
+ */
+function rotaMarcar(lida) {
+  return async (req, res) => {
+    try {
+      const notificacao = await buscarNotificacao(req.userId, req.params.id);
+      if (!notificacao) {
+        return res.status(404).json({ error: 'Notificação não encontrada', code: 'NOTIFICACAO_NOT_FOUND' });
+      }
+      const atualizada = await marcarNotificacao(notificacao, lida);
+      res.json({ ...formatarNotificacao(atualizada), nao_lidas: await contarNaoLidas(req.userId) });
+    } catch (error) {
+      console.error('[ERRO] Erro ao atualizar notificação:', error);
+      res.status(500).json({ error: 'Erro ao atualizar notificação', details: error.message });
+    }
+  };
+}
+
+/**
+ * POST /notificacoes/:id/lida
+ * POST /notificacoes/:id/nao-lida
+ */
+router.post('/:id/lida', authRequired, rotaMarcar(true));
+router.post('/:id/nao-lida', authRequired, rotaMarcar(false));
+
+export default router;
@@ -0,0 +1,262 @@
+/**
+ * Rotas de Organizações (frotas)
+ * Organizações, membros e papéis por organização (owner, manager, driver, mechanic)
+ */
+
+import express from 'express';
+import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { authRequired } from '../middleware/auth.js';
+import {
+  PAPEIS_ORGANIZACAO,
+  temPermissao,
+  podeGerenciarPapel,
+  listarOrganizacoesDoUsuario,
+  buscarMembro,
+  criarOrganizacao,
+  contarOwners,
+} from '../services/organizacoesService.js';
+
+const router = express.Router();
+
+/**
+ * Carrega a associação do usuário logado na organização :id em req.membro
+ * @param {string|null} permissao - Permissão exigida (null = qualquer membro)
+ */
+function exigirMembro(permissao = null) {
+  return async function (req, res, next) {
+    try {
+      const membro = await buscarMembro(req.params.id, req.userId);
+      if (!membro) {
+        return res.status(404).json({ error: 'Organização não encontrada' });
+      }
+      if (permissao && !temPermissao(membro.papel, permissao)) {
+        return res.status(403).json({
+          error: 'Seu papel na organização não permite esta ação',
+          code: 'PERMISSAO_NEGADA',
+          papel: membro.papel
+        });
+      }
+      req.membro = membro;
+      next();
+    } catch (error) {
+      console.error('[ERRO] Erro ao verificar associação à organização:', error);
+      res.status(500).json({ error: 'Erro ao verificar organização', details: error.message });
+    }
+  };
+}
+
+/**
+ * GET /organizacoes
+ * Organizações do usuário logado com o papel dele em cada uma
+ */
+router.get('/', authRequired, async (req, res) => {
+  try {
+    const organizacoes = await listarOrganizacoesDoUsuario(req.userId);
+    res.json(organizacoes.map(o => ({
+      ...o,
+      total_membros: parseInt(o.total_membros) || 0,
+      total_veiculos: parseInt(o.total_veiculos) || 0
+    })));
+  } catch (error) {
+    console.error('[ERRO] Erro ao listar organizações:', error);
+    res.status(500).json({ error: 'Erro ao listar organizações', details: error.message });
+  }
+});
+
+/**
+ * POST /organizacoes
+ * Cria uma organização; o criador entra como owner
+ */
+router.post('/', authRequired, async (req, res) => {
+  try {
+    const nome = (req.body?.nome || '').trim();
+    if (!nome) {
+      return res.status(400).json({ error: 'nome é obrigatório' });
+    }
+
+    const organizacao = await criarOrganizacao(nome, req.userId);
+    res.status(201).json({ ...organizacao, papel: 'owner' });
+  } catch (error) {
+    console.error('[ERRO] Erro ao criar organização:', error);
+    res.status(500).json({ error: 'Erro ao criar organização', details: error.message });
+  }
+});
+
+/**
+ * GET /organizacoes/:id
+ * Dados da organização com membros e veículos
+ */
+router.get('/:id', authRequired, exigirMembro(), async (req, res) => {
+  try {
+    const organizacao = await queryOne('SELECT * FROM organizacoes WHERE id = ?', [req.params.id]);
+
+    const membros = await queryAll(
+      `SELECT om.usuario_id, om.papel, om.criado_em, u.nome, u.email
+       FROM organizacao_membros om
+       JOIN usuarios u ON u.id = om.usuario_id
+       WHERE om.organizacao_id = ?
+       ORDER BY u.nome ASC`,
+      [req.params.id]
+    );
+
+    const veiculos = await queryAll(
+      'SELECT id, placa, marca, modelo, ano, tipo_veiculo, km_atual FROM veiculos WHERE organizacao_id = ? ORDER BY placa ASC',
+      [req.params.id]
+    );
+
+    res.json({ ...organizacao, papel: req.membro.papel, membros, veiculos });
+  } catch (error) {
+    console.error('[ERRO] Erro ao buscar organização:', error);
+    res.status(500).json({ error: 'Erro ao buscar organização', details: error.message });
+  }
+});
+
+/**
+ * PUT /organizacoes/:id
+ * Renomeia a organização (owner)
+ */
+router.put('/:id', authRequired, exigirMembro('organizacao:administrar'), async (req, res) => {
+  try {
+    const nome = (req.body?.nome || '').trim();
+    if (!nome) {
+      return res.status(400).json({ error: 'nome é obrigatório' });
+    }
+
+    await query('UPDATE organizacoes SET nome = ? WHERE id = ?', [nome, req.params.id]);
+    const organizacao = await queryOne('SELECT * FROM organizacoes WHERE id = ?', [req.params.id]);
+    res.json({ ...organizacao, papel: req.membro.papel });
+  } catch (error) {
+    console.error('[ERRO] Erro ao atualizar organização:', error);
+    res.status(500).json({ error: 'Erro ao atualizar organização', details: error.message });
+  }
+});
+
+/**
+ * DELETE /organizacoes/:id
+ * Exclui a organização (owner). Os veículos voltam a ser pessoais de quem os cadastrou.
+ */
+router.delete('/:id', authRequired, exigirMembro('organizacao:administrar'), async (req, res) => {
+  try {
+    await query('UPDATE veiculos SET organizacao_id = NULL WHERE organizacao_id = ?', [req.params.id]);
+    await query('DELETE FROM organizacao_membros WHERE organizacao_id = ?', [req.params.id]);
+    await query('DELETE FROM organizacoes WHERE id = ?', [req.params.id]);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERRO] Erro ao excluir organização:', error);
+    res.status(500).json({ error: 'Erro ao excluir organização', details: error.message });
+  }
+});
+
+/**
+ * POST /organizacoes/:id/membros
+ * Adiciona um usuário já cadastrado (por email ou usuario_id) com um papel
+ * Owner atribui qualquer papel; manager só driver e mechanic
+ */
+router.post('/:id/membros', authRequired, exigirMembro('membros:gerenciar'), async (req, res) => {
+  try {
+    const { email, usuario_id, papel = 'driver' } = req.body || {};
+
+    if (!PAPEIS_ORGANIZACAO.includes(papel)) {
+      return res.status(400).json({ error: `papel deve ser um de: ${PAPEIS_ORGANIZACAO.join(', ')}`, code: 'PAPEL_INVALIDO' });
+    }
+    if (!podeGerenciarPapel(req.membro.papel, papel)) {
+      return res.status(403).json({ error: `Seu papel não permite adicionar membros como ${papel}`, code: 'PERMISSAO_NEGADA' });
+    }
+    if (!email && !usuario_id) {
+      return res.status(400).json({ error: 'email ou usuario_id é obrigatório' });
+    }
+
+    const usuario = email
+      ? await queryOne('SELECT id, nome, email FROM usuarios WHERE LOWER(email) = LOWER(?)', [String(email).trim()])
+      : await queryOne('SELECT id, nome, email FROM usuarios WHERE id = ?', [usuario_id]);
+
+    if (!usuario) {
+      return res.status(404).json({ error: 'Usuário não encontrado', code: 'USUARIO_NAO_ENCONTRADO' });
+    }
+
+    const existente = await buscarMembro(req.params.id, usuario.id);
+    if (existente) {
+      return res.status(409).json({ error: 'Usuário já é membro da organização', code: 'MEMBRO_EXISTENTE', papel: existente.papel });
+    }
+
+    await query(
+      'INSERT INTO organizacao_membros (organizacao_id, usuario_id, papel) VALUES (?, ?, ?)',
+      [req.params.id, usuario.id, papel]
+    );
+
+    res.status(201).json({ usuario_id: usuario.id, nome: usuario.nome, email: usuario.email, papel });
+  } catch (error) {
+    console.error('[ERRO] Erro ao adicionar membro:', error);
+    res.status(500).json({ error: 'Erro ao adicionar membro', details: error.message });
+  }
+});
+
+/**
+ * PUT /organizacoes/:id/membros/:usuarioId
+ * Altera o papel de um membro
+ */
+router.put('/:id/membros/:usuarioId', authRequired, exigirMembro('membros:gerenciar'), async (req, res) => {
+  try {
+    const { papel } = req.body || {};
+    if (!PAPEIS_ORGANIZACAO.includes(papel)) {
+      return res.status(400).json({ error: `papel deve ser um de: ${PAPEIS_ORGANIZACAO.join(', ')}`, code: 'PAPEL_INVALIDO' });
+    }
+
+    const alvo = await buscarMembro(req.params.id, req.params.usuarioId);
+    if (!alvo) {
+      return res.status(404).json({ error: 'Membro não encontrado' });
+    }
+
+    if (!podeGerenciarPapel(req.membro.papel, alvo.papel) || !podeGerenciarPapel(req.membro.papel, papel)) {
+      return res.status(403).json({ error: 'Seu papel não permite esta alteração', code: 'PERMISSAO_NEGADA' });
+    }
+
+    if (alvo.papel === 'owner' && papel !== 'owner' && await contarOwners(req.params.id) <= 1) {
+      return res.status(400).json({ error: 'A organização precisa de pelo menos um owner', code: 'ULTIMO_OWNER' });
+    }
+
+    await query(
+      'UPDATE organizacao_membros SET papel = ? WHERE organizacao_id = ? AND usuario_id = ?',
+      [papel, req.params.id, alvo.usuario_id]
+    );
+
+    res.json({ usuario_id: alvo.usuario_id, papel });
+  } catch (error) {
+    console.error('[ERRO] Erro ao alterar papel do membro:', error);
+    res.status(500).json({ error: 'Erro ao alterar papel do membro', details: error.message });
+  }
+});
+
+/**
+ * DELETE /organizacoes/:id/membros/:usuarioId
+ * Remove um membro (ou o próprio usuário saindo da organização)
+ */
+router.delete('/:id/membros/:usuarioId', authRequired, exigirMembro(), async (req, res) => {
+  try {
+    const alvo = await buscarMembro(req.params.id, req.params.usuarioId);
+    if (!alvo) {
+      return res.status(404).json({ error: 'Membro não encontrado' });
+    }
+
+    const saindo = parseInt(alvo.usuario_id) === parseInt(req.userId);
+    if (!saindo && (!temPermissao(req.membro.papel, 'membros:gerenciar') || !podeGerenciarPapel(req.membro.papel, alvo.papel))) {
+      return res.status(403).json({ error: 'Seu papel não permite remover este membro', code: 'PERMISSAO_NEGADA' });
+    }
+
+    if (alvo.papel === 'owner' && await contarOwners(req.params.id) <= 1) {
+      return res.status(400).json({ error: 'A organização precisa de pelo menos um owner', code: 'ULTIMO_OWNER' });
+    }
+
+    await query(
+      'DELETE FROM organizacao_membros WHERE organizacao_id = ? AND usuario_id = ?',
+      [req.params.id, alvo.usuario_id]
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERRO] Erro ao remover membro:', error);
+    res.status(500).json({ error: 'Erro ao remover membro', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,108 @@
+/**
+ * Rotas Públicas de Relatórios de Veículos
+ * Verificação de autenticidade dos PDFs de histórico (SEM autenticação)
+ */
+
+import express from 'express';
+import multer from 'multer';
+import crypto from 'crypto';
+import { queryOne } from '../database/db-adapter.js';
+import { normalizarCodigoVerificacao } from '../services/relatorioVeiculoService.js';
+import { mascararPlaca } from '../utils/mascaras.js';
+
+const router = express.Router();
+
+// PDF enviado para conferência fica só em memória
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 } // 20MB
+});
+
+// Dados públicos do relatório (placa mascarada, sem dados do proprietário)
+const montarRespostaVerificacao = (relatorio) => ({
+  valido: true,
+  codigo_verificacao: relatorio.codigo_verificacao,
+  gerado_em: relatorio.gerado_em,
+  placa: mascararPlaca(relatorio.placa),
+  veiculo: [relatorio.marca, relatorio.modelo].filter(Boolean).join(' ') || null,
+  ano: relatorio.ano || null,
+  km_relatorio: relatorio.km_relatorio,
+  unidade: relatorio.unidade,
+  hash_sha256: relatorio.hash_sha256
+});
+
+const SELECT_RELATORIO = `
+  SELECT r.codigo_verificacao, r.gerado_em, r.placa, r.km_relatorio, r.unidade, r.hash_sha256,
+         v.marca, v.modelo, v.ano
+  FROM relatorios_veiculo r
+  LEFT JOIN veiculos v ON v.id = r.veiculo_id`;
+
+/**
+ * GET /relatorios/verificar/:codigo
+ * Confirma que o código impresso no relatório foi emitido pelo sistema.
+ * Com ?hash=<sha256 do PDF>, confirma também que o arquivo não foi alterado.
+ */
+router.get('/verificar/:codigo', async (req, res) => {
+  try {
+    const codigo = normalizarCodigoVerificacao(req.params.codigo);
+    if (!codigo) {
+      return res.status(400).json({ valido: false, error: 'Código de verificação inválido', code: 'CODIGO_INVALIDO' });
+    }
+
+    const relatorio = await queryOne(`${SELECT_RELATORIO} WHERE r.codigo_verificacao = ?`, [codigo]);
+    if (!relatorio) {
+      return res.status(404).json({ valido: false, error: 'Relatório não encontrado', code: 'RELATORIO_NAO_ENCONTRADO' });
+    }
+
+    const resposta = montarRespostaVerificacao(relatorio);
+    if (req.query.hash) {
+      resposta.arquivo_confere = String(req.query.hash).trim().toLowerCase() === relatorio.hash_sha256;
+    }
+
+    res.json(resposta);
+  } catch (error) {
+    console.error('[ERRO] Erro ao verificar relatório:', error);
+    res.status(500).json({ error: 'Erro ao verificar relatório', details: error.message });
+  }
+});
+
+/**
+ * POST /relatorios/verificar
+ * Recebe o PDF (campo "arquivo") e confirma se é idêntico a um relatório emitido.
+ * Opcionalmente recebe "codigo" para conferir se o arquivo corresponde àquele código.
+ */
+router.post('/verificar', upload.single('arquivo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ valido: false, error: 'Nenhum arquivo enviado' });
+    }
+
+    const hash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+    const relatorio = await queryOne(`${SELECT_RELATORIO} WHERE r.hash_sha256 = ?`, [hash]);
+
+    if (!relatorio) {
+      return res.status(404).json({
+        valido: false,
+        error: 'Arquivo não corresponde a nenhum relatório emitido. Ele pode ter sido alterado.',
+        code: 'RELATORIO_NAO_ENCONTRADO',
+        hash_sha256: hash
+      });
+    }
+
+    const codigoInformado = req.body?.codigo ? normalizarCodigoVerificacao(req.body.codigo) : null;
+    if (req.body?.codigo && codigoInformado !== relatorio.codigo_verificacao) {
+      return res.status(409).json({
+        valido: false,
+        error: 'O arquivo não corresponde ao código de verificação informado.',
+        code: 'CODIGO_DIVERGENTE'
+      });
+    }
+
+    res.json({ ...montarRespostaVerificacao(relatorio), arquivo_confere: true });
+  } catch (error) {
+    console.error('[ERRO] Erro ao verificar arquivo de relatório:', error);
+    res.status(500).json({ error: 'Erro ao verificar relatório', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,229 @@
+/**
+ * Rotas de Transferências de Veículo
+ * Pedidos criados em POST /veiculos/:id/transferir (o destinatário aceita ou
+ * recusa) ou em POST /compartilhamento/:token/aceitar (o dono aprova ou recusa);
+ * quem fez o pedido pode cancelá-lo
+ */
+
+import express from 'express';
+import { authRequired } from '../middleware/auth.js';
+import { registrarAuditoria } from '../services/auditoriaService.js';
+import {
+  STATUS_TRANSFERENCIA,
+  buscarTransferencia,
+  listarTransferencias,
+  parteQueResponde,
+  aceitarTransferencia,
+  encerrarTransferencia,
+  lerDocumentoVenda,
+  formatarTransferencia,
+} from '../services/transferenciasService.js';
+
+const router = express.Router();
+
+// URL base pública da API
+const construirUrlBase = (req) => {
+  if (process.env.NODE_ENV === 'production') {
+    const renderExternal = process.env.RENDER_EXTERNAL_URL;
+    if (renderExternal) {
+      return renderExternal.replace(/\/$/, '');
+    }
+  }
+
+  const protocol = req.protocol || 'http';
+  const host = req.get('host') || 'localhost:3000';
+  return `${protocol}://${host}`;
+};
+
+/**
+ * Carrega a transferência :id (remetente ou destinatário) em req.transferencia
+ * @param {'respondente'|'solicitante'|null} papel - Quem responde ao pedido ou
+ *   quem o fez (parteQueResponde); null = qualquer uma das partes
+ */
+function exigirParte(papel = null) {
+  return async function (req, res, next) {
+    try {
+      const transferencia = await buscarTransferencia(req.params.id, req.userId);
+      if (!transferencia) {
+        return res.status(404).json({ error: 'Transferência não encontrada' });
+      }
+      const respondente = parteQueResponde(transferencia);
+      const solicitante = respondente === 'destinatario' ? 'remetente' : 'destinatario';
+      const parte = papel ? { respondente, solicitante }[papel] : null;
+      if (parte && parseInt(transferencia[`${parte}_usuario_id`]) !== req.userId) {
+        return res.status(403).json({
+          error: papel === 'respondente'
+            ? `Apenas ${parte === 'destinatario' ? 'o destinatário' : 'o proprietário'} pode responder a esta transferência`
+            : 'Apenas quem fez o pedido de transferência pode cancelá-lo',
+          code: 'PERMISSAO_NEGADA'
+        });
+      }
+      req.transferencia = transferencia;
+      next();
+    } catch (error) {
+      console.error('[ERRO] Erro ao carregar transferência:', error);
+      res.status(500).json({ error: 'Erro ao carregar transferência', details: error.message });
+    }
+  };
+}
+
+// 409 para pedido que já foi respondido, cancelado ou expirou
+const responderNaoPendente = (res, transferencia) => res.status(409).json({
+  error: transferencia.status === 'expirada'
+    ? 'O prazo desta transferência expirou'
+    : 'Esta transferência não está mais pendente',
+  code: transferencia.status === 'expirada' ? 'TRANSFERENCIA_EXPIRADA' : 'TRANSFERENCIA_NAO_PENDENTE',
+  status: transferencia.status
+});
+
+/**
+ * GET /transferencias
+ * Transferências do usuário. Query: tipo (recebidas | enviadas), status
+ */
+router.get('/', authRequired, async (req, res) => {
+  try {
+    const { tipo, status } = req.query;
+    if (tipo && !['recebidas', 'enviadas'].includes(tipo)) {
+      return res.status(400).json({ error: 'tipo deve ser recebidas ou enviadas' });
+    }
+    if (status && !STATUS_TRANSFERENCIA.includes(status)) {
+      return res.status(400).json({ error: `status deve ser um de: ${STATUS_TRANSFERENCIA.join(', ')}` });
+    }
+
+    const transferencias = await listarTransferencias(req.userId, { tipo, status });
+    const urlBase = construirUrlBase(req);
+    res.json(transferencias.map(t => formatarTransferencia(t, urlBase)));
+  } catch (error) {
+    console.error('[ERRO] Erro ao listar transferências:', error);
+    res.status(500).json({ error: 'Erro ao listar transferências', details: error.message });
+  }
+});
+
+/**
+ * GET /transferencias/:id
+ * Detalhe de uma transferência (remetente ou destinatário)
+ */
+router.get('/:id', authRequired, exigirParte(), (req, res) => {
+  res.json(formatarTransferencia(req.transferencia, construirUrlBase(req)));
+});
+
+/**
+ * GET /transferencias/:id/documento
+ * Download do documento de venda anexado ao pedido
+ */
+router.get('/:id/documento', authRequired, exigirParte(), async (req, res) => {
+  try {
+    const conteudo = await lerDocumentoVenda(req.transferencia);
+    if (!conteudo) {
+      return res.status(404).json({ error: 'Documento de venda não encontrado' });
+    }
+    res.attachment(req.transferencia.documento_venda_nome || `documento-venda-${req.transferencia.id}`);
+    if (req.transferencia.documento_venda_tipo) {
+      res.type(req.transferencia.documento_venda_tipo);
+    }
+    res.send(conteudo);
+  } catch (error) {
+    console.error('[ERRO] Erro ao baixar documento de venda:', error);
+    res.status(500).json({ error: 'Erro ao baixar documento de venda', details: error.message });
+  }
+});
+
+/**
+ * POST /transferencias/:id/aceitar
+ * Quem responde aceita (destinatário, ou o dono no pedido feito pelo link):
+ * encerra o período do dono atual e abre o do destinatário
+ */
+router.post('/:id/aceitar', authRequired, exigirParte('respondente'), async (req, res) => {
+  try {
+    if (req.transferencia.status !== 'pendente') {
+      return responderNaoPendente(res, req.transferencia);
+    }
+
+    const resultado = await aceitarTransferencia(req.transferencia, req);
+    if (resultado.erro === 'TRANSFERENCIA_NAO_PENDENTE') {
+      const atual = await buscarTransferencia(req.transferencia.id, req.userId);
+      return responderNaoPendente(res, atual);
+    }
+    if (resultado.erro === 'REMETENTE_SEM_PERMISSAO') {
+      return res.status(409).json({
+        error: 'Quem enviou a transferência não é mais o proprietário do veículo; o pedido foi cancelado',
+        code: 'REMETENTE_SEM_PERMISSAO'
+      });
+    }
+
+    await registrarAuditoria({
+      req,
+      acao: 'atualizar',
+      entidade: 'transferencias_veiculo',
+      entidadeId: resultado.id,
+      veiculoId: resultado.veiculo_id,
+      antes: { status: 'pendente' },
+      depois: { status: 'aceita' }
+    });
+
+    res.json({
+      success: true,
+      mensagem: 'Transferência aceita. Um novo período de posse foi iniciado.',
+      transferencia: formatarTransferencia(resultado, construirUrlBase(req))
+    });
+  } catch (error) {
+    console.error('[ERRO] Erro ao aceitar transferência:', error);
+    res.status(500).json({ error: 'Erro ao aceitar transferência', details: error.message });
+  }
+});
+
+/**
+ * Recusa (quem responde) ou cancelamento (quem pediu) de um pedido pendente
+ * @param {'recusada'|'cancelada'} status
+ */
+function encerrarPedido(status) {
+  return async function (req, res) {
+    try {
+      if (req.transferencia.status !== 'pendente') {
+        return responderNaoPendente(res, req.transferencia);
+      }
+
+      const motivo = status === 'recusada' && req.body?.motivo
+        ? req.body.motivo.toString().trim().slice(0, 1000) || null
+        : null;
+      const encerrada = await encerrarTransferencia(req.transferencia, status, motivo);
+      const atual = await buscarTransferencia(req.transferencia.id, req.userId);
+      if (!encerrada) {
+        return responderNaoPendente(res, atual);
+      }
+
+      await registrarAuditoria({
+        req,
+        acao: 'atualizar',
+        entidade: 'transferencias_veiculo',
+        entidadeId: atual.id,
+        veiculoId: atual.veiculo_id,
+        antes: { status: 'pendente' },
+        depois: { status, motivo_recusa: motivo }
+      });
+
+      res.json({
+        success: true,
+        mensagem: status === 'recusada' ? 'Transferência recusada' : 'Transferência cancelada',
+        transferencia: formatarTransferencia(atual, construirUrlBase(req))
+      });
+    } catch (error) {
+      console.error(`[ERRO] Erro ao encerrar transferência (${status}):`, error);
+      res.status(500).json({ error: 'Erro ao atualizar transferência', details: error.message });
+    }
+  };
+}
+
+/**
+ * POST /transferencias/:id/recusar
+ * Quem responde recusa. Body: motivo (opcional)
+ */
+router.post('/:id/recusar', authRequired, exigirParte('respondente'), encerrarPedido('recusada'));
+
+/**
+ * POST /transferencias/:id/cancelar
+ * Quem fez o pedido desiste
+ */
+router.post('/:id/cancelar', authRequired, exigirParte('solicitante'), encerrarPedido('cancelada'));
+
+export default router;
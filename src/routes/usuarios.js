@@ -16,9 +16,9 @@ const router = express.Router();
  */
 router.get('/', authRequired, async (req, res) => {
   try {
-    // Buscar todos os usuários (apenas id, nome, email)
+    // Buscar usuários ativos (apenas id, nome, email); contas desativadas não recebem veículos
     const usuarios = await queryAll(
-      'SELECT id, nome, email FROM usuarios ORDER BY nome ASC, email ASC'
+      'SELECT id, nome, email FROM usuarios WHERE desativado_em IS NULL ORDER BY nome ASC, email ASC'
     );
 
     // Remover dados sensíveis e retornar apenas informações básicas
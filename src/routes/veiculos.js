@@ -1,38 +1,162 @@
 import express from 'express';
 import { authRequired, requireRole } from '../middleware/auth.js';
 import { ocrRateLimit } from '../middleware/ocrRateLimit.js';
-import { query, queryOne, queryAll, isPostgres } from '../database/db-adapter.js';
+import { exigirAcessoVeiculo } from '../middleware/acessoVeiculo.js';
+import { query, queryOne, queryAll, isPostgres, withTransaction } from '../database/db-adapter.js';
+import {
+  validarItemPlano,
+  obterPlanoEfetivo,
+  criarItemPlano,
+  atualizarItemPlano,
+  removerItemPlano,
+} from '../services/planosManutencaoService.js';
+import {
+  normalizarUf,
+  validarObrigacao,
+  listarObrigacoesVeiculo,
+  buscarObrigacao,
+  criarObrigacao,
+  atualizarObrigacao,
+  removerObrigacao,
+  motivoSemLicenciamento,
+  calcularVencimentoLicenciamento,
+  buscarLicenciamentoDoAno,
+  gerarLicenciamento,
+  formatarObrigacao,
+  STATUS_OBRIGACAO,
+} from '../services/obrigacoesService.js';
+import {
+  filtroVeiculosAcessiveis,
+  buscarVeiculoAcessivel,
+  buscarMembro,
+  temPermissao,
+} from '../services/organizacoesService.js';
+import { registrarAuditoria, formatarRegistroAuditoria } from '../services/auditoriaService.js';
+import {
+  verificarPodeTransferir,
+  criarPedidoTransferencia,
+  formatarTransferencia,
+  PASTA_DOCUMENTOS_TRANSFERENCIA,
+} from '../services/transferenciasService.js';
+import {
+  TAMANHO_MINIMO_SENHA_COMPARTILHAMENTO,
+  TIPOS_COMPARTILHAMENTO,
+  ESCOPOS_COMPARTILHAMENTO,
+  normalizarEscopos,
+  construirUrlCompartilhamento,
+  gerarHashSenhaCompartilhamento,
+  listarCompartilhamentosDoVeiculo,
+  buscarCompartilhamentoDoVeiculo,
+  revogarCompartilhamento,
+  formatarCompartilhamento,
+} from '../services/compartilhamentosService.js';
+import { sqlImagemPrincipal } from '../services/anexosManutencaoService.js';
+import {
+  armazenamentoTemporario,
+  armazenarUpload,
+  urlArquivo,
+  removerArquivos,
+  removerUploadsTemporarios
+} from '../services/armazenamento/index.js';
 import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
 import crypto from 'crypto';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import {
+  TIPOS_IMAGEM_PROCESSAVEIS,
+  validarAssinaturaArquivo,
+  processarImagemUpload
+} from '../services/imagensService.js';
 
 const router = express.Router();
 
-// Configurar upload temporário
-const uploadsDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
+// Configurar upload temporário (documentos seguem para o armazenamento depois de validados)
 const upload = multer({
-  dest: uploadsDir,
+  storage: armazenamentoTemporario,
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+// Documento de venda da transferência: baixado só pelas partes (ver PASTA_DOCUMENTOS_TRANSFERENCIA)
+const uploadDocumentoVenda = multer({
+  storage: armazenamentoTemporario,
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB
 });
 
-// Listar todos os veículos do usuário
+// URL base pública da API
+const construirUrlBase = (req) => {
+  if (process.env.NODE_ENV === 'production') {
+    const renderExternal = process.env.RENDER_EXTERNAL_URL;
+    if (renderExternal) {
+      return renderExternal.replace(/\/$/, '');
+    }
+  }
+
+  const protocol = req.protocol || 'http';
+  const host = req.get('host') || 'localhost:3000';
+  return `${protocol}://${host}`;
+};
+
+// URL assinada de um arquivo enviado (documento do veículo, fotos das manutenções)
+const construirUrlDocumento = (filename, req) => {
+  if (!filename) return null;
+  return urlArquivo(filename, construirUrlBase(req));
+};
+
+// Veículo para resposta: documento_url gravado como chave vira URL assinada
+const comDocumentoAssinado = (veiculo, req) => ({
+  ...veiculo,
+  documento_url: construirUrlDocumento(veiculo.documento_url, req)
+});
+
+// Dados de um relatório de histórico gerado (sem caminho do arquivo em disco)
+const montarRespostaRelatorio = (relatorio, req) => ({
+  id: relatorio.id,
+  codigo_verificacao: relatorio.codigo_verificacao,
+  gerado_em: relatorio.gerado_em,
+  km_relatorio: relatorio.km_relatorio,
+  unidade: relatorio.unidade,
+  tamanho_bytes: relatorio.tamanho_bytes,
+  hash_sha256: relatorio.hash_sha256,
+  download_url: `${construirUrlBase(req)}/veiculos/${relatorio.veiculo_id}/relatorios/${relatorio.id}`,
+  verificacao_url: `${construirUrlBase(req)}/relatorios/verificar/${relatorio.codigo_verificacao}`
+});
+
+// Remove o upload temporário (fotos de painel não são guardadas)
+const removerArquivoTemporario = (file) => {
+  removerUploadsTemporarios(file);
+};
+
+// Resposta da prévia de leitura do painel (OCR de KM/horímetro)
+const montarRespostaPreviaKm = ({ leitura, plausibilidade }, veiculo) => {
+  const campo = leitura.unidade === 'horas' ? 'horas_atual' : 'km_atual';
+  return {
+    success: leitura.valor !== null,
+    km_detectado: leitura.valor,
+    unidade: leitura.unidade,
+    leitura,
+    plausibilidade,
+    pendente_confirmacao: leitura.valor !== null,
+    confirmacao: veiculo && leitura.valor !== null
+      ? {
+        metodo: 'PUT',
+        url: `/veiculos/${veiculo.id}/km`,
+        body: { [campo]: leitura.valor, origem: 'ocr' },
+        bloqueada: Boolean(plausibilidade?.alertas.some(a => a.bloqueante))
+      }
+      : null,
+    mensagem: leitura.valor === null
+      ? 'Não foi possível identificar a leitura na imagem. Por favor, insira manualmente.'
+      : 'Confira a leitura antes de confirmar.'
+  };
+};
+
+// Listar veículos do usuário (pessoais e das organizações das quais é membro)
 router.get('/', authRequired, async (req, res) => {
   try {
+    const filtro = filtroVeiculosAcessiveis(req.userId);
     const veiculos = await queryAll(
-      'SELECT * FROM veiculos WHERE usuario_id = ?',
-      [req.userId]
+      `SELECT v.* FROM veiculos v WHERE ${filtro.sql}`,
+      filtro.params
     );
-    res.json(veiculos);
+    res.json(veiculos.map(veiculo => comDocumentoAssinado(veiculo, req)));
   } catch (err) {
     console.error('Erro ao listar veículos:', err);
     res.status(500).json({ error: 'Erro ao listar veículos' });
@@ -56,6 +180,7 @@ router.post('/', authRequired, async (req, res) => {
       km_aquisicao, // KM inicial (obrigatório apenas para métrica km) - aceita km_inicio para compatibilidade
       km_inicial, // KM inicial (novo formato)
       horas_inicial, // Horas iniciais (para métrica horas)
+      unidade_uso, // Unidade das leituras para tipo "outro" (configuravel): 'km' | 'horas'
       // Dados mestres (opcionais)
       fabricante_id,
       modelo_id,
@@ -63,9 +188,30 @@ router.post('/', authRequired, async (req, res) => {
       dados_nao_padronizados,
       origem_dados, // 'manual' | 'ocr' - Rastreabilidade: origem dos dados do cadastro
       documento_url, // URL do documento (PDF/foto) - Documento anexado pelo usuário
-      documento_pendente_ocr // Flag: indica se documento precisa de OCR (FUTURO: quando OCR local for implementado)
+      documento_pendente_ocr, // Flag: indica se documento precisa de OCR (FUTURO: quando OCR local for implementado)
+      organizacao_id, // Organização dona do veículo (opcional; exige papel owner ou manager)
+      uf // Estado de registro (opcional) - usado no calendário de licenciamento
     } = req.body;
 
+    const ufFinal = normalizarUf(uf);
+    if (ufFinal === undefined) {
+      return res.status(400).json({ error: 'UF inválida', code: 'UF_INVALIDA' });
+    }
+
+    if (organizacao_id) {
+      const membro = await buscarMembro(organizacao_id, req.userId);
+      if (!membro) {
+        return res.status(404).json({ error: 'Organização não encontrada', code: 'ORGANIZACAO_NAO_ENCONTRADA' });
+      }
+      if (!temPermissao(membro.papel, 'veiculo:editar')) {
+        return res.status(403).json({
+          error: 'Seu papel na organização não permite cadastrar veículos',
+          code: 'PERMISSAO_NEGADA',
+          papel: membro.papel
+        });
+      }
+    }
+
     // Validações obrigatórias básicas
     // Modelo pode vir de modelo_id (dados mestres) ou modelo (legado)
     const temModeloMestre = modelo_id && modelo_id > 0;
@@ -115,7 +261,7 @@ router.post('/', authRequired, async (req, res) => {
     }
 
     // Validar tipo_equipamento válido e determinar métrica
-    const { isTipoValido, getMetricaPorTipo } = await import('../utils/tipoEquipamento.js');
+    const { isTipoValido, getMetricaPorTipo, getUnidadeUso, UNIDADES_USO } = await import('../utils/tipoEquipamento.js');
     if (!isTipoValido(tipo_veiculo)) {
       return res.status(400).json({ 
         error: 'Tipo de equipamento inválido',
@@ -126,6 +272,15 @@ router.post('/', authRequired, async (req, res) => {
     // Determinar métrica baseada no tipo de equipamento (DECLARAR ANTES DE USAR)
     const metrica = getMetricaPorTipo(tipo_veiculo);
 
+    // Unidade escolhida só faz sentido para tipos configuráveis
+    if (metrica === 'configuravel' && unidade_uso && !UNIDADES_USO.includes(unidade_uso)) {
+      return res.status(400).json({ 
+        error: `Unidade de uso inválida. Valores aceitos: ${UNIDADES_USO.join(', ')}`,
+        code: 'UNIDADE_USO_INVALIDA'
+      });
+    }
+    const unidadeUso = getUnidadeUso(tipo_veiculo, unidade_uso);
+
     // Determinar valor inicial baseado na métrica
     let valorInicial = null;
     let valorInicialParaHistorico = null;
@@ -343,6 +498,11 @@ router.post('/', authRequired, async (req, res) => {
     // Campos obrigatórios
     campos.push('usuario_id');
     valores.push(req.userId);
+
+    if (organizacao_id) {
+      campos.push('organizacao_id');
+      valores.push(organizacao_id);
+    }
     
     campos.push('km_atual');
     valores.push(kmAquisicaoFinal);
@@ -392,6 +552,10 @@ router.post('/', authRequired, async (req, res) => {
       campos.push('chassi');
       valores.push(chassiBody.trim().toUpperCase());
     }
+    if (ufFinal) {
+      campos.push('uf');
+      valores.push(ufFinal);
+    }
     if (proprietario_id) {
       campos.push('proprietario_id');
       valores.push(proprietario_id);
@@ -400,6 +564,10 @@ router.post('/', authRequired, async (req, res) => {
       campos.push('tipo_veiculo');
       valores.push(tipo_veiculo);
     }
+    if (metrica === 'configuravel' && unidade_uso) {
+      campos.push('unidade_uso');
+      valores.push(unidade_uso);
+    }
     // origem_dados: Rastreabilidade da origem dos dados ('manual' | 'ocr')
     // NOTA: Atualmente sempre 'manual' pois OCR local não está implementado
     // Mantido para rastreabilidade futura quando OCR for implementado
@@ -407,9 +575,20 @@ router.post('/', authRequired, async (req, res) => {
       campos.push('origem_dados');
       valores.push(origem_dados);
     }
+    // Só a URL devolvida pelo OCR de documento a este usuário (grava a chave do arquivo);
+    // outra chave ou URL assinada daria acesso permanente a um arquivo alheio
+    let documentoChave = null;
     if (documento_url) {
+      const { buscarDocumentoEnviado } = await import('../services/documentoVeiculoOcr.js');
+      documentoChave = await buscarDocumentoEnviado(req.userId, documento_url);
+      if (!documentoChave) {
+        return res.status(400).json({
+          error: 'Documento inválido ou expirado. Envie o documento novamente pelo OCR',
+          code: 'DOCUMENTO_INVALIDO'
+        });
+      }
       campos.push('documento_url');
-      valores.push(documento_url);
+      valores.push(documentoChave);
     }
     // documento_pendente_ocr: Flag para indicar se documento precisa de OCR
     // FUTURO: Quando OCR local for implementado, esta flag será consultada
@@ -423,102 +602,102 @@ router.post('/', authRequired, async (req, res) => {
     const placeholders = campos.map(() => '?').join(', ');
     const querySQL = `INSERT INTO veiculos (${campos.join(', ')}) VALUES (${placeholders})`;
     
+    const timestampFunc = isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')";
+    // Usar valorInicialParaHistorico (pode ser null para tipo "outro")
+    const valorParaProprietario = valorInicialParaHistorico !== null ? valorInicialParaHistorico : (origem_posse === 'zero_km' ? 0 : null);
+    const proprietarioHistorico = {
+      usuario_id: req.userId,
+      nome: nomeProprietario,
+      data_aquisicao,
+      km_aquisicao: valorParaProprietario,
+      origem_posse
+    };
+    let leituraInicial = null;
+    let veiculoInserido = false;
+
+    // Veículo, proprietário inicial e leitura inicial são gravados juntos:
+    // um veículo sem histórico de posse não pode ser usado
     try {
-      result = await query(querySQL, valores);
-      id = result.insertId || (result.rows?.[0]?.id) || null;
-    } catch (insertError) {
-      // Se coluna não existir (ex: chassi, fabricante_id), tentar sem ela
-      if (insertError.message?.includes('column') || insertError.message?.includes('does not exist')) {
-        // Remover coluna problemática e tentar novamente
-        const colunaProblema = insertError.message.match(/column "?(\w+)"?/i)?.[1];
-        if (colunaProblema && campos.includes(colunaProblema)) {
-          const index = campos.indexOf(colunaProblema);
-          campos.splice(index, 1);
-          valores.splice(index, 1);
-          const placeholdersRetry = campos.map(() => '?').join(', ');
-          const querySQLRetry = `INSERT INTO veiculos (${campos.join(', ')}) VALUES (${placeholdersRetry})`;
-          result = await query(querySQLRetry, valores);
-          id = result.insertId || (result.rows?.[0]?.id) || null;
-        } else {
-          throw insertError;
+      await withTransaction(async () => {
+        result = await query(querySQL, valores);
+        id = result.insertId || (result.rows?.[0]?.id) || null;
+        veiculoInserido = true;
+
+        if (documentoChave) {
+          const { removerDocumentoEnviado } = await import('../services/documentoVeiculoOcr.js');
+          await removerDocumentoEnviado(req.userId, documentoChave);
         }
-      } else {
-        throw insertError;
-      }
-    }
 
-    // Criar registro em proprietarios_historico
-    const { isPostgres } = await import('../database/db-adapter.js');
-    const timestampFunc = isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')";
-    
-    try {
-      // Usar valorInicialParaHistorico (pode ser null para tipo "outro")
-      const valorParaProprietario = valorInicialParaHistorico !== null ? valorInicialParaHistorico : (origem_posse === 'zero_km' ? 0 : null);
-      
-      await query(
-        `INSERT INTO proprietarios_historico 
-         (veiculo_id, usuario_id, nome, data_aquisicao, km_aquisicao, data_inicio, km_inicio, origem_posse, criado_em)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${timestampFunc})`,
-        [
-          id,
-          req.userId,
-          nomeProprietario,
-          data_aquisicao,
-          valorParaProprietario,
-          data_aquisicao,
-          valorParaProprietario,
-          origem_posse
-        ]
-      );
+        const proprietarioResult = await query(
+          `INSERT INTO proprietarios_historico 
+           (veiculo_id, usuario_id, nome, data_aquisicao, km_aquisicao, data_inicio, km_inicio, origem_posse, criado_em)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${timestampFunc})`,
+          [
+            id,
+            req.userId,
+            nomeProprietario,
+            data_aquisicao,
+            valorParaProprietario,
+            data_aquisicao,
+            valorParaProprietario,
+            origem_posse
+          ]
+        );
+        proprietarioHistorico.id = proprietarioResult.insertId;
+
+        // Criar registro inicial em km_historico apenas se métrica não for "configuravel"
+        // e se houver valor inicial válido
+        if (metrica !== 'configuravel' && valorInicialParaHistorico !== null) {
+          // Determinar fonte baseado na origem_posse
+          const fonteHistorico = origem_posse === 'zero_km' ? 'fabrica' : 'aquisicao';
+
+          const leituraResult = await query(
+            `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, fonte, unidade, data_registro, criado_em) 
+             VALUES (?, ?, ?, 'inicio_posse', ?, ?, ?, ${timestampFunc})`,
+            [id, req.userId, valorInicialParaHistorico, fonteHistorico, unidadeUso, data_aquisicao]
+          );
+          leituraInicial = {
+            id: leituraResult.insertId,
+            km: valorInicialParaHistorico,
+            origem: 'inicio_posse',
+            fonte: fonteHistorico,
+            unidade: unidadeUso,
+            data_registro: data_aquisicao
+          };
+        }
+      });
     } catch (histError) {
-      // Se falhar ao criar histórico, reverter criação do veículo
-      await query('DELETE FROM veiculos WHERE id = ?', [id]);
-      console.error('[ERRO CRÍTICO] Falha ao criar histórico de proprietário:', histError.message);
+      // Erro no próprio INSERT do veículo segue o tratamento geral
+      if (!veiculoInserido) throw histError;
+      console.error('[ERRO CRÍTICO] Falha ao criar histórico inicial (veículo não cadastrado):', histError.message);
       console.error('[ERRO CRÍTICO] Stack:', histError.stack);
       return res.status(500).json({ 
-        error: 'Erro ao criar histórico de proprietário. O veículo não foi cadastrado.' 
+        error: 'Erro ao criar histórico inicial. O veículo não foi cadastrado.',
+        code: 'ERRO_CRIACAO_HISTORICO'
       });
     }
 
-    // Criar registro inicial em km_historico apenas se métrica não for "configuravel"
-    // e se houver valor inicial válido
-    if (metrica !== 'configuravel' && valorInicialParaHistorico !== null) {
-      try {
-        // Determinar fonte baseado na origem_posse
-        let fonteHistorico = 'aquisicao'; // padrão para usado
-        if (origem_posse === 'zero_km') {
-          fonteHistorico = 'fabrica';
-        } else if (origem_posse === 'usado') {
-          fonteHistorico = 'aquisicao';
-        }
-        
-        // DEFESA ABSOLUTA: garantir que fonte nunca seja null ou undefined
-        if (!fonteHistorico || fonteHistorico.trim() === '') {
-          throw new Error('fonteHistorico não definida no cadastro inicial');
-        }
-        
-        await query(
-          `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, fonte, data_registro, criado_em) 
-           VALUES (?, ?, ?, 'inicio_posse', ?, ?, ${timestampFunc})`,
-          [id, req.userId, valorInicialParaHistorico, fonteHistorico, data_aquisicao]
-        );
-      } catch (kmError) {
-        // Se falhar ao criar histórico, reverter criação do veículo e histórico de proprietário
-        await query('DELETE FROM proprietarios_historico WHERE veiculo_id = ?', [id]);
-        await query('DELETE FROM veiculos WHERE id = ?', [id]);
-        console.error('[ERRO CRÍTICO] Falha ao criar registro inicial de histórico:', kmError.message);
-        console.error('[ERRO CRÍTICO] Stack:', kmError.stack);
-        return res.status(500).json({ 
-          error: 'Erro ao criar histórico inicial. O veículo não foi cadastrado.',
-          code: 'ERRO_CRIACAO_HISTORICO'
-        });
-      }
-    } else if (metrica === 'configuravel') {
+    if (metrica === 'configuravel') {
       // Para tipo "outro", não criar histórico automático
       // Histórico será criado manualmente pelo usuário depois
       console.log(`[VEICULO] Tipo "outro" - histórico inicial não será criado automaticamente para veículo ${id}`);
     }
 
+    await registrarAuditoria({
+      req,
+      acao: 'criar',
+      entidade: 'veiculos',
+      entidadeId: id,
+      veiculoId: id,
+      depois: Object.fromEntries(campos.map((campo, i) => [campo, valores[i]]))
+    });
+    const { id: proprietarioHistoricoId, ...dadosProprietario } = proprietarioHistorico;
+    await registrarAuditoria({ req, acao: 'criar', entidade: 'proprietarios_historico', entidadeId: proprietarioHistoricoId, veiculoId: id, depois: dadosProprietario });
+    if (leituraInicial) {
+      const { id: leituraId, ...dadosLeitura } = leituraInicial;
+      await registrarAuditoria({ req, acao: 'criar', entidade: 'km_historico', entidadeId: leituraId, veiculoId: id, depois: dadosLeitura });
+    }
+
     return res.json({
       success: true,
       id,
@@ -529,6 +708,8 @@ router.post('/', authRequired, async (req, res) => {
       modelo: modelo || null,
       ano: ano || null,
       usuario_id: req.userId,
+      organizacao_id: organizacao_id || null,
+      unidade_uso: unidadeUso,
       mensagem: 'Veículo cadastrado com sucesso'
     });
 
@@ -549,6 +730,15 @@ router.post('/cadastrar', authRequired, requireRole('admin', 'operador'), async
       [placa, renavam || null, proprietario_id || null, marca || null, modelo || null, ano || null, userId]
     );
 
+    await registrarAuditoria({
+      req,
+      acao: 'criar',
+      entidade: 'veiculos',
+      entidadeId: result.insertId,
+      veiculoId: result.insertId,
+      depois: { placa, renavam: renavam || null, proprietario_id: proprietario_id || null, marca: marca || null, modelo: modelo || null, ano: ano || null, usuario_id: userId }
+    });
+
     res.json({
       id: result.insertId,
       placa,
@@ -571,11 +761,12 @@ router.get('/proprietario/:id', authRequired, async (req, res) => {
   const id = req.params.id;
     const userId = req.userId; // Do middleware JWT
 
+    const filtro = filtroVeiculosAcessiveis(userId);
     const rows = await queryAll(
-      'SELECT * FROM veiculos WHERE proprietario_id = ? AND usuario_id = ?',
-      [id, userId]
+      `SELECT v.* FROM veiculos v WHERE v.proprietario_id = ? AND ${filtro.sql}`,
+      [id, ...filtro.params]
     );
-    res.json(rows);
+    res.json(rows.map(veiculo => comDocumentoAssinado(veiculo, req)));
   } catch (error) {
     console.error('[ERRO] Erro ao listar veículos:', error);
     return res.status(500).json({ error: error.message || 'Erro ao listar veículos' });
@@ -583,7 +774,7 @@ router.get('/proprietario/:id', authRequired, async (req, res) => {
 });
 
 // Buscar veículo por placa
-// SEGURANÇA: Filtra obrigatoriamente por usuario_id para prevenir acesso não autorizado
+// SEGURANÇA: Filtra obrigatoriamente pelos veículos acessíveis ao usuário para prevenir acesso não autorizado
 router.get('/buscar-placa/:placa', authRequired, async (req, res) => {
   try {
   const placa = req.params.placa.toUpperCase();
@@ -602,13 +793,14 @@ router.get('/buscar-placa/:placa', authRequired, async (req, res) => {
       return res.status(400).json({ error: 'Placa inválida' });
     }
 
-    // Query com filtro obrigatório por usuario_id (prevenção de acesso não autorizado)
+    // Query com filtro obrigatório de acesso (prevenção de acesso não autorizado)
+    const filtro = filtroVeiculosAcessiveis(userIdNum);
     const row = await queryOne(
     `SELECT v.*, p.nome as proprietarioNome 
      FROM veiculos v 
      LEFT JOIN proprietarios p ON v.proprietario_id = p.id 
-     WHERE v.placa = ? AND v.usuario_id = ?`,
-      [placaSanitizada, userIdNum]
+     WHERE v.placa = ? AND ${filtro.sql}`,
+      [placaSanitizada, ...filtro.params]
     );
     
     // Se não encontrou, pode ser que não exista OU que pertença a outro usuário
@@ -617,7 +809,7 @@ router.get('/buscar-placa/:placa', authRequired, async (req, res) => {
       return res.status(404).json({ error: 'Veículo não encontrado' });
     }
     
-    res.json(row);
+    res.json(comDocumentoAssinado(row, req));
   } catch (error) {
     console.error('[ERRO] Erro ao buscar veículo por placa:', error);
     return res.status(500).json({ error: error.message || 'Erro ao buscar veículo' });
@@ -628,7 +820,9 @@ router.get('/buscar-placa/:placa', authRequired, async (req, res) => {
 router.get('/totais', authRequired, async (req, res) => {
   try {
     const userId = req.userId; // Do middleware JWT
+    const filtro = filtroVeiculosAcessiveis(userId);
 
+    // Veículo de organização soma as manutenções de todos os membros
     const rows = await queryAll(
     `SELECT 
       v.id,
@@ -644,11 +838,11 @@ router.get('/totais', authRequired, async (req, res) => {
       MAX(m.data) as ultimaData
     FROM veiculos v
     LEFT JOIN proprietarios p ON v.proprietario_id = p.id
-    LEFT JOIN manutencoes m ON v.id = m.veiculo_id AND m.usuario_id = ?
-    WHERE v.usuario_id = ?
+    LEFT JOIN manutencoes m ON v.id = m.veiculo_id AND (v.organizacao_id IS NOT NULL OR m.usuario_id = ?)
+    WHERE ${filtro.sql}
       GROUP BY v.id, v.placa, v.renavam, v.marca, v.modelo, v.ano, v.km_atual, v.proprietario_id, p.nome
     ORDER BY v.placa`,
-      [userId, userId]
+      [userId, ...filtro.params]
     );
       res.json(rows);
   } catch (error) {
@@ -657,12 +851,15 @@ router.get('/totais', authRequired, async (req, res) => {
     }
 });
 
-// OCR de documento do veículo (stub/placeholder) - DEVE VIR ANTES DE /:id
+// OCR de documento do veículo (CRLV/CRLV-e) - DEVE VIR ANTES DE /:id
 // Rate limiting: 10/min, 100/mês
+// Body opcional: veiculo_id - anexa o documento ao veículo e limpa documento_pendente_ocr
 router.post('/ocr-documento', authRequired, ocrRateLimit('documento'), upload.single('imagem'), async (req, res) => {
+  const file = req.file;
+
+  const removerArquivo = () => removerUploadsTemporarios(file);
+
   try {
-    const file = req.file;
-    
     if (!file) {
       return res.status(400).json({ 
         error: 'Imagem do documento é obrigatória',
@@ -670,82 +867,175 @@ router.post('/ocr-documento', authRequired, ocrRateLimit('documento'), upload.si
       });
     }
 
-    // Stub: OCR de documento ainda não implementado
-    // Aceita a requisição mas retorna dados simulados para integração futura
-    // Não bloqueia o fluxo se OCR falhar
+    // Tipo real pelo conteúdo; a imagem fica guardada, então sai girada e sem metadados
+    const erroImagem = validarAssinaturaArquivo(file, TIPOS_IMAGEM_PROCESSAVEIS)
+      || await processarImagemUpload(file, { miniatura: false });
+    if (erroImagem) {
+      removerArquivo();
+      return res.status(400).json({ error: erroImagem.mensagem, code: erroImagem.erro });
+    }
+
+    const userId = req.userId;
+    const { veiculo_id } = req.body;
+
+    let veiculo = null;
+    if (veiculo_id) {
+      veiculo = await buscarVeiculoAcessivel(veiculo_id, userId);
+      if (!veiculo) {
+        removerArquivo();
+        return res.status(404).json({ error: 'Veículo não encontrado' });
+      }
+      if (!temPermissao(veiculo.papel_organizacao, 'veiculo:editar')) {
+        removerArquivo();
+        return res.status(403).json({ error: 'Seu papel na organização não permite esta ação', code: 'PERMISSAO_NEGADA' });
+      }
+    }
+
+    const { getOcrProvider } = await import('../services/ocrProviders/index.js');
+    const { associarDadosMestres, registrarDocumentoEnviado } = await import('../services/documentoVeiculoOcr.js');
+
+    const dados = await getOcrProvider().extrairDocumentoVeiculo(file.path, file.mimetype || 'image/jpeg');
+
+    // Associação com dados mestres não bloqueia o retorno do OCR
+    let dadosMestres = { fabricante: null, modelo: null };
+    try {
+      dadosMestres = await associarDadosMestres(dados);
+    } catch (mestresError) {
+      console.warn('[AVISO] Erro ao associar documento aos dados mestres:', mestresError.message);
+    }
+
+    // A imagem permanece no armazenamento como documento do veículo
+    const documentoChave = await armazenarUpload(file);
+    const documentoUrl = construirUrlDocumento(documentoChave, req);
+
+    if (veiculo) {
+      await query(
+        `UPDATE veiculos SET documento_url = ?, documento_pendente_ocr = ${isPostgres() ? 'false' : '0'} WHERE id = ?`,
+        [documentoChave, veiculo.id]
+      );
+      await registrarAuditoria({
+        req,
+        acao: 'atualizar',
+        entidade: 'veiculos',
+        entidadeId: veiculo.id,
+        veiculoId: veiculo.id,
+        antes: { documento_url: veiculo.documento_url ?? null },
+        depois: { documento_url: documentoChave }
+      });
+    } else {
+      // Anexado no cadastro (POST /veiculos com documento_url) só por quem enviou
+      await registrarDocumentoEnviado(userId, documentoChave);
+    }
+
     res.json({
-      success: false,
-      dados: {
-        placa: null,
-        renavam: null,
-        chassi: null,
-        marca: null,
-        modelo: null,
-        ano: null,
-        km_atual: null
-      },
-      mensagem: 'OCR de documento ainda não implementado. Por favor, preencha os dados manualmente.',
-      codigo: 'OCR_NAO_IMPLEMENTADO'
+      success: true,
+      dados,
+      dados_mestres: dadosMestres,
+      origem_dados: 'ocr',
+      documento_url: documentoUrl,
+      documento_filename: file.filename,
+      veiculo_id: veiculo ? veiculo.id : null
     });
   } catch (error) {
-    console.error('Erro no OCR de documento (stub):', error);
+    // Log apenas mensagem (documento contém dados pessoais)
+    console.error('[ERRO] Erro no OCR de documento:', error.message || 'Erro desconhecido');
+    removerArquivo();
     // Não bloquear fluxo - retornar resposta amigável
     res.json({
       success: false,
       dados: null,
       mensagem: 'Não foi possível processar o documento. Por favor, preencha os dados manualmente.',
-      codigo: 'OCR_ERRO'
+      codigo: 'OCR_ERRO',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
     });
   }
 });
 
-// OCR de KM (stub/placeholder) - DEVE VIR ANTES DE /:id
+// OCR de KM (prévia) - DEVE VIR ANTES DE /:id
 // Rate limiting: 10/min, 100/mês
+// Lê o odômetro/horímetro da foto e devolve a leitura candidata sem gravar nada.
+// Com veiculo_id, a leitura é convertida para a unidade do veículo e avaliada contra o km_historico.
 router.post('/ocr-km', authRequired, ocrRateLimit('km'), upload.single('imagem'), async (req, res) => {
   try {
-    // Stub: OCR de KM ainda não implementado
-    // Aceita a requisição mas retorna placeholder
-    res.json({
-      success: false,
-      km_detectado: null,
-      mensagem: 'OCR de KM ainda não implementado. Por favor, insira o KM manualmente.'
+    if (!req.file) {
+      return res.status(400).json({ error: 'Nenhuma imagem enviada' });
+    }
+
+    const erroImagem = validarAssinaturaArquivo(req.file, TIPOS_IMAGEM_PROCESSAVEIS);
+    if (erroImagem) {
+      return res.status(400).json({ error: erroImagem.mensagem, code: erroImagem.erro });
+    }
+
+    let veiculo = null;
+    if (req.body?.veiculo_id) {
+      veiculo = await buscarVeiculoAcessivel(req.body.veiculo_id, req.userId);
+      if (!veiculo) {
+        return res.status(404).json({ error: 'Veículo não encontrado' });
+      }
+    }
+
+    const { getUnidadeUso } = await import('../utils/tipoEquipamento.js');
+    const unidadeVeiculo = veiculo
+      ? getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso)
+      : (req.body?.unidade === 'horas' ? 'horas' : 'km');
+
+    const { gerarPreviaLeituraPainel } = await import('../services/leituraPainelService.js');
+    const previa = await gerarPreviaLeituraPainel({
+      imagePath: req.file.path,
+      mimeType: req.file.mimetype || 'image/jpeg',
+      veiculo,
+      unidadeVeiculo
     });
+
+    res.json(montarRespostaPreviaKm(previa, veiculo));
   } catch (error) {
-    console.error('Erro no OCR de KM (stub):', error);
-    res.status(500).json({ error: 'Erro ao processar OCR de KM' });
+    console.error('[ERRO] Erro no OCR de KM:', error);
+    res.status(500).json({ error: 'Erro ao processar OCR de KM', details: error.message });
+  } finally {
+    removerArquivoTemporario(req.file);
   }
 });
 
-// Atualizar KM de um veículo - DEVE VIR ANTES DE /:id
-router.put('/:id/km', authRequired, async (req, res) => {
+// Atualizar KM (ou horímetro) de um veículo - DEVE VIR ANTES DE /:id
+// Aceita km_atual (odômetro) ou horas_atual (horímetro); a unidade vem do tipo do equipamento
+router.put('/:id/km', authRequired, exigirAcessoVeiculo('km:registrar'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { km_atual, origem = 'manual' } = req.body;
+    const { km_atual, horas_atual, unidade, origem = 'manual' } = req.body;
     const userId = req.userId;
+    const leitura = horas_atual !== undefined && horas_atual !== null && horas_atual !== '' ? horas_atual : km_atual;
 
     // Validações
-    if (!km_atual) {
-      return res.status(400).json({ error: 'km_atual é obrigatório' });
+    if (!leitura) {
+      return res.status(400).json({ error: 'km_atual ou horas_atual é obrigatório' });
     }
 
-    const kmNum = parseInt(km_atual.toString().replace(/\D/g, ''), 10);
+    const kmNum = parseInt(leitura.toString().replace(/\D/g, ''), 10);
     if (isNaN(kmNum) || kmNum <= 0) {
-      return res.status(400).json({ error: 'KM inválido' });
+      return res.status(400).json({ error: 'Leitura inválida' });
     }
 
     // Validar origem
     const origensValidas = ['manual', 'ocr', 'abastecimento'];
     const origemFinal = origensValidas.includes(origem) ? origem : 'manual';
 
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT id, km_atual FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [id, userId]
-    );
+    // Veículo acessível ao usuário com permissão de registrar leituras (exigirAcessoVeiculo)
+    const veiculo = req.veiculo;
 
-    if (!veiculo) {
-      return res.status(403).json({ error: 'Veículo não encontrado ou não pertence ao usuário' });
+    // A leitura deve estar na unidade do equipamento (km para odômetro, horas para horímetro)
+    const { getUnidadeUso } = await import('../utils/tipoEquipamento.js');
+    const unidadeVeiculo = getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso);
+    const unidadeInformada = unidade || (horas_atual !== undefined && horas_atual !== null && horas_atual !== '' ? 'horas' : null);
+    if (unidadeInformada && unidadeInformada !== unidadeVeiculo) {
+      return res.status(400).json({ 
+        error: unidadeVeiculo === 'horas'
+          ? 'Este equipamento usa horímetro. Informe a leitura em horas (horas_atual).'
+          : 'Este veículo usa odômetro. Informe a leitura em km (km_atual).',
+        code: 'UNIDADE_INCOMPATIVEL',
+        unidade: unidadeVeiculo
+      });
     }
+    const rotuloUnidade = unidadeVeiculo === 'horas' ? 'Horímetro' : 'KM';
 
     // Validar que existe histórico inicial válido
     // Se existe pelo menos um registro no histórico, o período é válido
@@ -766,13 +1056,22 @@ router.put('/:id/km', authRequired, async (req, res) => {
       });
     }
 
-    // Verificar se o KM não é menor que o anterior (opcional, mas recomendado)
+    // Verificar se a leitura não é menor que a anterior (opcional, mas recomendado)
     if (veiculo.km_atual && kmNum < parseInt(veiculo.km_atual)) {
       return res.status(400).json({ 
-        error: 'KM informado é menor que o atual. Confirme se está correto.' 
+        error: `${rotuloUnidade} informado é menor que o atual. Confirme se está correto.` 
       });
     }
 
+    // Alertas de plausibilidade (ex.: salto improvável) não impedem a gravação:
+    // o usuário já conferiu a leitura ao confirmar
+    const { avaliarPlausibilidadeLeitura } = await import('../services/leituraPainelService.js');
+    const plausibilidade = await avaliarPlausibilidadeLeitura({
+      veiculoId: veiculo.id,
+      leitura: kmNum,
+      unidade: unidadeVeiculo
+    });
+
     // GARANTIA DE CONSISTÊNCIA: Sempre salvar no histórico ANTES de atualizar veiculos.km_atual
     // Se falhar salvar no histórico, NÃO atualizar km_atual (garantir integridade)
     // IMPORTANTE: origem e fonte nunca podem ser NULL ou vazio
@@ -794,30 +1093,41 @@ router.put('/:id/km', authRequired, async (req, res) => {
         throw new Error('fonteHistorico não definida na atualização de KM');
       }
       
-      await query(
-        `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, fonte, data_registro, criado_em) 
-         VALUES (?, ?, ?, ?, ?, ${timestampFunc}, ${timestampFunc})`,
-        [id, userId, kmNum, origemFinalValue, fonteHistorico]
+      const leituraResult = await query(
+        `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, fonte, unidade, data_registro, criado_em) 
+         VALUES (?, ?, ?, ?, ?, ?, ${timestampFunc}, ${timestampFunc})`,
+        [id, userId, kmNum, origemFinalValue, fonteHistorico, unidadeVeiculo]
       );
+      await registrarAuditoria({
+        req,
+        acao: 'criar',
+        entidade: 'km_historico',
+        entidadeId: leituraResult.insertId,
+        veiculoId: veiculo.id,
+        depois: { km: kmNum, origem: origemFinalValue, fonte: fonteHistorico, unidade: unidadeVeiculo }
+      });
       
       // IMPORTANTE: km_atual é CACHE/LEGADO - fonte única de verdade é km_historico
       // Atualizamos km_atual apenas para compatibilidade e performance de consultas
       // Sempre salvar no histórico ANTES de atualizar km_atual (garantir consistência)
       await query(
-        'UPDATE veiculos SET km_atual = ? WHERE id = ? AND usuario_id = ?',
-        [kmNum, id, userId]
+        'UPDATE veiculos SET km_atual = ? WHERE id = ?',
+        [kmNum, id]
       );
     } catch (histError) {
       // Se falhar ao salvar no histórico, NÃO atualizar km_atual e retornar erro
       console.error('[ERRO CRÍTICO] Falha ao salvar no histórico de KM:', histError.message);
       return res.status(500).json({ 
-        error: 'Erro ao salvar histórico de KM. A atualização foi cancelada para manter a integridade dos dados.' 
+        error: `Erro ao salvar histórico de ${rotuloUnidade}. A atualização foi cancelada para manter a integridade dos dados.` 
       });
     }
 
     res.json({ 
       success: true,
-      mensagem: 'KM atualizado com sucesso'
+      leitura: kmNum,
+      unidade: unidadeVeiculo,
+      alertas: plausibilidade.alertas,
+      mensagem: `${rotuloUnidade} atualizado com sucesso`
     });
   } catch (error) {
     console.error('Erro ao atualizar KM:', error);
@@ -826,41 +1136,100 @@ router.put('/:id/km', authRequired, async (req, res) => {
 });
 
 // Gerar link de compartilhamento do veículo (DEVE VIR ANTES DE /:id)
-router.post('/:id/compartilhar', authRequired, async (req, res) => {
+router.post('/:id/compartilhar', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { expira_em } = req.body;
+    const { expira_em, max_usos, senha, tipo, escopos, mascarar_identificacao } = req.body;
     const userId = req.userId;
 
-    // Verificar se o veículo existe e pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT id, usuario_id FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [id, userId]
-    );
+    const tipoLink = tipo || 'visualizacao';
+    if (!TIPOS_COMPARTILHAMENTO.includes(tipoLink)) {
+      return res.status(400).json({ error: `tipo deve ser um de: ${TIPOS_COMPARTILHAMENTO.join(', ')}` });
+    }
 
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
+    // Seções reveladas pela página pública
+    const escoposLink = normalizarEscopos(escopos);
+    if (escoposLink.erro) {
+      return res.status(400).json({
+        error: `Escopo inválido: ${escoposLink.invalidos.join(', ')}. Valores aceitos: ${ESCOPOS_COMPARTILHAMENTO.join(', ')}`,
+        code: escoposLink.erro
+      });
+    }
+    const mascararIdentificacao = mascarar_identificacao === true || mascarar_identificacao === 'true';
+    if (mascararIdentificacao && escoposLink.escopos.includes('documento_veiculo')) {
+      return res.status(400).json({
+        error: 'O documento do veículo mostra placa e RENAVAM: não pode ser compartilhado com a identificação mascarada',
+        code: 'ESCOPO_INVALIDO'
+      });
+    }
+
+    // Limite de acessos opcional (null = ilimitado)
+    let maxUsos = null;
+    if (max_usos !== undefined && max_usos !== null && max_usos !== '') {
+      maxUsos = parseInt(max_usos);
+      if (isNaN(maxUsos) || maxUsos <= 0) {
+        return res.status(400).json({ error: 'max_usos deve ser um número inteiro positivo' });
+      }
+    }
+
+    if (senha !== undefined && senha !== null && senha !== ''
+      && String(senha).length < TAMANHO_MINIMO_SENHA_COMPARTILHAMENTO) {
+      return res.status(400).json({
+        error: `A senha do link deve ter pelo menos ${TAMANHO_MINIMO_SENHA_COMPARTILHAMENTO} caracteres`
+      });
     }
 
     const token = crypto.randomBytes(32).toString('hex');
-    const baseUrl = process.env.RENDER_EXTERNAL_URL || 'https://troia-mvp.onrender.com';
-    const urlCompartilhamento = `${baseUrl.replace(/\/$/, '')}/compartilhamento/${token}`;
+    const urlCompartilhamento = construirUrlCompartilhamento(token);
 
-    // tipo 'visualizacao' para compatibilidade com GET /compartilhamento/:token
     const expiraEmVal = expira_em && expira_em.trim() ? expira_em.trim() : null;
+    const senhaHash = await gerarHashSenhaCompartilhamento(senha ? String(senha) : null);
 
-    await query(
-      `INSERT INTO veiculo_compartilhamentos (veiculo_id, token, tipo, criado_por_usuario_id, expira_em)
-       VALUES (?, ?, 'visualizacao', ?, ?)`,
-      [id, token, userId, expiraEmVal]
+    const result = await query(
+      `INSERT INTO veiculo_compartilhamentos
+       (veiculo_id, token, tipo, criado_por_usuario_id, expira_em, max_usos, senha_hash, escopos, mascarar_identificacao)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        token,
+        tipoLink,
+        userId,
+        expiraEmVal,
+        maxUsos,
+        senhaHash,
+        JSON.stringify(escoposLink.escopos),
+        isPostgres() ? mascararIdentificacao : (mascararIdentificacao ? 1 : 0)
+      ]
     );
 
+    await registrarAuditoria({
+      req,
+      acao: 'criar',
+      entidade: 'veiculo_compartilhamentos',
+      entidadeId: result.insertId,
+      veiculoId: parseInt(id),
+      depois: {
+        tipo: tipoLink,
+        escopos: escoposLink.escopos,
+        mascarar_identificacao: mascararIdentificacao,
+        expira_em: expiraEmVal,
+        max_usos: maxUsos,
+        protegido_por_senha: Boolean(senhaHash)
+      }
+    });
+
     res.json({
       success: true,
+      id: result.insertId,
       token,
       url: urlCompartilhamento,
       link: urlCompartilhamento,
+      tipo: tipoLink,
+      escopos: escoposLink.escopos,
+      mascarar_identificacao: mascararIdentificacao,
       expira_em: expiraEmVal,
+      max_usos: maxUsos,
+      protegido_por_senha: Boolean(senhaHash),
     });
   } catch (error) {
     console.error('Erro ao criar link de compartilhamento:', error);
@@ -868,42 +1237,96 @@ router.post('/:id/compartilhar', authRequired, async (req, res) => {
   }
 });
 
-// Transferir veículo para outro usuário (DEVE VIR ANTES DE /:id)
-router.post('/:id/transferir', authRequired, async (req, res) => {
+/**
+ * GET /veiculos/:id/compartilhamentos
+ * Links de compartilhamento do veículo com situação e contadores de acesso
+ */
+router.get('/:id/compartilhamentos', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const compartilhamentos = await listarCompartilhamentosDoVeiculo(req.veiculo.id);
+    res.json(compartilhamentos.map(formatarCompartilhamento));
+  } catch (error) {
+    console.error('[ERRO] Erro ao listar links de compartilhamento:', error);
+    res.status(500).json({ error: 'Erro ao listar links de compartilhamento', details: error.message });
+  }
+});
+
+/**
+ * DELETE /veiculos/:id/compartilhamentos/:compartilhamentoId
+ * Revoga o link (o registro e os contadores são mantidos)
+ */
+router.delete('/:id/compartilhamentos/:compartilhamentoId', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const compartilhamento = await buscarCompartilhamentoDoVeiculo(req.veiculo.id, req.params.compartilhamentoId);
+    if (!compartilhamento) {
+      return res.status(404).json({ error: 'Link de compartilhamento não encontrado' });
+    }
+
+    if (await revogarCompartilhamento(compartilhamento)) {
+      await registrarAuditoria({
+        req,
+        acao: 'excluir',
+        entidade: 'veiculo_compartilhamentos',
+        entidadeId: compartilhamento.id,
+        veiculoId: req.veiculo.id,
+        antes: formatarCompartilhamento(compartilhamento)
+      });
+    }
+
+    const atualizado = await buscarCompartilhamentoDoVeiculo(req.veiculo.id, compartilhamento.id);
+    res.json({
+      success: true,
+      mensagem: 'Link de compartilhamento revogado',
+      compartilhamento: formatarCompartilhamento(atualizado)
+    });
+  } catch (error) {
+    console.error('[ERRO] Erro ao revogar link de compartilhamento:', error);
+    res.status(500).json({ error: 'Erro ao revogar link de compartilhamento', details: error.message });
+  }
+});
+
+// Pedido de transferência do veículo para outro usuário (DEVE VIR ANTES DE /:id)
+// O histórico de proprietários só muda quando o destinatário aceita (POST /transferencias/:id/aceitar)
+router.post('/:id/transferir', authRequired, uploadDocumentoVenda.single('documento_venda'), async (req, res) => {
+  let documentoChave = null;
   try {
     const { id } = req.params;
-    const { novo_usuario_id, km_atual } = req.body;
+    const { novo_usuario_id, km_atual, valor_venda, mensagem } = req.body;
     const userId = req.userId; // Usuário atual (proprietário)
 
     // Validações
     if (!novo_usuario_id) {
+      removerArquivoTemporario(req.file);
       return res.status(400).json({ error: 'novo_usuario_id é obrigatório' });
     }
 
     const novoUsuarioIdNum = parseInt(novo_usuario_id);
     if (isNaN(novoUsuarioIdNum) || novoUsuarioIdNum <= 0) {
+      removerArquivoTemporario(req.file);
       return res.status(400).json({ error: 'ID do novo usuário inválido' });
     }
 
-    // Verificar se o veículo existe e pertence ao usuário atual
-    const veiculo = await queryOne(
-      'SELECT id, usuario_id, km_atual FROM veiculos WHERE id = ?',
-      [id]
-    );
-
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
-    }
-
-    // Verificar se o usuário atual é o proprietário do veículo
-    if (parseInt(veiculo.usuario_id) !== userId) {
+    // Veículo pessoal: só o dono atual; veículo de organização: só o owner da organização
+    const origem = await verificarPodeTransferir(id, userId);
+    if (origem.erro) {
+      removerArquivoTemporario(req.file);
+      if (origem.erro === 'VEICULO_NAO_ENCONTRADO') {
+        return res.status(404).json({ error: 'Veículo não encontrado' });
+      }
+      if (origem.erro === 'PROPRIETARIO_INDEFINIDO') {
+        return res.status(400).json({ 
+          error: 'Não foi possível identificar o proprietário atual do veículo' 
+        });
+      }
       return res.status(403).json({ 
         error: 'Apenas o proprietário atual pode transferir o veículo' 
       });
     }
+    const { veiculo } = origem;
 
     // Verificar se não está tentando transferir para si mesmo
     if (novoUsuarioIdNum === userId) {
+      removerArquivoTemporario(req.file);
       return res.status(400).json({ error: 'Não é possível transferir o veículo para você mesmo' });
     }
 
@@ -914,139 +1337,86 @@ router.post('/:id/transferir', authRequired, async (req, res) => {
     );
 
     if (!novoUsuario) {
+      removerArquivoTemporario(req.file);
       return res.status(404).json({ error: 'Novo usuário não encontrado' });
     }
 
-    // Importar helper de proprietário atual
-    const { getProprietarioAtual } = await import('../utils/proprietarioAtual.js');
-
-    // Buscar proprietário atual
-    const proprietarioAtual = await getProprietarioAtual(id);
-
-    if (!proprietarioAtual) {
-      return res.status(400).json({ 
-        error: 'Não foi possível identificar o proprietário atual do veículo' 
-      });
+    // KM opcional: sem ele, o aceite usa o KM do veículo naquele momento
+    let kmTransferencia = null;
+    if (km_atual !== undefined && km_atual !== null && km_atual !== '') {
+      kmTransferencia = parseInt(km_atual.toString().replace(/\D/g, ''), 10);
+      if (isNaN(kmTransferencia) || kmTransferencia < (parseInt(veiculo.km_atual) || 0)) {
+        removerArquivoTemporario(req.file);
+        return res.status(400).json({ error: 'KM atual inválido' });
+      }
     }
 
-    // Verificar se o proprietário atual corresponde ao usuário atual
-    if (parseInt(proprietarioAtual.usuario_id) !== userId) {
-      return res.status(403).json({ 
-        error: 'Apenas o proprietário atual pode transferir o veículo' 
-      });
+    let valorVenda = null;
+    if (valor_venda !== undefined && valor_venda !== null && valor_venda !== '') {
+      valorVenda = parseFloat(valor_venda.toString().replace(',', '.'));
+      if (isNaN(valorVenda) || valorVenda < 0) {
+        removerArquivoTemporario(req.file);
+        return res.status(400).json({ error: 'Valor de venda inválido' });
+      }
     }
 
-    // Obter KM atual (usar o fornecido ou o do veículo)
-    const kmAtualNum = km_atual 
-      ? parseInt(km_atual.toString().replace(/\D/g, ''), 10)
-      : parseInt(veiculo.km_atual) || 0;
+    documentoChave = req.file
+      ? await armazenarUpload(req.file, { pasta: PASTA_DOCUMENTOS_TRANSFERENCIA })
+      : null;
+
+    const resultado = await criarPedidoTransferencia({
+      veiculo,
+      remetenteId: userId,
+      destinatarioId: novoUsuarioIdNum,
+      km: kmTransferencia,
+      valorVenda,
+      documento: req.file
+        ? { arquivo: req.file.filename, nome: req.file.originalname, tipo: req.file.mimetype }
+        : null,
+      mensagem: mensagem ? mensagem.toString().trim().slice(0, 1000) || null : null
+    });
 
-    if (isNaN(kmAtualNum) || kmAtualNum < 0) {
-      return res.status(400).json({ error: 'KM atual inválido' });
+    if (resultado.erro === 'TRANSFERENCIA_PENDENTE') {
+      await removerArquivos([documentoChave]);
+      return res.status(409).json({
+        error: 'Já existe uma transferência pendente para este veículo',
+        code: 'TRANSFERENCIA_PENDENTE',
+        transferencia_id: resultado.transferencia_id
+      });
     }
 
-    // Data de hoje para encerrar o período atual
-    const hoje = new Date().toISOString().split('T')[0];
-
-    // Iniciar transação (simulada com try/catch)
-    try {
-      // 1. Encerrar proprietário atual (data_venda = hoje, km_venda = km_atual)
-      await query(
-        `UPDATE proprietarios_historico 
-         SET data_venda = ?, km_venda = ?
-         WHERE id = ? AND veiculo_id = ?`,
-        [hoje, kmAtualNum, proprietarioAtual.id, id]
-      );
-
-      // 2. Criar novo registro de proprietário para o novo usuário
-      // Usar data_inicio, km_inicio e origem_posse (se colunas existirem)
-      try {
-        await query(
-          `INSERT INTO proprietarios_historico 
-           (veiculo_id, usuario_id, nome, data_aquisicao, km_aquisicao, data_inicio, km_inicio, origem_posse, data_venda, km_venda)
-           VALUES (?, ?, ?, ?, ?, ?, ?, 'transferencia', NULL, NULL)`,
-          [id, novoUsuarioIdNum, novoUsuario.nome || novoUsuario.email || 'Novo Proprietário', hoje, kmAtualNum, hoje, kmAtualNum]
-        );
-      } catch (insertError) {
-        // Se falhar (colunas novas podem não existir), tentar versão antiga
-        if (insertError.message?.includes('data_inicio') || insertError.message?.includes('km_inicio') || insertError.message?.includes('origem_posse')) {
-          await query(
-            `INSERT INTO proprietarios_historico 
-             (veiculo_id, usuario_id, nome, data_aquisicao, km_aquisicao, data_venda, km_venda)
-             VALUES (?, ?, ?, ?, ?, NULL, NULL)`,
-            [id, novoUsuarioIdNum, novoUsuario.nome || novoUsuario.email || 'Novo Proprietário', hoje, kmAtualNum]
-          );
-        } else {
-          throw insertError;
-        }
-      }
-
-      // 3. Registrar KM no histórico PRIMEIRO (garantir consistência)
-      try {
-        const timestampFunc = isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')";
-        // Fonte para transferência
-        const fonteHistorico = 'transferencia';
-        
-        // DEFESA ABSOLUTA: garantir que fonte nunca seja null ou undefined
-        if (!fonteHistorico || fonteHistorico.trim() === '') {
-          throw new Error('fonteHistorico não definida na transferência');
-        }
-        
-        await query(
-          `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, fonte, data_registro, criado_em) 
-           VALUES (?, ?, ?, 'transferencia', ?, ${timestampFunc}, ${timestampFunc})`,
-          [id, novoUsuarioIdNum, kmAtualNum, fonteHistorico]
-        );
-      } catch (histError) {
-        // Se falhar ao salvar no histórico, não continuar com a transferência
-        console.error('[ERRO CRÍTICO] Falha ao salvar KM no histórico durante transferência:', histError.message);
-        throw new Error('Erro ao salvar histórico de KM. A transferência foi cancelada.');
+    await registrarAuditoria({
+      req,
+      acao: 'criar',
+      entidade: 'transferencias_veiculo',
+      entidadeId: resultado.id,
+      veiculoId: veiculo.id,
+      depois: {
+        destinatario_usuario_id: novoUsuarioIdNum,
+        km_transferencia: kmTransferencia,
+        valor_venda: valorVenda,
+        documento_venda: resultado.documento_venda_nome || null,
+        expira_em: resultado.expira_em
       }
+    });
 
-      // 4. Atualizar veiculo.usuario_id e km_atual APÓS salvar no histórico
-      await query(
-        'UPDATE veiculos SET usuario_id = ?, km_atual = ? WHERE id = ?',
-        [novoUsuarioIdNum, kmAtualNum, id]
-      );
-
-      res.json({
-        success: true,
-        mensagem: 'Veículo transferido com sucesso',
-        veiculo: {
-          id: parseInt(id),
-          novo_proprietario: {
-            id: novoUsuarioIdNum,
-            nome: novoUsuario.nome || novoUsuario.email,
-          },
-          km_atual: kmAtualNum,
-          data_transferencia: hoje,
-        },
-      });
-    } catch (transError) {
-      console.error('Erro durante transferência:', transError);
-      throw transError;
-    }
+    res.status(201).json({
+      success: true,
+      mensagem: 'Pedido de transferência enviado. O veículo muda de dono quando o destinatário aceitar.',
+      transferencia: formatarTransferencia(resultado, construirUrlBase(req)),
+    });
   } catch (error) {
+    removerArquivoTemporario(req.file);
+    await removerArquivos([documentoChave]);
     console.error('Erro ao transferir veículo:', error);
     res.status(500).json({ error: 'Erro ao transferir veículo' });
   }
 });
 
 // Histórico de KM de um veículo (DEVE VIR ANTES DE /:id)
-router.get('/:id/km-historico', authRequired, async (req, res) => {
+router.get('/:id/km-historico', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.userId;
-
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT id FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [id, userId]
-    );
-
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
-    }
 
     // Importar helper de proprietário atual
     const { getPeriodoProprietarioAtual } = await import('../utils/proprietarioAtual.js');
@@ -1068,6 +1438,7 @@ router.get('/:id/km-historico', authRequired, async (req, res) => {
         usuario_id,
         km,
         origem,
+        unidade,
         COALESCE(data_registro, criado_em) as data_registro,
         criado_em
       FROM km_historico
@@ -1095,20 +1466,9 @@ router.get('/:id/km-historico', authRequired, async (req, res) => {
 });
 
 // Histórico de manutenções de um veículo (DEVE VIR ANTES DE /:id)
-router.get('/:id/historico', authRequired, async (req, res) => {
+router.get('/:id/historico', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
   try {
     const id = req.params.id;
-    const userId = req.userId; // Do middleware JWT
-
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT id FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [id, userId]
-    );
-
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
-    }
 
     // Importar helper de proprietário atual
     const { getProprietarioAtual, manutencaoPertenceAoProprietarioAtual } = await import('../utils/proprietarioAtual.js');
@@ -1121,6 +1481,8 @@ router.get('/:id/historico', authRequired, async (req, res) => {
         v.placa, 
         v.renavam, 
         p.nome as proprietarioNome,
+        ${sqlImagemPrincipal('m')} as imagem_url,
+        ${sqlImagemPrincipal('m', 'miniatura')} as miniatura_url,
         km_antes.km AS km_antes,
         km_depois.km AS km_depois
        FROM manutencoes m
@@ -1169,7 +1531,8 @@ router.get('/:id/historico', authRequired, async (req, res) => {
           tipo_manutencao: man.tipo_manutencao,
           area_manutencao: man.area_manutencao,
           descricao: man.descricao,
-          imagem_url: man.imagem_url,
+          imagem_url: construirUrlDocumento(man.imagem_url, req),
+          miniatura_url: construirUrlDocumento(man.miniatura_url, req),
           placa: man.placa,
           renavam: man.renavam,
           proprietarioNome: man.proprietarioNome,
@@ -1202,20 +1565,9 @@ router.get('/:id/historico', authRequired, async (req, res) => {
 });
 
 // Listar histórico de proprietários de um veículo (DEVE VIR ANTES DE /:id)
-router.get('/:id/proprietarios-historico', authRequired, async (req, res) => {
+router.get('/:id/proprietarios-historico', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.userId;
-
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT * FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [id, userId]
-    );
-
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
-    }
 
     // Buscar histórico
     const historico = await queryAll(
@@ -1231,21 +1583,10 @@ router.get('/:id/proprietarios-historico', authRequired, async (req, res) => {
 });
 
 // Adicionar proprietário ao histórico (DEVE VIR ANTES DE /:id)
-router.post('/:id/proprietarios-historico', authRequired, async (req, res) => {
+router.post('/:id/proprietarios-historico', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
   try {
     const { id } = req.params;
     const { nome, data_aquisicao, data_venda, km_aquisicao, km_venda } = req.body;
-    const userId = req.userId;
-
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT * FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [id, userId]
-    );
-
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
-    }
 
     // Validações
     if (!nome || !nome.trim()) {
@@ -1270,6 +1611,21 @@ router.post('/:id/proprietarios-historico', authRequired, async (req, res) => {
       ]
     );
 
+    await registrarAuditoria({
+      req,
+      acao: 'criar',
+      entidade: 'proprietarios_historico',
+      entidadeId: result.insertId,
+      veiculoId: req.veiculo.id,
+      depois: {
+        nome: nome.trim(),
+        data_aquisicao,
+        data_venda: data_venda || null,
+        km_aquisicao: km_aquisicao || null,
+        km_venda: km_venda || null
+      }
+    });
+
     res.json({
       success: true,
       id: result.insertId,
@@ -1282,20 +1638,9 @@ router.post('/:id/proprietarios-historico', authRequired, async (req, res) => {
 });
 
 // Remover proprietário do histórico (DEVE VIR ANTES DE /:id)
-router.delete('/:veiculoId/proprietarios-historico/:historicoId', authRequired, async (req, res) => {
+router.delete('/:veiculoId/proprietarios-historico/:historicoId', authRequired, exigirAcessoVeiculo('veiculo:editar', { param: 'veiculoId' }), async (req, res) => {
   try {
     const { veiculoId, historicoId } = req.params;
-    const userId = req.userId;
-
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT * FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [veiculoId, userId]
-    );
-
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
-    }
 
     // Verificar se histórico existe e pertence ao veículo
     const historico = await queryOne(
@@ -1313,6 +1658,15 @@ router.delete('/:veiculoId/proprietarios-historico/:historicoId', authRequired,
       [historicoId, veiculoId]
     );
 
+    await registrarAuditoria({
+      req,
+      acao: 'excluir',
+      entidade: 'proprietarios_historico',
+      entidadeId: historico.id,
+      veiculoId: req.veiculo.id,
+      antes: historico
+    });
+
     res.json({
       success: true,
       mensagem: 'Registro removido do histórico com sucesso'
@@ -1323,21 +1677,66 @@ router.delete('/:veiculoId/proprietarios-historico/:historicoId', authRequired,
   }
 });
 
-// Timeline unificada de eventos do veículo (DEVE VIR ANTES DE /:id)
-router.get('/:id/timeline', authRequired, async (req, res) => {
+/**
+ * GET /veiculos/:id/auditoria
+ * Alterações feitas no veículo e nos registros dele, mais recentes primeiro.
+ * Só o período do proprietário atual: o histórico de donos anteriores não é exposto.
+ */
+router.get('/:id/auditoria', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.userId;
+    const veiculoId = req.veiculo.id;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
 
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT id FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [id, userId]
-    );
+    const { getPeriodoProprietarioAtual } = await import('../utils/proprietarioAtual.js');
+    let periodo = null;
+    try {
+      periodo = await getPeriodoProprietarioAtual(veiculoId);
+    } catch (periodoError) {
+      console.warn('[auditoria] Erro ao buscar período do proprietário atual:', periodoError);
+    }
 
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
+    let filtro = 'a.veiculo_id = ?';
+    const params = [veiculoId];
+    if (periodo && periodo.dataInicio) {
+      filtro += ' AND a.criado_em >= ?';
+      params.push(periodo.dataInicio);
     }
+    if (req.query.entidade) {
+      filtro += ' AND a.entidade = ?';
+      params.push(req.query.entidade);
+    }
+
+    const total = await queryOne(`SELECT COUNT(*) as total FROM auditoria a WHERE ${filtro}`, params);
+    const registros = await queryAll(
+      `SELECT a.id, a.ator_usuario_id, u.nome as ator_nome, a.acao, a.entidade, a.entidade_id,
+              a.antes, a.depois, a.criado_em
+       FROM auditoria a
+       LEFT JOIN usuarios u ON u.id = a.ator_usuario_id
+       WHERE ${filtro}
+       ORDER BY a.criado_em DESC, a.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    res.json({
+      registros: registros.map(formatarRegistroAuditoria),
+      total: parseInt(total?.total) || 0,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('[ERRO] Erro ao buscar auditoria do veículo:', error);
+    res.status(500).json({ error: 'Erro ao buscar auditoria do veículo', details: error.message });
+  }
+});
+
+// Timeline unificada de eventos do veículo (DEVE VIR ANTES DE /:id)
+router.get('/:id/timeline', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const veiculo = req.veiculo;
 
     // Importar helpers
     const { getProprietarioAtual, manutencaoPertenceAoProprietarioAtual } = await import('../utils/proprietarioAtual.js');
@@ -1392,7 +1791,7 @@ router.get('/:id/timeline', authRequired, async (req, res) => {
         m.tipo,
         m.tipo_manutencao,
         m.valor,
-        m.imagem as imagem_url
+        ${sqlImagemPrincipal('m', 'miniatura')} as miniatura
       FROM manutencoes m
       LEFT JOIN LATERAL (
         SELECT km
@@ -1439,6 +1838,7 @@ router.get('/:id/timeline', authRequired, async (req, res) => {
           descricao: descricao,
           km_relacionado: man.km_depois || man.km_antes || null,
           valor: pertenceAoProprietarioAtual ? man.valor : null,
+          miniatura_url: construirUrlDocumento(man.miniatura, req),
           isHerdado: isHerdado,
           isProprietarioAnterior: isProprietarioAnterior,
           origem: null,
@@ -1512,22 +1912,371 @@ router.get('/:id/timeline', authRequired, async (req, res) => {
   }
 });
 
-// Resumo do período do proprietário atual (DEVE VIR ANTES DE /:id)
-router.get('/:id/resumo-periodo', authRequired, async (req, res) => {
+/**
+ * GET /veiculos/:id/planos
+ * Retorna o plano de manutenção efetivo do veículo
+ * origem: 'veiculo' | 'modelo' | 'fabricante' | 'padrao'
+ */
+router.get('/:id/planos', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.userId;
+    const veiculo = req.veiculo;
+
+    const plano = await obterPlanoEfetivo(veiculo);
+    res.json(plano);
+  } catch (error) {
+    console.error('[ERRO] Erro ao buscar plano de manutenção:', error);
+    res.status(500).json({ error: 'Erro ao buscar plano de manutenção', details: error.message });
+  }
+});
 
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT id FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [id, userId]
+/**
+ * POST /veiculos/:id/planos
+ * Adiciona um item ao plano de manutenção do veículo
+ * Ao ter itens próprios, o veículo deixa de usar o plano do modelo/fabricante/padrão
+ */
+router.post('/:id/planos', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const veiculo = req.veiculo;
+
+    const { erro, item } = validarItemPlano(req.body);
+    if (erro) {
+      return res.status(400).json({ error: erro, code: 'PLANO_INVALIDO' });
+    }
+
+    const criado = await criarItemPlano({ veiculoId: veiculo.id }, item, req.userId);
+    res.status(201).json(criado);
+  } catch (error) {
+    console.error('[ERRO] Erro ao criar item do plano de manutenção:', error);
+    res.status(500).json({ error: 'Erro ao criar item do plano de manutenção', details: error.message });
+  }
+});
+
+/**
+ * POST /veiculos/:id/planos/personalizar
+ * Copia o plano herdado (modelo/fabricante/padrão) para o veículo, permitindo editá-lo
+ */
+router.post('/:id/planos/personalizar', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const veiculo = req.veiculo;
+
+    const plano = await obterPlanoEfetivo(veiculo);
+    if (plano.origem === 'veiculo') {
+      return res.status(400).json({
+        error: 'O veículo já possui plano de manutenção próprio',
+        code: 'PLANO_JA_PERSONALIZADO',
+      });
+    }
+
+    const itens = [];
+    for (const itemHerdado of plano.itens) {
+      const { item } = validarItemPlano(itemHerdado);
+      if (item) {
+        itens.push(await criarItemPlano({ veiculoId: veiculo.id }, item, req.userId));
+      }
+    }
+
+    res.status(201).json({ origem: 'veiculo', itens });
+  } catch (error) {
+    console.error('[ERRO] Erro ao personalizar plano de manutenção:', error);
+    res.status(500).json({ error: 'Erro ao personalizar plano de manutenção', details: error.message });
+  }
+});
+
+/**
+ * PUT /veiculos/:id/planos/:itemId
+ * Atualiza um item do plano de manutenção do veículo
+ */
+router.put('/:id/planos/:itemId', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const itemExistente = await queryOne(
+      `SELECT p.id FROM planos_manutencao p
+       WHERE p.id = ? AND p.veiculo_id = ?`,
+      [itemId, id]
     );
 
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
+    if (!itemExistente) {
+      return res.status(404).json({ error: 'Item do plano não encontrado' });
+    }
+
+    const { erro, item } = validarItemPlano(req.body);
+    if (erro) {
+      return res.status(400).json({ error: erro, code: 'PLANO_INVALIDO' });
+    }
+
+    const atualizado = await atualizarItemPlano(itemExistente.id, item);
+    res.json(atualizado);
+  } catch (error) {
+    console.error('[ERRO] Erro ao atualizar item do plano de manutenção:', error);
+    res.status(500).json({ error: 'Erro ao atualizar item do plano de manutenção', details: error.message });
+  }
+});
+
+/**
+ * DELETE /veiculos/:id/planos/:itemId
+ * Remove um item do plano de manutenção do veículo
+ * Sem itens próprios, o veículo volta a usar o plano do modelo/fabricante/padrão
+ */
+router.delete('/:id/planos/:itemId', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const itemExistente = await queryOne(
+      `SELECT p.id FROM planos_manutencao p
+       WHERE p.id = ? AND p.veiculo_id = ?`,
+      [itemId, id]
+    );
+
+    if (!itemExistente) {
+      return res.status(404).json({ error: 'Item do plano não encontrado' });
+    }
+
+    await removerItemPlano(itemExistente.id);
+    res.json({ success: true, message: 'Item do plano removido com sucesso' });
+  } catch (error) {
+    console.error('[ERRO] Erro ao remover item do plano de manutenção:', error);
+    res.status(500).json({ error: 'Erro ao remover item do plano de manutenção', details: error.message });
+  }
+});
+
+/**
+ * GET /veiculos/:id/obrigacoes
+ * Obrigações do veículo (IPVA, licenciamento, seguro...) por vencimento
+ * Filtros: status (pendente | pago | cancelado), ano (ano de referência)
+ */
+router.get('/:id/obrigacoes', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
+  try {
+    const { status, ano } = req.query;
+    if (status && !STATUS_OBRIGACAO.includes(status)) {
+      return res.status(400).json({
+        error: `Status inválido. Valores aceitos: ${STATUS_OBRIGACAO.join(', ')}`,
+        code: 'OBRIGACAO_INVALIDA'
+      });
+    }
+
+    const obrigacoes = await listarObrigacoesVeiculo(req.veiculo.id, {
+      status: status || null,
+      ano: parseInt(ano) || null
+    });
+    res.json(obrigacoes.map(obrigacao => formatarObrigacao(obrigacao)));
+  } catch (error) {
+    console.error('[ERRO] Erro ao listar obrigações do veículo:', error);
+    res.status(500).json({ error: 'Erro ao listar obrigações do veículo', details: error.message });
+  }
+});
+
+/**
+ * GET /veiculos/:id/obrigacoes/calendario-licenciamento?ano=
+ * Vencimento do licenciamento pelo final da placa e UF, e o registro do ano (se houver)
+ */
+router.get('/:id/obrigacoes/calendario-licenciamento', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
+  try {
+    const veiculo = req.veiculo;
+    const ano = parseInt(req.query.ano) || new Date().getFullYear();
+
+    const semCalendario = motivoSemLicenciamento(veiculo);
+    if (semCalendario) {
+      return res.status(400).json({ error: semCalendario.mensagem, code: semCalendario.erro });
+    }
+    const calendario = calcularVencimentoLicenciamento(veiculo, ano);
+
+    const registrado = await buscarLicenciamentoDoAno(veiculo.id, ano);
+    res.json({
+      ano,
+      uf: veiculo.uf || null,
+      final_placa: calendario.finalPlaca,
+      calendario: calendario.calendario,
+      mes: calendario.mes,
+      vencimento: calendario.vencimento,
+      obrigacao: registrado ? formatarObrigacao(registrado) : null
+    });
+  } catch (error) {
+    console.error('[ERRO] Erro ao calcular calendário de licenciamento:', error);
+    res.status(500).json({ error: 'Erro ao calcular calendário de licenciamento', details: error.message });
+  }
+});
+
+/**
+ * POST /veiculos/:id/obrigacoes/licenciamento
+ * Registra o licenciamento do ano ({ ano, valor }) com o vencimento do calendário
+ * 201 quando criado; 200 com o registro existente quando o ano já tem licenciamento
+ */
+router.post('/:id/obrigacoes/licenciamento', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const veiculo = req.veiculo;
+    const ano = req.body.ano === undefined ? new Date().getFullYear() : parseInt(req.body.ano);
+    if (isNaN(ano) || ano < 1900 || ano > 2100) {
+      return res.status(400).json({ error: 'ano inválido', code: 'OBRIGACAO_INVALIDA' });
+    }
+
+    const resultado = await gerarLicenciamento(veiculo, ano, req.userId, req.body);
+    if (resultado.erro) {
+      return res.status(400).json({ error: resultado.mensagem, code: resultado.erro });
+    }
+
+    if (resultado.criada) {
+      await registrarAuditoria({
+        req,
+        acao: 'criar',
+        entidade: 'obrigacoes_veiculo',
+        entidadeId: resultado.obrigacao.id,
+        veiculoId: veiculo.id,
+        depois: resultado.obrigacao
+      });
+    }
+
+    res.status(resultado.criada ? 201 : 200).json(formatarObrigacao(resultado.obrigacao));
+  } catch (error) {
+    console.error('[ERRO] Erro ao registrar licenciamento:', error);
+    res.status(500).json({ error: 'Erro ao registrar licenciamento', details: error.message });
+  }
+});
+
+/**
+ * POST /veiculos/:id/obrigacoes
+ * Registra uma obrigação (tipo, vencimento, valor, status...)
+ */
+router.post('/:id/obrigacoes', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const veiculo = req.veiculo;
+
+    const { erro, mensagem, obrigacao } = validarObrigacao(req.body);
+    if (erro) {
+      return res.status(400).json({ error: mensagem, code: erro });
+    }
+
+    const criada = await criarObrigacao(veiculo.id, obrigacao, req.userId);
+    await registrarAuditoria({
+      req,
+      acao: 'criar',
+      entidade: 'obrigacoes_veiculo',
+      entidadeId: criada.id,
+      veiculoId: veiculo.id,
+      depois: criada
+    });
+
+    res.status(201).json(formatarObrigacao(criada));
+  } catch (error) {
+    console.error('[ERRO] Erro ao registrar obrigação do veículo:', error);
+    res.status(500).json({ error: 'Erro ao registrar obrigação do veículo', details: error.message });
+  }
+});
+
+/**
+ * PUT /veiculos/:id/obrigacoes/:obrigacaoId
+ * Atualiza uma obrigação (campos ausentes mantêm o valor atual)
+ */
+router.put('/:id/obrigacoes/:obrigacaoId', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const veiculo = req.veiculo;
+
+    const existente = await buscarObrigacao(veiculo.id, req.params.obrigacaoId);
+    if (!existente) {
+      return res.status(404).json({ error: 'Obrigação não encontrada', code: 'OBRIGACAO_NAO_ENCONTRADA' });
+    }
+
+    const { erro, mensagem, obrigacao } = validarObrigacao(req.body, existente);
+    if (erro) {
+      return res.status(400).json({ error: mensagem, code: erro });
+    }
+
+    const atualizada = await atualizarObrigacao(existente.id, obrigacao);
+    await registrarAuditoria({
+      req,
+      acao: 'atualizar',
+      entidade: 'obrigacoes_veiculo',
+      entidadeId: existente.id,
+      veiculoId: veiculo.id,
+      antes: existente,
+      depois: atualizada
+    });
+
+    res.json(formatarObrigacao(atualizada));
+  } catch (error) {
+    console.error('[ERRO] Erro ao atualizar obrigação do veículo:', error);
+    res.status(500).json({ error: 'Erro ao atualizar obrigação do veículo', details: error.message });
+  }
+});
+
+/**
+ * POST /veiculos/:id/obrigacoes/:obrigacaoId/pagar
+ * Marca a obrigação como paga ({ pago_em, valor_pago }; padrão: hoje e o valor previsto)
+ */
+router.post('/:id/obrigacoes/:obrigacaoId/pagar', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const veiculo = req.veiculo;
+
+    const existente = await buscarObrigacao(veiculo.id, req.params.obrigacaoId);
+    if (!existente) {
+      return res.status(404).json({ error: 'Obrigação não encontrada', code: 'OBRIGACAO_NAO_ENCONTRADA' });
+    }
+    if (existente.status === 'cancelado') {
+      return res.status(400).json({ error: 'Obrigação cancelada não pode ser paga', code: 'OBRIGACAO_CANCELADA' });
+    }
+
+    const { erro, mensagem, obrigacao } = validarObrigacao({
+      status: 'pago',
+      pago_em: req.body.pago_em,
+      valor_pago: req.body.valor_pago
+    }, existente);
+    if (erro) {
+      return res.status(400).json({ error: mensagem, code: erro });
+    }
+
+    const paga = await atualizarObrigacao(existente.id, obrigacao);
+    await registrarAuditoria({
+      req,
+      acao: 'pagar',
+      entidade: 'obrigacoes_veiculo',
+      entidadeId: existente.id,
+      veiculoId: veiculo.id,
+      antes: existente,
+      depois: paga
+    });
+
+    res.json(formatarObrigacao(paga));
+  } catch (error) {
+    console.error('[ERRO] Erro ao registrar pagamento da obrigação:', error);
+    res.status(500).json({ error: 'Erro ao registrar pagamento da obrigação', details: error.message });
+  }
+});
+
+/**
+ * DELETE /veiculos/:id/obrigacoes/:obrigacaoId
+ * Remove uma obrigação (para manter o histórico, prefira status 'cancelado')
+ */
+router.delete('/:id/obrigacoes/:obrigacaoId', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const veiculo = req.veiculo;
+
+    const existente = await buscarObrigacao(veiculo.id, req.params.obrigacaoId);
+    if (!existente) {
+      return res.status(404).json({ error: 'Obrigação não encontrada', code: 'OBRIGACAO_NAO_ENCONTRADA' });
     }
 
+    await removerObrigacao(existente.id);
+    await registrarAuditoria({
+      req,
+      acao: 'excluir',
+      entidade: 'obrigacoes_veiculo',
+      entidadeId: existente.id,
+      veiculoId: veiculo.id,
+      antes: existente
+    });
+
+    res.json({ success: true, message: 'Obrigação removida com sucesso' });
+  } catch (error) {
+    console.error('[ERRO] Erro ao remover obrigação do veículo:', error);
+    res.status(500).json({ error: 'Erro ao remover obrigação do veículo', details: error.message });
+  }
+});
+
+// Resumo do período do proprietário atual (DEVE VIR ANTES DE /:id)
+router.get('/:id/resumo-periodo', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
     // Importar helper
     const { getResumoPeriodoProprietarioAtual } = await import('../utils/proprietarioAtual.js');
     
@@ -1582,39 +2331,12 @@ router.get('/:id/resumo-periodo', authRequired, async (req, res) => {
 });
 
 // Buscar veículo por ID (DEVE VIR POR ÚLTIMO)
-// SEGURANÇA: Filtra obrigatoriamente por usuario_id para prevenir acesso não autorizado
-router.get('/:id', authRequired, async (req, res) => {
+// SEGURANÇA: exigirAcessoVeiculo só libera o dono (veículo pessoal) ou membros da organização dona
+// Se não encontrou, pode ser que não exista OU que pertença a outro usuário:
+// por segurança, retornamos 404 em ambos os casos (não revelar existência)
+router.get('/:id', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
   try {
-  const id = req.params.id;
-    const userId = req.userId; // Do middleware JWT
-    
-    // Validação adicional: userId deve ser numérico
-    const userIdNum = parseInt(userId, 10);
-    if (isNaN(userIdNum) || userIdNum <= 0) {
-      console.warn(`[SEGURANÇA] Tentativa de acesso com userId inválido: ${userId}`);
-      return res.status(400).json({ error: 'ID de usuário inválido' });
-    }
-
-    // Sanitização do ID: garantir que é um número válido
-    const idNum = parseInt(id, 10);
-    if (isNaN(idNum) || idNum <= 0) {
-      return res.status(400).json({ error: 'ID de veículo inválido' });
-    }
-
-    // Query com filtro obrigatório por usuario_id (prevenção de acesso não autorizado)
-    // IMPORTANTE: O filtro AND usuario_id = ? garante que apenas o dono pode acessar
-    const row = await queryOne(
-      'SELECT * FROM veiculos WHERE id = ? AND usuario_id = ?', 
-      [idNum, userIdNum]
-    );
-    
-    // Se não encontrou, pode ser que não exista OU que pertença a outro usuário
-    // Por segurança, retornamos 404 em ambos os casos (não revelar existência)
-    if (!row) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
-    }
-    
-    res.json(row);
+    res.json(comDocumentoAssinado(req.veiculo, req));
   } catch (error) {
     console.error('[ERRO] Erro ao buscar veículo por ID:', error);
     return res.status(500).json({ error: error.message || 'Erro ao buscar veículo' });
@@ -1622,136 +2344,62 @@ router.get('/:id', authRequired, async (req, res) => {
 });
 
 // Endpoint: Atualizar KM por foto do painel
-router.post('/:id/atualizar-km', authRequired, upload.single('painel'), async (req, res) => {
+// Não grava a leitura: devolve a prévia para o usuário conferir e confirmar
+// pelo PUT /veiculos/:id/km com origem 'ocr'
+router.post('/:id/atualizar-km', authRequired, exigirAcessoVeiculo('km:registrar'), upload.single('painel'), async (req, res) => {
   try {
     const veiculoId = req.params.id;
-    const userId = req.userId;
 
     if (!req.file) {
       return res.status(400).json({ error: "Nenhuma imagem enviada" });
     }
 
-    // Validar se OpenAI API Key está configurada
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: "OpenAI API Key não configurada" });
+    const erroImagem = validarAssinaturaArquivo(req.file, TIPOS_IMAGEM_PROCESSAVEIS);
+    if (erroImagem) {
+      return res.status(400).json({ error: erroImagem.mensagem, code: erroImagem.erro });
     }
 
-    // Ler imagem base64
-    const buffer = fs.readFileSync(req.file.path);
-    const base64 = buffer.toString('base64');
-    const mime = req.file.mimetype || 'image/jpeg';
+    const veiculo = req.veiculo;
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const { getUnidadeUso } = await import('../utils/tipoEquipamento.js');
+    const unidadeVeiculo = getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso);
+    const instrumento = unidadeVeiculo === 'horas' ? 'horímetro' : 'odômetro';
 
-    // IA lê o KM do painel
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "user",
-          content: [
-            { type: "text", text: "Extraia APENAS o número do odômetro desta imagem. Responda somente o número, sem formatação." },
-            {
-              type: "image_url",
-              image_url: { url: `data:${mime};base64,${base64}` }
-            }
-          ]
-        }
-      ],
-      max_tokens: 50
+    const { gerarPreviaLeituraPainel } = await import('../services/leituraPainelService.js');
+    const previa = await gerarPreviaLeituraPainel({
+      imagePath: req.file.path,
+      mimeType: req.file.mimetype || 'image/jpeg',
+      veiculo,
+      unidadeVeiculo
     });
 
-    const texto = response.choices[0]?.message?.content?.trim();
-    const kmExtraido = parseInt(texto.replace(/\D/g, ""), 10);
-
-    if (isNaN(kmExtraido)) {
-      return res.status(400).json({ error: "Não foi possível identificar o KM na imagem." });
-    }
-
-    // Buscar veículo e km atual
-    const veiculo = await queryOne(
-      "SELECT km_atual FROM veiculos WHERE id = ? AND usuario_id = ?",
-      [veiculoId, userId]
-    );
-
-    if (!veiculo) {
-      return res.status(404).json({ error: "Veículo não encontrado" });
-    }
-
-    // Verificar se o KM não é menor que o anterior
-    if (veiculo.km_atual && kmExtraido < veiculo.km_atual) {
-      return res.status(400).json({ error: "KM detectado é menor que o atual. Confirme manualmente." });
-    }
-
-    // GARANTIA DE CONSISTÊNCIA: Sempre salvar no histórico ANTES de atualizar veiculos.km_atual
-    // Se falhar salvar no histórico, NÃO atualizar km_atual (garantir integridade)
-    // IMPORTANTE: origem e fonte nunca podem ser NULL ou vazio
-    try {
-      const timestampFunc = isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')";
-      // Fonte para OCR
-      const fonteHistorico = 'ocr';
-      
-      // DEFESA ABSOLUTA: garantir que fonte nunca seja null ou undefined
-      if (!fonteHistorico || fonteHistorico.trim() === '') {
-        throw new Error('fonteHistorico não definida no OCR');
-      }
-      
-      await query(
-        `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, fonte, data_registro, criado_em) 
-         VALUES (?, ?, ?, 'ocr', ?, ${timestampFunc}, ${timestampFunc})`,
-        [veiculoId, userId, kmExtraido, fonteHistorico]
-      );
-      
-      // Só atualizar km_atual se o histórico foi salvo com sucesso
-      await query(
-        "UPDATE veiculos SET km_atual = ? WHERE id = ? AND usuario_id = ?",
-        [kmExtraido, veiculoId, userId]
-      );
-    } catch (histError) {
-      // Se falhar ao salvar no histórico, NÃO atualizar km_atual e retornar erro
-      console.error('[ERRO CRÍTICO] Falha ao salvar no histórico de KM:', histError.message);
-      return res.status(500).json({ 
-        error: 'Erro ao salvar histórico de KM. A atualização foi cancelada para manter a integridade dos dados.' 
-      });
+    if (previa.leitura.valor === null) {
+      return res.status(400).json({ error: `Não foi possível identificar a leitura do ${instrumento} na imagem.` });
     }
 
     res.json({
       sucesso: true,
-      km_detectado: kmExtraido
+      ...montarRespostaPreviaKm(previa, veiculo)
     });
 
   } catch (err) {
     console.error("Erro ao atualizar KM:", err);
-    res.status(500).json({ error: "Erro ao atualizar KM" });
+    res.status(500).json({ error: "Erro ao atualizar KM", details: err.message });
   } finally {
-    // Limpar arquivo temporário
-    if (req.file?.path) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        console.warn('[AVISO] Erro ao excluir arquivo temporário:', unlinkError.message);
-      }
-    }
+    removerArquivoTemporario(req.file);
   }
 });
 
 /**
- * Solicitar relatório completo do veículo (futura funcionalidade de venda)
- * Por enquanto, apenas verifica se proprietário está completo
+ * Solicitar relatório completo do veículo (histórico em PDF para venda)
+ * Exige proprietário completo; o PDF fica disponível em GET /veiculos/:id/relatorios/:relatorioId
  */
-router.post('/:id/solicitar-relatorio', authRequired, async (req, res) => {
+router.post('/:id/solicitar-relatorio', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT * FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [id, req.userId]
-    );
 
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
-    }
+    const veiculo = req.veiculo;
 
     // Verificar se tem proprietário vinculado
     if (!veiculo.proprietario_id) {
@@ -1765,7 +2413,7 @@ router.post('/:id/solicitar-relatorio', authRequired, async (req, res) => {
     // Verificar se proprietário tem dados completos
     const proprietario = await queryOne(
       'SELECT * FROM proprietarios WHERE id = ? AND usuario_id = ?',
-      [veiculo.proprietario_id, req.userId]
+      [veiculo.proprietario_id, veiculo.usuario_id]
     );
 
     if (!proprietario || !proprietario.nome) {
@@ -1776,35 +2424,78 @@ router.post('/:id/solicitar-relatorio', authRequired, async (req, res) => {
       });
     }
 
-    // Por enquanto, retornar que funcionalidade será implementada
-    return res.json({
-      success: false,
-      motivo: 'em_desenvolvimento',
-      mensagem: 'Funcionalidade de relatório completo será implementada em breve.'
+    const { gerarRelatorioVeiculo } = await import('../services/relatorioVeiculoService.js');
+    const relatorio = await gerarRelatorioVeiculo({
+      veiculoId: veiculo.id,
+      usuarioId: req.userId,
+      urlVerificacaoBase: `${construirUrlBase(req)}/relatorios/verificar`
+    });
+
+    return res.status(201).json({
+      success: true,
+      relatorio: montarRespostaRelatorio(relatorio, req),
+      mensagem: 'Relatório gerado com sucesso.'
     });
   } catch (err) {
     console.error('Erro ao solicitar relatório:', err);
-    res.status(500).json({ error: 'Erro ao solicitar relatório' });
+    res.status(500).json({ error: 'Erro ao solicitar relatório', details: err.message });
   }
 });
 
-// Atualizar veículo
-router.put('/:id', authRequired, async (req, res) => {
+/**
+ * Listar relatórios de histórico já gerados para o veículo
+ */
+router.get('/:id/relatorios', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { placa, renavam, marca, modelo, ano, tipo_veiculo } = req.body;
-    const userId = req.userId;
+    const veiculo = req.veiculo;
 
-    // Verificar se veículo pertence ao usuário
-    const veiculo = await queryOne(
-      'SELECT * FROM veiculos WHERE id = ? AND usuario_id = ?',
-      [id, userId]
+    const relatorios = await queryAll(
+      'SELECT * FROM relatorios_veiculo WHERE veiculo_id = ? ORDER BY gerado_em DESC, id DESC',
+      [veiculo.id]
     );
 
-    if (!veiculo) {
-      return res.status(404).json({ error: 'Veículo não encontrado' });
+    res.json(relatorios.map(r => montarRespostaRelatorio(r, req)));
+  } catch (err) {
+    console.error('Erro ao listar relatórios:', err);
+    res.status(500).json({ error: 'Erro ao listar relatórios', details: err.message });
+  }
+});
+
+/**
+ * Baixar o PDF de um relatório de histórico gerado anteriormente
+ */
+router.get('/:id/relatorios/:relatorioId', authRequired, exigirAcessoVeiculo('veiculo:ler'), async (req, res) => {
+  try {
+    const relatorio = await queryOne(
+      'SELECT * FROM relatorios_veiculo WHERE id = ? AND veiculo_id = ?',
+      [req.params.relatorioId, req.params.id]
+    );
+
+    if (!relatorio) {
+      return res.status(404).json({ error: 'Relatório não encontrado' });
+    }
+
+    const { lerArquivoRelatorio } = await import('../services/relatorioVeiculoService.js');
+    const conteudo = await lerArquivoRelatorio(relatorio);
+    if (!conteudo) {
+      return res.status(410).json({ error: 'Arquivo do relatório não está mais disponível', code: 'RELATORIO_ARQUIVO_AUSENTE' });
     }
 
+    res.attachment(`historico-${relatorio.placa || relatorio.veiculo_id}-${relatorio.codigo_verificacao}.pdf`);
+    res.type('application/pdf');
+    res.send(conteudo);
+  } catch (err) {
+    console.error('Erro ao baixar relatório:', err);
+    res.status(500).json({ error: 'Erro ao baixar relatório', details: err.message });
+  }
+});
+
+// Atualizar veículo
+router.put('/:id', authRequired, exigirAcessoVeiculo('veiculo:editar'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { placa, renavam, marca, modelo, ano, tipo_veiculo, uf } = req.body;
+
     // Validações
     if (!modelo || !modelo.trim()) {
       return res.status(400).json({ error: 'Modelo é obrigatório' });
@@ -1814,23 +2505,40 @@ router.put('/:id', authRequired, async (req, res) => {
       return res.status(400).json({ error: 'Ano é obrigatório' });
     }
 
+    // UF é opcional: sem o campo no body, mantém a atual
+    const ufFinal = uf === undefined ? req.veiculo.uf || null : normalizarUf(uf);
+    if (ufFinal === undefined) {
+      return res.status(400).json({ error: 'UF inválida', code: 'UF_INVALIDA' });
+    }
+
+    const dadosAtualizados = {
+      placa: placa ? placa.trim().toUpperCase() : null,
+      renavam: renavam ? renavam.trim() : null,
+      marca: marca ? marca.trim() : null,
+      modelo: modelo.trim(),
+      ano: ano.trim(),
+      tipo_veiculo: tipo_veiculo || null,
+      uf: ufFinal
+    };
+
     // Atualizar veículo
     await query(
       `UPDATE veiculos 
-       SET placa = ?, renavam = ?, marca = ?, modelo = ?, ano = ?, tipo_veiculo = ?
-       WHERE id = ? AND usuario_id = ?`,
-      [
-        placa ? placa.trim().toUpperCase() : null,
-        renavam ? renavam.trim() : null,
-        marca ? marca.trim() : null,
-        modelo.trim(),
-        ano.trim(),
-        tipo_veiculo || null,
-        id,
-        userId
-      ]
+       SET placa = ?, renavam = ?, marca = ?, modelo = ?, ano = ?, tipo_veiculo = ?, uf = ?
+       WHERE id = ?`,
+      [...Object.values(dadosAtualizados), id]
     );
 
+    await registrarAuditoria({
+      req,
+      acao: 'atualizar',
+      entidade: 'veiculos',
+      entidadeId: req.veiculo.id,
+      veiculoId: req.veiculo.id,
+      antes: req.veiculo,
+      depois: dadosAtualizados
+    });
+
     res.json({
       success: true,
       mensagem: 'Veículo atualizado com sucesso'
@@ -1920,16 +2628,6 @@ router.get('/modelos/:id/anos', authRequired, async (req, res) => {
 // ============================================
 // TODO: ENDPOINTS PARA OCR E IA (FUTURO)
 // ============================================
-/*
- * POST /veiculos/ocr-documento
- * Processa OCR de documento do veículo (CRLV)
- * Retorna: placa, renavam, fabricante, modelo, ano
- * 
- * TODO: Implementar integração com OpenAI Vision API ou serviço similar
- * TODO: Validar dados extraídos contra dados mestres
- * TODO: Marcar origem_dados = 'ocr'
- */
-
 /*
  * POST /veiculos/ocr-cnh
  * Processa OCR de CNH para extrair dados do proprietário
@@ -0,0 +1,61 @@
+/**
+ * Execução avulsa do agendador de notificações (cron externo)
+ *
+ * USO:
+ * npm run notificacoes:executar                    (avalia alertas se ainda não avaliou hoje e envia pendentes)
+ * npm run notificacoes:executar -- --forcar        (avalia alertas agora, mesmo já avaliados hoje)
+ * npm run notificacoes:executar -- --so-entregas   (só envia as entregas pendentes)
+ */
+
+import dotenv from 'dotenv';
+import { initDatabase, initMigrations, isPostgres } from '../database/db-adapter.js';
+import { executarAgendador } from '../services/agendadorService.js';
+import { processarEntregasPendentes } from '../services/notificacoesService.js';
+
+dotenv.config();
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  await initDatabase();
+  await initMigrations();
+
+  let resultado;
+  if (args.includes('--so-entregas')) {
+    resultado = { avaliacao: null, entregas: await processarEntregasPendentes() };
+  } else {
+    resultado = await executarAgendador({ forcarAvaliacao: args.includes('--forcar') });
+  }
+
+  console.log('\n📊 Resumo:');
+  console.log('─'.repeat(50));
+  if (resultado.avaliacao) {
+    console.log(`  Veículos avaliados: ${resultado.avaliacao.veiculos}`);
+    console.log(`  Alertas: ${resultado.avaliacao.alertas}`);
+    console.log(`  Notificações criadas: ${resultado.avaliacao.notificacoes}`);
+  } else {
+    console.log('  Alertas: não avaliados nesta execução (fora do horário ou já avaliados hoje)');
+  }
+  console.log(`  Entregas enviadas: ${resultado.entregas.enviadas}`);
+  console.log(`  Entregas adiadas (silêncio): ${resultado.entregas.adiadas}`);
+  console.log(`  Falhas: ${resultado.entregas.falhas}`);
+  console.log(`  Descartadas: ${resultado.entregas.descartadas}`);
+  console.log('─'.repeat(50));
+
+  if (isPostgres()) {
+    try {
+      const { closePool } = await import('../database/postgres.js');
+      await closePool();
+    } catch (err) {
+      console.warn('⚠ Aviso ao fechar pool:', err.message);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\n🔥 ERRO AO EXECUTAR NOTIFICAÇÕES');
+    console.error('Erro:', error.message);
+    process.exit(1);
+  });
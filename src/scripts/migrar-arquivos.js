@@ -0,0 +1,162 @@
+/**
+ * Migração dos arquivos enviados para o armazenamento configurado
+ *
+ * USO:
+ * npm run storage:migrar                        (copia para o driver de STORAGE_DRIVER)
+ * npm run storage:migrar -- --simular           (só lista o que seria copiado)
+ * npm run storage:migrar -- --remover-origem    (apaga cada arquivo depois de copiado)
+ *
+ * Origens (pastas locais usadas antes do armazenamento configurável):
+ * - src/uploads e uploads/ na raiz → chave = nome do arquivo
+ * - DOCUMENTOS_TRANSFERENCIA_DIR (padrão src/documents/transferencias) → transferencias/<nome>
+ * - RELATORIOS_DIR (padrão src/relatorios) → relatorios/<nome>
+ *
+ * Arquivos que já existem no destino são ignorados, então pode rodar mais de uma vez.
+ * Também troca as URLs antigas gravadas em veiculos.documento_url pela chave do arquivo.
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initDatabase, initMigrations, query, queryAll, isPostgres } from '../database/db-adapter.js';
+import { getStorageDriver, chaveDoArquivo } from '../services/armazenamento/index.js';
+import { documentosTransferenciaDir, PASTA_DOCUMENTOS_TRANSFERENCIA } from '../services/transferenciasService.js';
+import { relatoriosDir, PASTA_RELATORIOS } from '../services/relatorioVeiculoService.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ORIGENS = [
+  { diretorio: path.join(__dirname, '..', 'uploads'), pasta: null },
+  { diretorio: path.join(__dirname, '..', '..', 'uploads'), pasta: null },
+  { diretorio: documentosTransferenciaDir, pasta: PASTA_DOCUMENTOS_TRANSFERENCIA },
+  { diretorio: relatoriosDir, pasta: PASTA_RELATORIOS }
+];
+
+const TIPOS_POR_EXTENSAO = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.pdf': 'application/pdf'
+};
+
+async function migrarOrigem(driver, { diretorio, pasta }, { simular, removerOrigem }, resumo) {
+  const origem = path.resolve(diretorio);
+  if (!fs.existsSync(origem)) return;
+
+  // Driver local apontando para a própria pasta: nada a copiar
+  if (driver.diretorio && path.resolve(driver.diretorio, pasta || '') === origem) {
+    console.log(`⏭  ${origem}: já é a pasta do armazenamento local`);
+    return;
+  }
+
+  const arquivos = fs.readdirSync(origem, { withFileTypes: true }).filter(entrada => entrada.isFile());
+  console.log(`📂 ${origem}: ${arquivos.length} arquivo(s)`);
+
+  for (const { name } of arquivos) {
+    const chave = pasta ? `${pasta}/${name}` : name;
+    const caminho = path.join(origem, name);
+
+    try {
+      if (await driver.existe(chave)) {
+        resumo.existentes++;
+        continue;
+      }
+      if (simular) {
+        console.log(`  → ${chave}`);
+        resumo.copiados++;
+        continue;
+      }
+
+      // O driver move o arquivo recebido: envia uma cópia para preservar a origem
+      const copia = path.join(os.tmpdir(), `migrar-${Date.now()}-${Math.round(Math.random() * 1e9)}`);
+      await fs.promises.copyFile(caminho, copia);
+      try {
+        await driver.salvar(chave, copia, { contentType: TIPOS_POR_EXTENSAO[path.extname(name).toLowerCase()] || null });
+      } finally {
+        await fs.promises.rm(copia, { force: true });
+      }
+      resumo.copiados++;
+
+      if (removerOrigem) {
+        await fs.promises.rm(caminho, { force: true });
+      }
+    } catch (error) {
+      resumo.falhas++;
+      console.error(`  ✗ ${chave}: ${error.message}`);
+    }
+  }
+}
+
+// URLs completas de /uploads gravadas pelo OCR de documento viram chave
+async function normalizarDocumentosVeiculo({ simular }) {
+  const veiculos = await queryAll(
+    "SELECT id, documento_url FROM veiculos WHERE documento_url LIKE 'http%'"
+  );
+  let atualizados = 0;
+  for (const veiculo of veiculos) {
+    const chave = chaveDoArquivo(veiculo.documento_url);
+    if (!chave || chave === veiculo.documento_url) continue;
+    if (!simular) {
+      await query('UPDATE veiculos SET documento_url = ? WHERE id = ?', [chave, veiculo.id]);
+    }
+    atualizados++;
+  }
+  return atualizados;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const opcoes = {
+    simular: args.includes('--simular'),
+    removerOrigem: args.includes('--remover-origem')
+  };
+
+  const driver = getStorageDriver();
+  console.log(`\n📋 Armazenamento de destino: ${driver.nome}${opcoes.simular ? ' (simulação)' : ''}\n`);
+
+  const resumo = { copiados: 0, existentes: 0, falhas: 0 };
+  for (const origem of ORIGENS) {
+    await migrarOrigem(driver, origem, opcoes, resumo);
+  }
+
+  // Esquema em dia (mesmo passo do boot do servidor) antes de mexer em veiculos
+  await initDatabase();
+  await initMigrations();
+  const documentos = await normalizarDocumentosVeiculo(opcoes);
+
+  console.log('\n📊 Resumo:');
+  console.log('─'.repeat(50));
+  console.log(`  ${opcoes.simular ? 'A copiar' : 'Copiados'}: ${resumo.copiados}`);
+  console.log(`  Já existentes no destino: ${resumo.existentes}`);
+  console.log(`  Falhas: ${resumo.falhas}`);
+  console.log(`  Documentos de veículo ${opcoes.simular ? 'a normalizar' : 'normalizados'}: ${documentos}`);
+  console.log('─'.repeat(50));
+
+  if (isPostgres()) {
+    try {
+      const { closePool } = await import('../database/postgres.js');
+      await closePool();
+    } catch (err) {
+      console.warn('⚠ Aviso ao fechar pool:', err.message);
+    }
+  }
+
+  if (resumo.falhas > 0) {
+    throw new Error(`${resumo.falhas} arquivo(s) não migrado(s)`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\n🔥 ERRO AO MIGRAR ARQUIVOS');
+    console.error('Erro:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,78 @@
+/**
+ * CLI de migrações versionadas
+ *
+ * USO:
+ * npm run migrate                         (esquema base + migrações pendentes)
+ * npm run migrate -- --ate 0003           (para na versão informada)
+ * npm run migrate:rollback                (desfaz a última migração)
+ * npm run migrate:rollback -- --passos 2
+ * npm run migrate:status
+ *
+ * Usa DATABASE_URL (PostgreSQL) quando definida; caso contrário, SQLite.
+ */
+
+import dotenv from 'dotenv';
+import { initDatabase, initMigrations, isPostgres } from '../database/db-adapter.js';
+import { reverterMigracoes, statusMigracoes } from '../database/migration-runner.js';
+
+dotenv.config();
+
+const COMANDOS = ['up', 'rollback', 'status'];
+
+function lerOpcao(args, nome) {
+  const indice = args.indexOf(`--${nome}`);
+  return indice >= 0 ? args[indice + 1] : null;
+}
+
+async function main() {
+  const [comando = 'up', ...args] = process.argv.slice(2);
+  if (!COMANDOS.includes(comando)) {
+    console.error(`Comando desconhecido: ${comando}. Use: ${COMANDOS.join(' | ')}`);
+    process.exit(1);
+  }
+
+  await initDatabase();
+  console.log(`\n📋 Banco: ${isPostgres() ? 'PostgreSQL' : 'SQLite'}\n`);
+
+  try {
+    if (comando === 'up') {
+      const aplicadas = await initMigrations({ ate: lerOpcao(args, 'ate') });
+      console.log(`\n✅ ${aplicadas.length} migração(ões) aplicada(s)`);
+    } else if (comando === 'rollback') {
+      const passos = parseInt(lerOpcao(args, 'passos')) || 1;
+      const revertidas = await reverterMigracoes({ passos });
+      console.log(`\n✅ ${revertidas.length} migração(ões) revertida(s)${revertidas.length ? `: ${revertidas.join(', ')}` : ''}`);
+    } else {
+      const status = await statusMigracoes();
+      console.log('📊 Migrações:');
+      console.log('─'.repeat(60));
+      for (const m of status) {
+        const situacao = m.aplicada ? `aplicada em ${m.aplicada_em}` : 'PENDENTE';
+        console.log(`  ${m.versao}_${m.nome}: ${situacao}${m.arquivo_ausente ? ' (arquivo ausente)' : ''}`);
+      }
+      console.log('─'.repeat(60));
+      console.log(`  Pendentes: ${status.filter(m => !m.aplicada).length}\n`);
+    }
+  } finally {
+    // Fechar conexão (apenas PostgreSQL)
+    if (isPostgres()) {
+      try {
+        const { closePool } = await import('../database/postgres.js');
+        await closePool();
+      } catch (err) {
+        console.warn('⚠ Aviso ao fechar pool:', err.message);
+      }
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\n🔥 ERRO AO EXECUTAR MIGRAÇÕES');
+    console.error('Erro:', error.message);
+    if (error.detail) {
+      console.error('Detalhes:', error.detail);
+    }
+    process.exit(1);
+  });
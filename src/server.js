@@ -4,6 +4,7 @@ import logger from './logger.js';
 import morgan from 'morgan';
 import routes from './routes/index.js';
 import adminRoutes from './routes/admin.js';
+import { iniciarAgendador } from './services/agendadorService.js';
 
 // Attach morgan -> pino (only in development)
 if (process.env.NODE_ENV !== 'production') {
@@ -14,17 +15,18 @@ if (process.env.NODE_ENV !== 'production') {
 // Note: Existing routes are already mounted in index.js, so we only mount /api/setup
 app.use('/api', routes);
 
-// Endpoint TEMPORÁRIO de bootstrap admin (só existe quando habilitado)
+// Rotas administrativas (gestão de usuários). O reset de dados continua
+// respondendo 404 sem ENABLE_ADMIN_RESET=true (ver requireAdminResetEnabled)
 if (process.env.ENABLE_ADMIN_RESET === 'true') {
   logger.warn(
     {
       ENABLE_ADMIN_RESET: process.env.ENABLE_ADMIN_RESET,
       aviso: 'ENDPOINT TEMPORÁRIO - REMOVER APÓS USO',
     },
-    '⚠️ Montando rotas administrativas temporárias em /api/admin'
+    '⚠️ Endpoint temporário de reset habilitado em /api/admin/reset-operational-data'
   );
-  app.use('/api/admin', adminRoutes);
 }
+app.use('/api/admin', adminRoutes);
 
 const PORT = process.env.PORT || 3000;
 
@@ -43,6 +45,9 @@ async function boot() {
       console.log(`Health check: http://localhost:${PORT}/healthz`);
       logger.info(`TROIA backend server listening on port ${PORT}`);
       logger.info(`Health check: http://localhost:${PORT}/healthz`);
+
+      // Alertas diários e envio das notificações (NOTIFICACOES_AGENDADOR=false desliga)
+      iniciarAgendador();
     });
 
     // Tratar erros não capturados do servidor
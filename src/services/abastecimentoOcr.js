@@ -4,12 +4,9 @@
  * Usa OpenAI GPT-4o Vision API
  */
 
-import OpenAI from 'openai';
 import fs from 'fs';
+import { getOpenAIClient } from './ocrProviders/openaiClient.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
 
 /**
  * Extrai dados de abastecimento de uma imagem
@@ -51,7 +48,7 @@ IMPORTANTE:
   "data": "2025-01-15"
 }`;
 
-    const response = await openai.chat.completions.create({
+    const response = await getOpenAIClient().chat.completions.create({
       model: 'gpt-4o',
       messages: [
         {
@@ -106,14 +103,7 @@ IMPORTANTE:
     }
 
     // Normalizar e validar dados
-    return {
-      litros: dados.litros ? parseFloat(dados.litros) : null,
-      valor_total: dados.valor_total ? parseFloat(dados.valor_total) : null,
-      preco_por_litro: dados.preco_por_litro ? parseFloat(dados.preco_por_litro) : null,
-      tipo_combustivel: dados.tipo_combustivel ? String(dados.tipo_combustivel).toLowerCase() : null,
-      posto: dados.posto ? String(dados.posto).trim() : null,
-      data: dados.data ? validarData(dados.data) : null
-    };
+    return normalizarDadosAbastecimento(dados);
 
   } catch (error) {
     console.error('[OCR Abastecimento] Erro ao processar imagem:', error);
@@ -121,6 +111,29 @@ IMPORTANTE:
   }
 }
 
+/**
+ * Extrai dados de abastecimento de texto já reconhecido (OCR local)
+ * @param {string} texto - Texto bruto do comprovante
+ * @returns {Object} Mesmo formato de extrairDadosAbastecimento
+ */
+export function extrairDadosAbastecimentoDeTexto(texto) {
+  return normalizarDadosAbastecimento(extrairDadosFallback(texto || ''));
+}
+
+/**
+ * Normaliza e valida dados extraídos
+ */
+function normalizarDadosAbastecimento(dados) {
+  return {
+    litros: dados.litros ? parseFloat(dados.litros) : null,
+    valor_total: dados.valor_total ? parseFloat(dados.valor_total) : null,
+    preco_por_litro: dados.preco_por_litro ? parseFloat(dados.preco_por_litro) : null,
+    tipo_combustivel: dados.tipo_combustivel ? String(dados.tipo_combustivel).toLowerCase() : null,
+    posto: dados.posto ? String(dados.posto).trim() : null,
+    data: dados.data && validarData(dados.data) ? dados.data : null
+  };
+}
+
 /**
  * Fallback: extrai dados usando regex quando o JSON falha
  */
@@ -128,7 +141,7 @@ function extrairDadosFallback(text) {
   const lower = text.toLowerCase();
   
   // Extrair litros
-  const litrosMatch = text.match(/litros?[:\s]*([\d,\.]+)/i);
+  const litrosMatch = text.match(/litros?[:\s]*([\d,\.]+)/i) || text.match(/([\d]+[,\.]?\d*)\s*(?:litros?|l\b)/i);
   const litros = litrosMatch ? parseFloat(litrosMatch[1].replace(',', '.')) : null;
 
   // Extrair valor total
@@ -199,6 +212,7 @@ function validarData(data) {
 }
 
 export default {
-  extrairDadosAbastecimento
+  extrairDadosAbastecimento,
+  extrairDadosAbastecimentoDeTexto
 };
 
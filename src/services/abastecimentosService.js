@@ -0,0 +1,304 @@
+/**
+ * Serviço de Abastecimentos
+ *
+ * Cálculo de consumo pelo método do tanque cheio e manutenção da consistência
+ * entre abastecimentos vizinhos e km_historico quando um registro é editado ou excluído.
+ *
+ * Abastecimentos são encadeados pela ordem (data, id): o km_antes de um
+ * abastecimento normalmente é o km_depois do anterior.
+ *
+ * Método do tanque cheio: o consumo só é medido entre dois abastecimentos com
+ * tanque cheio consecutivos. O uso é a diferença entre as leituras (km_depois)
+ * dos dois e os litros são a soma de tudo o que foi abastecido depois do primeiro
+ * até o segundo, inclusive abastecimentos parciais no meio.
+ */
+
+import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { calcularConsumo } from '../utils/tipoEquipamento.js';
+import { getProprietarioAtual } from '../utils/proprietarioAtual.js';
+
+/**
+ * Interpreta o flag tanque_cheio (INTEGER no SQLite, BOOLEAN no PostgreSQL, texto no multipart)
+ * Registros sem o flag são tratados como tanque cheio
+ * @param {*} valor
+ * @returns {boolean}
+ */
+export function isTanqueCheio(valor) {
+  if (valor === null || valor === undefined || valor === '') return true;
+  if (typeof valor === 'string') {
+    return !['0', 'false', 'nao', 'não'].includes(valor.trim().toLowerCase());
+  }
+  return Boolean(valor);
+}
+
+// Ordena por data e id (ordem cronológica dos abastecimentos)
+function ordenarAbastecimentos(abastecimentos) {
+  const chaveData = (ab) => (ab.data instanceof Date ? ab.data.toISOString() : String(ab.data || ''));
+  return [...abastecimentos].sort((a, b) => {
+    const porData = chaveData(a).localeCompare(chaveData(b));
+    return porData !== 0 ? porData : (parseInt(a.id) || 0) - (parseInt(b.id) || 0);
+  });
+}
+
+/**
+ * Calcula o consumo pelo método do tanque cheio
+ * @param {Array} abastecimentos - Abastecimentos de um veículo (qualquer ordem)
+ * @param {string} unidade - 'km' ou 'horas'
+ * @returns {{trechos: Array, usoTotal: number, litrosTotal: number, valorTotal: number,
+ *   consumoMedio: number|null, custoMedioPorUso: number|null}}
+ */
+export function calcularConsumoTanqueCheio(abastecimentos, unidade) {
+  const trechos = [];
+  let inicio = null;
+  let litrosAcumulados = 0;
+  let valorAcumulado = 0;
+
+  for (const ab of ordenarAbastecimentos(abastecimentos || [])) {
+    if (inicio) {
+      litrosAcumulados += parseFloat(ab.litros) || 0;
+      valorAcumulado += parseFloat(ab.valor_total) || 0;
+    }
+
+    if (!isTanqueCheio(ab.tanque_cheio)) {
+      continue;
+    }
+
+    const leitura = parseInt(ab.km_depois) || 0;
+    if (!leitura) {
+      // Tanque cheio sem leitura não fecha trecho e interrompe a sequência
+      inicio = null;
+      litrosAcumulados = 0;
+      valorAcumulado = 0;
+      continue;
+    }
+
+    if (inicio && leitura > inicio.leitura && litrosAcumulados > 0) {
+      const uso = leitura - inicio.leitura;
+      trechos.push({
+        abastecimentoId: ab.id,
+        inicioId: inicio.id,
+        data: ab.data,
+        usoInicio: inicio.leitura,
+        usoFim: leitura,
+        uso,
+        litros: litrosAcumulados,
+        valorTotal: valorAcumulado,
+        consumo: calcularConsumo(uso, litrosAcumulados, unidade),
+        custoPorUso: valorAcumulado > 0 ? valorAcumulado / uso : null,
+        tipoCombustivel: ab.tipo_combustivel || null
+      });
+    }
+
+    inicio = { id: ab.id, leitura };
+    litrosAcumulados = 0;
+    valorAcumulado = 0;
+  }
+
+  const usoTotal = trechos.reduce((acc, t) => acc + t.uso, 0);
+  const litrosTotal = trechos.reduce((acc, t) => acc + t.litros, 0);
+  const valorTotal = trechos.reduce((acc, t) => acc + t.valorTotal, 0);
+
+  return {
+    trechos,
+    usoTotal,
+    litrosTotal,
+    valorTotal,
+    consumoMedio: calcularConsumo(usoTotal, litrosTotal, unidade),
+    custoMedioPorUso: usoTotal > 0 && valorTotal > 0 ? valorTotal / usoTotal : null
+  };
+}
+
+/**
+ * Regrava consumo e custo_por_km de todos os abastecimentos do veículo
+ * Abastecimentos que fecham um trecho de tanque cheio recebem o consumo do trecho;
+ * os demais (parciais ou sem trecho anterior) ficam com NULL.
+ * @param {number} veiculoId
+ * @param {string} unidade - 'km' ou 'horas'
+ * @returns {Promise<Object>} Resultado de calcularConsumoTanqueCheio + atualizados (IDs regravados)
+ */
+export async function recalcularConsumoVeiculo(veiculoId, unidade) {
+  const abastecimentos = await queryAll(
+    `SELECT id, data, litros, valor_total, km_depois, tanque_cheio, tipo_combustivel, consumo, custo_por_km
+     FROM abastecimentos
+     WHERE veiculo_id = ?`,
+    [veiculoId]
+  );
+
+  const resultado = calcularConsumoTanqueCheio(abastecimentos, unidade);
+  const trechoPorAbastecimento = new Map(resultado.trechos.map(t => [t.abastecimentoId, t]));
+  const atualizados = [];
+
+  for (const ab of abastecimentos) {
+    const trecho = trechoPorAbastecimento.get(ab.id);
+    const consumo = trecho ? trecho.consumo : null;
+    const custoPorKm = trecho ? trecho.custoPorUso : null;
+
+    const consumoAtual = ab.consumo !== null ? parseFloat(ab.consumo) : null;
+    const custoAtual = ab.custo_por_km !== null ? parseFloat(ab.custo_por_km) : null;
+    const mudou = (a, b) => (a === null || b === null ? a !== b : Math.abs(a - b) > 0.0001);
+    if (!mudou(consumoAtual, consumo) && !mudou(custoAtual, custoPorKm)) {
+      continue;
+    }
+
+    await query(
+      'UPDATE abastecimentos SET consumo = ?, custo_por_km = ? WHERE id = ?',
+      [consumo, custoPorKm, ab.id]
+    );
+    atualizados.push(ab.id);
+  }
+
+  return { ...resultado, atualizados };
+}
+
+/**
+ * Busca o abastecimento seguinte (mesmo veículo, ordem data/id)
+ * Deve ser chamado enquanto o registro de referência ainda existe no banco
+ * @param {number} abastecimentoId
+ * @returns {Promise<Object|null>}
+ */
+export async function buscarProximoAbastecimento(abastecimentoId) {
+  return queryOne(
+    `SELECT a.*
+     FROM abastecimentos a
+     JOIN abastecimentos ref ON ref.id = ?
+     WHERE a.veiculo_id = ref.veiculo_id
+       AND a.id <> ref.id
+       AND (a.data > ref.data OR (a.data = ref.data AND a.id > ref.id))
+     ORDER BY a.data ASC, a.id ASC
+     LIMIT 1`,
+    [abastecimentoId]
+  );
+}
+
+/**
+ * Busca o abastecimento anterior (mesmo veículo, ordem data/id)
+ * @param {number} abastecimentoId
+ * @returns {Promise<Object|null>}
+ */
+export async function buscarAbastecimentoAnterior(abastecimentoId) {
+  return queryOne(
+    `SELECT a.*
+     FROM abastecimentos a
+     JOIN abastecimentos ref ON ref.id = ?
+     WHERE a.veiculo_id = ref.veiculo_id
+       AND a.id <> ref.id
+       AND (a.data < ref.data OR (a.data = ref.data AND a.id < ref.id))
+     ORDER BY a.data DESC, a.id DESC
+     LIMIT 1`,
+    [abastecimentoId]
+  );
+}
+
+/**
+ * Ajusta o km_antes do abastecimento que dependia do km_depois de outro
+ * Só altera o registro se o km_antes dele for igual ao km_depois antigo
+ * (ou seja, foi derivado do registro editado/excluído).
+ * O consumo deve ser recalculado em seguida com recalcularConsumoVeiculo.
+ * @param {Object|null} proximo - Abastecimento seguinte (buscarProximoAbastecimento)
+ * @param {number|null} kmDepoisAntigo - km_depois original do registro editado/excluído
+ * @param {number|null} novoKmAntes - Novo valor de km_antes para o próximo
+ * @returns {Promise<number|null>} ID do abastecimento ajustado ou null
+ */
+export async function rederivarProximoAbastecimento(proximo, kmDepoisAntigo, novoKmAntes) {
+  if (!proximo || kmDepoisAntigo === null || kmDepoisAntigo === undefined) {
+    return null;
+  }
+
+  if (parseInt(proximo.km_antes) !== parseInt(kmDepoisAntigo)) {
+    return null;
+  }
+
+  const kmAntes = novoKmAntes !== null && novoKmAntes !== undefined ? parseInt(novoKmAntes) : null;
+  await query(
+    'UPDATE abastecimentos SET km_antes = ? WHERE id = ?',
+    [kmAntes, proximo.id]
+  );
+
+  return proximo.id;
+}
+
+/**
+ * Busca a leitura de km_historico gerada pelo abastecimento
+ * Registros antigos não têm km_historico_id: procura leitura de origem
+ * 'abastecimento' com o mesmo km que ainda não esteja vinculada a outro registro.
+ * @param {Object} abastecimento
+ * @returns {Promise<Object|null>}
+ */
+export async function buscarLeituraDoAbastecimento(abastecimento) {
+  if (abastecimento.km_historico_id) {
+    const leitura = await queryOne(
+      'SELECT * FROM km_historico WHERE id = ?',
+      [abastecimento.km_historico_id]
+    );
+    if (leitura) {
+      return leitura;
+    }
+  }
+
+  if (!abastecimento.km_depois) {
+    return null;
+  }
+
+  return queryOne(
+    `SELECT * FROM km_historico
+     WHERE veiculo_id = ? AND origem = 'abastecimento' AND km = ?
+       AND id NOT IN (
+         SELECT km_historico_id FROM abastecimentos
+         WHERE km_historico_id IS NOT NULL AND id <> ?
+       )
+     ORDER BY COALESCE(data_registro, criado_em) DESC, id DESC
+     LIMIT 1`,
+    [abastecimento.veiculo_id, abastecimento.km_depois, abastecimento.id]
+  );
+}
+
+/**
+ * Atualiza o cache veiculos.km_atual a partir da leitura mais recente de km_historico
+ * @param {number} veiculoId
+ * @returns {Promise<number|null>} km atual ou null se não houver histórico
+ */
+export async function sincronizarKmAtualVeiculo(veiculoId) {
+  const ultimaLeitura = await queryOne(
+    `SELECT km
+     FROM km_historico
+     WHERE veiculo_id = ?
+     ORDER BY COALESCE(data_registro, criado_em) DESC, criado_em DESC, id DESC
+     LIMIT 1`,
+    [veiculoId]
+  );
+
+  if (!ultimaLeitura) {
+    return null;
+  }
+
+  const kmAtual = parseInt(ultimaLeitura.km) || 0;
+  await query('UPDATE veiculos SET km_atual = ? WHERE id = ?', [kmAtual, veiculoId]);
+  return kmAtual;
+}
+
+/**
+ * Abastecimento com data anterior ao início da posse atual (pertence ao proprietário anterior)?
+ * @param {number} veiculoId
+ * @param {string} data - YYYY-MM-DD (com ou sem horário)
+ * @returns {Promise<string|null>} Data de início da posse (YYYY-MM-DD) quando é anterior; senão null
+ */
+export async function dataAntesDaPosseAtual(veiculoId, data) {
+  const proprietario = await getProprietarioAtual(veiculoId);
+  const inicio = proprietario?.data_inicio || proprietario?.data_aquisicao;
+  if (!inicio || !data) return null;
+
+  const inicioPosse = inicio instanceof Date ? inicio.toISOString().split('T')[0] : String(inicio).slice(0, 10);
+  return String(data).slice(0, 10) < inicioPosse ? inicioPosse : null;
+}
+
+export default {
+  isTanqueCheio,
+  calcularConsumoTanqueCheio,
+  recalcularConsumoVeiculo,
+  buscarProximoAbastecimento,
+  buscarAbastecimentoAnterior,
+  rederivarProximoAbastecimento,
+  buscarLeituraDoAbastecimento,
+  sincronizarKmAtualVeiculo,
+  dataAntesDaPosseAtual
+};
@@ -0,0 +1,260 @@
+/**
+ * Agendador de notificações
+ *
+ * A cada NOTIFICACOES_INTERVALO_MINUTOS (padrão 15):
+ * 1. A partir de NOTIFICACOES_HORA (padrão 8h, no fuso NOTIFICACOES_FUSO), uma vez por dia,
+ *    avalia os alertas de todos os veículos (manutenção e obrigações) e gera as notificações
+ * 2. Envia as entregas pendentes (ver processarEntregasPendentes)
+ *
+ * A execução diária é reservada em tarefas_agendadas, então com várias instâncias
+ * só uma avalia os alertas. NOTIFICACOES_AGENDADOR=false desliga o agendador no
+ * servidor (ex.: quando um cron externo roda `npm run notificacoes:executar`).
+ *
+ * Cada alerta notifica uma vez por nível e ciclo (o ciclo muda quando a manutenção
+ * é registrada; obrigações têm o próprio registro ou ano). Vencidos voltam a notificar
+ * a cada NOTIFICACOES_REPETIR_DIAS (padrão 7).
+ */
+
+import { query, queryAll, isPostgres } from '../database/db-adapter.js';
+import {
+  COLUNAS_VEICULO_ALERTA,
+  avaliarAlertasVeiculos,
+  destinatariosAlertasVeiculo,
+} from './alertasService.js';
+import {
+  NIVEIS_NOTIFICACAO,
+  obterPreferencias,
+  criarNotificacao,
+  ultimaNotificacaoDaChave,
+  minutosDoDia,
+  processarEntregasPendentes,
+} from './notificacoesService.js';
+
+const TAREFA_AVALIAR_ALERTAS = 'avaliar_alertas';
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Lidos na chamada (e não no import) para valer o .env carregado pelo servidor
+const intervaloMinutos = () => parseInt(process.env.NOTIFICACOES_INTERVALO_MINUTOS) || 15;
+const horaAvaliacao = () => {
+  const hora = parseInt(process.env.NOTIFICACOES_HORA);
+  return hora >= 0 && hora <= 23 ? hora : 8;
+};
+const fusoAgendador = () => process.env.NOTIFICACOES_FUSO || 'America/Sao_Paulo';
+const diasRepeticao = () => parseInt(process.env.NOTIFICACOES_REPETIR_DIAS) || 7;
+
+let temporizador = null;
+let emExecucao = false;
+
+/**
+ * Dia (YYYY-MM-DD) no fuso do agendador
+ * @param {Date} data
+ * @returns {string}
+ */
+function diaNoFuso(data) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: fusoAgendador() }).format(data);
+}
+
+/**
+ * Reserva a execução da tarefa para o dia (false se já executada ou reservada por outra instância)
+ * @param {string} nome
+ * @param {string} dia - YYYY-MM-DD
+ * @returns {Promise<boolean>}
+ */
+async function reservarTarefa(nome, dia) {
+  const agora = isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')";
+  const result = await query(
+    `UPDATE tarefas_agendadas SET referencia = ?, executada_em = ${agora}
+     WHERE nome = ? AND (referencia IS NULL OR referencia <> ?)`,
+    [dia, nome, dia]
+  );
+  return result.rowCount > 0;
+}
+
+// Texto do que falta (ou de quanto passou) para o item do plano
+function descreverPrazo(alerta) {
+  const partes = [];
+  if (alerta.faltaKm != null) partes.push(`${alerta.faltaKm.toLocaleString('pt-BR')} km`);
+  if (alerta.faltaHoras != null) partes.push(`${alerta.faltaHoras.toLocaleString('pt-BR')} h de uso`);
+  if (alerta.faltaMeses != null) partes.push(`${alerta.faltaMeses.toLocaleString('pt-BR')} ${alerta.faltaMeses === 1 ? 'mês' : 'meses'}`);
+  return partes.join(' ou ');
+}
+
+// Obrigação (IPVA, seguro...): chave pelo registro. Licenciamento pelo ano, para o previsto
+// pelo calendário não notificar de novo quando for registrado
+function montarNotificacaoObrigacao({ veiculoId, veiculoNome }, alerta) {
+  const vencido = alerta.status === 'vermelho';
+  const dias = Math.abs(alerta.diasParaVencimento);
+  const item = alerta.obrigacaoTipo === 'licenciamento' || !alerta.obrigacaoId
+    ? `${alerta.obrigacaoTipo}-${alerta.anoReferencia}`
+    : alerta.obrigacaoId;
+  const dataVencimento = alerta.vencimento.split('-').reverse().join('/');
+  const valor = alerta.valor != null
+    ? ` Valor: ${alerta.valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })}.`
+    : '';
+  return {
+    veiculoId,
+    tipo: 'obrigacao',
+    nivel: alerta.status,
+    chave: `obrigacao:${veiculoId}:${item}:${alerta.vencimento}:${alerta.status}`.slice(0, 255),
+    titulo: `${vencido ? 'Obrigação vencida' : 'Obrigação próxima'}: ${alerta.tipo}`,
+    mensagem: vencido
+      ? `${veiculoNome}: ${alerta.tipo} venceu em ${dataVencimento} (há ${dias} ${dias === 1 ? 'dia' : 'dias'}).${valor}`
+      : `${veiculoNome}: ${alerta.tipo} vence em ${dataVencimento} (${dias === 0 ? 'hoje' : `em ${dias} ${dias === 1 ? 'dia' : 'dias'}`}).${valor}`,
+    dados: {
+      veiculoNome,
+      alerta
+    }
+  };
+}
+
+/**
+ * Título, mensagem e chave da notificação de um alerta (ver avaliarAlertasVeiculos)
+ * @param {Object} veiculo - { veiculoId, veiculoNome }
+ * @param {Object} alerta - Alerta de manutenção (avaliarItemPlano) ou de obrigação
+ */
+export function montarNotificacaoAlerta({ veiculoId, veiculoNome }, alerta) {
+  if (alerta.categoria === 'obrigacao') {
+    return montarNotificacaoObrigacao({ veiculoId, veiculoNome }, alerta);
+  }
+  const vencido = alerta.status === 'vermelho';
+  const prazo = descreverPrazo(alerta);
+  const item = alerta.planoItemId || alerta.tipo.toLowerCase();
+  return {
+    veiculoId,
+    tipo: 'manutencao',
+    nivel: alerta.status,
+    chave: `manutencao:${veiculoId}:${item}:${alerta.ultimoServicoData || 'sem-servico'}:${alerta.status}`.slice(0, 255),
+    titulo: `${vencido ? 'Manutenção vencida' : 'Manutenção próxima'}: ${alerta.tipo}`,
+    mensagem: vencido
+      ? `${veiculoNome}: ${alerta.tipo} está vencida. Agende o serviço.`
+      : `${veiculoNome}: ${alerta.tipo} vence em ${prazo || 'breve'}.`,
+    dados: {
+      veiculoNome,
+      alerta
+    }
+  };
+}
+
+// Notificar de novo? Nunca notificado, ou vencido com a última notificação antiga
+function deveNotificar(anterior, nivel, agora) {
+  if (!anterior) return true;
+  if (nivel !== 'vermelho') return false;
+  return agora.getTime() - new Date(anterior.criado_em).getTime() >= diasRepeticao() * MS_POR_DIA;
+}
+
+/**
+ * Avalia os alertas de todos os veículos e cria as notificações novas
+ * @param {Date} [agora]
+ * @returns {Promise<{veiculos: number, alertas: number, notificacoes: number}>}
+ */
+export async function gerarNotificacoesDeAlertas(agora = new Date()) {
+  const resumo = { veiculos: 0, alertas: 0, notificacoes: 0 };
+  const veiculos = await queryAll(`SELECT ${COLUNAS_VEICULO_ALERTA} FROM veiculos ORDER BY id`);
+  const preferenciasPorUsuario = new Map();
+
+  for (const veiculo of veiculos) {
+    resumo.veiculos++;
+    try {
+      const [avaliacao] = await avaliarAlertasVeiculos([veiculo], agora);
+      const alertas = (avaliacao?.alertas || []).filter(a => NIVEIS_NOTIFICACAO.includes(a.status));
+      if (alertas.length === 0) continue;
+      resumo.alertas += alertas.length;
+
+      // Obrigações (IPVA, seguro...) vão para quem edita o veículo; manutenção também para o mecânico
+      const destinatarios = {
+        manutencao: await destinatariosAlertasVeiculo(veiculo, 'manutencao:registrar'),
+        obrigacao: await destinatariosAlertasVeiculo(veiculo, 'veiculo:editar'),
+      };
+      for (const usuarioId of new Set([...destinatarios.manutencao, ...destinatarios.obrigacao])) {
+        if (!preferenciasPorUsuario.has(usuarioId)) {
+          preferenciasPorUsuario.set(usuarioId, await obterPreferencias(usuarioId));
+        }
+        const preferencias = preferenciasPorUsuario.get(usuarioId);
+
+        for (const alerta of alertas) {
+          if (!destinatarios[alerta.categoria]?.includes(usuarioId)) continue;
+          if (preferencias.nivel_minimo === 'vermelho' && alerta.status !== 'vermelho') continue;
+
+          const notificacao = montarNotificacaoAlerta(avaliacao, alerta);
+          const anterior = await ultimaNotificacaoDaChave(usuarioId, notificacao.chave);
+          if (!deveNotificar(anterior, alerta.status, agora)) continue;
+
+          await criarNotificacao({ usuarioId, ...notificacao }, preferencias);
+          resumo.notificacoes++;
+        }
+      }
+    } catch (error) {
+      // Um veículo com problema não deve impedir a avaliação dos demais
+      console.error(`[AGENDADOR] Erro ao avaliar alertas do veículo ${veiculo.id}:`, error.message);
+    }
+  }
+
+  return resumo;
+}
+
+/**
+ * Uma rodada do agendador: avaliação diária (se for a vez desta instância) e entregas
+ * @param {Object} [opcoes]
+ * @param {Date} [opcoes.agora]
+ * @param {boolean} [opcoes.forcarAvaliacao] - Avalia mesmo fora do horário ou se já avaliado hoje
+ * @returns {Promise<{avaliacao: Object|null, entregas: Object}|null>} null se já havia uma rodada em curso
+ */
+export async function executarAgendador({ agora = new Date(), forcarAvaliacao = false } = {}) {
+  if (emExecucao) return null;
+  emExecucao = true;
+  try {
+    let avaliacao = null;
+    const horarioAvaliacao = minutosDoDia(agora, fusoAgendador()) >= horaAvaliacao() * 60;
+    if (forcarAvaliacao || (horarioAvaliacao && await reservarTarefa(TAREFA_AVALIAR_ALERTAS, diaNoFuso(agora)))) {
+      avaliacao = await gerarNotificacoesDeAlertas(agora);
+      console.log('[AGENDADOR] Alertas avaliados:', avaliacao);
+    }
+
+    const entregas = await processarEntregasPendentes(agora);
+    if (entregas.enviadas || entregas.falhas) {
+      console.log('[AGENDADOR] Entregas de notificações:', entregas);
+    }
+    return { avaliacao, entregas };
+  } finally {
+    emExecucao = false;
+  }
+}
+
+/**
+ * Inicia o agendador no processo do servidor
+ */
+export function iniciarAgendador() {
+  if (process.env.NOTIFICACOES_AGENDADOR === 'false') {
+    console.log('[AGENDADOR] Desativado (NOTIFICACOES_AGENDADOR=false)');
+    return;
+  }
+  if (temporizador) return;
+
+  const rodada = () => executarAgendador().catch((error) => {
+    console.error('[AGENDADOR] Erro na execução:', error.message);
+  });
+
+  temporizador = setInterval(rodada, intervaloMinutos() * 60 * 1000);
+  // Não segura o processo aberto só por causa do agendador
+  temporizador.unref();
+  setTimeout(rodada, 30 * 1000).unref();
+  console.log(`[AGENDADOR] Notificações a cada ${intervaloMinutos()} min; alertas avaliados diariamente a partir das ${horaAvaliacao()}h (${fusoAgendador()})`);
+}
+
+/**
+ * Para o agendador (encerramento do servidor)
+ */
+export function pararAgendador() {
+  if (temporizador) {
+    clearInterval(temporizador);
+    temporizador = null;
+  }
+}
+
+export default {
+  montarNotificacaoAlerta,
+  gerarNotificacoesDeAlertas,
+  executarAgendador,
+  iniciarAgendador,
+  pararAgendador,
+};
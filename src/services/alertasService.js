@@ -0,0 +1,90 @@
+/**
+ * Serviço de Alertas
+ *
+ * Avalia o plano de manutenção de cada veículo no período do proprietário atual e
+ * as obrigações pendentes (IPVA, licenciamento, seguro...). Cada alerta leva
+ * `categoria`: 'manutencao' ou 'obrigacao'.
+ * Usado sob demanda por GET /alertas e diariamente pelo agendador de notificações.
+ */
+
+import { queryAll } from '../database/db-adapter.js';
+import { avaliarPlanoVeiculo } from './planosManutencaoService.js';
+import { avaliarObrigacoesVeiculo } from './obrigacoesService.js';
+import { papeisComPermissao } from './organizacoesService.js';
+import { getPeriodoProprietarioAtual } from '../utils/proprietarioAtual.js';
+
+// Colunas de veiculos usadas na avaliação
+export const COLUNAS_VEICULO_ALERTA = 'id, placa, modelo, ano, km_atual, tipo_veiculo, unidade_uso, fabricante_id, modelo_id, usuario_id, organizacao_id, uf';
+
+/**
+ * Nome exibido do veículo nos alertas
+ * @param {Object} veiculo
+ * @returns {string}
+ */
+export function nomeVeiculoAlerta(veiculo) {
+  const nome = `${veiculo?.placa || 'Sem placa'} - ${veiculo?.modelo || ''} ${veiculo?.ano || ''}`.trim();
+  return nome || `Veículo ${veiculo.id}`;
+}
+
+/**
+ * Avalia os alertas dos veículos informados
+ * Veículos sem proprietário atual ou sem alertas ficam fora do resultado
+ * @param {Array} veiculos - Registros de veiculos (ver COLUNAS_VEICULO_ALERTA)
+ * @param {Date} [agora]
+ * @returns {Promise<Array<{veiculoId: number, veiculoNome: string, alertas: Array}>>}
+ */
+export async function avaliarAlertasVeiculos(veiculos, agora = new Date()) {
+  const resultado = [];
+
+  for (const veiculo of veiculos) {
+    if (!veiculo || !veiculo.id) continue;
+
+    const periodo = await getPeriodoProprietarioAtual(veiculo.id);
+    if (!periodo) continue;
+
+    // Avaliar cada item do plano de manutenção (veículo, modelo, fabricante ou padrão)
+    const { alertas: alertasManutencao } = await avaliarPlanoVeiculo(veiculo, periodo, agora);
+    const alertas = [
+      ...alertasManutencao.map(alerta => ({ categoria: 'manutencao', ...alerta })),
+      ...await avaliarObrigacoesVeiculo(veiculo, agora),
+    ];
+    if (alertas.length > 0) {
+      resultado.push({
+        veiculoId: veiculo.id,
+        veiculoNome: nomeVeiculoAlerta(veiculo),
+        alertas,
+      });
+    }
+  }
+
+  return resultado;
+}
+
+/**
+ * Usuários que recebem os alertas de um veículo
+ * Pessoal: o dono. Organização: membros com a permissão (manutenções: owner, manager e
+ * mechanic; obrigações, com 'veiculo:editar': owner e manager).
+ * @param {Object} veiculo - Com usuario_id e organizacao_id
+ * @param {string} [permissao='manutencao:registrar']
+ * @returns {Promise<number[]>}
+ */
+export async function destinatariosAlertasVeiculo(veiculo, permissao = 'manutencao:registrar') {
+  if (!veiculo.organizacao_id) {
+    return veiculo.usuario_id ? [parseInt(veiculo.usuario_id)] : [];
+  }
+
+  const papeis = papeisComPermissao(permissao);
+  const membros = await queryAll(
+    `SELECT usuario_id FROM organizacao_membros
+     WHERE organizacao_id = ? AND papel IN (${papeis.map(() => '?').join(', ')})`,
+    [veiculo.organizacao_id, ...papeis]
+  );
+  return membros.map(m => parseInt(m.usuario_id));
+}
+
+export default {
+  COLUNAS_VEICULO_ALERTA,
+  nomeVeiculoAlerta,
+  avaliarAlertasVeiculos,
+  destinatariosAlertasVeiculo,
+};
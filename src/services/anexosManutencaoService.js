@@ -0,0 +1,241 @@
+/**
+ * Serviço de Anexos de Manutenção
+ *
+ * Cada manutenção guarda vários arquivos (fotos, notas fiscais em PDF,
+ * termos de garantia) no armazenamento configurado, registrados em
+ * manutencao_anexos pela chave do arquivo.
+ */
+
+import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { armazenarUpload, removerArquivos } from './armazenamento/index.js';
+import { validarAssinaturaArquivo } from './imagensService.js';
+
+export const CATEGORIAS_ANEXO = ['foto', 'nota_fiscal', 'garantia', 'outro'];
+
+// Tipo MIME aceito => categoria quando o cliente não informa
+export const TIPOS_ARQUIVO_ANEXO = {
+  'image/jpeg': 'foto',
+  'image/jpg': 'foto',
+  'image/png': 'foto',
+  'image/webp': 'foto',
+  'application/pdf': 'nota_fiscal'
+};
+
+export const MAX_ANEXOS_POR_MANUTENCAO = 20;
+
+/**
+ * Valida os arquivos enviados (tipo real pelo conteúdo) e a categoria informada
+ * Depois da validação, arquivo.mimetype é o tipo detectado
+ * @param {Array} arquivos - Arquivos do multer
+ * @param {string} [categoria]
+ * @returns {{erro: string, mensagem: string}|null}
+ */
+export function validarArquivosAnexo(arquivos, categoria) {
+  if (categoria && !CATEGORIAS_ANEXO.includes(categoria)) {
+    return {
+      erro: 'CATEGORIA_ANEXO_INVALIDA',
+      mensagem: `Categoria inválida. Valores aceitos: ${CATEGORIAS_ANEXO.join(', ')}`
+    };
+  }
+  const invalido = arquivos.find(arquivo => validarAssinaturaArquivo(arquivo, Object.keys(TIPOS_ARQUIVO_ANEXO)));
+  if (invalido) {
+    return {
+      erro: 'INVALID_FILE_TYPE',
+      mensagem: `Tipo de arquivo não suportado (${invalido.originalname}). Use JPEG, PNG, WebP ou PDF`
+    };
+  }
+  return null;
+}
+
+/**
+ * Move os uploads validados (e as miniaturas) para o armazenamento
+ * Se um falhar, remove os que já tinham sido armazenados
+ * @param {Array} arquivos - Arquivos do multer, já processados (ver processarImagensUpload)
+ * @returns {Promise<string[]>} Chaves gravadas, para limpeza se o registro falhar
+ */
+export async function armazenarArquivosAnexo(arquivos) {
+  const chaves = [];
+  try {
+    for (const arquivo of arquivos) {
+      chaves.push(await armazenarUpload(arquivo));
+      if (arquivo.miniatura?.chave) chaves.push(arquivo.miniatura.chave);
+    }
+  } catch (error) {
+    await removerArquivos(chaves);
+    throw error;
+  }
+  return chaves;
+}
+
+/**
+ * Registra os arquivos enviados como anexos (chamar dentro de withTransaction)
+ * @param {number} manutencaoId
+ * @param {number|null} usuarioId - Quem enviou (null pelo link de oficina)
+ * @param {Array} arquivos - Arquivos do multer, já armazenados (ver armazenarArquivosAnexo)
+ * @param {string} [categoria] - Sem categoria, deduz pelo tipo do arquivo
+ * @returns {Promise<Array>} Anexos gravados
+ */
+export async function salvarAnexos(manutencaoId, usuarioId, arquivos, categoria = null) {
+  const anexos = [];
+  for (const arquivo of arquivos) {
+    const anexo = {
+      manutencao_id: manutencaoId,
+      usuario_id: usuarioId,
+      arquivo: arquivo.filename,
+      miniatura: arquivo.miniatura?.chave || null,
+      nome_original: arquivo.originalname ? arquivo.originalname.slice(0, 255) : null,
+      mime_type: arquivo.mimetype,
+      tamanho: arquivo.size ?? null,
+      categoria: categoria || TIPOS_ARQUIVO_ANEXO[arquivo.mimetype] || 'outro'
+    };
+    const result = await query(
+      `INSERT INTO manutencao_anexos
+       (manutencao_id, usuario_id, arquivo, miniatura, nome_original, mime_type, tamanho, categoria)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [anexo.manutencao_id, anexo.usuario_id, anexo.arquivo, anexo.miniatura, anexo.nome_original, anexo.mime_type, anexo.tamanho, anexo.categoria]
+    );
+    anexos.push({ id: result.insertId, ...anexo, criado_em: new Date().toISOString() });
+  }
+  return anexos;
+}
+
+/**
+ * Anexos de várias manutenções, agrupados por manutencao_id
+ * @param {number[]} manutencaoIds
+ * @returns {Promise<Map<number, Array>>}
+ */
+export async function listarAnexosPorManutencao(manutencaoIds) {
+  const porManutencao = new Map();
+  if (!manutencaoIds.length) return porManutencao;
+
+  const anexos = await queryAll(
+    `SELECT * FROM manutencao_anexos
+     WHERE manutencao_id IN (${manutencaoIds.map(() => '?').join(', ')})
+     ORDER BY manutencao_id, id`,
+    manutencaoIds
+  );
+  for (const anexo of anexos) {
+    const id = parseInt(anexo.manutencao_id);
+    if (!porManutencao.has(id)) porManutencao.set(id, []);
+    porManutencao.get(id).push(anexo);
+  }
+  return porManutencao;
+}
+
+/**
+ * @param {number} manutencaoId
+ * @returns {Promise<number>}
+ */
+export async function contarAnexos(manutencaoId) {
+  const row = await queryOne(
+    'SELECT COUNT(*) as total FROM manutencao_anexos WHERE manutencao_id = ?',
+    [manutencaoId]
+  );
+  return parseInt(row?.total) || 0;
+}
+
+/**
+ * @param {number} manutencaoId
+ * @param {number} anexoId
+ * @returns {Promise<Object|null>}
+ */
+export async function buscarAnexo(manutencaoId, anexoId) {
+  return queryOne(
+    'SELECT * FROM manutencao_anexos WHERE id = ? AND manutencao_id = ?',
+    [anexoId, manutencaoId]
+  );
+}
+
+/**
+ * Remove o registro do anexo e depois o arquivo
+ * @param {Object} anexo
+ * @returns {Promise<boolean>} false se já tinha sido removido
+ */
+export async function removerAnexo(anexo) {
+  const result = await query('DELETE FROM manutencao_anexos WHERE id = ?', [anexo.id]);
+  if (result.rowCount === 0) return false;
+  await removerArquivos([anexo.arquivo, anexo.miniatura]);
+  return true;
+}
+
+/**
+ * Remove os registros de anexos de uma manutenção (SQLite não aplica o CASCADE)
+ * Os arquivos ficam a cargo de quem chama, depois do commit
+ * @param {number} manutencaoId
+ */
+export async function removerAnexosDaManutencao(manutencaoId) {
+  await query('DELETE FROM manutencao_anexos WHERE manutencao_id = ?', [manutencaoId]);
+}
+
+// Primeira foto (anexos migrados da coluna imagem não têm mime_type)
+const fotoPrincipal = (anexos) =>
+  anexos.find(a => (a.mime_type ? a.mime_type.startsWith('image/') : a.categoria === 'foto'));
+
+/**
+ * Primeira foto da manutenção: comprovante exibido em listagens, relatório e link público
+ * @param {Array} anexos
+ * @returns {string|null} Nome do arquivo
+ */
+export function imagemPrincipal(anexos = []) {
+  return fotoPrincipal(anexos)?.arquivo || null;
+}
+
+/**
+ * Miniatura da primeira foto (null para fotos sem miniatura)
+ * @param {Array} anexos
+ * @returns {string|null} Chave da miniatura
+ */
+export function miniaturaPrincipal(anexos = []) {
+  return fotoPrincipal(anexos)?.miniatura || null;
+}
+
+/**
+ * Subconsulta SQL com o arquivo da primeira foto (mesma regra de imagemPrincipal)
+ * @param {string} [alias='m'] - Alias da tabela manutencoes na consulta
+ * @param {string} [coluna='arquivo'] - 'arquivo' ou 'miniatura'
+ * @returns {string}
+ */
+export function sqlImagemPrincipal(alias = 'm', coluna = 'arquivo') {
+  return `(SELECT a.${coluna === 'miniatura' ? 'miniatura' : 'arquivo'} FROM manutencao_anexos a
+    WHERE a.manutencao_id = ${alias}.id
+      AND (a.mime_type LIKE 'image/%' OR (a.mime_type IS NULL AND a.categoria = 'foto'))
+    ORDER BY a.id
+    LIMIT 1)`;
+}
+
+/**
+ * Formata anexo para resposta da API
+ * @param {Object} anexo
+ * @param {Function} urlUpload - (arquivo) => URL pública do arquivo
+ */
+export function formatarAnexo(anexo, urlUpload) {
+  return {
+    id: anexo.id,
+    manutencao_id: anexo.manutencao_id,
+    categoria: anexo.categoria,
+    nome_original: anexo.nome_original || null,
+    mime_type: anexo.mime_type || null,
+    tamanho: anexo.tamanho !== null && anexo.tamanho !== undefined ? parseInt(anexo.tamanho) : null,
+    url: urlUpload(anexo.arquivo),
+    miniatura_url: anexo.miniatura ? urlUpload(anexo.miniatura) : null,
+    criado_em: anexo.criado_em
+  };
+}
+
+export default {
+  CATEGORIAS_ANEXO,
+  TIPOS_ARQUIVO_ANEXO,
+  MAX_ANEXOS_POR_MANUTENCAO,
+  validarArquivosAnexo,
+  armazenarArquivosAnexo,
+  salvarAnexos,
+  listarAnexosPorManutencao,
+  contarAnexos,
+  buscarAnexo,
+  removerAnexo,
+  removerAnexosDaManutencao,
+  imagemPrincipal,
+  miniaturaPrincipal,
+  sqlImagemPrincipal,
+  formatarAnexo
+};
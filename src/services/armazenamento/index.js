@@ -0,0 +1,183 @@
+/**
+ * Camada de armazenamento de arquivos enviados (fotos, notas fiscais, documentos)
+ *
+ * O driver é escolhido por STORAGE_DRIVER:
+ * - 'local' → disco em STORAGE_LOCAL_DIR (padrão src/uploads), servido por GET /arquivos
+ * - 's3'    → bucket S3 ou compatível (ver s3Driver.js)
+ *
+ * Sem STORAGE_DRIVER, usa 's3' quando S3_BUCKET está definida e 'local' caso contrário.
+ * Os arquivos não são públicos: as respostas levam URLs assinadas que expiram em
+ * STORAGE_URL_EXPIRA_SEGUNDOS (padrão 1 hora).
+ *
+ * O multer grava primeiro numa pasta temporária (UPLOAD_TMP_DIR); a rota só passa o
+ * arquivo para o armazenamento depois de validar a requisição (armazenarUpload).
+ *
+ * Todo driver implementa:
+ * - nome: string
+ * - salvar(chave, caminhoOrigem, { contentType }) → move o arquivo para o armazenamento
+ * - ler(chave) → Buffer ou null se não existir
+ * - remover(chave)
+ * - existe(chave) → boolean
+ * - urlAssinada(chave, { expiraEm, urlBase }) → URL temporária de leitura
+ * - chaveDaUrl(url: URL) → chave, se a URL for deste armazenamento
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import multer from 'multer';
+import { localDriver } from './localDriver.js';
+import { s3Driver } from './s3Driver.js';
+
+export const DRIVERS_ARMAZENAMENTO = {
+  local: localDriver,
+  s3: s3Driver
+};
+
+// Lidos na chamada (e não no import) para valer o .env carregado pelo servidor
+const expiracaoUrlPadrao = () => parseInt(process.env.STORAGE_URL_EXPIRA_SEGUNDOS) || 3600;
+
+function diretorioUploadsTemporarios() {
+  const diretorio = path.resolve(process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'troia-uploads'));
+  fs.mkdirSync(diretorio, { recursive: true });
+  return diretorio;
+}
+
+/**
+ * Storage do multer para a pasta temporária
+ * Mantém a extensão original para o arquivo ser servido com o tipo certo
+ */
+export const armazenamentoTemporario = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, diretorioUploadsTemporarios()),
+  filename: (req, file, cb) => {
+    const sufixo = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    cb(null, `${file.fieldname}-${sufixo}${path.extname(file.originalname || '').toLowerCase()}`);
+  }
+});
+
+/**
+ * Retorna o driver de armazenamento configurado
+ * @returns {Object} Driver (ver interface acima)
+ */
+export function getStorageDriver() {
+  const configurado = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+
+  if (configurado) {
+    if (DRIVERS_ARMAZENAMENTO[configurado]) {
+      return DRIVERS_ARMAZENAMENTO[configurado];
+    }
+    console.warn(`[ARMAZENAMENTO] STORAGE_DRIVER desconhecido: "${configurado}" - usando driver padrão`);
+  }
+
+  return process.env.S3_BUCKET ? s3Driver : localDriver;
+}
+
+// Prefixo das chaves das miniaturas geradas no processamento de imagens
+export const PASTA_MINIATURAS = 'miniaturas';
+
+/**
+ * Move um upload do multer (pasta temporária) para o armazenamento
+ * A miniatura gerada por processarImagemUpload vai junto; a chave dela fica em
+ * file.miniatura.chave (falha na miniatura não impede o upload)
+ * @param {Object} file - Arquivo do multer
+ * @param {Object} [opcoes]
+ * @param {string} [opcoes.pasta] - Prefixo da chave (ex.: 'transferencias')
+ * @returns {Promise<string>} Chave do arquivo
+ */
+export async function armazenarUpload(file, { pasta = null } = {}) {
+  const driver = getStorageDriver();
+  const chave = pasta ? `${pasta}/${file.filename}` : file.filename;
+  await driver.salvar(chave, file.path, { contentType: file.mimetype });
+
+  if (file.miniatura) {
+    const chaveMiniatura = `${PASTA_MINIATURAS}/${chave.replace(/\.[^./]+$/, '')}${path.extname(file.miniatura.path)}`;
+    try {
+      await driver.salvar(chaveMiniatura, file.miniatura.path, { contentType: file.miniatura.mimetype });
+      file.miniatura.chave = chaveMiniatura;
+    } catch (error) {
+      console.warn('[ARMAZENAMENTO] Miniatura não armazenada:', error.message);
+    }
+  }
+  return chave;
+}
+
+/**
+ * Chave de um valor gravado no banco
+ * Aceita a chave, URLs antigas de /uploads e URLs geradas pelo próprio armazenamento
+ * @param {string|null} valor
+ * @returns {string|null}
+ */
+export function chaveDoArquivo(valor) {
+  if (!valor) return null;
+  if (!/^https?:\/\//i.test(valor)) return valor;
+
+  let url;
+  try {
+    url = new URL(valor);
+  } catch {
+    return null;
+  }
+  const chave = getStorageDriver().chaveDaUrl(url) || localDriver.chaveDaUrl(url);
+  if (chave) return chave;
+  const legado = url.pathname.indexOf('/uploads/');
+  return legado >= 0 ? decodeURIComponent(url.pathname.slice(legado + '/uploads/'.length)) : null;
+}
+
+/**
+ * URL temporária de leitura de um arquivo
+ * @param {string|null} valor - Chave (ou URL antiga, ver chaveDoArquivo)
+ * @param {string} urlBase - URL base da API (driver local)
+ * @param {Object} [opcoes]
+ * @param {number} [opcoes.expiraEm] - Segundos
+ * @returns {string|null}
+ */
+export function urlArquivo(valor, urlBase, { expiraEm = expiracaoUrlPadrao() } = {}) {
+  const chave = chaveDoArquivo(valor);
+  if (!chave) return null;
+  return getStorageDriver().urlAssinada(chave, { expiraEm, urlBase });
+}
+
+/**
+ * Conteúdo de um arquivo (null se não existir)
+ * @param {string} valor - Chave (ou URL antiga)
+ * @returns {Promise<Buffer|null>}
+ */
+export async function lerArquivo(valor) {
+  const chave = chaveDoArquivo(valor);
+  return chave ? getStorageDriver().ler(chave) : null;
+}
+
+/**
+ * Remove arquivos do armazenamento (não crítico: falhas só geram aviso)
+ * @param {Array<string|null>} valores - Chaves (ou URLs antigas)
+ */
+export async function removerArquivos(valores) {
+  const driver = getStorageDriver();
+  for (const valor of valores) {
+    const chave = chaveDoArquivo(valor);
+    if (!chave) continue;
+    try {
+      await driver.remover(chave);
+    } catch (error) {
+      console.error('⚠️ Erro ao excluir arquivo (não crítico):', error.message);
+    }
+  }
+}
+
+/**
+ * Apaga uploads da pasta temporária (requisição recusada antes de armazenar)
+ * @param {Array|Object|null} arquivos - Arquivo(s) do multer
+ */
+export function removerUploadsTemporarios(arquivos) {
+  const lista = Array.isArray(arquivos) ? arquivos : Object.values(arquivos || {}).flat();
+  for (const arquivo of (arquivos?.path ? [arquivos] : lista)) {
+    for (const caminho of [arquivo?.path, arquivo?.miniatura?.path]) {
+      if (!caminho) continue;
+      fs.rm(caminho, { force: true }, (error) => {
+        if (error) console.warn('[AVISO] Erro ao excluir arquivo temporário:', error.message);
+      });
+    }
+  }
+}
+
+export default getStorageDriver;
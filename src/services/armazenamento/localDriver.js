@@ -0,0 +1,111 @@
+/**
+ * Armazenamento em disco local
+ * Os arquivos ficam em STORAGE_LOCAL_DIR (padrão src/uploads) e são servidos
+ * por GET /arquivos/:chave apenas com URL assinada (HMAC com validade).
+ * Em hospedagens com disco efêmero (Render) os arquivos somem a cada deploy:
+ * use o driver 's3' em produção.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const diretorioArmazenamento = () =>
+  path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+const segredoUrl = () => process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET || 'troia-default-secret';
+
+// Caminho dentro do diretório de armazenamento (recusa '..' e caminhos absolutos)
+function caminhoDaChave(chave) {
+  const diretorio = diretorioArmazenamento();
+  const caminho = path.resolve(diretorio, String(chave || ''));
+  if (!chave || !caminho.startsWith(diretorio + path.sep)) {
+    throw new Error('Chave de arquivo inválida');
+  }
+  return caminho;
+}
+
+const codificarChave = (chave) => chave.split('/').map(encodeURIComponent).join('/');
+
+const assinar = (chave, expira) =>
+  crypto.createHmac('sha256', segredoUrl()).update(`${chave}:${expira}`).digest('base64url');
+
+async function salvar(chave, origem) {
+  const destino = caminhoDaChave(chave);
+  if (path.resolve(origem) === destino) return;
+  await fs.promises.mkdir(path.dirname(destino), { recursive: true });
+  try {
+    await fs.promises.rename(origem, destino);
+  } catch (error) {
+    // Pasta temporária em outro disco: copia e apaga a origem
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(origem, destino);
+    await fs.promises.unlink(origem);
+  }
+}
+
+async function ler(chave) {
+  try {
+    return await fs.promises.readFile(caminhoDaChave(chave));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function remover(chave) {
+  await fs.promises.rm(caminhoDaChave(chave), { force: true });
+}
+
+async function existe(chave) {
+  return fs.existsSync(caminhoDaChave(chave));
+}
+
+function urlAssinada(chave, { expiraEm, urlBase }) {
+  const expira = Math.floor(Date.now() / 1000) + expiraEm;
+  return `${urlBase}/arquivos/${codificarChave(chave)}?expira=${expira}&assinatura=${assinar(chave, expira)}`;
+}
+
+function chaveDaUrl(url) {
+  const prefixo = '/arquivos/';
+  return url.pathname.startsWith(prefixo) ? decodeURIComponent(url.pathname.slice(prefixo.length)) : null;
+}
+
+/**
+ * Confere a assinatura de GET /arquivos/:chave
+ * @returns {boolean} false se inválida ou expirada
+ */
+export function verificarUrlAssinada(chave, expira, assinatura) {
+  const expiraNum = parseInt(expira);
+  if (!expiraNum || !assinatura || expiraNum < Math.floor(Date.now() / 1000)) return false;
+  const esperada = Buffer.from(assinar(chave, expiraNum));
+  const recebida = Buffer.from(String(assinatura));
+  return esperada.length === recebida.length && crypto.timingSafeEqual(esperada, recebida);
+}
+
+/**
+ * Caminho em disco do arquivo (null se não existir)
+ */
+export function caminhoArquivoLocal(chave) {
+  const caminho = caminhoDaChave(chave);
+  return fs.existsSync(caminho) ? caminho : null;
+}
+
+export const localDriver = {
+  nome: 'local',
+  get diretorio() {
+    return diretorioArmazenamento();
+  },
+  salvar,
+  ler,
+  remover,
+  existe,
+  urlAssinada,
+  chaveDaUrl
+};
+
+export default localDriver;
@@ -0,0 +1,199 @@
+/**
+ * Armazenamento em bucket S3 ou compatível (Cloudflare R2, MinIO, Backblaze B2)
+ * Requisições assinadas com AWS Signature V4 direto via fetch, sem SDK.
+ *
+ * Configuração:
+ * - S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ * - S3_REGION (padrão us-east-1; R2 usa 'auto')
+ * - S3_ENDPOINT: endpoint de serviço compatível (ex.: https://<conta>.r2.cloudflarestorage.com)
+ * - S3_FORCE_PATH_STYLE: 'true' para bucket no caminho (padrão quando há S3_ENDPOINT)
+ * - S3_PREFIX: prefixo opcional das chaves no bucket (ex.: 'troia/')
+ *
+ * O bucket deve ser privado: os arquivos são lidos por URLs pré-assinadas.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+function configuracao() {
+  const regiao = process.env.S3_REGION || 'us-east-1';
+  const endpoint = (process.env.S3_ENDPOINT || `https://s3.${regiao}.amazonaws.com`).replace(/\/$/, '');
+  return {
+    bucket: process.env.S3_BUCKET,
+    regiao,
+    endpoint,
+    caminhoNoPath: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : !!process.env.S3_ENDPOINT,
+    chaveAcesso: process.env.S3_ACCESS_KEY_ID,
+    segredo: process.env.S3_SECRET_ACCESS_KEY,
+    prefixo: (process.env.S3_PREFIX || '').replace(/^\/+/, '')
+  };
+}
+
+function exigirConfiguracao(config) {
+  if (!config.bucket || !config.chaveAcesso || !config.segredo) {
+    throw new Error('Armazenamento S3 sem S3_BUCKET, S3_ACCESS_KEY_ID ou S3_SECRET_ACCESS_KEY');
+  }
+}
+
+// encodeURIComponent no padrão RFC 3986 exigido pela assinatura
+const codificar = (texto) =>
+  encodeURIComponent(texto).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const sha256 = (dado) => crypto.createHash('sha256').update(dado).digest('hex');
+const hmac = (chave, dado) => crypto.createHmac('sha256', chave).update(dado).digest();
+
+// URL do objeto (estilo virtual-host na AWS, bucket no caminho em serviços compatíveis)
+function urlDoObjeto(config, chave) {
+  const caminhoChave = `${config.prefixo}${chave}`.split('/').map(codificar).join('/');
+  const base = new URL(config.endpoint);
+  if (config.caminhoNoPath) {
+    return new URL(`${base.origin}/${codificar(config.bucket)}/${caminhoChave}`);
+  }
+  return new URL(`${base.protocol}//${config.bucket}.${base.host}/${caminhoChave}`);
+}
+
+/**
+ * Assinatura V4 de uma requisição
+ * @returns {{assinatura: string, credencial: string, cabecalhosAssinados: string}}
+ */
+function assinarRequisicao(config, { metodo, url, cabecalhos, parametros, hashPayload, dataAmz }) {
+  const dataCurta = dataAmz.slice(0, 8);
+  const escopo = `${dataCurta}/${config.regiao}/s3/aws4_request`;
+
+  const nomesCabecalhos = Object.keys(cabecalhos).map(n => n.toLowerCase()).sort();
+  const cabecalhosCanonicos = nomesCabecalhos
+    .map(nome => `${nome}:${String(cabecalhos[Object.keys(cabecalhos).find(n => n.toLowerCase() === nome)]).trim()}\n`)
+    .join('');
+  const cabecalhosAssinados = nomesCabecalhos.join(';');
+  const consultaCanonica = Object.keys(parametros).sort()
+    .map(nome => `${codificar(nome)}=${codificar(parametros[nome])}`)
+    .join('&');
+
+  const requisicaoCanonica = [
+    metodo,
+    url.pathname,
+    consultaCanonica,
+    cabecalhosCanonicos,
+    cabecalhosAssinados,
+    hashPayload
+  ].join('\n');
+
+  const textoAssinar = ['AWS4-HMAC-SHA256', dataAmz, escopo, sha256(requisicaoCanonica)].join('\n');
+  const chaveAssinatura = hmac(hmac(hmac(hmac(`AWS4${config.segredo}`, dataCurta), config.regiao), 's3'), 'aws4_request');
+
+  return {
+    assinatura: hmac(chaveAssinatura, textoAssinar).toString('hex'),
+    credencial: `${config.chaveAcesso}/${escopo}`,
+    cabecalhosAssinados
+  };
+}
+
+const dataAmzAgora = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+async function requisitar(metodo, chave, { corpo = null, tipo = null } = {}) {
+  const config = configuracao();
+  exigirConfiguracao(config);
+
+  const url = urlDoObjeto(config, chave);
+  const dataAmz = dataAmzAgora();
+  const hashPayload = corpo ? sha256(corpo) : sha256('');
+  const cabecalhos = {
+    host: url.host,
+    'x-amz-content-sha256': hashPayload,
+    'x-amz-date': dataAmz,
+    ...(tipo ? { 'content-type': tipo } : {})
+  };
+
+  const { assinatura, credencial, cabecalhosAssinados } = assinarRequisicao(config, {
+    metodo, url, cabecalhos, parametros: {}, hashPayload, dataAmz
+  });
+
+  const { host, ...cabecalhosEnvio } = cabecalhos;
+  return fetch(url, {
+    method: metodo,
+    headers: {
+      ...cabecalhosEnvio,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${credencial}, SignedHeaders=${cabecalhosAssinados}, Signature=${assinatura}`
+    },
+    body: corpo
+  });
+}
+
+async function falha(resposta, operacao, chave) {
+  const detalhe = await resposta.text().catch(() => '');
+  const codigo = detalhe.match(/<Code>([^<]+)<\/Code>/)?.[1];
+  return new Error(`S3 ${operacao} ${chave}: HTTP ${resposta.status}${codigo ? ` (${codigo})` : ''}`);
+}
+
+async function salvar(chave, origem, { contentType = null } = {}) {
+  const corpo = await fs.promises.readFile(origem);
+  const resposta = await requisitar('PUT', chave, { corpo, tipo: contentType || 'application/octet-stream' });
+  if (!resposta.ok) throw await falha(resposta, 'PUT', chave);
+  await fs.promises.rm(origem, { force: true });
+}
+
+async function ler(chave) {
+  const resposta = await requisitar('GET', chave);
+  if (resposta.status === 404) return null;
+  if (!resposta.ok) throw await falha(resposta, 'GET', chave);
+  return Buffer.from(await resposta.arrayBuffer());
+}
+
+async function remover(chave) {
+  const resposta = await requisitar('DELETE', chave);
+  if (!resposta.ok && resposta.status !== 404) throw await falha(resposta, 'DELETE', chave);
+}
+
+async function existe(chave) {
+  const resposta = await requisitar('HEAD', chave);
+  if (resposta.status === 404) return false;
+  if (!resposta.ok) throw await falha(resposta, 'HEAD', chave);
+  return true;
+}
+
+function urlAssinada(chave, { expiraEm }) {
+  const config = configuracao();
+  exigirConfiguracao(config);
+
+  const url = urlDoObjeto(config, chave);
+  const dataAmz = dataAmzAgora();
+  const parametros = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${config.chaveAcesso}/${dataAmz.slice(0, 8)}/${config.regiao}/s3/aws4_request`,
+    'X-Amz-Date': dataAmz,
+    // Limite da AWS para URLs pré-assinadas: 7 dias
+    'X-Amz-Expires': String(Math.min(expiraEm, 7 * 24 * 3600)),
+    'X-Amz-SignedHeaders': 'host'
+  };
+
+  const { assinatura } = assinarRequisicao(config, {
+    metodo: 'GET', url, cabecalhos: { host: url.host }, parametros, hashPayload: 'UNSIGNED-PAYLOAD', dataAmz
+  });
+
+  const consulta = Object.keys(parametros).sort()
+    .map(nome => `${codificar(nome)}=${codificar(parametros[nome])}`)
+    .join('&');
+  return `${url.origin}${url.pathname}?${consulta}&X-Amz-Signature=${assinatura}`;
+}
+
+function chaveDaUrl(url) {
+  const config = configuracao();
+  if (!config.bucket) return null;
+  const base = urlDoObjeto(config, '');
+  if (url.host !== base.host || !url.pathname.startsWith(base.pathname)) return null;
+  return decodeURIComponent(url.pathname.slice(base.pathname.length)) || null;
+}
+
+export const s3Driver = {
+  nome: 's3',
+  salvar,
+  ler,
+  remover,
+  existe,
+  urlAssinada,
+  chaveDaUrl
+};
+
+export default s3Driver;
@@ -0,0 +1,117 @@
+/**
+ * Serviço de Auditoria
+ *
+ * Cada alteração relevante grava quem fez (ator_usuario_id), a ação, a entidade
+ * afetada e os valores antes/depois. Em atualizações só os campos que mudaram
+ * são gravados; em criação só `depois` e em exclusão só `antes`.
+ *
+ * Falha ao gravar a auditoria é registrada no log e não interrompe a operação.
+ */
+
+import { query } from '../database/db-adapter.js';
+
+// Nunca gravados na auditoria
+const CAMPOS_SENSIVEIS = ['senha', 'refresh_token_hash', 'token_hash'];
+
+const limparCampos = (registro) => {
+  if (!registro) return null;
+  const limpo = { ...registro };
+  CAMPOS_SENSIVEIS.forEach(campo => {
+    if (campo in limpo) limpo[campo] = '[omitido]';
+  });
+  return limpo;
+};
+
+const normalizarValor = (valor) => {
+  if (valor instanceof Date) return valor.toISOString();
+  return valor === undefined ? null : valor;
+};
+
+/**
+ * Campos que mudaram entre dois estados do registro
+ * @param {Object|null} antes
+ * @param {Object|null} depois
+ * @returns {{antes: Object|null, depois: Object|null}}
+ */
+export function calcularDiferenca(antes, depois) {
+  if (!antes || !depois) {
+    return { antes: limparCampos(antes), depois: limparCampos(depois) };
+  }
+
+  const difAntes = {};
+  const difDepois = {};
+  const campos = new Set([...Object.keys(antes), ...Object.keys(depois)]);
+
+  for (const campo of campos) {
+    if (!(campo in depois)) continue; // campo não enviado na atualização
+    const valorAntes = normalizarValor(antes[campo]);
+    const valorDepois = normalizarValor(depois[campo]);
+    if (String(valorAntes ?? '') !== String(valorDepois ?? '')) {
+      difAntes[campo] = valorAntes;
+      difDepois[campo] = valorDepois;
+    }
+  }
+
+  return { antes: limparCampos(difAntes), depois: limparCampos(difDepois) };
+}
+
+/**
+ * Grava um registro de auditoria
+ * @param {Object} dados
+ * @param {Object} [dados.req] - Requisição (ator = req.userId, ip = req.ip)
+ * @param {number} [dados.atorUsuarioId] - Ator quando não há req
+ * @param {string} dados.acao - Ex.: 'criar', 'atualizar', 'excluir', 'alterar_papel'
+ * @param {string} dados.entidade - Nome da tabela (ex.: 'usuarios')
+ * @param {number} [dados.entidadeId]
+ * @param {number} [dados.veiculoId] - Veículo afetado (GET /veiculos/:id/auditoria)
+ * @param {Object} [dados.antes] - Estado anterior (null em criação)
+ * @param {Object} [dados.depois] - Estado novo ou campos alterados (null em exclusão)
+ * @returns {Promise<number|null>} ID do registro ou null se falhou
+ */
+export async function registrarAuditoria({ req = null, atorUsuarioId = null, acao, entidade, entidadeId = null, veiculoId = null, antes = null, depois = null }) {
+  try {
+    const diferenca = calcularDiferenca(antes, depois);
+    const result = await query(
+      `INSERT INTO auditoria (ator_usuario_id, acao, entidade, entidade_id, veiculo_id, antes, depois, ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req?.userId || atorUsuarioId || null,
+        acao,
+        entidade,
+        entidadeId,
+        veiculoId,
+        diferenca.antes ? JSON.stringify(diferenca.antes) : null,
+        diferenca.depois ? JSON.stringify(diferenca.depois) : null,
+        req?.ip || null
+      ]
+    );
+    return result.insertId || null;
+  } catch (error) {
+    console.error('[ERRO] Falha ao gravar auditoria:', { acao, entidade, entidadeId, erro: error.message });
+    return null;
+  }
+}
+
+/**
+ * Converte antes/depois gravados como texto (SQLite) em objeto
+ * @param {Object} registro - Linha da tabela auditoria
+ * @returns {Object}
+ */
+export function formatarRegistroAuditoria(registro) {
+  const lerJson = (valor) => {
+    if (valor === null || valor === undefined) return null;
+    if (typeof valor === 'object') return valor;
+    try {
+      return JSON.parse(valor);
+    } catch {
+      return valor;
+    }
+  };
+  return { ...registro, antes: lerJson(registro.antes), depois: lerJson(registro.depois) };
+}
+
+export default {
+  calcularDiferenca,
+  registrarAuditoria,
+  formatarRegistroAuditoria
+};
@@ -0,0 +1,448 @@
+/**
+ * Serviço de Links de Compartilhamento
+ *
+ * Regras comuns ao dono (listar/revogar) e à rota pública
+ * (GET /compartilhamento/:token): situação do link, senha, contagem de acessos
+ * e as seções que cada link revela.
+ */
+
+import bcrypt from 'bcrypt';
+import { query, queryOne, queryAll, isPostgres } from '../database/db-adapter.js';
+import { calcularConsumoTanqueCheio } from './abastecimentosService.js';
+import { getUnidadeUso, getUnidadeConsumo } from '../utils/tipoEquipamento.js';
+import { mascararPlaca, mascararRenavam } from '../utils/mascaras.js';
+import { listarAnexosPorManutencao, imagemPrincipal, miniaturaPrincipal, formatarAnexo } from './anexosManutencaoService.js';
+import { urlArquivo } from './armazenamento/index.js';
+
+export const TAMANHO_MINIMO_SENHA_COMPARTILHAMENTO = 4;
+
+// 'mecanico': além de ver, a oficina inclui manutenções pelo link
+export const TIPOS_COMPARTILHAMENTO = ['visualizacao', 'mecanico'];
+
+// Seções que um link pode revelar
+// documentos: imagens e anexos das manutenções; documento_veiculo: CRLV (nome e CPF/CNPJ
+// do dono), só com escolha explícita e nunca em link com identificação mascarada
+export const ESCOPOS_COMPARTILHAMENTO = ['manutencoes', 'km_historico', 'abastecimentos', 'documentos', 'documento_veiculo', 'custos'];
+
+// Seções dos links novos criados sem escopos
+export const ESCOPOS_PADRAO = ['manutencoes', 'km_historico'];
+
+// Seções dos links anteriores aos escopos (manutenções com imagens e KM, sem o
+// documento do veículo); gravadas nesses links pela migração 0013
+export const ESCOPOS_LINKS_ANTIGOS = ['manutencoes', 'km_historico', 'documentos'];
+
+// Senhas erradas seguidas antes de o link recusar novas tentativas por BLOQUEIO_SENHA_MS
+const MAX_TENTATIVAS_SENHA = 5;
+const BLOQUEIO_SENHA_MS = 15 * 60 * 1000;
+
+// Cabeçalho usado pelo visitante para informar a senha do link
+export const CABECALHO_SENHA_COMPARTILHAMENTO = 'x-compartilhamento-senha';
+
+const agoraSql = () => (isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')");
+
+/**
+ * URL pública do link
+ * @param {string} token
+ */
+export function construirUrlCompartilhamento(token) {
+  const baseUrl = process.env.RENDER_EXTERNAL_URL || 'https://troia-mvp.onrender.com';
+  return `${baseUrl.replace(/\/$/, '')}/compartilhamento/${token}`;
+}
+
+/**
+ * Situação atual do link
+ * @param {Object} compartilhamento
+ * @returns {'ativo'|'revogado'|'expirado'|'esgotado'}
+ */
+export function situacaoCompartilhamento(compartilhamento) {
+  if (compartilhamento.revogado_em) return 'revogado';
+  if (compartilhamento.expira_em && new Date(compartilhamento.expira_em) < new Date()) return 'expirado';
+  if (compartilhamento.max_usos !== null && compartilhamento.max_usos !== undefined
+    && parseInt(compartilhamento.acessos) >= parseInt(compartilhamento.max_usos)) {
+    return 'esgotado';
+  }
+  return 'ativo';
+}
+
+/**
+ * Valida os escopos enviados na criação do link
+ * @param {Array|string|undefined} valor - Lista ou texto separado por vírgula
+ * @returns {{escopos: string[]}|{erro: string, invalidos: string[]}}
+ */
+export function normalizarEscopos(valor) {
+  if (valor === undefined || valor === null || valor === '') return { escopos: [...ESCOPOS_PADRAO] };
+  const lista = (Array.isArray(valor) ? valor : String(valor).split(','))
+    .map(e => String(e).trim())
+    .filter(Boolean);
+  const invalidos = lista.filter(e => !ESCOPOS_COMPARTILHAMENTO.includes(e));
+  if (invalidos.length > 0) return { erro: 'ESCOPO_INVALIDO', invalidos };
+  return { escopos: ESCOPOS_COMPARTILHAMENTO.filter(e => lista.includes(e)) };
+}
+
+/**
+ * Escopos gravados no link (link sem escopos é anterior a eles)
+ * @param {Object} compartilhamento
+ * @returns {string[]}
+ */
+export function escoposDoCompartilhamento(compartilhamento) {
+  if (!compartilhamento.escopos) return [...ESCOPOS_LINKS_ANTIGOS];
+  try {
+    const escopos = JSON.parse(compartilhamento.escopos);
+    return Array.isArray(escopos) ? escopos.filter(e => ESCOPOS_COMPARTILHAMENTO.includes(e)) : [...ESCOPOS_PADRAO];
+  } catch {
+    return [...ESCOPOS_PADRAO];
+  }
+}
+
+/**
+ * Hash da senha do link (null = link sem senha)
+ * @param {string|null} senha
+ */
+export async function gerarHashSenhaCompartilhamento(senha) {
+  return senha ? bcrypt.hash(senha, 10) : null;
+}
+
+/**
+ * Valida um link para acesso público
+ * @param {string} token
+ * @param {string|null} senha - Senha informada pelo visitante
+ * @param {Object} [opcoes]
+ * @param {boolean} [opcoes.exigirUsoDisponivel=true] - false para ações após a visualização (ex.: aceitar)
+ * @param {string[]} [opcoes.tipos] - Tipos de link aceitos pela ação
+ * @returns {Promise<{compartilhamento: Object}|{erro: string}>}
+ *   erro: 'NAO_ENCONTRADO' | 'TIPO_NAO_PERMITIDO' | 'LINK_REVOGADO' | 'LINK_EXPIRADO' | 'LIMITE_USOS_ATINGIDO'
+ *   | 'SENHA_NECESSARIA' | 'SENHA_INCORRETA' | 'SENHA_BLOQUEADA'
+ */
+export async function validarCompartilhamento(token, senha, { exigirUsoDisponivel = true, tipos = TIPOS_COMPARTILHAMENTO } = {}) {
+  const compartilhamento = await queryOne(
+    'SELECT * FROM veiculo_compartilhamentos WHERE token = ?',
+    [token]
+  );
+  if (!compartilhamento || !TIPOS_COMPARTILHAMENTO.includes(compartilhamento.tipo)) return { erro: 'NAO_ENCONTRADO' };
+  if (!tipos.includes(compartilhamento.tipo)) return { erro: 'TIPO_NAO_PERMITIDO' };
+
+  const situacao = situacaoCompartilhamento(compartilhamento);
+  if (situacao === 'revogado') return { erro: 'LINK_REVOGADO' };
+  if (situacao === 'expirado') return { erro: 'LINK_EXPIRADO' };
+  if (situacao === 'esgotado' && exigirUsoDisponivel) return { erro: 'LIMITE_USOS_ATINGIDO' };
+
+  if (compartilhamento.senha_hash) {
+    if (!senha) return { erro: 'SENHA_NECESSARIA' };
+
+    // Reserva a tentativa antes do bcrypt; condicional para valer também em tentativas simultâneas
+    const reserva = await query(
+      `UPDATE veiculo_compartilhamentos SET tentativas_senha = tentativas_senha + 1
+       WHERE id = ? AND tentativas_senha < ? AND (senha_bloqueada_ate IS NULL OR senha_bloqueada_ate <= ?)`,
+      [compartilhamento.id, MAX_TENTATIVAS_SENHA, new Date().toISOString()]
+    );
+    if (reserva.rowCount === 0) return { erro: 'SENHA_BLOQUEADA' };
+
+    if (!(await bcrypt.compare(String(senha), compartilhamento.senha_hash))) {
+      await query(
+        `UPDATE veiculo_compartilhamentos SET tentativas_senha = 0, senha_bloqueada_ate = ?
+         WHERE id = ? AND tentativas_senha >= ?`,
+        [new Date(Date.now() + BLOQUEIO_SENHA_MS).toISOString(), compartilhamento.id, MAX_TENTATIVAS_SENHA]
+      );
+      return { erro: 'SENHA_INCORRETA' };
+    }
+    await query('UPDATE veiculo_compartilhamentos SET tentativas_senha = 0 WHERE id = ?', [compartilhamento.id]);
+  }
+
+  return { compartilhamento };
+}
+
+/**
+ * Conta um acesso ao link (condicional ao limite, para acessos simultâneos)
+ * @param {Object} compartilhamento
+ * @returns {Promise<boolean>} false se o limite de usos já foi atingido
+ */
+export async function registrarAcessoCompartilhamento(compartilhamento) {
+  const result = await query(
+    `UPDATE veiculo_compartilhamentos
+     SET acessos = acessos + 1, ultimo_acesso_em = ${agoraSql()}
+     WHERE id = ? AND (max_usos IS NULL OR acessos < max_usos)`,
+    [compartilhamento.id]
+  );
+  return result.rowCount > 0;
+}
+
+const SELECT_COMPARTILHAMENTO = `
+  SELECT c.*, u.nome as criado_por_nome
+  FROM veiculo_compartilhamentos c
+  LEFT JOIN usuarios u ON u.id = c.criado_por_usuario_id`;
+
+/**
+ * Links de um veículo, mais recentes primeiro
+ * @param {number} veiculoId
+ */
+export async function listarCompartilhamentosDoVeiculo(veiculoId) {
+  return queryAll(
+    `${SELECT_COMPARTILHAMENTO}
+     WHERE c.veiculo_id = ?
+     ORDER BY c.criado_em DESC, c.id DESC`,
+    [veiculoId]
+  );
+}
+
+/**
+ * Um link do veículo (null se não pertencer a ele)
+ * @param {number} veiculoId
+ * @param {number} compartilhamentoId
+ */
+export async function buscarCompartilhamentoDoVeiculo(veiculoId, compartilhamentoId) {
+  return queryOne(`${SELECT_COMPARTILHAMENTO} WHERE c.id = ? AND c.veiculo_id = ?`, [compartilhamentoId, veiculoId]);
+}
+
+/**
+ * Revoga o link (mantém o registro e os contadores)
+ * @returns {Promise<boolean>} false se já estava revogado
+ */
+export async function revogarCompartilhamento(compartilhamento) {
+  const result = await query(
+    `UPDATE veiculo_compartilhamentos SET revogado_em = ${agoraSql()}
+     WHERE id = ? AND revogado_em IS NULL`,
+    [compartilhamento.id]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoga todos os links ativos do veículo (troca de dono)
+ * @param {number} veiculoId
+ * @returns {Promise<number[]>} IDs dos links revogados
+ */
+export async function revogarCompartilhamentosDoVeiculo(veiculoId) {
+  const ativos = await queryAll(
+    'SELECT id FROM veiculo_compartilhamentos WHERE veiculo_id = ? AND revogado_em IS NULL',
+    [veiculoId]
+  );
+  if (ativos.length === 0) return [];
+  await query(
+    `UPDATE veiculo_compartilhamentos SET revogado_em = ${agoraSql()}
+     WHERE veiculo_id = ? AND revogado_em IS NULL`,
+    [veiculoId]
+  );
+  return ativos.map(c => parseInt(c.id));
+}
+
+/**
+ * Dados do link para o dono do veículo (sem hash de senha)
+ * @param {Object} compartilhamento
+ */
+export function formatarCompartilhamento(compartilhamento) {
+  const maxUsos = compartilhamento.max_usos !== null && compartilhamento.max_usos !== undefined
+    ? parseInt(compartilhamento.max_usos)
+    : null;
+  const acessos = parseInt(compartilhamento.acessos) || 0;
+  return {
+    id: compartilhamento.id,
+    token: compartilhamento.token,
+    url: construirUrlCompartilhamento(compartilhamento.token),
+    tipo: compartilhamento.tipo,
+    situacao: situacaoCompartilhamento(compartilhamento),
+    escopos: escoposDoCompartilhamento(compartilhamento),
+    mascarar_identificacao: Boolean(compartilhamento.mascarar_identificacao),
+    protegido_por_senha: Boolean(compartilhamento.senha_hash),
+    acessos,
+    max_usos: maxUsos,
+    usos_restantes: maxUsos !== null ? Math.max(maxUsos - acessos, 0) : null,
+    ultimo_acesso_em: compartilhamento.ultimo_acesso_em || null,
+    expira_em: compartilhamento.expira_em || null,
+    revogado_em: compartilhamento.revogado_em || null,
+    criado_por: compartilhamento.criado_por_usuario_id
+      ? { id: compartilhamento.criado_por_usuario_id, nome: compartilhamento.criado_por_nome || null }
+      : null,
+    criado_em: compartilhamento.criado_em
+  };
+}
+
+/**
+ * Dados da página pública do link, restritos aos escopos gravados
+ * historico_posse: sempre, sem nomes; manutencoes/km_historico: listas; abastecimentos: estatísticas de consumo;
+ * documentos: imagens das manutenções; documento_veiculo: CRLV (não com identificação mascarada);
+ * custos: valores em R$
+ * @param {Object} compartilhamento - Link já validado
+ * @param {string} urlBase - URL base da API (URLs assinadas dos arquivos)
+ * @returns {Promise<Object|null>} null se o veículo não existir mais
+ */
+export async function montarDadosPublicos(compartilhamento, urlBase) {
+  const veiculo = await queryOne(
+    'SELECT id, placa, renavam, marca, modelo, ano, tipo_veiculo, km_atual, unidade_uso, documento_url FROM veiculos WHERE id = ?',
+    [compartilhamento.veiculo_id]
+  );
+  if (!veiculo) return null;
+
+  const escopos = escoposDoCompartilhamento(compartilhamento);
+  const mostrar = (escopo) => escopos.includes(escopo);
+  const mascarar = Boolean(compartilhamento.mascarar_identificacao);
+  const unidade = getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso);
+  const urlUpload = (arquivo) => urlArquivo(arquivo, urlBase);
+
+  const dados = {
+    veiculo: {
+      id: veiculo.id,
+      placa: mascarar ? mascararPlaca(veiculo.placa) : veiculo.placa,
+      renavam: mascarar ? mascararRenavam(veiculo.renavam) : veiculo.renavam,
+      marca: veiculo.marca,
+      modelo: veiculo.modelo,
+      ano: veiculo.ano,
+      tipo_veiculo: veiculo.tipo_veiculo,
+      km_atual: veiculo.km_atual,
+      unidade,
+    },
+    compartilhamento: {
+      tipo: compartilhamento.tipo,
+      escopos,
+      mascarar_identificacao: mascarar,
+      criado_em: compartilhamento.criado_em,
+      expira_em: compartilhamento.expira_em,
+    },
+  };
+
+  // Períodos de posse sem nomes (mesmo formato do relatório em PDF)
+  const proprietarios = await queryAll(
+    `SELECT COALESCE(data_inicio, data_aquisicao) as data_inicio, data_venda,
+            COALESCE(km_inicio, km_aquisicao) as km_inicio, km_venda
+     FROM proprietarios_historico
+     WHERE veiculo_id = ?
+     ORDER BY COALESCE(data_inicio, data_aquisicao, criado_em) ASC, id ASC`,
+    [veiculo.id]
+  );
+  dados.historico_posse = proprietarios.map((p, i) => ({
+    ordem: i + 1,
+    data_inicio: p.data_inicio || null,
+    data_fim: p.data_venda || null,
+    km_inicio: p.km_inicio ?? null,
+    km_fim: p.km_venda ?? null,
+  }));
+
+  if (mostrar('manutencoes')) {
+    // Todas as manutenções do veículo (de qualquer dono) com KM derivado de km_historico
+    const manutencoes = await queryAll(
+      `SELECT
+        m.id,
+        m.veiculo_id,
+        m.data,
+        (SELECT km FROM km_historico
+         WHERE veiculo_id = m.veiculo_id AND COALESCE(data_registro, criado_em) <= m.data
+         ORDER BY COALESCE(data_registro, criado_em) DESC
+         LIMIT 1) AS km_antes,
+        (SELECT km FROM km_historico
+         WHERE veiculo_id = m.veiculo_id AND COALESCE(data_registro, criado_em) >= m.data
+         ORDER BY COALESCE(data_registro, criado_em) ASC
+         LIMIT 1) AS km_depois,
+        m.tipo,
+        m.tipo_manutencao,
+        m.area_manutencao,
+        m.descricao,
+        m.valor,
+        m.oficina_nome
+      FROM manutencoes m
+      WHERE m.veiculo_id = ?
+      ORDER BY m.data DESC, m.id DESC`,
+      [veiculo.id]
+    );
+
+    const anexosPorManutencao = mostrar('documentos')
+      ? await listarAnexosPorManutencao(manutencoes.map(man => parseInt(man.id)))
+      : new Map();
+    const documentos = (man) => {
+      const anexos = anexosPorManutencao.get(parseInt(man.id)) || [];
+      const imagem = imagemPrincipal(anexos);
+      return {
+        imagem,
+        imagem_url: urlUpload(imagem),
+        miniatura_url: urlUpload(miniaturaPrincipal(anexos)),
+        anexos: anexos.map(anexo => formatarAnexo(anexo, urlUpload))
+      };
+    };
+
+    dados.manutencoes = manutencoes.map(man => ({
+      id: man.id,
+      veiculo_id: man.veiculo_id,
+      data: man.data,
+      km_antes: man.km_antes,
+      km_depois: man.km_depois,
+      tipo: man.tipo,
+      tipo_manutencao: man.tipo_manutencao,
+      area_manutencao: man.area_manutencao,
+      descricao: man.descricao,
+      oficina_nome: man.oficina_nome || null,
+      ...(mostrar('custos') ? { valor: man.valor !== null ? parseFloat(man.valor) : null } : {}),
+      ...(mostrar('documentos') ? documentos(man) : {}),
+      // Todas são consideradas "herdadas" em visualização pública
+      isHerdada: true,
+    }));
+  }
+
+  if (mostrar('km_historico')) {
+    dados.km_historico = await queryAll(
+      `SELECT id, veiculo_id, km, origem, unidade, data_registro, criado_em
+       FROM km_historico
+       WHERE veiculo_id = ?
+       ORDER BY COALESCE(data_registro, criado_em) DESC, criado_em DESC`,
+      [veiculo.id]
+    );
+  }
+
+  if (mostrar('abastecimentos')) {
+    const abastecimentos = await queryAll(
+      `SELECT id, data, litros, valor_total, km_depois, tanque_cheio, tipo_combustivel
+       FROM abastecimentos
+       WHERE veiculo_id = ?`,
+      [veiculo.id]
+    );
+    const consumo = calcularConsumoTanqueCheio(abastecimentos, unidade);
+    const datas = abastecimentos.map(a => a.data).filter(Boolean).sort();
+    dados.abastecimentos = {
+      total_abastecimentos: abastecimentos.length,
+      total_litros: abastecimentos.reduce((acc, a) => acc + (parseFloat(a.litros) || 0), 0),
+      primeira_data: datas[0] || null,
+      ultima_data: datas[datas.length - 1] || null,
+      consumo_medio: consumo.consumoMedio,
+      unidade_consumo: getUnidadeConsumo(unidade),
+      ...(mostrar('custos')
+        ? {
+            total_gasto: abastecimentos.reduce((acc, a) => acc + (parseFloat(a.valor_total) || 0), 0),
+            custo_medio_por_km: consumo.custoMedioPorUso,
+          }
+        : {}),
+    };
+  }
+
+  // O CRLV mostra placa, RENAVAM e o dono: a máscara não teria efeito
+  if (mostrar('documento_veiculo') && !mascarar) {
+    dados.documentos = {
+      documento_veiculo_url: urlArquivo(veiculo.documento_url, urlBase),
+    };
+  }
+
+  if (mostrar('custos')) {
+    const total = await queryOne('SELECT SUM(valor) as total FROM manutencoes WHERE veiculo_id = ?', [veiculo.id]);
+    dados.custos = { total_manutencoes: parseFloat(total?.total) || 0 };
+  }
+
+  return dados;
+}
+
+export default {
+  TAMANHO_MINIMO_SENHA_COMPARTILHAMENTO,
+  TIPOS_COMPARTILHAMENTO,
+  ESCOPOS_COMPARTILHAMENTO,
+  ESCOPOS_PADRAO,
+  ESCOPOS_LINKS_ANTIGOS,
+  normalizarEscopos,
+  escoposDoCompartilhamento,
+  montarDadosPublicos,
+  CABECALHO_SENHA_COMPARTILHAMENTO,
+  construirUrlCompartilhamento,
+  situacaoCompartilhamento,
+  gerarHashSenhaCompartilhamento,
+  validarCompartilhamento,
+  registrarAcessoCompartilhamento,
+  listarCompartilhamentosDoVeiculo,
+  buscarCompartilhamentoDoVeiculo,
+  revogarCompartilhamento,
+  revogarCompartilhamentosDoVeiculo,
+  formatarCompartilhamento
+};
@@ -0,0 +1,542 @@
+/**
+ * Serviço de OCR para Documento do Veículo (CRLV / CRLV-e)
+ * Extrai dados de fotos ou PDFs impressos do documento e associa marca/modelo
+ * aos dados mestres (fabricantes/modelos)
+ * Usa OpenAI GPT-4o Vision API
+ */
+
+import fs from 'fs';
+import { getOpenAIClient } from './ocrProviders/openaiClient.js';
+import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { chaveDoArquivo } from './armazenamento/index.js';
+
+// Prazo para usar no cadastro o documento enviado ao OCR (DOCUMENTO_ENVIADO_PRAZO_HORAS, padrão 24)
+const prazoDocumentoEnviadoMs = () => (parseInt(process.env.DOCUMENTO_ENVIADO_PRAZO_HORAS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Campos extraídos do documento (todos no formato { valor, confidence })
+ */
+const CAMPOS_DOCUMENTO = [
+  'tipo_documento',
+  'placa',
+  'renavam',
+  'chassi',
+  'marca_modelo',
+  'marca',
+  'modelo',
+  'ano_fabricacao',
+  'ano_modelo',
+  'proprietario_nome',
+  'proprietario_documento'
+];
+
+// Abreviações usadas no campo MARCA/MODELO do CRLV
+const ALIASES_FABRICANTE = {
+  VW: 'VOLKSWAGEN',
+  GM: 'CHEVROLET',
+  CHEV: 'CHEVROLET',
+  MBENZ: 'MERCEDESBENZ',
+  MB: 'MERCEDESBENZ',
+  MERCEDES: 'MERCEDESBENZ',
+  LR: 'LANDROVER',
+  HARLEY: 'HARLEYDAVIDSON',
+  HD: 'HARLEYDAVIDSON',
+  JD: 'JOHNDEERE',
+  MF: 'MASSEYFERGUSON'
+};
+
+// Prefixos de procedência que antecedem a marca (ex: "I/FIAT ARGO")
+const PREFIXOS_PROCEDENCIA = ['I', 'IMP'];
+
+/**
+ * Extrai dados estruturados do CRLV/CRLV-e de uma imagem
+ * @param {string} imagePath - Caminho do arquivo de imagem
+ * @param {string} mimeType - Tipo MIME da imagem
+ * @returns {Promise<Object>} Dados extraídos com confidence por campo
+ */
+export async function extrairDadosDocumento(imagePath, mimeType = 'image/jpeg') {
+  try {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY não configurada');
+    }
+
+    const imageBuffer = fs.readFileSync(imagePath);
+    const base64Image = imageBuffer.toString('base64');
+
+    const prompt = `Analise esta imagem de um documento de veículo brasileiro (CRLV ou CRLV-e).
+
+Extraia os seguintes dados se estiverem visíveis. Para cada campo, retorne valor e confidence (0.0 a 1.0):
+- tipo_documento: "crlv" (modelo antigo, papel moeda) ou "crlv_e" (digital, com QR Code)
+- placa: placa do veículo sem traço (ex: ABC1D23 ou ABC1234)
+- renavam: código RENAVAM (somente dígitos)
+- chassi: número do chassi (17 caracteres)
+- marca_modelo: texto exatamente como no campo MARCA/MODELO/VERSÃO (ex: "VW/GOL 1.0")
+- marca: apenas a marca/fabricante (ex: "VOLKSWAGEN")
+- modelo: apenas o modelo, sem a marca (ex: "GOL 1.0")
+- ano_fabricacao: ano de fabricação (número inteiro)
+- ano_modelo: ano do modelo (número inteiro)
+- proprietario_nome: nome do proprietário
+- proprietario_documento: CPF ou CNPJ do proprietário (somente dígitos)
+
+IMPORTANTE:
+- Retorne APENAS um JSON válido, sem texto adicional
+- Use null para campos não encontrados
+- Confidence deve refletir certeza da extração (0.0 = incerto, 1.0 = certo)
+- Formato de resposta:
+{
+  "tipo_documento": {"valor": "crlv_e", "confidence": 0.9},
+  "placa": {"valor": "ABC1D23", "confidence": 0.95},
+  "renavam": {"valor": "01234567890", "confidence": 0.9},
+  "chassi": {"valor": "9BWZZZ377VT004251", "confidence": 0.85},
+  "marca_modelo": {"valor": "VW/GOL 1.0", "confidence": 0.9},
+  "marca": {"valor": "VOLKSWAGEN", "confidence": 0.85},
+  "modelo": {"valor": "GOL 1.0", "confidence": 0.85},
+  "ano_fabricacao": {"valor": 2019, "confidence": 0.9},
+  "ano_modelo": {"valor": 2020, "confidence": 0.9},
+  "proprietario_nome": {"valor": "FULANO DE TAL", "confidence": 0.8},
+  "proprietario_documento": {"valor": "12345678909", "confidence": 0.8}
+}`;
+
+    const response = await getOpenAIClient().chat.completions.create({
+      model: 'gpt-4o',
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            {
+              type: 'image_url',
+              image_url: {
+                url: `data:${mimeType};base64,${base64Image}`
+              }
+            }
+          ]
+        }
+      ],
+      max_tokens: 800,
+      temperature: 0.1
+    });
+
+    const textResponse = response.choices[0]?.message?.content?.trim();
+
+    if (!textResponse) {
+      return criarRespostaVazia();
+    }
+
+    let jsonText = textResponse;
+    const jsonMatch = textResponse.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      jsonText = jsonMatch[0];
+    }
+
+    let dados;
+    try {
+      dados = JSON.parse(jsonText);
+    } catch (parseError) {
+      // Log apenas mensagem de erro, SEM imprimir texto OCR bruto (contém dados pessoais)
+      console.warn('[OCR Documento] Erro ao fazer parse do JSON, usando fallback:', parseError.message);
+      dados = extrairDadosFallback(textResponse);
+    }
+
+    return normalizarDadosExtraidos(dados);
+
+  } catch (error) {
+    // Log apenas mensagem de erro, sem stack trace completo
+    console.error('[OCR Documento] Erro ao processar imagem:', error.message || 'Erro desconhecido');
+    throw error;
+  }
+}
+
+/**
+ * Associa marca/modelo extraídos aos dados mestres
+ * @param {Object} dados - Resultado de extrairDadosDocumento
+ * @returns {Promise<{fabricante: Object|null, modelo: Object|null}>}
+ */
+export async function associarDadosMestres(dados) {
+  const resultado = { fabricante: null, modelo: null };
+
+  let marca = dados.marca?.valor || null;
+  let modelo = dados.modelo?.valor || null;
+  const confidenceBase = Math.max(dados.marca?.confidence || 0, dados.marca_modelo?.confidence || 0);
+
+  // Completar a partir do campo combinado MARCA/MODELO quando necessário
+  if ((!marca || !modelo) && dados.marca_modelo?.valor) {
+    const separado = separarMarcaModelo(dados.marca_modelo.valor);
+    marca = marca || separado.marca;
+    modelo = modelo || separado.modelo;
+  }
+
+  if (!marca) {
+    return resultado;
+  }
+
+  const fabricantes = await queryAll('SELECT id, nome FROM fabricantes WHERE ativo = true');
+  const fabricante = encontrarFabricante(marca, fabricantes || []);
+  if (!fabricante) {
+    return resultado;
+  }
+
+  resultado.fabricante = {
+    id: fabricante.id,
+    nome: fabricante.nome,
+    confidence: arredondar(Math.min(confidenceBase || 0.5, fabricante.score))
+  };
+
+  if (!modelo) {
+    return resultado;
+  }
+
+  const modelos = await queryAll(
+    'SELECT id, nome, ano_inicio, ano_fim FROM modelos WHERE fabricante_id = ? AND ativo = true',
+    [fabricante.id]
+  );
+  const modeloEncontrado = encontrarModelo(modelo, modelos || [], dados.ano_modelo?.valor);
+  if (modeloEncontrado) {
+    const confidenceModelo = dados.modelo?.confidence || dados.marca_modelo?.confidence || 0.5;
+    resultado.modelo = {
+      id: modeloEncontrado.id,
+      nome: modeloEncontrado.nome,
+      confidence: arredondar(Math.min(confidenceModelo, modeloEncontrado.score, resultado.fabricante.confidence))
+    };
+  }
+
+  return resultado;
+}
+
+/**
+ * Extrai dados do documento a partir de texto já reconhecido (OCR local)
+ * @param {string} texto - Texto bruto do documento
+ * @returns {Object} Mesmo formato de extrairDadosDocumento
+ */
+export function extrairDadosDocumentoDeTexto(texto) {
+  return normalizarDadosExtraidos(extrairDadosFallback(texto || ''));
+}
+
+/**
+ * Cria resposta vazia com estrutura padrão
+ */
+function criarRespostaVazia() {
+  const vazio = {};
+  CAMPOS_DOCUMENTO.forEach(campo => {
+    vazio[campo] = { valor: null, confidence: 0 };
+  });
+  vazio.ano = { valor: null, confidence: 0 };
+  return vazio;
+}
+
+/**
+ * Fallback: extrai dados usando regex quando o JSON falha
+ */
+function extrairDadosFallback(text) {
+  const placaMatch = text.match(/\b([A-Z]{3}[- ]?\d[A-Z0-9]\d{2})\b/i);
+  const chassiMatch = text.match(/\b([A-HJ-NPR-Z0-9]{17})\b/i);
+  const renavamMatch = text.match(/renavam[^\d]*(\d{9,11})/i);
+  const documentoMatch = text.match(/(?:cpf|cnpj)[^\d]*(\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}|\d{3}\.?\d{3}\.?\d{3}-?\d{2})/i);
+
+  return {
+    placa: { valor: placaMatch ? placaMatch[1] : null, confidence: placaMatch ? 0.5 : 0 },
+    renavam: { valor: renavamMatch ? renavamMatch[1] : null, confidence: renavamMatch ? 0.5 : 0 },
+    chassi: { valor: chassiMatch ? chassiMatch[1] : null, confidence: chassiMatch ? 0.4 : 0 },
+    proprietario_documento: { valor: documentoMatch ? documentoMatch[1] : null, confidence: documentoMatch ? 0.4 : 0 }
+  };
+}
+
+/**
+ * Normaliza e valida dados extraídos
+ * Valores com formato inválido são descartados; dígitos verificadores
+ * que não conferem apenas reduzem a confidence
+ */
+function normalizarDadosExtraidos(dados) {
+  const normalizar = (campo) => {
+    if (campo === null || campo === undefined) {
+      return { valor: null, confidence: 0 };
+    }
+
+    if (typeof campo === 'object' && campo.valor !== undefined) {
+      if (campo.valor === null || campo.valor === '') {
+        return { valor: null, confidence: 0 };
+      }
+      return {
+        valor: campo.valor,
+        confidence: Math.max(0, Math.min(1, parseFloat(campo.confidence) || 0))
+      };
+    }
+
+    // Se é valor direto, assumir confidence médio
+    return { valor: campo, confidence: 0.7 };
+  };
+
+  const vazio = { valor: null, confidence: 0 };
+  const resultado = criarRespostaVazia();
+
+  // Tipo de documento
+  const tipoDocumento = normalizar(dados.tipo_documento);
+  resultado.tipo_documento = ['crlv', 'crlv_e'].includes(tipoDocumento.valor) ? tipoDocumento : vazio;
+
+  // Placa: padrão antigo (ABC1234) ou Mercosul (ABC1D23)
+  const placa = normalizar(dados.placa);
+  if (placa.valor) {
+    const placaLimpa = String(placa.valor).replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+    resultado.placa = /^[A-Z]{3}\d[A-Z0-9]\d{2}$/.test(placaLimpa)
+      ? { valor: placaLimpa, confidence: placa.confidence }
+      : vazio;
+  }
+
+  // RENAVAM: 11 dígitos (antigos com 9 são completados com zeros à esquerda)
+  const renavam = normalizar(dados.renavam);
+  if (renavam.valor) {
+    const digitos = String(renavam.valor).replace(/\D/g, '');
+    if (digitos.length >= 9 && digitos.length <= 11) {
+      const renavamCompleto = digitos.padStart(11, '0');
+      resultado.renavam = {
+        valor: renavamCompleto,
+        confidence: validarRenavam(renavamCompleto) ? renavam.confidence : arredondar(renavam.confidence * 0.5)
+      };
+    }
+  }
+
+  // Chassi (VIN): 17 caracteres, sem I, O e Q
+  const chassi = normalizar(dados.chassi);
+  if (chassi.valor) {
+    const chassiLimpo = String(chassi.valor).replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+    resultado.chassi = /^[A-HJ-NPR-Z0-9]{17}$/.test(chassiLimpo)
+      ? { valor: chassiLimpo, confidence: chassi.confidence }
+      : vazio;
+  }
+
+  // Marca/modelo (texto livre)
+  ['marca_modelo', 'marca', 'modelo', 'proprietario_nome'].forEach(campo => {
+    const valor = normalizar(dados[campo]);
+    resultado[campo] = valor.valor
+      ? { valor: String(valor.valor).trim().toUpperCase(), confidence: valor.confidence }
+      : vazio;
+  });
+
+  // Anos de fabricação e modelo
+  const anoMaximo = new Date().getFullYear() + 1;
+  ['ano_fabricacao', 'ano_modelo'].forEach(campo => {
+    const valor = normalizar(dados[campo]);
+    const ano = parseInt(valor.valor);
+    resultado[campo] = !isNaN(ano) && ano >= 1900 && ano <= anoMaximo
+      ? { valor: ano, confidence: valor.confidence }
+      : vazio;
+  });
+
+  // Compatibilidade com o campo "ano" do cadastro de veículos (ano do modelo)
+  resultado.ano = resultado.ano_modelo.valor ? resultado.ano_modelo : resultado.ano_fabricacao;
+
+  // CPF (11 dígitos) ou CNPJ (14 dígitos) do proprietário
+  const documento = normalizar(dados.proprietario_documento);
+  if (documento.valor) {
+    const digitos = String(documento.valor).replace(/\D/g, '');
+    const tipo = digitos.length === 11 ? 'cpf' : (digitos.length === 14 ? 'cnpj' : null);
+    if (tipo) {
+      const valido = tipo === 'cpf' ? validarCpf(digitos) : validarCnpj(digitos);
+      resultado.proprietario_documento = {
+        valor: digitos,
+        tipo,
+        confidence: valido ? documento.confidence : arredondar(documento.confidence * 0.5)
+      };
+    }
+  }
+
+  return resultado;
+}
+
+/**
+ * Separa o campo MARCA/MODELO do CRLV (ex: "I/FIAT ARGO DRIVE", "VW/GOL 1.0")
+ */
+function separarMarcaModelo(texto) {
+  const partes = String(texto).split('/').map(p => p.trim()).filter(Boolean);
+  if (partes.length > 1 && PREFIXOS_PROCEDENCIA.includes(partes[0].toUpperCase())) {
+    partes.shift();
+  }
+
+  if (partes.length === 0) {
+    return { marca: null, modelo: null };
+  }
+
+  if (partes.length === 1) {
+    // Sem barra: primeira palavra é a marca
+    const [marca, ...resto] = partes[0].split(/\s+/);
+    return { marca, modelo: resto.join(' ') || null };
+  }
+
+  return { marca: partes[0], modelo: partes.slice(1).join(' ') };
+}
+
+/**
+ * Normaliza nome para comparação (sem acentos, espaços e pontuação)
+ */
+function normalizarNome(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Encontra o fabricante pelo nome extraído (exato, apelido ou prefixo)
+ */
+function encontrarFabricante(marca, fabricantes) {
+  const marcaNormalizada = normalizarNome(marca);
+  const alvo = ALIASES_FABRICANTE[marcaNormalizada] || marcaNormalizada;
+  if (!alvo) return null;
+
+  const exato = fabricantes.find(f => normalizarNome(f.nome) === alvo);
+  if (exato) {
+    return { ...exato, score: 0.95 };
+  }
+
+  // Nomes abreviados ou com sufixos (ex: "CITROEN" x "Citroën", "HYUNDAI MOTOR")
+  const parcial = fabricantes
+    .filter(f => {
+      const nome = normalizarNome(f.nome);
+      return nome.length >= 3 && alvo.length >= 3 && (alvo.startsWith(nome) || nome.startsWith(alvo));
+    })
+    .sort((a, b) => normalizarNome(b.nome).length - normalizarNome(a.nome).length)[0];
+
+  return parcial ? { ...parcial, score: 0.75 } : null;
+}
+
+/**
+ * Encontra o modelo pelo texto extraído
+ * O texto do CRLV costuma trazer versão após o nome (ex: "GOL 1.0 TREND"),
+ * então o modelo cadastrado mais longo que seja prefixo do texto vence
+ */
+function encontrarModelo(modelo, modelos, anoModelo) {
+  const modeloNormalizado = normalizarNome(modelo);
+  const primeiraPalavra = normalizarNome(String(modelo).split(/\s+/)[0]);
+  if (!modeloNormalizado) return null;
+
+  const candidatos = modelos
+    .map(m => {
+      const nome = normalizarNome(m.nome);
+      let score = 0;
+      if (nome === modeloNormalizado) score = 0.95;
+      else if (nome && modeloNormalizado.startsWith(nome)) score = 0.85;
+      else if (nome && nome === primeiraPalavra) score = 0.8;
+      return { ...m, score, tamanho: nome.length };
+    })
+    .filter(m => m.score > 0);
+
+  if (candidatos.length === 0) return null;
+
+  candidatos.sort((a, b) => b.score - a.score || b.tamanho - a.tamanho);
+  const melhor = candidatos[0];
+
+  // Ano do documento fora do período de fabricação do modelo reduz a certeza
+  const ano = parseInt(anoModelo);
+  if (!isNaN(ano)) {
+    const foraDoPeriodo = (melhor.ano_inicio && ano < parseInt(melhor.ano_inicio)) ||
+      (melhor.ano_fim && ano > parseInt(melhor.ano_fim));
+    if (foraDoPeriodo) {
+      melhor.score = arredondar(melhor.score * 0.7);
+    }
+  }
+
+  return melhor;
+}
+
+/**
+ * Valida dígito verificador do RENAVAM (11 dígitos)
+ */
+function validarRenavam(renavam) {
+  if (!/^\d{11}$/.test(renavam)) return false;
+  const pesos = [3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+  const soma = pesos.reduce((acc, peso, i) => acc + parseInt(renavam[i]) * peso, 0);
+  let digito = 11 - (soma % 11);
+  if (digito >= 10) digito = 0;
+  return digito === parseInt(renavam[10]);
+}
+
+/**
+ * Valida dígitos verificadores do CPF
+ */
+function validarCpf(cpf) {
+  if (!/^\d{11}$/.test(cpf) || /^(\d)\1{10}$/.test(cpf)) return false;
+  const calcularDigito = (base) => {
+    const soma = base.split('').reduce((acc, d, i) => acc + parseInt(d) * (base.length + 1 - i), 0);
+    const resto = (soma * 10) % 11;
+    return resto === 10 ? 0 : resto;
+  };
+  const d1 = calcularDigito(cpf.slice(0, 9));
+  const d2 = calcularDigito(cpf.slice(0, 10));
+  return d1 === parseInt(cpf[9]) && d2 === parseInt(cpf[10]);
+}
+
+/**
+ * Valida dígitos verificadores do CNPJ
+ */
+function validarCnpj(cnpj) {
+  if (!/^\d{14}$/.test(cnpj) || /^(\d)\1{13}$/.test(cnpj)) return false;
+  const calcularDigito = (base) => {
+    const pesos = base.length === 12
+      ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+      : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+    const soma = base.split('').reduce((acc, d, i) => acc + parseInt(d) * pesos[i], 0);
+    const resto = soma % 11;
+    return resto < 2 ? 0 : 11 - resto;
+  };
+  const d1 = calcularDigito(cnpj.slice(0, 12));
+  const d2 = calcularDigito(cnpj.slice(0, 13));
+  return d1 === parseInt(cnpj[12]) && d2 === parseInt(cnpj[13]);
+}
+
+function arredondar(valor) {
+  return Math.round(valor * 100) / 100;
+}
+
+/**
+ * Registra o documento enviado ao OCR antes do cadastro do veículo
+ * Só quem enviou pode anexá-lo depois (buscarDocumentoEnviado)
+ * @param {number} usuarioId
+ * @param {string} chave - Chave do arquivo no armazenamento
+ */
+export async function registrarDocumentoEnviado(usuarioId, chave) {
+  const agora = new Date();
+  await query('DELETE FROM documentos_veiculo_enviados WHERE expira_em < ?', [agora.toISOString()]);
+  await query(
+    'INSERT INTO documentos_veiculo_enviados (usuario_id, chave, expira_em) VALUES (?, ?, ?)',
+    [usuarioId, chave, new Date(agora.getTime() + prazoDocumentoEnviadoMs()).toISOString()]
+  );
+}
+
+/**
+ * Chave de um documento que o usuário enviou ao OCR, dentro do prazo
+ * Chaves ou URLs de outros arquivos (mesmo com assinatura válida) não são aceitas
+ * @param {number} usuarioId
+ * @param {string} valor - URL devolvida pelo OCR (ou a chave)
+ * @returns {Promise<string|null>}
+ */
+export async function buscarDocumentoEnviado(usuarioId, valor) {
+  const chave = chaveDoArquivo(valor);
+  if (!chave) return null;
+  const registro = await queryOne(
+    `SELECT id, expira_em FROM documentos_veiculo_enviados
+     WHERE usuario_id = ? AND chave = ?
+     ORDER BY id DESC LIMIT 1`,
+    [usuarioId, chave]
+  );
+  if (!registro || new Date(registro.expira_em).getTime() <= Date.now()) return null;
+  return chave;
+}
+
+/**
+ * Remove o registro do documento já anexado a um veículo (não pode ser usado de novo)
+ * @param {number} usuarioId
+ * @param {string} chave
+ */
+export async function removerDocumentoEnviado(usuarioId, chave) {
+  await query('DELETE FROM documentos_veiculo_enviados WHERE usuario_id = ? AND chave = ?', [usuarioId, chave]);
+}
+
+export default {
+  extrairDadosDocumento,
+  extrairDadosDocumentoDeTexto,
+  associarDadosMestres,
+  registrarDocumentoEnviado,
+  buscarDocumentoEnviado,
+  removerDocumentoEnviado
+};
@@ -0,0 +1,31 @@
+/**
+ * Transporte em arquivo: cada mensagem vira um JSON em MAIL_DIR
+ * Para desenvolvimento e testes locais (abrir o arquivo e copiar o link/token).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const getDiretorio = () => process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'emails');
+
+export const arquivoTransport = {
+  nome: 'arquivo',
+
+  async enviar({ de, para, assunto, texto, html }) {
+    const diretorio = getDiretorio();
+    fs.mkdirSync(diretorio, { recursive: true });
+
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+    const conteudo = { id, de, para, assunto, texto, html, enviado_em: new Date().toISOString() };
+    fs.writeFileSync(path.join(diretorio, `${id}.json`), JSON.stringify(conteudo, null, 2));
+
+    return { id };
+  }
+};
+
+export default arquivoTransport;
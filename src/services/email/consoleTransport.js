@@ -0,0 +1,21 @@
+/**
+ * Transporte de console: registra no log que a mensagem seria enviada (nada é enviado)
+ *
+ * O corpo não vai para o log: leva tokens de redefinição de senha e de verificação.
+ * Para ler as mensagens em testes locais, use MAIL_TRANSPORT=arquivo.
+ */
+
+import crypto from 'crypto';
+import logger from '../../logger.js';
+
+export const consoleTransport = {
+  nome: 'console',
+
+  async enviar({ de, para, assunto }) {
+    const id = crypto.randomBytes(8).toString('hex');
+    logger.info({ id, de, para, assunto }, '[EMAIL] Mensagem (transporte console, não enviada)');
+    return { id };
+  }
+};
+
+export default consoleTransport;
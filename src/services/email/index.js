@@ -0,0 +1,66 @@
+/**
+ * Camada de envio de e-mail
+ *
+ * O transporte é escolhido por MAIL_TRANSPORT:
+ * - 'smtp'    → nodemailer via SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE
+ * - 'arquivo' → grava cada mensagem em MAIL_DIR (padrão src/emails), para testes locais
+ * - 'console' → só registra no log que a mensagem existiria (sem o corpo)
+ *
+ * Sem MAIL_TRANSPORT, usa 'smtp' quando SMTP_HOST está definida e 'console' caso contrário.
+ * Em produção o 'console' só é usado se configurado explicitamente: sem SMTP_HOST o envio
+ * falha (as mensagens levam links de redefinição de senha e verificação).
+ * O remetente vem de MAIL_FROM.
+ *
+ * Todo transporte implementa:
+ * - nome: string
+ * - enviar({ de, para, assunto, texto, html }) → { id }
+ */
+
+import { smtpTransport } from './smtpTransport.js';
+import { arquivoTransport } from './arquivoTransport.js';
+import { consoleTransport } from './consoleTransport.js';
+
+export const TRANSPORTES_EMAIL = {
+  smtp: smtpTransport,
+  arquivo: arquivoTransport,
+  console: consoleTransport
+};
+
+/**
+ * Retorna o transporte de e-mail configurado
+ * @returns {Object} Transporte (ver interface acima)
+ */
+export function getMailTransport() {
+  const configurado = (process.env.MAIL_TRANSPORT || '').trim().toLowerCase();
+
+  if (configurado) {
+    if (TRANSPORTES_EMAIL[configurado]) {
+      return TRANSPORTES_EMAIL[configurado];
+    }
+    console.warn(`[EMAIL] MAIL_TRANSPORT desconhecido: "${configurado}" - usando transporte padrão`);
+  }
+
+  if (process.env.SMTP_HOST) return smtpTransport;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SMTP_HOST não configurado (em produção, defina SMTP_HOST ou MAIL_TRANSPORT)');
+  }
+  return consoleTransport;
+}
+
+/**
+ * Envia um e-mail pelo transporte configurado
+ * @param {Object} mensagem
+ * @param {string} mensagem.para
+ * @param {string} mensagem.assunto
+ * @param {string} mensagem.texto - Corpo em texto puro
+ * @param {string} [mensagem.html]
+ * @returns {Promise<{id: string, transporte: string}>}
+ */
+export async function enviarEmail({ para, assunto, texto, html = null }) {
+  const transporte = getMailTransport();
+  const de = process.env.MAIL_FROM || 'TROIA <nao-responda@troia.app>';
+  const { id } = await transporte.enviar({ de, para, assunto, texto, html });
+  return { id, transporte: transporte.nome };
+}
+
+export default enviarEmail;
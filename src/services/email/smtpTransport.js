@@ -0,0 +1,40 @@
+/**
+ * Transporte SMTP (nodemailer)
+ */
+
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    const porta = parseInt(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: porta,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : porta === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+}
+
+export const smtpTransport = {
+  nome: 'smtp',
+
+  async enviar({ de, para, assunto, texto, html }) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST não configurado');
+    }
+    const info = await getTransporter().sendMail({
+      from: de,
+      to: para,
+      subject: assunto,
+      text: texto,
+      html: html || undefined
+    });
+    return { id: info.messageId };
+  }
+};
+
+export default smtpTransport;
@@ -0,0 +1,49 @@
+/**
+ * E-mails da conta do usuário (verificação de e-mail, redefinição de senha)
+ * Usados pelo fluxo público de /auth e pelas ações administrativas.
+ */
+
+import { TIPOS_TOKEN, criarTokenUsuario } from './tokensUsuarioService.js';
+import { enviarEmail } from './email/index.js';
+
+/**
+ * Envia o link de confirmação de e-mail
+ * @param {{id: number, nome: string, email: string}} usuario
+ * @param {string} urlBaseApi - URL pública da API (o link aponta para GET /auth/verify-email)
+ */
+export async function enviarEmailVerificacao(usuario, urlBaseApi) {
+  const { token } = await criarTokenUsuario(usuario.id, TIPOS_TOKEN.VERIFICACAO_EMAIL);
+  const link = `${urlBaseApi}/auth/verify-email?token=${encodeURIComponent(token)}`;
+  return enviarEmail({
+    para: usuario.email,
+    assunto: 'Confirme seu e-mail',
+    texto: `Olá, ${usuario.nome}!\n\nPara confirmar seu e-mail, acesse:\n${link}\n\nSe você não criou esta conta, ignore esta mensagem.`,
+  });
+}
+
+/**
+ * Envia o link (ou código) de redefinição de senha
+ * Sem APP_URL (frontend), o token vai no corpo para uso direto em POST /auth/reset-password
+ * @param {{id: number, nome: string, email: string}} usuario
+ * @param {Object} [opcoes]
+ * @param {boolean} [opcoes.exigidaPorAdmin] - Texto explica que a troca é obrigatória
+ */
+export async function enviarEmailRedefinicaoSenha(usuario, { exigidaPorAdmin = false } = {}) {
+  const { token } = await criarTokenUsuario(usuario.id, TIPOS_TOKEN.REDEFINICAO_SENHA);
+  const instrucao = process.env.APP_URL
+    ? `acesse:\n${process.env.APP_URL.replace(/\/$/, '')}/redefinir-senha?token=${encodeURIComponent(token)}`
+    : `use o código abaixo:\n${token}`;
+  const motivo = exigidaPorAdmin
+    ? 'Por segurança, o administrador solicitou que você defina uma nova senha antes de entrar novamente.'
+    : 'Recebemos um pedido para redefinir sua senha.';
+  return enviarEmail({
+    para: usuario.email,
+    assunto: 'Redefinição de senha',
+    texto: `Olá, ${usuario.nome}!\n\n${motivo} Para continuar, ${instrucao}\n\nO link vale por pouco tempo e só pode ser usado uma vez.${exigidaPorAdmin ? '' : ' Se você não fez o pedido, ignore esta mensagem.'}`,
+  });
+}
+
+export default {
+  enviarEmailVerificacao,
+  enviarEmailRedefinicaoSenha
+};
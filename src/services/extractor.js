@@ -36,3 +36,32 @@ export function extractFieldsFromText(text) {
 
   return { date, valor, placa, tipo, rawText: text };
 }
+
+// leitura de odômetro/horímetro: maior sequência numérica plausível
+// ignora velocidades (km/h), horários (hh:mm) e temperaturas
+export function extractReadingFromText(text) {
+  const clean = (text || '')
+    .replace(/\d+\s*km\/h/gi, ' ')
+    .replace(/\d{1,2}:\d{2}/g, ' ')
+    .replace(/-?\d+\s*°\s*[cf]?/gi, ' ');
+
+  // 123.456 = milhar | 345.6 ou 345,6 = decimal (parcial/trip, usa parte inteira)
+  const candidates = (clean.match(/\d{1,3}(?:[\. ]\d{3})+(?![\d,])|\d+(?:[\.,]\d+)?/g) || [])
+    .map(raw => (/^\d{1,3}(?:[\. ]\d{3})+$/.test(raw) ? raw.replace(/[\. ]/g, '') : raw.split(/[\.,]/)[0]))
+    .filter(digits => digits.length >= 1 && digits.length <= 7)
+    .map(digits => parseInt(digits, 10))
+    .filter(n => !isNaN(n));
+
+  // unidade indicada no painel (km, mi ou horas)
+  const lower = (text || '').toLowerCase();
+  let unit = null;
+  if (/\b(mi|miles|milhas)\b/.test(lower)) unit = 'mi';
+  else if (/\b(h|hr|hrs|horas|hours)\b/.test(lower)) unit = 'horas';
+  else if (/\bkm\b/.test(lower)) unit = 'km';
+
+  if (candidates.length === 0) return { reading: null, unit, candidates: [] };
+
+  // odômetros costumam ter 5-6 dígitos; o maior número é o mais provável
+  const reading = Math.max(...candidates);
+  return { reading, unit, candidates };
+}
@@ -0,0 +1,179 @@
+/**
+ * Processamento de imagens enviadas (comprovantes, notas fiscais, fotos do painel)
+ *
+ * - detectarTipoArquivo / validarAssinaturaArquivo: tipo real pelos primeiros bytes
+ *   (o mimetype informado pelo cliente não é confiável)
+ * - processarImagemUpload: gira conforme a orientação EXIF, remove os metadados
+ *   (localização GPS inclusive), limita a resolução guardada e gera a miniatura
+ * - reduzirImagemParaOcr: cópia menor em JPEG enviada ao OCR
+ *
+ * HEIC é recusado: o sharp pré-compilado não decodifica HEVC, então não há como
+ * remover a localização GPS do arquivo.
+ */
+
+import fs from 'fs';
+import sharp from 'sharp';
+
+// Tipos que o sharp reescreve (rotação, metadados, miniatura)
+export const TIPOS_IMAGEM_PROCESSAVEIS = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Maior lado da imagem guardada, da miniatura e da cópia enviada ao OCR (px)
+export const LADO_MAXIMO_IMAGEM = parseInt(process.env.IMAGEM_LADO_MAXIMO) || 2560;
+export const LADO_MINIATURA = 320;
+export const LADO_MAXIMO_OCR = parseInt(process.env.OCR_IMAGEM_LADO_MAXIMO) || 1600;
+
+const MARCAS_HEIC = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Tipo do arquivo pela assinatura (magic bytes)
+ * @param {string} caminho
+ * @returns {string|null} MIME (image/jpeg, image/png, image/webp, image/heic, application/pdf) ou null
+ */
+export function detectarTipoArquivo(caminho) {
+  const cabecalho = Buffer.alloc(16);
+  let lidos = 0;
+  let descritor = null;
+  try {
+    descritor = fs.openSync(caminho, 'r');
+    lidos = fs.readSync(descritor, cabecalho, 0, cabecalho.length, 0);
+  } catch {
+    return null;
+  } finally {
+    if (descritor !== null) fs.closeSync(descritor);
+  }
+  if (lidos < 12) return null;
+
+  if (cabecalho[0] === 0xff && cabecalho[1] === 0xd8 && cabecalho[2] === 0xff) return 'image/jpeg';
+  if (cabecalho.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (cabecalho.toString('latin1', 0, 4) === 'RIFF' && cabecalho.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  if (cabecalho.toString('latin1', 4, 8) === 'ftyp' && MARCAS_HEIC.includes(cabecalho.toString('latin1', 8, 12))) return 'image/heic';
+  if (cabecalho.toString('latin1', 0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+}
+
+/**
+ * Confere o conteúdo do upload e corrige file.mimetype para o tipo detectado
+ * @param {Object} file - Arquivo do multer
+ * @param {string[]} tiposAceitos - MIMEs aceitos
+ * @returns {{erro: string, mensagem: string}|null}
+ */
+export function validarAssinaturaArquivo(file, tiposAceitos) {
+  const tipo = detectarTipoArquivo(file.path);
+  if (tipo === 'image/heic' && !tiposAceitos.includes(tipo)) {
+    return {
+      erro: 'INVALID_FILE_TYPE',
+      mensagem: `Fotos HEIC não são aceitas (${file.originalname || 'arquivo'}). Envie a foto em JPEG`
+    };
+  }
+  if (!tipo || !tiposAceitos.includes(tipo)) {
+    return {
+      erro: 'INVALID_FILE_TYPE',
+      mensagem: `Conteúdo do arquivo não corresponde a um tipo aceito (${file.originalname || 'arquivo'})`
+    };
+  }
+  file.mimetype = tipo;
+  return null;
+}
+
+// Reescreve no mesmo formato (sharp não copia metadados para a saída sem withMetadata)
+function codificar(imagem, mimeType) {
+  if (mimeType === 'image/png') return imagem.png();
+  if (mimeType === 'image/webp') return imagem.webp({ quality: 85 });
+  return imagem.jpeg({ quality: 85, mozjpeg: true });
+}
+
+/**
+ * Normaliza a imagem enviada no próprio arquivo temporário e gera a miniatura
+ * A miniatura fica em file.miniatura ({ path, mimetype }) e é guardada por armazenarUpload
+ * PDFs passam sem alteração
+ * @param {Object} file - Arquivo do multer, já validado por validarAssinaturaArquivo
+ * @param {Object} [opcoes]
+ * @param {boolean} [opcoes.miniatura=true]
+ * @returns {Promise<{erro: string, mensagem: string}|null>}
+ */
+export async function processarImagemUpload(file, { miniatura = true } = {}) {
+  if (!TIPOS_IMAGEM_PROCESSAVEIS.includes(file.mimetype)) return null;
+
+  const processado = `${file.path}-processado`;
+  try {
+    const info = await codificar(
+      sharp(file.path, { failOn: 'error' })
+        .rotate()
+        .resize({ width: LADO_MAXIMO_IMAGEM, height: LADO_MAXIMO_IMAGEM, fit: 'inside', withoutEnlargement: true }),
+      file.mimetype
+    ).toFile(processado);
+    await fs.promises.rename(processado, file.path);
+    file.size = info.size;
+
+    if (miniatura) {
+      const caminhoMiniatura = `${file.path}-miniatura.webp`;
+      await sharp(file.path)
+        .resize({ width: LADO_MINIATURA, height: LADO_MINIATURA, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 70 })
+        .toFile(caminhoMiniatura);
+      file.miniatura = { path: caminhoMiniatura, mimetype: 'image/webp' };
+    }
+    return null;
+  } catch (error) {
+    await fs.promises.rm(processado, { force: true });
+    console.warn(`[IMAGEM] Não foi possível processar ${file.originalname || file.filename}:`, error.message);
+    return {
+      erro: 'IMAGEM_INVALIDA',
+      mensagem: `Imagem corrompida ou ilegível (${file.originalname || 'arquivo'})`
+    };
+  }
+}
+
+/**
+ * processarImagemUpload para vários arquivos (para no primeiro erro)
+ * @param {Array} arquivos - Arquivos do multer
+ * @param {Object} [opcoes] - Ver processarImagemUpload
+ * @returns {Promise<{erro: string, mensagem: string}|null>}
+ */
+export async function processarImagensUpload(arquivos, opcoes) {
+  for (const arquivo of arquivos) {
+    const erro = await processarImagemUpload(arquivo, opcoes);
+    if (erro) return erro;
+  }
+  return null;
+}
+
+/**
+ * Cópia reduzida e na orientação certa, em JPEG, para o OCR (menos bytes e tokens enviados ao Vision)
+ * Tipos não processáveis seguem como estão
+ * @param {string} caminho
+ * @param {string} mimeType
+ * @returns {Promise<{caminho: string, mimeType: string, descartar: Function}>}
+ */
+export async function reduzirImagemParaOcr(caminho, mimeType) {
+  const original = { caminho, mimeType, descartar: async () => {} };
+  if (!TIPOS_IMAGEM_PROCESSAVEIS.includes(mimeType)) return original;
+
+  const reduzida = `${caminho}-ocr.jpg`;
+  try {
+    await sharp(caminho)
+      .rotate()
+      .resize({ width: LADO_MAXIMO_OCR, height: LADO_MAXIMO_OCR, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toFile(reduzida);
+    return {
+      caminho: reduzida,
+      mimeType: 'image/jpeg',
+      descartar: () => fs.promises.rm(reduzida, { force: true })
+    };
+  } catch (error) {
+    // Sem redução o OCR ainda funciona, só fica mais caro
+    await fs.promises.rm(reduzida, { force: true });
+    console.warn('[IMAGEM] Não foi possível reduzir a imagem para o OCR:', error.message);
+    return original;
+  }
+}
+
+export default {
+  TIPOS_IMAGEM_PROCESSAVEIS,
+  detectarTipoArquivo,
+  validarAssinaturaArquivo,
+  processarImagemUpload,
+  processarImagensUpload,
+  reduzirImagemParaOcr
+};
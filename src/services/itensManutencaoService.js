@@ -0,0 +1,355 @@
+/**
+ * Serviço de Itens de Manutenção e Catálogo de Peças
+ *
+ * Uma ordem de serviço vira uma manutenção com vários itens (peça ou mão de
+ * obra). Peças entram no catálogo do usuário (reaproveitadas pelo código ou
+ * pelo nome normalizado) para consultar o histórico de cada peça.
+ */
+
+import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { filtroVeiculosAcessiveis } from './organizacoesService.js';
+
+export const TIPOS_ITEM_MANUTENCAO = ['peca', 'mao_de_obra'];
+
+export const MAX_ITENS_MANUTENCAO = 100;
+
+/**
+ * Nome para comparação: minúsculo, sem acentos e espaços repetidos
+ * @param {string} nome
+ * @returns {string}
+ */
+export function normalizarNomePeca(nome) {
+  return String(nome || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const numeroOuNull = (valor) => {
+  if (valor === undefined || valor === null || valor === '') return null;
+  const numero = parseFloat(String(valor).replace(',', '.'));
+  return isNaN(numero) ? NaN : numero;
+};
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+/**
+ * Valida e normaliza os itens enviados no cadastro
+ * Aceita array ou JSON em texto (multipart/form-data)
+ * @param {Array|string|undefined} entrada
+ * @returns {{itens: Array}|{erro: string, mensagem: string}}
+ */
+export function validarItensManutencao(entrada) {
+  if (entrada === undefined || entrada === null || entrada === '') return { itens: [] };
+
+  let lista = entrada;
+  if (typeof entrada === 'string') {
+    try {
+      lista = JSON.parse(entrada);
+    } catch {
+      return { erro: 'ITENS_INVALIDOS', mensagem: 'itens deve ser uma lista JSON' };
+    }
+  }
+  if (!Array.isArray(lista)) {
+    return { erro: 'ITENS_INVALIDOS', mensagem: 'itens deve ser uma lista' };
+  }
+  if (lista.length > MAX_ITENS_MANUTENCAO) {
+    return { erro: 'ITENS_INVALIDOS', mensagem: `Máximo de ${MAX_ITENS_MANUTENCAO} itens por manutenção` };
+  }
+
+  const itens = [];
+  for (const [indice, item] of lista.entries()) {
+    const posicao = `Item ${indice + 1}`;
+    if (!item || typeof item !== 'object') {
+      return { erro: 'ITENS_INVALIDOS', mensagem: `${posicao}: formato inválido` };
+    }
+
+    const tipo = item.tipo || 'peca';
+    if (!TIPOS_ITEM_MANUTENCAO.includes(tipo)) {
+      return { erro: 'ITENS_INVALIDOS', mensagem: `${posicao}: tipo deve ser um de: ${TIPOS_ITEM_MANUTENCAO.join(', ')}` };
+    }
+
+    const descricao = String(item.descricao || '').trim().slice(0, 255);
+    if (!descricao) {
+      return { erro: 'ITENS_INVALIDOS', mensagem: `${posicao}: descrição é obrigatória` };
+    }
+
+    const quantidade = numeroOuNull(item.quantidade) ?? 1;
+    if (isNaN(quantidade) || quantidade <= 0) {
+      return { erro: 'ITENS_INVALIDOS', mensagem: `${posicao}: quantidade deve ser maior que zero` };
+    }
+
+    const valorUnitario = numeroOuNull(item.valor_unitario);
+    if (Number.isNaN(valorUnitario) || (valorUnitario !== null && valorUnitario < 0)) {
+      return { erro: 'ITENS_INVALIDOS', mensagem: `${posicao}: valor unitário inválido` };
+    }
+
+    const codigo = tipo === 'peca' && item.codigo_peca ? String(item.codigo_peca).trim().slice(0, 100) || null : null;
+
+    itens.push({
+      tipo,
+      descricao,
+      codigo_peca: codigo,
+      quantidade,
+      valor_unitario: valorUnitario,
+      valor_total: valorUnitario !== null ? arredondar(valorUnitario * quantidade) : null,
+      ordem: indice
+    });
+  }
+
+  return { itens };
+}
+
+/**
+ * Soma dos itens com valor (null se nenhum tiver valor)
+ * @param {Array} itens - Itens já validados
+ * @returns {number|null}
+ */
+export function somarItens(itens) {
+  const comValor = itens.filter(i => i.valor_total !== null);
+  return comValor.length ? arredondar(comValor.reduce((acc, i) => acc + i.valor_total, 0)) : null;
+}
+
+/**
+ * Peça do catálogo do usuário; cria se ainda não existir
+ * Procura pelo código (quando informado) e depois pelo nome normalizado
+ * @param {number} usuarioId
+ * @param {{descricao: string, codigo_peca: string|null}} item
+ * @returns {Promise<number>} ID da peça
+ */
+export async function obterOuCriarPeca(usuarioId, { descricao, codigo_peca: codigo }) {
+  const nomeNormalizado = normalizarNomePeca(descricao);
+
+  if (codigo) {
+    const porCodigo = await queryOne(
+      'SELECT id FROM pecas_catalogo WHERE usuario_id = ? AND codigo = ? ORDER BY id LIMIT 1',
+      [usuarioId, codigo]
+    );
+    if (porCodigo) return porCodigo.id;
+  }
+
+  const porNome = await queryOne(
+    `SELECT id, codigo FROM pecas_catalogo
+     WHERE usuario_id = ? AND nome_normalizado = ?
+     ORDER BY id LIMIT 1`,
+    [usuarioId, nomeNormalizado]
+  );
+  // Mesmo nome com código diferente é outra peça (ex.: outra marca)
+  if (porNome && (!codigo || !porNome.codigo || porNome.codigo === codigo)) {
+    if (codigo && !porNome.codigo) {
+      await query('UPDATE pecas_catalogo SET codigo = ? WHERE id = ?', [codigo, porNome.id]);
+    }
+    return porNome.id;
+  }
+
+  const result = await query(
+    'INSERT INTO pecas_catalogo (usuario_id, nome, nome_normalizado, codigo) VALUES (?, ?, ?, ?)',
+    [usuarioId, descricao, nomeNormalizado, codigo]
+  );
+  return result.insertId;
+}
+
+/**
+ * Grava os itens de uma manutenção (chamar dentro de withTransaction)
+ * @param {number} manutencaoId
+ * @param {number} usuarioId - Dono do catálogo de peças
+ * @param {Array} itens - Itens já validados
+ * @returns {Promise<Array>} Itens gravados
+ */
+export async function salvarItensManutencao(manutencaoId, usuarioId, itens) {
+  const gravados = [];
+  for (const item of itens) {
+    const pecaId = item.tipo === 'peca' ? await obterOuCriarPeca(usuarioId, item) : null;
+    const result = await query(
+      `INSERT INTO itens_manutencao
+       (manutencao_id, peca_id, tipo, descricao, codigo_peca, quantidade, valor_unitario, valor_total, ordem)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [manutencaoId, pecaId, item.tipo, item.descricao, item.codigo_peca, item.quantidade, item.valor_unitario, item.valor_total, item.ordem]
+    );
+    gravados.push({ id: result.insertId, manutencao_id: manutencaoId, peca_id: pecaId, ...item });
+  }
+  return gravados;
+}
+
+const formatarItem = (item) => ({
+  id: item.id,
+  manutencao_id: item.manutencao_id,
+  peca_id: item.peca_id,
+  tipo: item.tipo,
+  descricao: item.descricao,
+  codigo_peca: item.codigo_peca,
+  quantidade: item.quantidade !== null ? parseFloat(item.quantidade) : null,
+  valor_unitario: item.valor_unitario !== null ? parseFloat(item.valor_unitario) : null,
+  valor_total: item.valor_total !== null ? parseFloat(item.valor_total) : null,
+  ordem: item.ordem
+});
+
+/**
+ * Itens de várias manutenções, agrupados por manutencao_id
+ * @param {number[]} manutencaoIds
+ * @returns {Promise<Map<number, Array>>}
+ */
+export async function listarItensPorManutencao(manutencaoIds) {
+  const porManutencao = new Map();
+  if (!manutencaoIds.length) return porManutencao;
+
+  const itens = await queryAll(
+    `SELECT * FROM itens_manutencao
+     WHERE manutencao_id IN (${manutencaoIds.map(() => '?').join(', ')})
+     ORDER BY manutencao_id, ordem, id`,
+    manutencaoIds
+  );
+  for (const item of itens) {
+    const id = parseInt(item.manutencao_id);
+    if (!porManutencao.has(id)) porManutencao.set(id, []);
+    porManutencao.get(id).push(formatarItem(item));
+  }
+  return porManutencao;
+}
+
+/**
+ * Remove os itens de uma manutenção (SQLite não aplica ON DELETE CASCADE)
+ * @param {number} manutencaoId
+ */
+export async function removerItensManutencao(manutencaoId) {
+  await query('DELETE FROM itens_manutencao WHERE manutencao_id = ?', [manutencaoId]);
+}
+
+// Manutenções visíveis ao usuário (mesma regra de GET /manutencoes/buscar)
+function filtroManutencoesVisiveis(usuarioId) {
+  const filtro = filtroVeiculosAcessiveis(usuarioId, 'v');
+  return {
+    sql: `${filtro.sql} AND (v.organizacao_id IS NOT NULL OR m.usuario_id = ?)`,
+    params: [...filtro.params, usuarioId]
+  };
+}
+
+/**
+ * Catálogo de peças do usuário com a última utilização de cada uma
+ * @param {number} usuarioId
+ * @param {Object} [filtros]
+ * @param {string} [filtros.busca] - Parte do nome ou do código
+ * @param {number} [filtros.veiculoId] - Considera só as utilizações neste veículo
+ * @returns {Promise<Array>}
+ */
+export async function listarPecasDoUsuario(usuarioId, { busca = null, veiculoId = null } = {}) {
+  const visiveis = filtroManutencoesVisiveis(usuarioId);
+  const condicoesUso = [visiveis.sql];
+  const paramsUso = [...visiveis.params];
+  if (veiculoId) {
+    condicoesUso.push('m.veiculo_id = ?');
+    paramsUso.push(veiculoId);
+  }
+
+  const condicoes = ['p.usuario_id = ?'];
+  const params = [usuarioId];
+  if (busca) {
+    condicoes.push('(p.nome_normalizado LIKE ? OR p.codigo LIKE ?)');
+    params.push(`%${normalizarNomePeca(busca)}%`, `%${busca.trim()}%`);
+  }
+
+  const pecas = await queryAll(
+    `SELECT p.id, p.nome, p.codigo, p.criado_em,
+            COUNT(u.item_id) as vezes_utilizada,
+            MAX(u.data) as ultima_data
+     FROM pecas_catalogo p
+     LEFT JOIN (
+       SELECT i.id as item_id, i.peca_id, m.data
+       FROM itens_manutencao i
+       JOIN manutencoes m ON m.id = i.manutencao_id
+       JOIN veiculos v ON v.id = m.veiculo_id
+       WHERE ${condicoesUso.join(' AND ')}
+     ) u ON u.peca_id = p.id
+     WHERE ${condicoes.join(' AND ')}
+     GROUP BY p.id, p.nome, p.codigo, p.criado_em
+     ORDER BY MAX(u.data) IS NULL, MAX(u.data) DESC, p.nome ASC`,
+    [...paramsUso, ...params]
+  );
+
+  return pecas.map(p => ({
+    id: p.id,
+    nome: p.nome,
+    codigo: p.codigo,
+    vezes_utilizada: parseInt(p.vezes_utilizada) || 0,
+    ultima_data: p.ultima_data || null,
+    criado_em: p.criado_em
+  }));
+}
+
+/**
+ * Histórico de uma peça do catálogo: cada manutenção em que foi usada
+ * @param {number} pecaId
+ * @param {number} usuarioId
+ * @param {Object} [filtros]
+ * @param {number} [filtros.veiculoId]
+ * @returns {Promise<Object|null>} null se a peça não for do usuário
+ */
+export async function historicoPeca(pecaId, usuarioId, { veiculoId = null } = {}) {
+  const peca = await queryOne(
+    'SELECT id, nome, codigo, criado_em FROM pecas_catalogo WHERE id = ? AND usuario_id = ?',
+    [pecaId, usuarioId]
+  );
+  if (!peca) return null;
+
+  const visiveis = filtroManutencoesVisiveis(usuarioId);
+  const condicoes = ['i.peca_id = ?', visiveis.sql];
+  const params = [pecaId, ...visiveis.params];
+  if (veiculoId) {
+    condicoes.push('m.veiculo_id = ?');
+    params.push(veiculoId);
+  }
+
+  // KM da troca: última leitura até a data da manutenção
+  const usos = await queryAll(
+    `SELECT i.id as item_id, i.descricao, i.codigo_peca, i.quantidade, i.valor_unitario, i.valor_total,
+            m.id as manutencao_id, m.data, m.descricao as manutencao_descricao, m.oficina_nome,
+            v.id as veiculo_id, v.placa, v.marca, v.modelo,
+            (SELECT km FROM km_historico
+             WHERE veiculo_id = m.veiculo_id AND DATE(COALESCE(data_registro, criado_em)) <= m.data
+             ORDER BY COALESCE(data_registro, criado_em) DESC
+             LIMIT 1) as km
+     FROM itens_manutencao i
+     JOIN manutencoes m ON m.id = i.manutencao_id
+     JOIN veiculos v ON v.id = m.veiculo_id
+     WHERE ${condicoes.join(' AND ')}
+     ORDER BY m.data DESC, m.id DESC`,
+    params
+  );
+
+  const historico = usos.map(u => ({
+    item_id: u.item_id,
+    manutencao_id: u.manutencao_id,
+    data: u.data,
+    km: u.km !== null && u.km !== undefined ? parseInt(u.km) : null,
+    descricao: u.descricao,
+    codigo_peca: u.codigo_peca,
+    quantidade: u.quantidade !== null ? parseFloat(u.quantidade) : null,
+    valor_unitario: u.valor_unitario !== null ? parseFloat(u.valor_unitario) : null,
+    valor_total: u.valor_total !== null ? parseFloat(u.valor_total) : null,
+    manutencao_descricao: u.manutencao_descricao,
+    oficina_nome: u.oficina_nome || null,
+    veiculo: { id: u.veiculo_id, placa: u.placa, marca: u.marca, modelo: u.modelo }
+  }));
+
+  return {
+    peca: { id: peca.id, nome: peca.nome, codigo: peca.codigo, criado_em: peca.criado_em },
+    ultima_troca: historico[0] || null,
+    historico
+  };
+}
+
+export default {
+  TIPOS_ITEM_MANUTENCAO,
+  MAX_ITENS_MANUTENCAO,
+  normalizarNomePeca,
+  validarItensManutencao,
+  somarItens,
+  obterOuCriarPeca,
+  salvarItensManutencao,
+  listarItensPorManutencao,
+  removerItensManutencao,
+  listarPecasDoUsuario,
+  historicoPeca
+};
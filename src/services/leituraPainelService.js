@@ -0,0 +1,196 @@
+/**
+ * Serviço de Leitura de Painel (odômetro / horímetro)
+ *
+ * Lê a foto do painel pelo provedor de OCR configurado, normaliza a unidade
+ * da leitura (km, mi ou horas) e avalia a plausibilidade contra km_historico.
+ * Nada é gravado aqui: as rotas devolvem uma prévia e a leitura só entra no
+ * histórico quando o usuário confirma (PUT /veiculos/:id/km com origem 'ocr').
+ */
+
+import { queryOne } from '../database/db-adapter.js';
+import { getOcrProvider } from './ocrProviders/index.js';
+
+const KM_POR_MILHA = 1.609344;
+const MS_POR_DIA = 1000 * 60 * 60 * 24;
+
+// Uso diário máximo considerado plausível entre duas leituras
+const USO_MAXIMO_POR_DIA = {
+  km: 1500,
+  horas: 24
+};
+
+// Abaixo disso a leitura é marcada para conferência
+const CONFIDENCE_MINIMA = 0.6;
+
+export const UNIDADES_PAINEL = ['km', 'mi', 'horas'];
+
+/**
+ * Lê a foto do painel e converte a leitura para a unidade do veículo
+ * @param {Object} params
+ * @param {string} params.imagePath
+ * @param {string} params.mimeType
+ * @param {string} params.unidadeVeiculo - 'km' ou 'horas'
+ * @returns {Promise<Object>} { valor, valor_lido, confidence, unidade_detectada, unidade, provedor }
+ */
+export async function lerFotoPainel({ imagePath, mimeType = 'image/jpeg', unidadeVeiculo = 'km' }) {
+  const provedor = getOcrProvider();
+  if (!provedor.disponivel()) {
+    throw new Error(`Provedor de OCR "${provedor.nome}" não configurado`);
+  }
+
+  const resultado = await provedor.lerPainel(imagePath, mimeType, unidadeVeiculo);
+  const valorLido = resultado?.leitura ?? null;
+  const unidadeDetectada = UNIDADES_PAINEL.includes(resultado?.unidade) ? resultado.unidade : null;
+
+  // Painel em milhas: converter para km quando o veículo usa odômetro
+  let valor = valorLido;
+  if (valorLido !== null && unidadeDetectada === 'mi' && unidadeVeiculo === 'km') {
+    valor = Math.round(valorLido * KM_POR_MILHA);
+  }
+
+  return {
+    valor,
+    valor_lido: valorLido,
+    confidence: resultado?.confidence ?? 0,
+    unidade_detectada: unidadeDetectada,
+    unidade: unidadeVeiculo,
+    provedor: provedor.nome
+  };
+}
+
+/**
+ * Avalia se uma leitura é plausível frente ao histórico do veículo
+ * @param {Object} params
+ * @param {number} params.veiculoId
+ * @param {number} params.leitura - Leitura na unidade do veículo
+ * @param {string} params.unidade - 'km' ou 'horas'
+ * @param {string|null} [params.unidadeDetectada] - Unidade reconhecida no painel
+ * @param {number|null} [params.confidence] - Confiança do OCR (0 a 1)
+ * @param {Date} [params.agora]
+ * @returns {Promise<Object>} { plausivel, alertas, ultima_leitura, diferenca, dias, uso_medio_diario }
+ */
+export async function avaliarPlausibilidadeLeitura({
+  veiculoId,
+  leitura,
+  unidade,
+  unidadeDetectada = null,
+  confidence = null,
+  agora = new Date()
+}) {
+  const alertas = [];
+  const rotulo = unidade === 'horas' ? 'h' : 'km';
+
+  if (confidence !== null && confidence < CONFIDENCE_MINIMA) {
+    alertas.push({
+      codigo: 'BAIXA_CONFIANCA',
+      bloqueante: false,
+      mensagem: 'A leitura da foto não ficou nítida. Confira o número antes de confirmar.'
+    });
+  }
+
+  if (unidadeDetectada === 'mi' && unidade === 'km') {
+    alertas.push({
+      codigo: 'CONVERTIDO_DE_MILHAS',
+      bloqueante: false,
+      mensagem: 'O painel indica milhas; a leitura foi convertida para km.'
+    });
+  } else if (unidadeDetectada && unidadeDetectada !== unidade && !(unidadeDetectada === 'mi' && unidade === 'horas')) {
+    alertas.push({
+      codigo: 'UNIDADE_DIVERGENTE',
+      bloqueante: false,
+      mensagem: unidade === 'horas'
+        ? 'A foto parece ser de um odômetro, mas este equipamento usa horímetro.'
+        : 'A foto parece ser de um horímetro, mas este veículo usa odômetro.'
+    });
+  }
+
+  const ultima = await queryOne(
+    `SELECT km, COALESCE(data_registro, criado_em) as data
+     FROM km_historico
+     WHERE veiculo_id = ?
+     ORDER BY COALESCE(data_registro, criado_em) DESC, criado_em DESC, id DESC
+     LIMIT 1`,
+    [veiculoId]
+  );
+
+  if (!ultima || leitura === null || leitura === undefined) {
+    return {
+      plausivel: alertas.length === 0,
+      alertas,
+      ultima_leitura: ultima ? { valor: parseInt(ultima.km) || 0, data: ultima.data } : null,
+      diferenca: null,
+      dias: null,
+      uso_medio_diario: null
+    };
+  }
+
+  const ultimaLeitura = parseInt(ultima.km) || 0;
+  const diferenca = leitura - ultimaLeitura;
+  const dataUltima = converterData(ultima.data);
+  const dias = dataUltima ? Math.max((agora.getTime() - dataUltima.getTime()) / MS_POR_DIA, 0) : null;
+  // Leituras no mesmo dia contam como um dia inteiro de uso
+  const usoMedioDiario = dias !== null ? diferenca / Math.max(dias, 1) : null;
+
+  if (diferenca < 0) {
+    alertas.push({
+      codigo: 'MENOR_QUE_ANTERIOR',
+      bloqueante: true,
+      mensagem: `Leitura menor que a última registrada (${ultimaLeitura} ${rotulo}).`
+    });
+  } else if (usoMedioDiario !== null && usoMedioDiario > (USO_MAXIMO_POR_DIA[unidade] || USO_MAXIMO_POR_DIA.km)) {
+    alertas.push({
+      codigo: 'SALTO_IMPROVAVEL',
+      bloqueante: false,
+      mensagem: `Aumento de ${diferenca} ${rotulo} em ${Math.max(Math.round(dias), 1)} dia(s) desde a última leitura. Confira o número.`
+    });
+  }
+
+  return {
+    plausivel: alertas.length === 0,
+    alertas,
+    ultima_leitura: { valor: ultimaLeitura, data: ultima.data },
+    diferenca,
+    dias: dias !== null ? Math.round(dias * 10) / 10 : null,
+    uso_medio_diario: usoMedioDiario !== null ? Math.round(usoMedioDiario * 10) / 10 : null
+  };
+}
+
+/**
+ * Lê a foto do painel e monta a prévia com plausibilidade
+ * @param {Object} params
+ * @param {string} params.imagePath
+ * @param {string} params.mimeType
+ * @param {Object|null} params.veiculo - { id, tipo_veiculo, unidade_uso } ou null (sem histórico)
+ * @param {string} params.unidadeVeiculo - 'km' ou 'horas'
+ * @returns {Promise<{leitura: Object, plausibilidade: Object|null}>}
+ */
+export async function gerarPreviaLeituraPainel({ imagePath, mimeType, veiculo, unidadeVeiculo }) {
+  const leitura = await lerFotoPainel({ imagePath, mimeType, unidadeVeiculo });
+
+  const plausibilidade = veiculo
+    ? await avaliarPlausibilidadeLeitura({
+      veiculoId: veiculo.id,
+      leitura: leitura.valor,
+      unidade: unidadeVeiculo,
+      unidadeDetectada: leitura.unidade_detectada,
+      confidence: leitura.confidence
+    })
+    : null;
+
+  return { leitura, plausibilidade };
+}
+
+// SQLite devolve texto 'YYYY-MM-DD HH:MM:SS'; PostgreSQL devolve Date
+function converterData(valor) {
+  if (!valor) return null;
+  if (valor instanceof Date) return valor;
+  const data = new Date(String(valor).replace(' ', 'T'));
+  return isNaN(data.getTime()) ? null : data;
+}
+
+export default {
+  lerFotoPainel,
+  avaliarPlausibilidadeLeitura,
+  gerarPreviaLeituraPainel,
+  UNIDADES_PAINEL
+};
@@ -0,0 +1,31 @@
+/**
+ * Canal de e-mail: envia a notificação pela camada de e-mail (MAIL_TRANSPORT)
+ */
+
+import { enviarEmail } from '../email/index.js';
+import { erroPermanente } from './index.js';
+
+export const emailCanal = {
+  nome: 'email',
+
+  habilitado(preferencias) {
+    return !!preferencias.email;
+  },
+
+  async enviar({ notificacao, usuario }) {
+    if (!usuario.email) {
+      throw erroPermanente('Usuário sem e-mail cadastrado');
+    }
+    const link = process.env.APP_URL
+      ? `\n\nVeja no app: ${process.env.APP_URL.replace(/\/$/, '')}/notificacoes`
+      : '';
+    const { id } = await enviarEmail({
+      para: usuario.email,
+      assunto: notificacao.titulo,
+      texto: `Olá, ${usuario.nome || ''}!\n\n${notificacao.mensagem}${link}\n\nVocê pode alterar os avisos recebidos nas preferências de notificação do app.`
+    });
+    return { id };
+  }
+};
+
+export default emailCanal;
@@ -0,0 +1,88 @@
+/**
+ * Proteção contra SSRF nos webhooks
+ *
+ * O servidor é quem faz a requisição ao webhook, então endereços de loopback,
+ * de rede privada, link-local etc. são recusados. A URL é conferida ao salvar
+ * (hostBloqueado) e o IP de fato usado é conferido na conexão (lookupPublico):
+ * um nome que resolve para IP privado, ou que muda de IP depois de validado,
+ * não passa.
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+// IPv4-mapped (::ffff:127.0.0.1) é conferido contra as faixas IPv4 pelo próprio BlockList
+const ENDERECOS_BLOQUEADOS = new net.BlockList();
+for (const [rede, prefixo] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // CGNAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local (metadados de nuvem)
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reservado e broadcast
+]) {
+  ENDERECOS_BLOQUEADOS.addSubnet(rede, prefixo, 'ipv4');
+}
+for (const [rede, prefixo] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // ULA
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  ENDERECOS_BLOQUEADOS.addSubnet(rede, prefixo, 'ipv6');
+}
+
+/**
+ * O IP é de loopback, rede privada ou outra faixa não pública?
+ * @param {string} ip
+ * @returns {boolean} true também para valor que não é IP
+ */
+export function enderecoPrivado(ip) {
+  const versao = net.isIP(ip);
+  if (!versao) return true;
+  return ENDERECOS_BLOQUEADOS.check(ip, versao === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Conferência do host da URL ao salvar (sem DNS)
+ * IP literal fora das faixas públicas e nomes locais são recusados
+ * @param {string} hostname - url.hostname (IPv6 vem entre colchetes)
+ * @returns {boolean}
+ */
+export function hostBloqueado(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+  if (!host) return true;
+  if (net.isIP(host)) return enderecoPrivado(host);
+  if (!host.includes('.')) return true; // nome de rede interna (ex.: http://intranet)
+  return host === 'localhost' || /\.(localhost|internal|local)$/.test(host);
+}
+
+/**
+ * `lookup` para http(s).request: resolve o nome e recusa a conexão se algum
+ * endereço não for público
+ */
+export function lookupPublico(hostname, opcoes, callback) {
+  dns.lookup(hostname, { ...opcoes, all: true }, (erro, enderecos) => {
+    if (erro) return callback(erro);
+    const bloqueado = enderecos.find(e => enderecoPrivado(e.address));
+    if (bloqueado || enderecos.length === 0) {
+      const erroBloqueio = new Error(`Webhook aponta para endereço não público (${bloqueado?.address || hostname})`);
+      erroBloqueio.code = 'ENDERECO_BLOQUEADO';
+      return callback(erroBloqueio);
+    }
+    if (opcoes?.all) return callback(null, enderecos);
+    return callback(null, enderecos[0].address, enderecos[0].family);
+  });
+}
+
+export default {
+  enderecoPrivado,
+  hostBloqueado,
+  lookupPublico
+};
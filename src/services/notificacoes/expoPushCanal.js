@@ -0,0 +1,109 @@
+/**
+ * Canal Expo Push
+ *
+ * Envia pela API de push da Expo para os tokens do usuário em dispositivos_push.
+ * O app obtém o token com getExpoPushTokenAsync({ projectId }) usando o projectId
+ * do EAS (app.json → expo.extra.eas.projectId). Com "enhanced push security"
+ * ativado no projeto, defina EXPO_ACCESS_TOKEN.
+ *
+ * Tokens recusados com DeviceNotRegistered (app desinstalado) são removidos.
+ */
+
+import { query, queryAll } from '../../database/db-adapter.js';
+import { erroPermanente } from './index.js';
+
+const urlPushExpo = () => process.env.EXPO_PUSH_URL || 'https://exp.host/--/api/v2/push/send';
+
+// A API aceita até 100 mensagens por requisição
+const MENSAGENS_POR_REQUISICAO = 100;
+
+export const FORMATO_TOKEN_EXPO = /^(ExponentPushToken|ExpoPushToken)\[[^\]]+\]$/;
+
+async function enviarLote(mensagens) {
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    'Accept-Encoding': 'gzip, deflate'
+  };
+  if (process.env.EXPO_ACCESS_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+  }
+
+  const resposta = await fetch(urlPushExpo(), {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(mensagens),
+    signal: AbortSignal.timeout(15000)
+  });
+  const corpo = await resposta.json().catch(() => null);
+  if (!resposta.ok || !Array.isArray(corpo?.data)) {
+    const detalhe = corpo?.errors?.map(e => e.message).join('; ') || `HTTP ${resposta.status}`;
+    throw new Error(`Expo Push recusou o envio: ${detalhe}`);
+  }
+  return corpo.data;
+}
+
+export const expoPushCanal = {
+  nome: 'push',
+
+  habilitado(preferencias) {
+    return !!preferencias.push;
+  },
+
+  async enviar({ notificacao, usuario }) {
+    const dispositivos = await queryAll(
+      'SELECT id, token FROM dispositivos_push WHERE usuario_id = ? ORDER BY id',
+      [usuario.id]
+    );
+    if (dispositivos.length === 0) {
+      throw erroPermanente('Nenhum dispositivo registrado para push');
+    }
+
+    const tickets = [];
+    for (let i = 0; i < dispositivos.length; i += MENSAGENS_POR_REQUISICAO) {
+      const lote = dispositivos.slice(i, i + MENSAGENS_POR_REQUISICAO);
+      tickets.push(...await enviarLote(lote.map(dispositivo => ({
+        to: dispositivo.token,
+        title: notificacao.titulo,
+        body: notificacao.mensagem,
+        sound: 'default',
+        priority: notificacao.nivel === 'vermelho' ? 'high' : 'default',
+        data: {
+          notificacaoId: notificacao.id,
+          tipo: notificacao.tipo,
+          veiculoId: notificacao.veiculo_id || null
+        }
+      }))));
+    }
+
+    const aceitos = [];
+    const erros = [];
+    tickets.forEach((ticket, indice) => {
+      const dispositivo = dispositivos[indice];
+      if (ticket?.status === 'ok') {
+        aceitos.push(ticket.id);
+        return;
+      }
+      erros.push(ticket?.message || 'erro desconhecido');
+      if (ticket?.details?.error === 'DeviceNotRegistered') {
+        dispositivo.removido = true;
+      }
+    });
+
+    const removidos = dispositivos.filter(d => d.removido).map(d => d.id);
+    if (removidos.length > 0) {
+      await query(
+        `DELETE FROM dispositivos_push WHERE id IN (${removidos.map(() => '?').join(', ')})`,
+        removidos
+      );
+    }
+
+    if (aceitos.length === 0) {
+      const mensagem = `Push não aceito por nenhum dispositivo: ${erros.join('; ')}`;
+      throw removidos.length === dispositivos.length ? erroPermanente(mensagem) : new Error(mensagem);
+    }
+    return { id: aceitos.join(',') };
+  }
+};
+
+export default expoPushCanal;
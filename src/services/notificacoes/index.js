@@ -0,0 +1,63 @@
+/**
+ * Canais de entrega de notificações
+ *
+ * Cada notificação gera uma entrega por canal habilitado nas preferências do usuário:
+ * - 'push'    → Expo Push (tokens registrados pelo app em POST /notificacoes/dispositivos)
+ * - 'email'   → camada de e-mail (MAIL_TRANSPORT)
+ * - 'webhook' → POST JSON assinado para a URL informada pelo usuário
+ *
+ * NOTIFICACOES_CANAIS restringe os canais disponíveis no servidor (ex.: 'push,email');
+ * sem a variável, todos ficam disponíveis.
+ *
+ * Todo canal implementa:
+ * - nome: string
+ * - habilitado(preferencias) → boolean (usuário optou e configurou o canal)
+ * - enviar({ notificacao, usuario, preferencias }) → { id }
+ *   Erros com `permanente = true` não são tentados de novo (ex.: nenhum dispositivo).
+ */
+
+import { expoPushCanal } from './expoPushCanal.js';
+import { emailCanal } from './emailCanal.js';
+import { webhookCanal } from './webhookCanal.js';
+
+export const CANAIS_NOTIFICACAO = {
+  push: expoPushCanal,
+  email: emailCanal,
+  webhook: webhookCanal
+};
+
+/**
+ * Canais disponíveis no servidor
+ * @returns {Object[]} Canais (ver interface acima)
+ */
+export function getCanaisNotificacao() {
+  const configurados = (process.env.NOTIFICACOES_CANAIS || '')
+    .split(',')
+    .map(c => c.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (configurados.length === 0) {
+    return Object.values(CANAIS_NOTIFICACAO);
+  }
+
+  return configurados
+    .filter((nome) => {
+      if (CANAIS_NOTIFICACAO[nome]) return true;
+      console.warn(`[NOTIFICACOES] Canal desconhecido em NOTIFICACOES_CANAIS: "${nome}" - ignorado`);
+      return false;
+    })
+    .map(nome => CANAIS_NOTIFICACAO[nome]);
+}
+
+/**
+ * Erro de entrega que não adianta tentar de novo
+ * @param {string} mensagem
+ * @returns {Error}
+ */
+export function erroPermanente(mensagem) {
+  const error = new Error(mensagem);
+  error.permanente = true;
+  return error;
+}
+
+export default getCanaisNotificacao;
@@ -0,0 +1,95 @@
+/**
+ * Canal webhook: POST JSON para a URL das preferências do usuário
+ *
+ * Cabeçalhos:
+ * - X-Troia-Evento: 'notificacao'
+ * - X-Troia-Assinatura: sha256=<HMAC-SHA256 do corpo com o webhook_segredo do usuário>
+ *
+ * Respostas 4xx (exceto 408 e 429) não são tentadas de novo. O host é
+ * resolvido na conexão e endereços não públicos são recusados (enderecoPublico);
+ * redirecionamentos não são seguidos.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import { erroPermanente } from './index.js';
+import { hostBloqueado, lookupPublico } from './enderecoPublico.js';
+
+const TIMEOUT_MS = 10000;
+
+// POST com o lookup que barra IPs privados; resolve com { status, headers }
+function postar(url, cabecalhos, corpo) {
+  const cliente = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    // IP literal não passa pelo lookup
+    if (hostBloqueado(url.hostname)) {
+      const erro = new Error(`Webhook aponta para endereço não público (${url.hostname})`);
+      erro.code = 'ENDERECO_BLOQUEADO';
+      return reject(erro);
+    }
+    const requisicao = cliente.request(url, {
+      method: 'POST',
+      headers: { ...cabecalhos, 'Content-Length': Buffer.byteLength(corpo) },
+      lookup: lookupPublico,
+      timeout: TIMEOUT_MS
+    }, (resposta) => {
+      resposta.resume();
+      resposta.on('end', () => resolve({ status: resposta.statusCode, headers: resposta.headers }));
+      resposta.on('error', reject);
+    });
+    requisicao.on('timeout', () => requisicao.destroy(new Error(`Webhook não respondeu em ${TIMEOUT_MS / 1000}s`)));
+    requisicao.on('error', reject);
+    requisicao.end(corpo);
+  });
+}
+
+export const webhookCanal = {
+  nome: 'webhook',
+
+  habilitado(preferencias) {
+    return !!preferencias.webhook && !!preferencias.webhook_url;
+  },
+
+  async enviar({ notificacao, preferencias }) {
+    const corpo = JSON.stringify({
+      evento: 'notificacao',
+      notificacao: {
+        id: notificacao.id,
+        tipo: notificacao.tipo,
+        nivel: notificacao.nivel,
+        titulo: notificacao.titulo,
+        mensagem: notificacao.mensagem,
+        veiculo_id: notificacao.veiculo_id || null,
+        dados: notificacao.dados || null,
+        criado_em: notificacao.criado_em
+      }
+    });
+    const assinatura = crypto
+      .createHmac('sha256', preferencias.webhook_segredo || '')
+      .update(corpo)
+      .digest('hex');
+
+    let resposta;
+    try {
+      resposta = await postar(new URL(preferencias.webhook_url), {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TROIA-Notificacoes/1.0',
+        'X-Troia-Evento': 'notificacao',
+        'X-Troia-Assinatura': `sha256=${assinatura}`
+      }, corpo);
+    } catch (erro) {
+      if (erro.code === 'ENDERECO_BLOQUEADO') throw erroPermanente(erro.message);
+      throw erro;
+    }
+
+    if (resposta.status < 200 || resposta.status >= 300) {
+      const mensagem = `Webhook respondeu HTTP ${resposta.status}`;
+      const definitivo = resposta.status >= 400 && resposta.status < 500 && ![408, 429].includes(resposta.status);
+      throw definitivo ? erroPermanente(mensagem) : new Error(mensagem);
+    }
+    return { id: resposta.headers['x-request-id'] || String(resposta.status) };
+  }
+};
+
+export default webhookCanal;
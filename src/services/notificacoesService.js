@@ -0,0 +1,558 @@
+/**
+ * Serviço de Notificações
+ *
+ * Notificações ficam em notificacoes (lida/não lida) e cada uma gera entregas em
+ * notificacao_entregas, uma por canal habilitado nas preferências do usuário.
+ * As entregas são enviadas por processarEntregasPendentes (agendador): no horário
+ * de silêncio do usuário ficam adiadas até o fim dele, e falhas temporárias são
+ * tentadas de novo com espera crescente.
+ */
+
+import crypto from 'crypto';
+import { query, queryOne, queryAll, isPostgres } from '../database/db-adapter.js';
+import { CANAIS_NOTIFICACAO, getCanaisNotificacao } from './notificacoes/index.js';
+import { FORMATO_TOKEN_EXPO } from './notificacoes/expoPushCanal.js';
+import { hostBloqueado } from './notificacoes/enderecoPublico.js';
+
+export const NIVEIS_NOTIFICACAO = ['amarelo', 'vermelho'];
+export const PLATAFORMAS_PUSH = ['ios', 'android', 'web'];
+
+export const STATUS_ENTREGA = {
+  PENDENTE: 'pendente',
+  ENVIADA: 'enviada',
+  FALHOU: 'falhou',
+  DESCARTADA: 'descartada'
+};
+
+// Tentativas por entrega e espera base entre elas (dobra a cada falha)
+const MAX_TENTATIVAS_ENTREGA = 5;
+const ESPERA_BASE_MINUTOS = 5;
+const ENTREGAS_POR_EXECUCAO = 200;
+
+const PREFERENCIAS_PADRAO = {
+  push: true,
+  email: false,
+  webhook: false,
+  webhook_url: null,
+  webhook_segredo: null,
+  nivel_minimo: 'amarelo',
+  silencio_inicio: null,
+  silencio_fim: null,
+  fuso_horario: 'America/Sao_Paulo'
+};
+
+const FORMATO_HORARIO = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const agoraSql = () => (isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')");
+const booleano = (valor) => (isPostgres() ? !!valor : (valor ? 1 : 0));
+
+// SQLite devolve 0/1 nas colunas booleanas
+function normalizarPreferencias(registro) {
+  return {
+    ...registro,
+    push: !!registro.push,
+    email: !!registro.email,
+    webhook: !!registro.webhook
+  };
+}
+
+/**
+ * Preferências do usuário (padrão quando nunca salvou)
+ * @param {number} usuarioId
+ * @returns {Promise<Object>}
+ */
+export async function obterPreferencias(usuarioId) {
+  const registro = await queryOne('SELECT * FROM preferencias_notificacao WHERE usuario_id = ?', [usuarioId]);
+  return normalizarPreferencias(registro || { usuario_id: usuarioId, ...PREFERENCIAS_PADRAO });
+}
+
+function fusoValido(fuso) {
+  try {
+    new Intl.DateTimeFormat('pt-BR', { timeZone: fuso });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Recusa hosts locais e IPs privados (o servidor é quem faz a requisição).
+// Nomes de DNS são resolvidos e conferidos de novo na entrega (webhookCanal)
+function urlWebhookPermitida(url) {
+  return !hostBloqueado(url.hostname);
+}
+
+/**
+ * Valida alterações nas preferências (campos ausentes mantêm o valor atual)
+ * @param {Object} dados - Body da requisição
+ * @param {Object} atuais - Preferências atuais (obterPreferencias)
+ * @returns {{erro: string|null, mensagem?: string, preferencias?: Object}}
+ */
+export function validarPreferencias(dados = {}, atuais) {
+  const preferencias = { ...atuais };
+
+  for (const canal of ['push', 'email', 'webhook']) {
+    if (dados[canal] === undefined) continue;
+    if (typeof dados[canal] !== 'boolean') {
+      return { erro: 'PREFERENCIA_INVALIDA', mensagem: `${canal} deve ser true ou false` };
+    }
+    preferencias[canal] = dados[canal];
+  }
+
+  if (dados.nivel_minimo !== undefined) {
+    if (!NIVEIS_NOTIFICACAO.includes(dados.nivel_minimo)) {
+      return {
+        erro: 'PREFERENCIA_INVALIDA',
+        mensagem: `nivel_minimo inválido. Valores aceitos: ${NIVEIS_NOTIFICACAO.join(', ')}`
+      };
+    }
+    preferencias.nivel_minimo = dados.nivel_minimo;
+  }
+
+  if (dados.fuso_horario !== undefined) {
+    if (typeof dados.fuso_horario !== 'string' || !fusoValido(dados.fuso_horario)) {
+      return { erro: 'PREFERENCIA_INVALIDA', mensagem: 'fuso_horario inválido (ex.: America/Sao_Paulo)' };
+    }
+    preferencias.fuso_horario = dados.fuso_horario;
+  }
+
+  for (const campo of ['silencio_inicio', 'silencio_fim']) {
+    if (dados[campo] === undefined) continue;
+    if (dados[campo] !== null && dados[campo] !== '' && !FORMATO_HORARIO.test(dados[campo])) {
+      return { erro: 'PREFERENCIA_INVALIDA', mensagem: `${campo} deve estar no formato HH:MM` };
+    }
+    preferencias[campo] = dados[campo] || null;
+  }
+  if (!preferencias.silencio_inicio !== !preferencias.silencio_fim) {
+    return {
+      erro: 'PREFERENCIA_INVALIDA',
+      mensagem: 'Informe silencio_inicio e silencio_fim juntos (ou nenhum dos dois)'
+    };
+  }
+
+  if (dados.webhook_url !== undefined) {
+    if (dados.webhook_url === null || dados.webhook_url === '') {
+      preferencias.webhook_url = null;
+    } else {
+      let url;
+      try {
+        url = new URL(String(dados.webhook_url));
+      } catch {
+        return { erro: 'WEBHOOK_URL_INVALIDA', mensagem: 'webhook_url inválida' };
+      }
+      const protocolos = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+      if (!protocolos.includes(url.protocol) || !urlWebhookPermitida(url) || url.href.length > 500) {
+        return {
+          erro: 'WEBHOOK_URL_INVALIDA',
+          mensagem: 'webhook_url deve ser uma URL pública HTTPS (até 500 caracteres)'
+        };
+      }
+      preferencias.webhook_url = url.href;
+    }
+  }
+  if (preferencias.webhook && !preferencias.webhook_url) {
+    return { erro: 'WEBHOOK_URL_INVALIDA', mensagem: 'Informe webhook_url para ativar o webhook' };
+  }
+
+  // Segredo novo na primeira URL ou quando pedido
+  if (preferencias.webhook_url && (!preferencias.webhook_segredo || dados.regenerar_segredo_webhook === true)) {
+    preferencias.webhook_segredo = crypto.randomBytes(24).toString('hex');
+  }
+
+  return { erro: null, preferencias };
+}
+
+/**
+ * Grava as preferências do usuário
+ * @param {number} usuarioId
+ * @param {Object} preferencias - Já validadas por validarPreferencias
+ * @returns {Promise<Object>}
+ */
+export async function salvarPreferencias(usuarioId, preferencias) {
+  const valores = [
+    booleano(preferencias.push),
+    booleano(preferencias.email),
+    booleano(preferencias.webhook),
+    preferencias.webhook_url,
+    preferencias.webhook_segredo,
+    preferencias.nivel_minimo,
+    preferencias.silencio_inicio,
+    preferencias.silencio_fim,
+    preferencias.fuso_horario
+  ];
+  const result = await query(
+    `UPDATE preferencias_notificacao
+     SET push = ?, email = ?, webhook = ?, webhook_url = ?, webhook_segredo = ?, nivel_minimo = ?,
+         silencio_inicio = ?, silencio_fim = ?, fuso_horario = ?, atualizado_em = ${agoraSql()}
+     WHERE usuario_id = ?`,
+    [...valores, usuarioId]
+  );
+  if (result.rowCount === 0) {
+    // Chave é usuario_id (sem id): RETURNING explícito para o PostgreSQL
+    await query(
+      `INSERT INTO preferencias_notificacao
+       (push, email, webhook, webhook_url, webhook_segredo, nivel_minimo, silencio_inicio, silencio_fim, fuso_horario, usuario_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       RETURNING usuario_id`,
+      [...valores, usuarioId]
+    );
+  }
+  return obterPreferencias(usuarioId);
+}
+
+/**
+ * Formata preferências para resposta da API
+ * @param {Object} preferencias
+ */
+export function formatarPreferencias(preferencias) {
+  return {
+    push: preferencias.push,
+    email: preferencias.email,
+    webhook: preferencias.webhook,
+    webhook_url: preferencias.webhook_url || null,
+    webhook_segredo: preferencias.webhook_segredo || null,
+    nivel_minimo: preferencias.nivel_minimo,
+    silencio_inicio: preferencias.silencio_inicio || null,
+    silencio_fim: preferencias.silencio_fim || null,
+    fuso_horario: preferencias.fuso_horario,
+    canais_disponiveis: getCanaisNotificacao().map(canal => canal.nome)
+  };
+}
+
+/**
+ * Minutos desde a meia-noite no fuso informado
+ * @param {Date} data
+ * @param {string} fuso
+ * @returns {number}
+ */
+export function minutosDoDia(data, fuso) {
+  const partes = new Intl.DateTimeFormat('en-GB', {
+    timeZone: fuso,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(data);
+  const valor = (tipo) => parseInt(partes.find(p => p.type === tipo)?.value) || 0;
+  return valor('hour') * 60 + valor('minute');
+}
+
+const paraMinutos = (horario) => {
+  const [hora, minuto] = horario.split(':').map(Number);
+  return hora * 60 + minuto;
+};
+
+/**
+ * Fim do horário de silêncio em curso (null fora do silêncio)
+ * @param {Object} preferencias
+ * @param {Date} [agora]
+ * @returns {Date|null}
+ */
+export function fimDoSilencio(preferencias, agora = new Date()) {
+  if (!preferencias.silencio_inicio || !preferencias.silencio_fim) return null;
+
+  const inicio = paraMinutos(preferencias.silencio_inicio);
+  const fim = paraMinutos(preferencias.silencio_fim);
+  if (inicio === fim) return null;
+
+  const atual = minutosDoDia(agora, preferencias.fuso_horario || PREFERENCIAS_PADRAO.fuso_horario);
+  // Fim menor que o início: silêncio atravessa a meia-noite (ex.: 22:00 → 07:00)
+  const emSilencio = inicio < fim
+    ? atual >= inicio && atual < fim
+    : atual >= inicio || atual < fim;
+  if (!emSilencio) return null;
+
+  const minutosRestantes = (fim - atual + 24 * 60) % (24 * 60);
+  const fimSilencio = new Date(agora.getTime() + minutosRestantes * 60 * 1000);
+  fimSilencio.setSeconds(0, 0);
+  return fimSilencio;
+}
+
+/**
+ * Cria a notificação e as entregas dos canais habilitados pelo usuário
+ * @param {Object} dados
+ * @param {number} dados.usuarioId
+ * @param {number|null} [dados.veiculoId]
+ * @param {string} [dados.tipo='manutencao']
+ * @param {string} dados.chave - Identifica o alerta (ver ultimaNotificacaoDaChave)
+ * @param {string|null} [dados.nivel]
+ * @param {string} dados.titulo
+ * @param {string} dados.mensagem
+ * @param {Object|null} [dados.dados]
+ * @param {Object} [preferencias] - Evita consultar de novo quando quem chama já tem
+ * @returns {Promise<Object>} Notificação criada
+ */
+export async function criarNotificacao(
+  { usuarioId, veiculoId = null, tipo = 'manutencao', chave, nivel = null, titulo, mensagem, dados = null },
+  preferencias = null
+) {
+  const result = await query(
+    `INSERT INTO notificacoes (usuario_id, veiculo_id, tipo, chave, nivel, titulo, mensagem, dados)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [usuarioId, veiculoId, tipo, chave, nivel, titulo.slice(0, 200), mensagem, dados ? JSON.stringify(dados) : null]
+  );
+
+  // enviar_apos NULL: entrega na próxima rodada do agendador
+  const prefs = preferencias || await obterPreferencias(usuarioId);
+  for (const canal of getCanaisNotificacao()) {
+    if (!canal.habilitado(prefs)) continue;
+    await query(
+      'INSERT INTO notificacao_entregas (notificacao_id, canal) VALUES (?, ?)',
+      [result.insertId, canal.nome]
+    );
+  }
+
+  return queryOne('SELECT * FROM notificacoes WHERE id = ?', [result.insertId]);
+}
+
+/**
+ * Notificação mais recente do usuário com a chave
+ * @param {number} usuarioId
+ * @param {string} chave
+ * @returns {Promise<Object|null>}
+ */
+export async function ultimaNotificacaoDaChave(usuarioId, chave) {
+  return queryOne(
+    'SELECT * FROM notificacoes WHERE usuario_id = ? AND chave = ? ORDER BY id DESC LIMIT 1',
+    [usuarioId, chave]
+  );
+}
+
+/**
+ * Lista as notificações do usuário (mais recentes primeiro)
+ * @param {number} usuarioId
+ * @param {Object} [opcoes]
+ * @param {boolean} [opcoes.naoLidas] - Só as não lidas
+ * @param {number} [opcoes.page=1]
+ * @param {number} [opcoes.limit=50]
+ * @returns {Promise<{notificacoes: Array, total: number, naoLidas: number}>}
+ */
+export async function listarNotificacoes(usuarioId, { naoLidas = false, page = 1, limit = 50 } = {}) {
+  const filtroLida = naoLidas ? 'AND lida = false' : '';
+  const total = await queryOne(
+    `SELECT COUNT(*) as total FROM notificacoes WHERE usuario_id = ? ${filtroLida}`,
+    [usuarioId]
+  );
+  const notificacoes = await queryAll(
+    `SELECT * FROM notificacoes WHERE usuario_id = ? ${filtroLida}
+     ORDER BY criado_em DESC, id DESC LIMIT ? OFFSET ?`,
+    [usuarioId, limit, (page - 1) * limit]
+  );
+  return {
+    notificacoes,
+    total: parseInt(total?.total) || 0,
+    naoLidas: await contarNaoLidas(usuarioId)
+  };
+}
+
+/**
+ * @param {number} usuarioId
+ * @returns {Promise<number>}
+ */
+export async function contarNaoLidas(usuarioId) {
+  const row = await queryOne(
+    'SELECT COUNT(*) as total FROM notificacoes WHERE usuario_id = ? AND lida = false',
+    [usuarioId]
+  );
+  return parseInt(row?.total) || 0;
+}
+
+/**
+ * @param {number} usuarioId
+ * @param {number|string} notificacaoId
+ * @returns {Promise<Object|null>}
+ */
+export async function buscarNotificacao(usuarioId, notificacaoId) {
+  return queryOne('SELECT * FROM notificacoes WHERE id = ? AND usuario_id = ?', [notificacaoId, usuarioId]);
+}
+
+/**
+ * Marca uma notificação como lida ou não lida
+ * @param {Object} notificacao
+ * @param {boolean} lida
+ * @returns {Promise<Object>}
+ */
+export async function marcarNotificacao(notificacao, lida) {
+  await query(
+    `UPDATE notificacoes SET lida = ${lida ? 'true' : 'false'}, lida_em = ${lida ? agoraSql() : 'NULL'} WHERE id = ?`,
+    [notificacao.id]
+  );
+  return queryOne('SELECT * FROM notificacoes WHERE id = ?', [notificacao.id]);
+}
+
+/**
+ * Marca todas as notificações do usuário como lidas
+ * @param {number} usuarioId
+ * @returns {Promise<number>} Quantidade alterada
+ */
+export async function marcarTodasLidas(usuarioId) {
+  const result = await query(
+    `UPDATE notificacoes SET lida = true, lida_em = ${agoraSql()} WHERE usuario_id = ? AND lida = false`,
+    [usuarioId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Formata notificação para resposta da API
+ * @param {Object} notificacao
+ */
+export function formatarNotificacao(notificacao) {
+  let dados = notificacao.dados || null;
+  if (typeof dados === 'string') {
+    try {
+      dados = JSON.parse(dados);
+    } catch {
+      dados = null;
+    }
+  }
+  return {
+    id: notificacao.id,
+    tipo: notificacao.tipo,
+    nivel: notificacao.nivel || null,
+    titulo: notificacao.titulo,
+    mensagem: notificacao.mensagem,
+    veiculo_id: notificacao.veiculo_id || null,
+    dados,
+    lida: !!notificacao.lida,
+    lida_em: notificacao.lida_em || null,
+    criado_em: notificacao.criado_em
+  };
+}
+
+/**
+ * Registra (ou reatribui ao usuário) o token Expo do dispositivo
+ * @param {number} usuarioId
+ * @param {Object} dados - { token, plataforma }
+ * @returns {Promise<{erro: string, mensagem: string}|null>}
+ */
+export async function registrarDispositivo(usuarioId, { token, plataforma = null } = {}) {
+  if (typeof token !== 'string' || !FORMATO_TOKEN_EXPO.test(token.trim())) {
+    return { erro: 'TOKEN_PUSH_INVALIDO', mensagem: 'token deve ser um Expo push token (ExponentPushToken[...])' };
+  }
+  if (plataforma && !PLATAFORMAS_PUSH.includes(plataforma)) {
+    return { erro: 'PLATAFORMA_INVALIDA', mensagem: `plataforma inválida. Valores aceitos: ${PLATAFORMAS_PUSH.join(', ')}` };
+  }
+
+  // O mesmo aparelho pode trocar de conta: o token passa para o usuário atual
+  const result = await query(
+    `UPDATE dispositivos_push SET usuario_id = ?, plataforma = ?, atualizado_em = ${agoraSql()} WHERE token = ?`,
+    [usuarioId, plataforma, token.trim()]
+  );
+  if (result.rowCount === 0) {
+    await query(
+      'INSERT INTO dispositivos_push (usuario_id, token, plataforma) VALUES (?, ?, ?)',
+      [usuarioId, token.trim(), plataforma]
+    );
+  }
+  return null;
+}
+
+/**
+ * Remove o token do dispositivo (logout ou push desativado no aparelho)
+ * @param {number} usuarioId
+ * @param {string} token
+ * @returns {Promise<boolean>} false se o token não era do usuário
+ */
+export async function removerDispositivo(usuarioId, token) {
+  const result = await query('DELETE FROM dispositivos_push WHERE usuario_id = ? AND token = ?', [usuarioId, token]);
+  return result.rowCount > 0;
+}
+
+async function finalizarEntrega(entregaId, status, erro = null) {
+  await query(
+    `UPDATE notificacao_entregas
+     SET status = ?, erro = ?, enviada_em = ${status === STATUS_ENTREGA.ENVIADA ? agoraSql() : 'NULL'}
+     WHERE id = ?`,
+    [status, erro ? String(erro).slice(0, 1000) : null, entregaId]
+  );
+}
+
+/**
+ * Envia as entregas pendentes cujo horário chegou
+ * @param {Date} [agora]
+ * @returns {Promise<{enviadas: number, adiadas: number, falhas: number, descartadas: number}>}
+ */
+export async function processarEntregasPendentes(agora = new Date()) {
+  const resumo = { enviadas: 0, adiadas: 0, falhas: 0, descartadas: 0 };
+  const entregas = await queryAll(
+    `SELECT e.id, e.canal, e.tentativas, n.id as notificacao_id
+     FROM notificacao_entregas e
+     INNER JOIN notificacoes n ON n.id = e.notificacao_id
+     WHERE e.status = ? AND (e.enviar_apos IS NULL OR e.enviar_apos <= ?)
+     ORDER BY e.id
+     LIMIT ${ENTREGAS_POR_EXECUCAO}`,
+    [STATUS_ENTREGA.PENDENTE, agora.toISOString()]
+  );
+  const disponiveis = getCanaisNotificacao();
+
+  for (const entrega of entregas) {
+    const notificacao = await queryOne('SELECT * FROM notificacoes WHERE id = ?', [entrega.notificacao_id]);
+    const usuario = await queryOne('SELECT id, nome, email FROM usuarios WHERE id = ?', [notificacao.usuario_id]);
+    const preferencias = await obterPreferencias(notificacao.usuario_id);
+    const canal = CANAIS_NOTIFICACAO[entrega.canal];
+
+    // Canal desligado no servidor ou pelo usuário depois de a notificação ser criada
+    if (!usuario || !canal || !disponiveis.includes(canal) || !canal.habilitado(preferencias)) {
+      await finalizarEntrega(entrega.id, STATUS_ENTREGA.DESCARTADA, 'Canal desativado');
+      resumo.descartadas++;
+      continue;
+    }
+
+    const fimSilencio = fimDoSilencio(preferencias, agora);
+    if (fimSilencio) {
+      await query('UPDATE notificacao_entregas SET enviar_apos = ? WHERE id = ?', [fimSilencio.toISOString(), entrega.id]);
+      resumo.adiadas++;
+      continue;
+    }
+
+    // Reserva a entrega (outra instância pode estar processando a mesma fila)
+    const tentativas = parseInt(entrega.tentativas) + 1;
+    const reserva = await query(
+      'UPDATE notificacao_entregas SET tentativas = ? WHERE id = ? AND status = ? AND tentativas = ?',
+      [tentativas, entrega.id, STATUS_ENTREGA.PENDENTE, entrega.tentativas]
+    );
+    if (reserva.rowCount === 0) continue;
+
+    try {
+      await canal.enviar({ notificacao: formatarNotificacao(notificacao), usuario, preferencias });
+      await finalizarEntrega(entrega.id, STATUS_ENTREGA.ENVIADA);
+      resumo.enviadas++;
+    } catch (error) {
+      console.warn(`[NOTIFICACOES] Falha no canal ${entrega.canal} (entrega ${entrega.id}):`, error.message);
+      if (error.permanente || tentativas >= MAX_TENTATIVAS_ENTREGA) {
+        await finalizarEntrega(entrega.id, STATUS_ENTREGA.FALHOU, error.message);
+      } else {
+        const espera = ESPERA_BASE_MINUTOS * 2 ** (tentativas - 1) * 60 * 1000;
+        await query(
+          'UPDATE notificacao_entregas SET enviar_apos = ?, erro = ? WHERE id = ?',
+          [new Date(agora.getTime() + espera).toISOString(), String(error.message).slice(0, 1000), entrega.id]
+        );
+      }
+      resumo.falhas++;
+    }
+  }
+
+  return resumo;
+}
+
+export default {
+  NIVEIS_NOTIFICACAO,
+  PLATAFORMAS_PUSH,
+  STATUS_ENTREGA,
+  obterPreferencias,
+  validarPreferencias,
+  salvarPreferencias,
+  formatarPreferencias,
+  minutosDoDia,
+  fimDoSilencio,
+  criarNotificacao,
+  ultimaNotificacaoDaChave,
+  listarNotificacoes,
+  contarNaoLidas,
+  buscarNotificacao,
+  marcarNotificacao,
+  marcarTodasLidas,
+  formatarNotificacao,
+  registrarDispositivo,
+  removerDispositivo,
+  processarEntregasPendentes
+};
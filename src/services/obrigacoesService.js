@@ -0,0 +1,506 @@
+/**
+ * Serviço de Obrigações do Veículo
+ *
+ * IPVA, licenciamento, seguro, DPVAT e inspeção com vencimento, valor e pagamento.
+ * As obrigações pendentes entram em GET /alertas (e nas notificações do agendador)
+ * e na previsão de custos do dashboard.
+ *
+ * Licenciamento: o vencimento sai do final da placa. Estados com calendário próprio
+ * estão em CALENDARIOS_LICENCIAMENTO (hoje só SP); os demais usam o prazo máximo da
+ * Resolução CONTRAN 110/2000, que pode ser mais tarde que o calendário do DETRAN:
+ * AC, AL, AM, AP, BA, CE, DF, ES, GO, MA, MG, MS, MT, PA, PB, PE, PI, PR, RJ, RN,
+ * RO, RR, RS, SC, SE e TO, além dos veículos sem UF. Sem registro do ano, o
+ * licenciamento previsto pelo calendário aparece nos alertas mesmo assim.
+ * Embarcações e máquinas (exigeLicenciamento) não têm licenciamento previsto.
+ */
+
+import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { exigeLicenciamento } from '../utils/tipoEquipamento.js';
+
+// Tipo => rótulo exibido
+export const TIPOS_OBRIGACAO = {
+  ipva: 'IPVA',
+  licenciamento: 'Licenciamento',
+  seguro: 'Seguro',
+  dpvat: 'DPVAT',
+  inspecao: 'Inspeção veicular',
+  outro: 'Obrigação'
+};
+
+export const STATUS_OBRIGACAO = ['pendente', 'pago', 'cancelado'];
+
+export const UFS = [
+  'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+  'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'
+];
+
+// Final da placa => mês limite do licenciamento (Resolução CONTRAN 110/2000)
+const MESES_LICENCIAMENTO_CONTRAN = { 1: 9, 2: 9, 3: 10, 4: 10, 5: 10, 6: 11, 7: 11, 8: 11, 9: 12, 0: 12 };
+
+// Estados que antecipam o prazo (final da placa => mês)
+export const CALENDARIOS_LICENCIAMENTO = {
+  SP: { 1: 7, 2: 7, 3: 8, 4: 8, 5: 9, 6: 9, 7: 10, 8: 10, 9: 11, 0: 12 }
+};
+
+// Amarelo quando faltam até OBRIGACOES_DIAS_AVISO dias (padrão 30)
+const diasAviso = () => parseInt(process.env.OBRIGACOES_DIAS_AVISO) || 30;
+
+const MS_POR_DIA = 1000 * 60 * 60 * 24;
+const FORMATO_DATA = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normaliza data para YYYY-MM-DD (ou null se inválida)
+ */
+function normalizarData(data) {
+  if (!data) return null;
+  const dataObj = new Date(data);
+  if (isNaN(dataObj.getTime())) return null;
+  return dataObj.toISOString().split('T')[0];
+}
+
+const hojeIso = (agora = new Date()) => agora.toISOString().split('T')[0];
+
+/**
+ * Normaliza a UF informada
+ * @param {any} valor
+ * @returns {string|null|undefined} UF, null (vazio) ou undefined (inválida)
+ */
+export function normalizarUf(valor) {
+  if (valor === undefined || valor === null || valor === '') return null;
+  const uf = String(valor).trim().toUpperCase();
+  return UFS.includes(uf) ? uf : undefined;
+}
+
+/**
+ * Último dígito da placa (antiga ABC1234 ou Mercosul ABC1D23)
+ * @param {string|null} placa
+ * @returns {number|null}
+ */
+export function finalDaPlaca(placa) {
+  const limpa = String(placa || '').replace(/[^A-Za-z0-9]/g, '');
+  const ultimo = limpa.slice(-1);
+  return /^\d$/.test(ultimo) ? parseInt(ultimo) : null;
+}
+
+/**
+ * Motivo de não haver calendário de licenciamento para o veículo
+ * @param {{placa: string, tipo_veiculo?: string|null}} veiculo
+ * @returns {{erro: string, mensagem: string}|null}
+ *   erro: 'TIPO_SEM_LICENCIAMENTO' | 'PLACA_SEM_FINAL_NUMERICO'
+ */
+export function motivoSemLicenciamento(veiculo) {
+  if (!exigeLicenciamento(veiculo.tipo_veiculo)) {
+    return {
+      erro: 'TIPO_SEM_LICENCIAMENTO',
+      mensagem: 'Este tipo de veículo não tem licenciamento anual no DETRAN'
+    };
+  }
+  if (finalDaPlaca(veiculo.placa) === null) {
+    return {
+      erro: 'PLACA_SEM_FINAL_NUMERICO',
+      mensagem: 'A placa do veículo precisa terminar em número para calcular o licenciamento'
+    };
+  }
+  return null;
+}
+
+/**
+ * Vencimento do licenciamento pelo final da placa e UF (último dia do mês do calendário)
+ * @param {{placa: string, uf?: string|null, tipo_veiculo?: string|null}} veiculo
+ * @param {number} ano
+ * @returns {{vencimento: string, mes: number, finalPlaca: number, calendario: string}|null}
+ *   null quando não há calendário (motivoSemLicenciamento)
+ */
+export function calcularVencimentoLicenciamento(veiculo, ano) {
+  if (motivoSemLicenciamento(veiculo)) return null;
+  const finalPlaca = finalDaPlaca(veiculo.placa);
+
+  const uf = normalizarUf(veiculo.uf);
+  const calendario = uf && CALENDARIOS_LICENCIAMENTO[uf] ? uf : 'CONTRAN';
+  const mes = (CALENDARIOS_LICENCIAMENTO[calendario] || MESES_LICENCIAMENTO_CONTRAN)[finalPlaca];
+  // Dia 0 do mês seguinte = último dia do mês
+  const ultimoDia = new Date(Date.UTC(ano, mes, 0));
+  return { vencimento: ultimoDia.toISOString().split('T')[0], mes, finalPlaca, calendario };
+}
+
+function normalizarValor(valor) {
+  if (valor === undefined) return undefined;
+  if (valor === null || valor === '') return null;
+  const numero = parseFloat(String(valor).replace(',', '.'));
+  return isNaN(numero) || numero < 0 ? NaN : Math.round(numero * 100) / 100;
+}
+
+/**
+ * Valida e normaliza uma obrigação (com `atual`, campos ausentes mantêm o valor atual)
+ * @param {Object} dados - Body da requisição
+ * @param {Object|null} [atual] - Obrigação existente (atualização)
+ * @returns {{erro: string|null, mensagem?: string, obrigacao?: Object}}
+ */
+export function validarObrigacao(dados = {}, atual = null) {
+  const base = atual
+    ? {
+        tipo: atual.tipo,
+        descricao: atual.descricao,
+        ano_referencia: atual.ano_referencia,
+        vencimento: normalizarData(atual.vencimento),
+        valor: atual.valor !== null && atual.valor !== undefined ? parseFloat(atual.valor) : null,
+        status: atual.status,
+        pago_em: normalizarData(atual.pago_em),
+        valor_pago: atual.valor_pago !== null && atual.valor_pago !== undefined ? parseFloat(atual.valor_pago) : null,
+        observacoes: atual.observacoes
+      }
+    : { status: 'pendente' };
+  const obrigacao = { ...base };
+
+  if (dados.tipo !== undefined) obrigacao.tipo = dados.tipo;
+  if (!TIPOS_OBRIGACAO[obrigacao.tipo]) {
+    return {
+      erro: 'OBRIGACAO_INVALIDA',
+      mensagem: `Tipo de obrigação inválido. Valores aceitos: ${Object.keys(TIPOS_OBRIGACAO).join(', ')}`
+    };
+  }
+
+  if (dados.vencimento !== undefined) {
+    obrigacao.vencimento = FORMATO_DATA.test(String(dados.vencimento)) ? normalizarData(dados.vencimento) : null;
+    if (!obrigacao.vencimento) {
+      return { erro: 'OBRIGACAO_INVALIDA', mensagem: 'vencimento deve estar no formato YYYY-MM-DD' };
+    }
+  }
+  if (!obrigacao.vencimento) {
+    return { erro: 'OBRIGACAO_INVALIDA', mensagem: 'vencimento é obrigatório' };
+  }
+
+  if (dados.ano_referencia !== undefined) {
+    const ano = dados.ano_referencia === null || dados.ano_referencia === '' ? null : parseInt(dados.ano_referencia);
+    if (ano !== null && (isNaN(ano) || ano < 1900 || ano > 2100)) {
+      return { erro: 'OBRIGACAO_INVALIDA', mensagem: 'ano_referencia inválido' };
+    }
+    obrigacao.ano_referencia = ano;
+  }
+  if (!obrigacao.ano_referencia) {
+    obrigacao.ano_referencia = parseInt(obrigacao.vencimento.slice(0, 4));
+  }
+
+  for (const campo of ['valor', 'valor_pago']) {
+    const valor = normalizarValor(dados[campo]);
+    if (Number.isNaN(valor)) {
+      return { erro: 'OBRIGACAO_INVALIDA', mensagem: `${campo} deve ser um número positivo` };
+    }
+    if (valor !== undefined) obrigacao[campo] = valor;
+  }
+
+  if (dados.status !== undefined) {
+    if (!STATUS_OBRIGACAO.includes(dados.status)) {
+      return {
+        erro: 'OBRIGACAO_INVALIDA',
+        mensagem: `Status inválido. Valores aceitos: ${STATUS_OBRIGACAO.join(', ')}`
+      };
+    }
+    obrigacao.status = dados.status;
+  }
+
+  if (dados.pago_em !== undefined && dados.pago_em !== null && dados.pago_em !== '') {
+    obrigacao.pago_em = FORMATO_DATA.test(String(dados.pago_em)) ? normalizarData(dados.pago_em) : null;
+    if (!obrigacao.pago_em) {
+      return { erro: 'OBRIGACAO_INVALIDA', mensagem: 'pago_em deve estar no formato YYYY-MM-DD' };
+    }
+  }
+  // Pagamento só existe para obrigação paga (sem data informada, pago hoje; sem valor, o previsto)
+  if (obrigacao.status === 'pago') {
+    obrigacao.pago_em = obrigacao.pago_em || hojeIso();
+    obrigacao.valor_pago = obrigacao.valor_pago ?? obrigacao.valor ?? null;
+  } else {
+    obrigacao.pago_em = null;
+    obrigacao.valor_pago = null;
+  }
+
+  if (dados.descricao !== undefined) {
+    obrigacao.descricao = dados.descricao ? String(dados.descricao).trim().slice(0, 200) || null : null;
+  }
+  if (dados.observacoes !== undefined) {
+    obrigacao.observacoes = dados.observacoes ? String(dados.observacoes).trim() || null : null;
+  }
+
+  return { erro: null, obrigacao };
+}
+
+/**
+ * Obrigações do veículo por vencimento
+ * @param {number} veiculoId
+ * @param {Object} [filtros]
+ * @param {string} [filtros.status]
+ * @param {number} [filtros.ano] - ano_referencia
+ * @returns {Promise<Array>}
+ */
+export async function listarObrigacoesVeiculo(veiculoId, { status = null, ano = null } = {}) {
+  const condicoes = ['veiculo_id = ?'];
+  const params = [veiculoId];
+  if (status) {
+    condicoes.push('status = ?');
+    params.push(status);
+  }
+  if (ano) {
+    condicoes.push('ano_referencia = ?');
+    params.push(ano);
+  }
+  return queryAll(
+    `SELECT * FROM obrigacoes_veiculo WHERE ${condicoes.join(' AND ')} ORDER BY vencimento ASC, id ASC`,
+    params
+  );
+}
+
+/**
+ * @param {number} veiculoId
+ * @param {number|string} obrigacaoId
+ * @returns {Promise<Object|null>}
+ */
+export async function buscarObrigacao(veiculoId, obrigacaoId) {
+  return queryOne('SELECT * FROM obrigacoes_veiculo WHERE id = ? AND veiculo_id = ?', [obrigacaoId, veiculoId]);
+}
+
+/**
+ * Cria uma obrigação
+ * @param {number} veiculoId
+ * @param {Object} obrigacao - Já validada por validarObrigacao
+ * @param {number|null} usuarioId
+ * @param {string} [origem='manual']
+ * @returns {Promise<Object>}
+ */
+export async function criarObrigacao(veiculoId, obrigacao, usuarioId, origem = 'manual') {
+  const result = await query(
+    `INSERT INTO obrigacoes_veiculo
+     (veiculo_id, usuario_id, tipo, descricao, ano_referencia, vencimento, valor, status, pago_em, valor_pago, origem, observacoes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      veiculoId,
+      usuarioId || null,
+      obrigacao.tipo,
+      obrigacao.descricao || null,
+      obrigacao.ano_referencia,
+      obrigacao.vencimento,
+      obrigacao.valor ?? null,
+      obrigacao.status,
+      obrigacao.pago_em,
+      obrigacao.valor_pago,
+      origem,
+      obrigacao.observacoes || null
+    ]
+  );
+  return queryOne('SELECT * FROM obrigacoes_veiculo WHERE id = ?', [result.insertId]);
+}
+
+/**
+ * Atualiza uma obrigação
+ * @param {number} obrigacaoId
+ * @param {Object} obrigacao - Já validada por validarObrigacao
+ * @returns {Promise<Object>}
+ */
+export async function atualizarObrigacao(obrigacaoId, obrigacao) {
+  await query(
+    `UPDATE obrigacoes_veiculo
+     SET tipo = ?, descricao = ?, ano_referencia = ?, vencimento = ?, valor = ?, status = ?,
+         pago_em = ?, valor_pago = ?, observacoes = ?, atualizado_em = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      obrigacao.tipo,
+      obrigacao.descricao || null,
+      obrigacao.ano_referencia,
+      obrigacao.vencimento,
+      obrigacao.valor ?? null,
+      obrigacao.status,
+      obrigacao.pago_em,
+      obrigacao.valor_pago,
+      obrigacao.observacoes || null,
+      obrigacaoId
+    ]
+  );
+  return queryOne('SELECT * FROM obrigacoes_veiculo WHERE id = ?', [obrigacaoId]);
+}
+
+/**
+ * @param {number} obrigacaoId
+ */
+export async function removerObrigacao(obrigacaoId) {
+  await query('DELETE FROM obrigacoes_veiculo WHERE id = ?', [obrigacaoId]);
+}
+
+/**
+ * Licenciamento do ano já registrado (exceto cancelado)
+ * @param {number} veiculoId
+ * @param {number} ano
+ * @returns {Promise<Object|null>}
+ */
+export async function buscarLicenciamentoDoAno(veiculoId, ano) {
+  return queryOne(
+    `SELECT * FROM obrigacoes_veiculo
+     WHERE veiculo_id = ? AND tipo = 'licenciamento' AND ano_referencia = ? AND status <> 'cancelado'
+     ORDER BY id LIMIT 1`,
+    [veiculoId, ano]
+  );
+}
+
+/**
+ * Registra o licenciamento do ano pelo calendário (não duplica)
+ * @param {Object} veiculo - Com id, placa, uf e tipo_veiculo
+ * @param {number} ano
+ * @param {number|null} usuarioId
+ * @param {Object} [dados] - valor e observacoes opcionais
+ * @returns {Promise<{erro: string, mensagem: string}|{obrigacao: Object, criada: boolean}>}
+ */
+export async function gerarLicenciamento(veiculo, ano, usuarioId, dados = {}) {
+  const semCalendario = motivoSemLicenciamento(veiculo);
+  if (semCalendario) return semCalendario;
+  const calendario = calcularVencimentoLicenciamento(veiculo, ano);
+
+  const existente = await buscarLicenciamentoDoAno(veiculo.id, ano);
+  if (existente) return { obrigacao: existente, criada: false };
+
+  const { erro, mensagem, obrigacao } = validarObrigacao({
+    tipo: 'licenciamento',
+    ano_referencia: ano,
+    vencimento: calendario.vencimento,
+    valor: dados.valor,
+    observacoes: dados.observacoes,
+    descricao: `Licenciamento ${ano} (placa final ${calendario.finalPlaca}, calendário ${calendario.calendario})`
+  });
+  if (erro) return { erro, mensagem };
+
+  return { obrigacao: await criarObrigacao(veiculo.id, obrigacao, usuarioId, 'calendario'), criada: true };
+}
+
+/**
+ * Situação da obrigação na data
+ * @param {Object} obrigacao
+ * @param {Date} [agora]
+ * @returns {{situacao: string, diasParaVencimento: number|null}}
+ *   situacao: 'paga' | 'cancelada' | 'vencida' | 'a_vencer' (dentro do aviso) | 'em_dia'
+ */
+export function situacaoObrigacao(obrigacao, agora = new Date()) {
+  if (obrigacao.status === 'pago') return { situacao: 'paga', diasParaVencimento: null };
+  if (obrigacao.status === 'cancelado') return { situacao: 'cancelada', diasParaVencimento: null };
+
+  const vencimento = normalizarData(obrigacao.vencimento);
+  const dias = Math.round((new Date(vencimento) - new Date(hojeIso(agora))) / MS_POR_DIA);
+  if (dias < 0) return { situacao: 'vencida', diasParaVencimento: dias };
+  if (dias <= diasAviso()) return { situacao: 'a_vencer', diasParaVencimento: dias };
+  return { situacao: 'em_dia', diasParaVencimento: dias };
+}
+
+/**
+ * Rótulo da obrigação (ex.: 'IPVA 2026')
+ * @param {Object} obrigacao
+ * @returns {string}
+ */
+export function rotuloObrigacao(obrigacao) {
+  const tipo = TIPOS_OBRIGACAO[obrigacao.tipo] || TIPOS_OBRIGACAO.outro;
+  if (obrigacao.tipo === 'outro' && obrigacao.descricao) return obrigacao.descricao;
+  return obrigacao.ano_referencia ? `${tipo} ${obrigacao.ano_referencia}` : tipo;
+}
+
+/**
+ * Formata obrigação para resposta da API
+ * @param {Object} obrigacao
+ * @param {Date} [agora]
+ */
+export function formatarObrigacao(obrigacao, agora = new Date()) {
+  const { situacao, diasParaVencimento } = situacaoObrigacao(obrigacao, agora);
+  return {
+    id: obrigacao.id,
+    veiculo_id: obrigacao.veiculo_id,
+    tipo: obrigacao.tipo,
+    rotulo: rotuloObrigacao(obrigacao),
+    descricao: obrigacao.descricao || null,
+    ano_referencia: obrigacao.ano_referencia !== null && obrigacao.ano_referencia !== undefined ? parseInt(obrigacao.ano_referencia) : null,
+    vencimento: normalizarData(obrigacao.vencimento),
+    valor: obrigacao.valor !== null && obrigacao.valor !== undefined ? parseFloat(obrigacao.valor) : null,
+    status: obrigacao.status,
+    pago_em: normalizarData(obrigacao.pago_em),
+    valor_pago: obrigacao.valor_pago !== null && obrigacao.valor_pago !== undefined ? parseFloat(obrigacao.valor_pago) : null,
+    origem: obrigacao.origem,
+    observacoes: obrigacao.observacoes || null,
+    situacao,
+    dias_para_vencimento: diasParaVencimento,
+    criado_em: obrigacao.criado_em,
+    atualizado_em: obrigacao.atualizado_em
+  };
+}
+
+/**
+ * Alertas das obrigações pendentes do veículo (mesmo status dos alertas de manutenção)
+ * Inclui o licenciamento previsto pelo calendário quando o do ano não foi registrado
+ * (só veículos com licenciamento, ver exigeLicenciamento)
+ * @param {Object} veiculo - Com id, placa, uf e tipo_veiculo
+ * @param {Date} [agora]
+ * @returns {Promise<Array>}
+ */
+export async function avaliarObrigacoesVeiculo(veiculo, agora = new Date()) {
+  const pendentes = await listarObrigacoesVeiculo(veiculo.id, { status: 'pendente' });
+  const itens = pendentes.map(obrigacao => ({ obrigacao, origem: obrigacao.origem }));
+
+  const ano = agora.getUTCFullYear();
+  const previsto = calcularVencimentoLicenciamento(veiculo, ano);
+  if (previsto && !(await buscarLicenciamentoDoAno(veiculo.id, ano))) {
+    itens.push({
+      obrigacao: { id: null, tipo: 'licenciamento', ano_referencia: ano, vencimento: previsto.vencimento, valor: null, status: 'pendente' },
+      origem: 'previsto'
+    });
+  }
+
+  return itens.map(({ obrigacao, origem }) => {
+    const { situacao, diasParaVencimento } = situacaoObrigacao(obrigacao, agora);
+    return {
+      categoria: 'obrigacao',
+      tipo: rotuloObrigacao(obrigacao),
+      obrigacaoId: obrigacao.id,
+      obrigacaoTipo: obrigacao.tipo,
+      origem,
+      status: situacao === 'vencida' ? 'vermelho' : situacao === 'a_vencer' ? 'amarelo' : 'verde',
+      vencimento: normalizarData(obrigacao.vencimento),
+      diasParaVencimento,
+      valor: obrigacao.valor !== null && obrigacao.valor !== undefined ? parseFloat(obrigacao.valor) : null,
+      anoReferencia: obrigacao.ano_referencia ? parseInt(obrigacao.ano_referencia) : null,
+    };
+  });
+}
+
+/**
+ * Obrigações pendentes dos veículos com vencimento até a data (inclui vencidas)
+ * @param {number[]} veiculoIds
+ * @param {string} ate - YYYY-MM-DD
+ * @returns {Promise<Array>}
+ */
+export async function listarObrigacoesPendentes(veiculoIds, ate) {
+  if (!veiculoIds.length) return [];
+  return queryAll(
+    `SELECT * FROM obrigacoes_veiculo
+     WHERE veiculo_id IN (${veiculoIds.map(() => '?').join(', ')})
+       AND status = 'pendente'
+       AND vencimento <= ?
+     ORDER BY vencimento ASC, id ASC`,
+    [...veiculoIds, ate]
+  );
+}
+
+export default {
+  TIPOS_OBRIGACAO,
+  STATUS_OBRIGACAO,
+  UFS,
+  CALENDARIOS_LICENCIAMENTO,
+  normalizarUf,
+  finalDaPlaca,
+  motivoSemLicenciamento,
+  calcularVencimentoLicenciamento,
+  validarObrigacao,
+  listarObrigacoesVeiculo,
+  buscarObrigacao,
+  criarObrigacao,
+  atualizarObrigacao,
+  removerObrigacao,
+  buscarLicenciamentoDoAno,
+  gerarLicenciamento,
+  situacaoObrigacao,
+  rotuloObrigacao,
+  formatarObrigacao,
+  avaliarObrigacoesVeiculo,
+  listarObrigacoesPendentes,
+};
@@ -1,7 +1,18 @@
 import { createWorker } from 'tesseract.js';
 
-export async function ocrFromFile(imagePath) {
-  const worker = await createWorker();
+// OCR_TESSERACT_LANG_PATH: diretório local com por.traineddata (sem ele o
+// tesseract.js baixa os dados de idioma da CDN na primeira execução)
+function workerOptions() {
+  const options = {};
+  if (process.env.OCR_TESSERACT_LANG_PATH) {
+    options.langPath = process.env.OCR_TESSERACT_LANG_PATH;
+    options.cachePath = process.env.OCR_TESSERACT_LANG_PATH;
+  }
+  return options;
+}
+
+export async function ocrWithConfidence(imagePath) {
+  const worker = await createWorker(workerOptions());
 
   try {
     await worker.loadLanguage('por');
@@ -10,7 +21,7 @@ export async function ocrFromFile(imagePath) {
     const { data } = await worker.recognize(imagePath);
 
     await worker.terminate();
-    return data.text;
+    return { text: data.text, confidence: data.confidence };
 
   } catch (error) {
     console.error("Erro no OCR:", error);
@@ -18,3 +29,8 @@ export async function ocrFromFile(imagePath) {
     throw error;
   }
 }
+
+export async function ocrFromFile(imagePath) {
+  const { text } = await ocrWithConfidence(imagePath);
+  return text;
+}
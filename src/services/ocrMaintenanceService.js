@@ -4,12 +4,10 @@
  * Usa OpenAI GPT-4o Vision API
  */
 
-import OpenAI from 'openai';
 import fs from 'fs';
+import { getOpenAIClient } from './ocrProviders/openaiClient.js';
+import { extractFieldsFromText } from './extractor.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
 
 /**
  * Tipos de documento suportados
@@ -46,7 +44,7 @@ Retorne APENAS um JSON válido:
   "confidence": 0.95
 }`;
 
-    const response = await openai.chat.completions.create({
+    const response = await getOpenAIClient().chat.completions.create({
       model: 'gpt-4o',
       messages: [
         {
@@ -122,6 +120,7 @@ OBRIGATÓRIOS (tente extrair):
 DESEJÁVEIS (se disponíveis):
 - km_no_momento: quilometragem no momento da manutenção (número inteiro)
 - lista_servicos: array de strings com serviços realizados
+- itens: array com cada linha da OS/nota, no formato {"tipo": "peca" ou "mao_de_obra", "descricao": texto, "codigo_peca": código/part number ou null, "quantidade": número, "valor_unitario": número ou null}
 - sugestao_proxima_manutencao: sugestão de próxima manutenção em km ou data
 - placa: placa do veículo se visível
 
@@ -138,11 +137,12 @@ IMPORTANTE:
   "oficina": {"valor": "Auto Center XYZ", "confidence": 0.8},
   "km_no_momento": {"valor": 45000, "confidence": 0.7},
   "lista_servicos": {"valor": ["Troca de óleo", "Troca de filtro"], "confidence": 0.75},
+  "itens": {"valor": [{"tipo": "peca", "descricao": "Filtro de óleo", "codigo_peca": "PSL55", "quantidade": 1, "valor_unitario": 35.00}, {"tipo": "mao_de_obra", "descricao": "Troca de óleo", "codigo_peca": null, "quantidade": 1, "valor_unitario": 60.00}], "confidence": 0.7},
   "sugestao_proxima_manutencao": {"valor": "50000 km", "confidence": 0.6},
   "placa": {"valor": "ABC1234", "confidence": 0.5}
 }`;
 
-    const response = await openai.chat.completions.create({
+    const response = await getOpenAIClient().chat.completions.create({
       model: 'gpt-4o',
       messages: [
         {
@@ -158,7 +158,7 @@ IMPORTANTE:
           ]
         }
       ],
-      max_tokens: 1000,
+      max_tokens: 2000,
       temperature: 0.1
     });
 
@@ -195,6 +195,33 @@ IMPORTANTE:
   }
 }
 
+/**
+ * Extrai dados de manutenção de texto já reconhecido (OCR local)
+ * Usa as regras de regex do fallback e as palavras-chave do extractor
+ * @param {string} texto - Texto bruto do documento
+ * @returns {Object} Mesmo formato de extrairDadosManutencao
+ */
+export function extrairDadosManutencaoDeTexto(texto) {
+  const dados = extrairDadosFallback(texto || '');
+  const campos = extractFieldsFromText(texto || '');
+
+  if (campos.tipo && campos.tipo !== 'outras') {
+    dados.descricao_servico = { valor: campos.tipo, confidence: 0.4 };
+  }
+  if (!dados.valor_total.valor && campos.valor) {
+    dados.valor_total = { valor: campos.valor, confidence: 0.4 };
+  }
+  if (!dados.placa.valor && campos.placa) {
+    dados.placa = { valor: campos.placa.replace(/[-\s]/g, ''), confidence: 0.3 };
+  }
+
+  const classificacao = campos.tipo === 'troca de óleo'
+    ? { tipo: TIPOS_DOCUMENTO.TROCA_OLEO, confidence: 0.5 }
+    : { tipo: TIPOS_DOCUMENTO.NOTA_SIMPLES, confidence: 0.3 };
+
+  return normalizarDadosExtraidos(dados, classificacao);
+}
+
 /**
  * Cria resposta vazia com estrutura padrão
  */
@@ -211,6 +238,7 @@ function criarRespostaVazia(classificacao) {
     oficina: { valor: null, confidence: 0 },
     km_no_momento: { valor: null, confidence: 0 },
     lista_servicos: { valor: null, confidence: 0 },
+    itens: { valor: null, confidence: 0 },
     sugestao_proxima_manutencao: { valor: null, confidence: 0 },
     placa: { valor: null, confidence: 0 }
   };
@@ -270,6 +298,7 @@ function extrairDadosFallback(text) {
     oficina: { valor: null, confidence: 0 },
     km_no_momento: { valor: km, confidence: km ? 0.5 : 0 },
     lista_servicos: { valor: null, confidence: 0 },
+    itens: { valor: null, confidence: 0 },
     sugestao_proxima_manutencao: { valor: null, confidence: 0 },
     placa: { valor: placa, confidence: placa ? 0.4 : 0 }
   };
@@ -333,6 +362,8 @@ function normalizarDadosExtraidos(dados, classificacao) {
     }
   }
 
+  const listaServicos = normalizar(dados.lista_servicos);
+
   return {
     tipo_documento: {
       valor: classificacao.tipo,
@@ -344,12 +375,57 @@ function normalizarDadosExtraidos(dados, classificacao) {
     valor_total: valorTotal,
     oficina: normalizar(dados.oficina),
     km_no_momento: kmMomento,
-    lista_servicos: normalizar(dados.lista_servicos),
+    lista_servicos: listaServicos,
+    itens: normalizarItens(normalizar(dados.itens), listaServicos),
     sugestao_proxima_manutencao: normalizar(dados.sugestao_proxima_manutencao),
     placa: normalizar(dados.placa)
   };
 }
 
+/**
+ * Normaliza os itens da OS no formato aceito por POST /manutencoes/cadastrar
+ * Sem itens detalhados, cada serviço da lista vira um item de mão de obra sem valor
+ */
+function normalizarItens(itens, listaServicos) {
+  const numero = (valor) => {
+    if (valor === null || valor === undefined || valor === '') return null;
+    const num = parseFloat(String(valor).replace(',', '.'));
+    return isNaN(num) || num < 0 ? null : num;
+  };
+
+  if (Array.isArray(itens.valor) && itens.valor.length > 0) {
+    const validos = itens.valor
+      .filter(item => item && typeof item === 'object' && String(item.descricao || '').trim())
+      .map(item => ({
+        tipo: item.tipo === 'mao_de_obra' ? 'mao_de_obra' : 'peca',
+        descricao: String(item.descricao).trim(),
+        codigo_peca: item.tipo !== 'mao_de_obra' && item.codigo_peca ? String(item.codigo_peca).trim() : null,
+        quantidade: numero(item.quantidade) || 1,
+        valor_unitario: numero(item.valor_unitario)
+      }));
+    if (validos.length > 0) {
+      return { valor: validos, confidence: itens.confidence };
+    }
+  }
+
+  if (Array.isArray(listaServicos.valor) && listaServicos.valor.length > 0) {
+    const servicos = listaServicos.valor
+      .filter(servico => typeof servico === 'string' && servico.trim())
+      .map(servico => ({
+        tipo: 'mao_de_obra',
+        descricao: servico.trim(),
+        codigo_peca: null,
+        quantidade: 1,
+        valor_unitario: null
+      }));
+    if (servicos.length > 0) {
+      return { valor: servicos, confidence: Math.min(listaServicos.confidence, 0.5) };
+    }
+  }
+
+  return { valor: null, confidence: 0 };
+}
+
 /**
  * Valida formato de data YYYY-MM-DD
  */
@@ -370,5 +446,6 @@ function validarData(data) {
 
 export default {
   extrairDadosManutencao,
+  extrairDadosManutencaoDeTexto,
   TIPOS_DOCUMENTO
 };
@@ -0,0 +1,44 @@
+/**
+ * Camada de provedores de OCR
+ *
+ * O provedor é escolhido por OCR_PROVIDER:
+ * - 'openai'    → GPT-4o Vision (requer OPENAI_API_KEY e rede)
+ * - 'tesseract' → tesseract.js local + extractor (offline; ver OCR_TESSERACT_LANG_PATH)
+ *
+ * Sem OCR_PROVIDER, usa 'openai' quando OPENAI_API_KEY está definida e 'tesseract' caso contrário.
+ *
+ * Todo provedor implementa:
+ * - nome: string
+ * - disponivel(): boolean
+ * - extrairManutencao(imagePath, mimeType) → mesmo formato de extrairDadosManutencao
+ * - extrairAbastecimento(imagePath, mimeType) → mesmo formato de extrairDadosAbastecimento
+ * - extrairDocumentoVeiculo(imagePath, mimeType) → mesmo formato de extrairDadosDocumento
+ * - lerPainel(imagePath, mimeType, unidade) → { leitura, unidade ('km' | 'mi' | 'horas' | null), confidence }
+ */
+
+import { openaiProvider } from './openaiProvider.js';
+import { tesseractProvider } from './tesseractProvider.js';
+
+export const PROVEDORES_OCR = {
+  openai: openaiProvider,
+  tesseract: tesseractProvider
+};
+
+/**
+ * Retorna o provedor de OCR configurado
+ * @returns {Object} Provedor (ver interface acima)
+ */
+export function getOcrProvider() {
+  const configurado = (process.env.OCR_PROVIDER || '').trim().toLowerCase();
+
+  if (configurado) {
+    if (PROVEDORES_OCR[configurado]) {
+      return PROVEDORES_OCR[configurado];
+    }
+    console.warn(`[OCR] OCR_PROVIDER desconhecido: "${configurado}" - usando provedor padrão`);
+  }
+
+  return process.env.OPENAI_API_KEY ? openaiProvider : tesseractProvider;
+}
+
+export default getOcrProvider;
@@ -0,0 +1,25 @@
+/**
+ * Cliente OpenAI compartilhado pelos serviços de OCR
+ * Criado sob demanda para que os módulos possam ser importados sem OPENAI_API_KEY
+ * (ambientes que usam o provedor local não têm a chave)
+ */
+
+import OpenAI from 'openai';
+
+let cliente = null;
+
+/**
+ * Retorna o cliente OpenAI (instância única)
+ * @returns {OpenAI}
+ */
+export function getOpenAIClient() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY não configurada');
+  }
+
+  if (!cliente) {
+    cliente = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+
+  return cliente;
+}
@@ -0,0 +1,103 @@
+/**
+ * Provedor de OCR via OpenAI GPT-4o Vision
+ * Requer OPENAI_API_KEY e acesso à rede
+ * As imagens vão reduzidas (ver reduzirImagemParaOcr): o Vision cobra pela resolução
+ */
+
+import fs from 'fs';
+import { getOpenAIClient } from './openaiClient.js';
+import { extrairDadosManutencao } from '../ocrMaintenanceService.js';
+import { extrairDadosAbastecimento } from '../abastecimentoOcr.js';
+import { extrairDadosDocumento } from '../documentoVeiculoOcr.js';
+import { reduzirImagemParaOcr } from '../imagensService.js';
+
+// Executa a extração sobre a cópia reduzida da imagem e descarta a cópia no fim
+const comImagemReduzida = (extrair) => async (imagePath, mimeType = 'image/jpeg', ...resto) => {
+  const reduzida = await reduzirImagemParaOcr(imagePath, mimeType);
+  try {
+    return await extrair(reduzida.caminho, reduzida.mimeType, ...resto);
+  } finally {
+    await reduzida.descartar();
+  }
+};
+
+/**
+ * Lê o número do odômetro/horímetro de uma foto do painel
+ * @param {string} imagePath
+ * @param {string} mimeType
+ * @param {string} unidade - 'km' (odômetro) ou 'horas' (horímetro) esperada
+ * @returns {Promise<{leitura: number|null, unidade: string|null, confidence: number}>}
+ */
+async function lerPainel(imagePath, mimeType = 'image/jpeg', unidade = 'km') {
+  const instrumento = unidade === 'horas' ? 'horímetro' : 'odômetro';
+  const base64 = fs.readFileSync(imagePath).toString('base64');
+
+  const prompt = `Leia o ${instrumento} (leitura total, não o parcial/trip) nesta foto do painel.
+
+Retorne APENAS um JSON válido:
+{
+  "leitura": 123456,
+  "unidade": "km",
+  "confidence": 0.9
+}
+
+- leitura: número inteiro, sem separadores (null se não for possível ler)
+- unidade: "km", "mi" (milhas) ou "horas" conforme indicado no painel (null se não aparecer)
+- confidence: certeza da leitura (0.0 a 1.0)`;
+
+  const response = await getOpenAIClient().chat.completions.create({
+    model: 'gpt-4o',
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          {
+            type: 'image_url',
+            image_url: { url: `data:${mimeType};base64,${base64}` }
+          }
+        ]
+      }
+    ],
+    max_tokens: 100,
+    temperature: 0.1
+  });
+
+  const texto = response.choices[0]?.message?.content?.trim() || '';
+
+  let dados = null;
+  const jsonMatch = texto.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    try {
+      dados = JSON.parse(jsonMatch[0]);
+    } catch (parseError) {
+      console.warn('[OCR Painel] Erro ao fazer parse do JSON, usando apenas os dígitos:', parseError.message);
+    }
+  }
+
+  // Fallback: resposta só com o número (comportamento anterior)
+  const leitura = dados
+    ? parseInt(String(dados.leitura ?? '').replace(/\D/g, ''), 10)
+    : parseInt(texto.replace(/\D/g, ''), 10);
+
+  if (isNaN(leitura)) {
+    return { leitura: null, unidade: null, confidence: 0 };
+  }
+
+  return {
+    leitura,
+    unidade: dados?.unidade || null,
+    confidence: dados ? Math.max(0, Math.min(1, parseFloat(dados.confidence) || 0.5)) : 0.5
+  };
+}
+
+export const openaiProvider = {
+  nome: 'openai',
+  disponivel: () => Boolean(process.env.OPENAI_API_KEY),
+  extrairManutencao: comImagemReduzida(extrairDadosManutencao),
+  extrairAbastecimento: comImagemReduzida(extrairDadosAbastecimento),
+  extrairDocumentoVeiculo: comImagemReduzida(extrairDadosDocumento),
+  lerPainel: comImagemReduzida(lerPainel)
+};
+
+export default openaiProvider;
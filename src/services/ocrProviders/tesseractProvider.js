@@ -0,0 +1,60 @@
+/**
+ * Provedor de OCR local (tesseract.js + extractor)
+ * Não usa rede nem chave de API: reconhece o texto da imagem e aplica as
+ * regras de extração por regex/palavras-chave de cada tipo de documento.
+ * A confidence de cada campo é reduzida pela confiança do reconhecimento.
+ */
+
+import { ocrWithConfidence } from '../ocr.js';
+import { extractReadingFromText } from '../extractor.js';
+import { extrairDadosManutencaoDeTexto } from '../ocrMaintenanceService.js';
+import { extrairDadosAbastecimentoDeTexto } from '../abastecimentoOcr.js';
+import { extrairDadosDocumentoDeTexto } from '../documentoVeiculoOcr.js';
+
+// Aplica a confiança do tesseract (0-100) aos campos { valor, confidence }
+function ajustarConfidence(dados, confiancaOcr) {
+  const fator = Math.max(0, Math.min(1, (parseFloat(confiancaOcr) || 0) / 100));
+  const ajustado = {};
+  for (const [campo, valor] of Object.entries(dados)) {
+    ajustado[campo] = valor && typeof valor === 'object' && 'confidence' in valor
+      ? { ...valor, confidence: Math.round(valor.confidence * fator * 100) / 100 }
+      : valor;
+  }
+  return ajustado;
+}
+
+async function extrairManutencao(imagePath) {
+  const { text, confidence } = await ocrWithConfidence(imagePath);
+  return ajustarConfidence(extrairDadosManutencaoDeTexto(text), confidence);
+}
+
+async function extrairAbastecimento(imagePath) {
+  const { text } = await ocrWithConfidence(imagePath);
+  return extrairDadosAbastecimentoDeTexto(text);
+}
+
+async function extrairDocumentoVeiculo(imagePath) {
+  const { text, confidence } = await ocrWithConfidence(imagePath);
+  return ajustarConfidence(extrairDadosDocumentoDeTexto(text), confidence);
+}
+
+async function lerPainel(imagePath) {
+  const { text, confidence } = await ocrWithConfidence(imagePath);
+  const { reading, unit } = extractReadingFromText(text);
+  return {
+    leitura: reading,
+    unidade: unit,
+    confidence: reading !== null ? Math.round((parseFloat(confidence) || 0) * 0.8) / 100 : 0
+  };
+}
+
+export const tesseractProvider = {
+  nome: 'tesseract',
+  disponivel: () => true,
+  extrairManutencao,
+  extrairAbastecimento,
+  extrairDocumentoVeiculo,
+  lerPainel
+};
+
+export default tesseractProvider;
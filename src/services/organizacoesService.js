@@ -0,0 +1,200 @@
+/**
+ * Serviço de Organizações (frotas)
+ *
+ * Um veículo pode ser pessoal (organizacao_id NULL, acesso só do usuario_id) ou
+ * pertencer a uma organização. Nesse caso o acesso vem da associação do usuário
+ * em organizacao_membros e do papel dele na organização:
+ *
+ * - owner:    tudo, inclusive papéis de outros membros, transferência e exclusão
+ * - manager:  cadastro e edição de veículos, manutenções e abastecimentos
+ * - driver:   consulta, leituras de km e abastecimentos
+ * - mechanic: consulta, leituras de km e manutenções
+ *
+ * O dono de um veículo pessoal tem as mesmas permissões de owner.
+ */
+
+import { query, queryOne, queryAll } from '../database/db-adapter.js';
+
+export const PAPEIS_ORGANIZACAO = ['owner', 'manager', 'driver', 'mechanic'];
+
+const PERMISSOES_POR_PAPEL = {
+  owner: ['veiculo:ler', 'veiculo:editar', 'veiculo:transferir', 'km:registrar', 'abastecimento:registrar', 'abastecimento:editar', 'manutencao:registrar', 'membros:gerenciar', 'organizacao:administrar'],
+  manager: ['veiculo:ler', 'veiculo:editar', 'km:registrar', 'abastecimento:registrar', 'abastecimento:editar', 'manutencao:registrar', 'membros:gerenciar'],
+  driver: ['veiculo:ler', 'km:registrar', 'abastecimento:registrar'],
+  mechanic: ['veiculo:ler', 'km:registrar', 'manutencao:registrar']
+};
+
+// Papéis que um manager pode atribuir (owner e manager só o owner atribui)
+const PAPEIS_ATRIBUIVEIS_POR_MANAGER = ['driver', 'mechanic'];
+
+/**
+ * Verifica se o papel permite a ação
+ * @param {string} papel - Papel na organização ('owner' para veículo pessoal)
+ * @param {string} permissao - Ex.: 'veiculo:editar'
+ * @returns {boolean}
+ */
+export function temPermissao(papel, permissao) {
+  return (PERMISSOES_POR_PAPEL[papel] || []).includes(permissao);
+}
+
+/**
+ * Papéis que têm a permissão
+ * @param {string} permissao - Ex.: 'manutencao:registrar'
+ * @returns {string[]}
+ */
+export function papeisComPermissao(permissao) {
+  return PAPEIS_ORGANIZACAO.filter(papel => temPermissao(papel, permissao));
+}
+
+/**
+ * Verifica se quem tem o papel pode atribuir/remover o papel alvo
+ * @param {string} papel - Papel de quem executa
+ * @param {string} papelAlvo - Papel atribuído ou removido
+ * @returns {boolean}
+ */
+export function podeGerenciarPapel(papel, papelAlvo) {
+  if (papel === 'owner') return true;
+  if (papel === 'manager') return PAPEIS_ATRIBUIVEIS_POR_MANAGER.includes(papelAlvo);
+  return false;
+}
+
+/**
+ * Filtro SQL dos veículos visíveis ao usuário
+ * Uso: `WHERE ${filtro.sql}` com `[...filtro.params]`
+ * @param {number} userId
+ * @param {string} alias - Alias da tabela veiculos na consulta ('' para sem alias)
+ * @returns {{sql: string, params: Array}}
+ */
+export function filtroVeiculosAcessiveis(userId, alias = 'v') {
+  const a = alias ? `${alias}.` : '';
+  return {
+    sql: `((${a}organizacao_id IS NULL AND ${a}usuario_id = ?)
+      OR ${a}organizacao_id IN (SELECT organizacao_id FROM organizacao_membros WHERE usuario_id = ?))`,
+    params: [userId, userId]
+  };
+}
+
+/**
+ * Filtro SQL dos registros (manutenções, abastecimentos) de um veículo já autorizado
+ * Veículo pessoal: só os registros do próprio usuário (não expõe os de donos anteriores).
+ * Veículo de organização: todos os registros do veículo, de qualquer membro.
+ * @param {Object} veiculo - Veículo com organizacao_id
+ * @param {number} userId
+ * @param {string} alias - Alias da tabela de registros ('' para sem alias)
+ * @returns {{sql: string, params: Array}}
+ */
+export function filtroRegistrosDoVeiculo(veiculo, userId, alias = '') {
+  const a = alias ? `${alias}.` : '';
+  if (veiculo?.organizacao_id) {
+    return { sql: `${a}veiculo_id = ?`, params: [veiculo.id] };
+  }
+  return { sql: `${a}veiculo_id = ? AND ${a}usuario_id = ?`, params: [veiculo.id, userId] };
+}
+
+/**
+ * Busca um veículo visível ao usuário com o papel dele sobre o veículo
+ * @param {number|string} veiculoId
+ * @param {number} userId
+ * @returns {Promise<Object|null>} Veículo (v.*) + papel_organizacao, ou null se não visível
+ */
+export async function buscarVeiculoAcessivel(veiculoId, userId) {
+  const veiculo = await queryOne(
+    `SELECT v.*, om.papel as papel_organizacao
+     FROM veiculos v
+     LEFT JOIN organizacao_membros om ON om.organizacao_id = v.organizacao_id AND om.usuario_id = ?
+     WHERE v.id = ?`,
+    [userId, veiculoId]
+  );
+
+  if (!veiculo) {
+    return null;
+  }
+
+  if (veiculo.organizacao_id) {
+    return veiculo.papel_organizacao ? veiculo : null;
+  }
+
+  if (parseInt(veiculo.usuario_id) !== parseInt(userId)) {
+    return null;
+  }
+  return { ...veiculo, papel_organizacao: 'owner' };
+}
+
+/**
+ * Lista as organizações do usuário com o papel dele
+ * @param {number} userId
+ * @returns {Promise<Array>}
+ */
+export async function listarOrganizacoesDoUsuario(userId) {
+  return queryAll(
+    `SELECT o.*, om.papel,
+       (SELECT COUNT(*) FROM organizacao_membros m2 WHERE m2.organizacao_id = o.id) as total_membros,
+       (SELECT COUNT(*) FROM veiculos v WHERE v.organizacao_id = o.id) as total_veiculos
+     FROM organizacoes o
+     JOIN organizacao_membros om ON om.organizacao_id = o.id
+     WHERE om.usuario_id = ?
+     ORDER BY o.nome ASC`,
+    [userId]
+  );
+}
+
+/**
+ * Busca a associação do usuário na organização
+ * @param {number|string} organizacaoId
+ * @param {number} userId
+ * @returns {Promise<Object|null>} organizacao_membros + nome da organização
+ */
+export async function buscarMembro(organizacaoId, userId) {
+  return queryOne(
+    `SELECT om.*, o.nome as organizacao_nome
+     FROM organizacao_membros om
+     JOIN organizacoes o ON o.id = om.organizacao_id
+     WHERE om.organizacao_id = ? AND om.usuario_id = ?`,
+    [organizacaoId, userId]
+  );
+}
+
+/**
+ * Cria uma organização com o criador como owner
+ * @param {string} nome
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+export async function criarOrganizacao(nome, userId) {
+  const result = await query(
+    'INSERT INTO organizacoes (nome, criado_por_usuario_id) VALUES (?, ?)',
+    [nome, userId]
+  );
+  await query(
+    "INSERT INTO organizacao_membros (organizacao_id, usuario_id, papel) VALUES (?, ?, 'owner')",
+    [result.insertId, userId]
+  );
+  return queryOne('SELECT * FROM organizacoes WHERE id = ?', [result.insertId]);
+}
+
+/**
+ * Conta os owners da organização (a organização nunca pode ficar sem owner)
+ * @param {number|string} organizacaoId
+ * @returns {Promise<number>}
+ */
+export async function contarOwners(organizacaoId) {
+  const row = await queryOne(
+    "SELECT COUNT(*) as total FROM organizacao_membros WHERE organizacao_id = ? AND papel = 'owner'",
+    [organizacaoId]
+  );
+  return parseInt(row?.total) || 0;
+}
+
+export default {
+  PAPEIS_ORGANIZACAO,
+  temPermissao,
+  papeisComPermissao,
+  podeGerenciarPapel,
+  filtroVeiculosAcessiveis,
+  filtroRegistrosDoVeiculo,
+  buscarVeiculoAcessivel,
+  listarOrganizacoesDoUsuario,
+  buscarMembro,
+  criarOrganizacao,
+  contarOwners
+};
@@ -0,0 +1,367 @@
+/**
+ * Página HTML do histórico compartilhado
+ *
+ * GET /compartilhamento/:token responde HTML quando o cliente é um navegador
+ * (Accept: text/html). A página usa os mesmos dados da resposta JSON
+ * (montarDadosPublicos), então respeita os escopos e a máscara do link.
+ * Sem JavaScript: o gráfico de KM é um SVG gerado aqui.
+ */
+
+const COR_TEXTO = '#222222';
+const COR_SECUNDARIA = '#666666';
+const COR_DESTAQUE = '#1f5fa8';
+
+// Robôs que montam a prévia do link em apps de mensagem e redes sociais
+// (recebem só as tags Open Graph, sem contar acesso; qualquer cliente pode usar
+// esse User-Agent, então a prévia não traz placa, KM nem fotos)
+const PADRAO_ROBO_PREVIA = /facebookexternalhit|whatsapp|telegrambot|twitterbot|slackbot|linkedinbot|discordbot|skypeuripreview/i;
+
+// Robôs de busca: o link é privado, então não recebem dados nem contam acesso
+const PADRAO_ROBO_BUSCA = /googlebot|bingbot|duckduckbot|yandexbot|baiduspider|applebot|facebot/i;
+
+/**
+ * Indica se a requisição vem de um robô de pré-visualização de link
+ * @param {string|undefined} userAgent
+ * @returns {boolean}
+ */
+export function isRoboPrevia(userAgent) {
+  return PADRAO_ROBO_PREVIA.test(userAgent || '');
+}
+
+/**
+ * Indica se a requisição vem de um robô de busca
+ * @param {string|undefined} userAgent
+ * @returns {boolean}
+ */
+export function isRoboBusca(userAgent) {
+  return PADRAO_ROBO_BUSCA.test(userAgent || '');
+}
+
+/**
+ * Página completa do histórico
+ * @param {Object} dados - Resultado de montarDadosPublicos
+ * @param {Object} opcoes
+ * @param {string} opcoes.url - URL pública do link
+ * @returns {string}
+ */
+export function renderizarPaginaHistorico(dados, { url }) {
+  const { veiculo } = dados;
+  const secoes = [
+    secaoResumo(dados),
+    secaoPosse(dados),
+    dados.km_historico ? secaoGraficoKm(dados) : '',
+    dados.manutencoes ? secaoManutencoes(dados) : '',
+    dados.abastecimentos ? secaoAbastecimentos(dados) : '',
+    dados.documentos?.documento_veiculo_url
+      ? `<section><h2>Documentos</h2><p><a href="${escaparHtml(dados.documentos.documento_veiculo_url)}" rel="noopener">Documento do veículo</a></p></section>`
+      : '',
+  ];
+
+  return documento({
+    titulo: tituloVeiculo(veiculo),
+    metas: metasOpenGraph(dados, url),
+    corpo: `
+      <header>
+        <p class="marca">Histórico do veículo</p>
+        <h1>${escaparHtml(tituloVeiculo(veiculo))}</h1>
+        ${veiculo.placa ? `<p class="placa">${escaparHtml(veiculo.placa)}</p>` : ''}
+      </header>
+      ${secoes.join('\n')}
+      <footer>Link compartilhado pelo proprietário${dados.compartilhamento.expira_em ? ` · válido até ${formatarData(dados.compartilhamento.expira_em)}` : ''}</footer>`
+  });
+}
+
+/**
+ * Página mínima para robôs de pré-visualização: só as tags Open Graph
+ * (não conta acesso). Sem dados quando o link exige senha ou está esgotado.
+ * @param {Object|null} dados
+ * @param {Object} opcoes
+ * @param {string} opcoes.url
+ * @returns {string}
+ */
+export function renderizarPrevia(dados, { url }) {
+  const titulo = dados ? tituloVeiculo(dados.veiculo) : 'Histórico de veículo compartilhado';
+  return documento({
+    titulo,
+    metas: dados
+      ? metasOpenGraph(dados, url)
+      : metasBasicas({ titulo, descricao: 'Abra o link para ver o histórico do veículo.', url }),
+    corpo: `<h1>${escaparHtml(titulo)}</h1>`
+  });
+}
+
+/**
+ * Página sem dados para robôs de busca (não indexar, não conta acesso)
+ * @returns {string}
+ */
+export function renderizarPaginaRoboBusca() {
+  return documento({
+    titulo: 'Histórico de veículo compartilhado',
+    metas: '<meta name="robots" content="noindex, nofollow">',
+    corpo: '<h1>Histórico de veículo compartilhado</h1><p>Este link é privado.</p>'
+  });
+}
+
+/**
+ * Formulário de senha (links protegidos abertos no navegador)
+ * @param {Object} opcoes
+ * @param {string} opcoes.acao - URL do POST
+ * @param {boolean} [opcoes.senhaIncorreta]
+ * @returns {string}
+ */
+export function renderizarPaginaSenha({ acao, senhaIncorreta = false }) {
+  return documento({
+    titulo: 'Histórico protegido por senha',
+    metas: '<meta name="robots" content="noindex, nofollow">',
+    corpo: `
+      <h1>Histórico protegido por senha</h1>
+      <p>O proprietário protegeu este link. Informe a senha recebida junto com ele.</p>
+      ${senhaIncorreta ? '<p class="erro">Senha incorreta.</p>' : ''}
+      <form method="post" action="${escaparHtml(acao)}">
+        <input type="password" name="senha" required autofocus aria-label="Senha">
+        <button type="submit">Ver histórico</button>
+      </form>`
+  });
+}
+
+/**
+ * Página de erro (link inválido, expirado, revogado...)
+ * @param {string} mensagem
+ * @returns {string}
+ */
+export function renderizarPaginaErro(mensagem) {
+  return documento({
+    titulo: 'Link indisponível',
+    metas: '<meta name="robots" content="noindex, nofollow">',
+    corpo: `<h1>Link indisponível</h1><p>${escaparHtml(mensagem)}</p>`
+  });
+}
+
+function documento({ titulo, metas, corpo }) {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escaparHtml(titulo)}</title>
+${metas}
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: ${COR_TEXTO}; max-width: 760px; margin: 0 auto; padding: 16px; line-height: 1.45; }
+  header { border-bottom: 2px solid ${COR_DESTAQUE}; margin-bottom: 16px; }
+  h1 { margin: 4px 0; font-size: 1.6em; }
+  h2 { color: ${COR_DESTAQUE}; font-size: 1.15em; margin-top: 28px; }
+  .marca, .secundario, footer { color: ${COR_SECUNDARIA}; font-size: 0.9em; }
+  .placa { display: inline-block; border: 1px solid #999; border-radius: 4px; padding: 2px 8px; font-weight: bold; letter-spacing: 1px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+  dt { color: ${COR_SECUNDARIA}; }
+  dd { margin: 0; }
+  ol.linha-tempo, ul.manutencoes { list-style: none; padding: 0; }
+  ol.linha-tempo li { border-left: 3px solid ${COR_DESTAQUE}; padding: 4px 12px; margin-bottom: 8px; }
+  ul.manutencoes li { border-bottom: 1px solid #e5e5e5; padding: 10px 0; }
+  ul.manutencoes img { max-width: 160px; max-height: 120px; border-radius: 4px; margin-top: 6px; }
+  svg { width: 100%; height: auto; }
+  .erro { color: #b00020; }
+  footer { margin-top: 32px; border-top: 1px solid #e5e5e5; padding-top: 8px; }
+</style>
+</head>
+<body>
+${corpo}
+</body>
+</html>`;
+}
+
+function metasBasicas({ titulo, descricao, url }) {
+  return [
+    '<meta name="robots" content="noindex, nofollow">',
+    `<meta name="description" content="${escaparHtml(descricao)}">`,
+    '<meta property="og:type" content="website">',
+    '<meta property="og:locale" content="pt_BR">',
+    `<meta property="og:title" content="${escaparHtml(titulo)}">`,
+    `<meta property="og:description" content="${escaparHtml(descricao)}">`,
+    `<meta property="og:url" content="${escaparHtml(url)}">`,
+    '<meta name="twitter:card" content="summary">',
+  ].filter(Boolean).join('\n');
+}
+
+function metasOpenGraph(dados, url) {
+  const { veiculo } = dados;
+  const partes = [];
+  if (dados.manutencoes) partes.push(`${dados.manutencoes.length} manutenção(ões) registrada(s)`);
+  if (dados.historico_posse.length) partes.push(`${dados.historico_posse.length} período(s) de posse`);
+
+  // Sem placa, KM nem foto (URL assinada): ver PADRAO_ROBO_PREVIA
+  return metasBasicas({
+    titulo: `Histórico: ${tituloVeiculo(veiculo)}`,
+    descricao: partes.join(' · ') || 'Histórico do veículo',
+    url
+  });
+}
+
+function secaoResumo({ veiculo, custos }) {
+  const itens = [
+    ['Marca', veiculo.marca],
+    ['Modelo', veiculo.modelo],
+    ['Ano', veiculo.ano],
+    ['Placa', veiculo.placa],
+    ['RENAVAM', veiculo.renavam],
+    [veiculo.unidade === 'horas' ? 'Horímetro atual' : 'KM atual',
+      veiculo.km_atual !== null && veiculo.km_atual !== undefined ? `${formatarNumero(veiculo.km_atual)} ${rotuloUnidade(veiculo.unidade)}` : null],
+    ['Total em manutenções', custos ? formatarMoeda(custos.total_manutencoes) : null],
+  ].filter(([, valor]) => valor !== null && valor !== undefined && valor !== '');
+
+  return `<section><h2>Resumo</h2><dl>${itens
+    .map(([rotulo, valor]) => `<dt>${escaparHtml(rotulo)}</dt><dd>${escaparHtml(valor)}</dd>`)
+    .join('')}</dl></section>`;
+}
+
+function secaoPosse({ historico_posse: periodos, veiculo }) {
+  if (!periodos.length) {
+    return '<section><h2>Linha do tempo de posse</h2><p class="secundario">Nenhum período de posse registrado.</p></section>';
+  }
+  const temKm = v => v !== null && v !== undefined && v !== '';
+  const itens = periodos.map(p => {
+    const periodo = `${formatarData(p.data_inicio)} até ${p.data_fim ? formatarData(p.data_fim) : 'o momento'}`;
+    const uso = temKm(p.km_inicio) || temKm(p.km_fim)
+      ? ` · ${temKm(p.km_inicio) ? formatarNumero(p.km_inicio) : '?'} a ${temKm(p.km_fim) ? formatarNumero(p.km_fim) : 'atual'} ${rotuloUnidade(veiculo.unidade)}`
+      : '';
+    return `<li><strong>${p.ordem}º proprietário</strong><br><span class="secundario">${escaparHtml(periodo + uso)}</span></li>`;
+  });
+  return `<section><h2>Linha do tempo de posse</h2><ol class="linha-tempo">${itens.join('')}</ol></section>`;
+}
+
+function secaoGraficoKm({ km_historico: leituras, veiculo }) {
+  const titulo = veiculo.unidade === 'horas' ? 'Evolução do horímetro' : 'Evolução da quilometragem';
+  const pontos = leituras
+    .map(l => ({ data: converterData(l.data_registro || l.criado_em), valor: parseInt(l.km) || 0 }))
+    .filter(p => p.data)
+    .sort((a, b) => a.data - b.data);
+
+  if (pontos.length < 2) {
+    return `<section><h2>${titulo}</h2><p class="secundario">Leituras insuficientes para o gráfico.</p></section>`;
+  }
+
+  const largura = 600;
+  const altura = 200;
+  const margemEsq = 70;
+  const margemInf = 24;
+  const tMin = pontos[0].data.getTime();
+  const tMax = Math.max(pontos[pontos.length - 1].data.getTime(), tMin + 1);
+  const vMin = Math.min(...pontos.map(p => p.valor));
+  const vMax = Math.max(Math.max(...pontos.map(p => p.valor)), vMin + 1);
+  const px = t => margemEsq + ((t - tMin) / (tMax - tMin)) * (largura - margemEsq - 10);
+  const py = v => 10 + (altura - margemInf - 10) - ((v - vMin) / (vMax - vMin)) * (altura - margemInf - 10);
+
+  const linha = pontos.map(p => `${px(p.data.getTime()).toFixed(1)},${py(p.valor).toFixed(1)}`).join(' ');
+  const marcadores = pontos
+    .map(p => `<circle cx="${px(p.data.getTime()).toFixed(1)}" cy="${py(p.valor).toFixed(1)}" r="3" fill="${COR_DESTAQUE}"><title>${formatarData(p.data)}: ${formatarNumero(p.valor)}</title></circle>`)
+    .join('');
+
+  return `<section><h2>${titulo}</h2>
+    <svg viewBox="0 0 ${largura} ${altura}" role="img" aria-label="${titulo}">
+      <polyline points="${margemEsq},10 ${margemEsq},${altura - margemInf} ${largura - 10},${altura - margemInf}" fill="none" stroke="#bbbbbb" stroke-width="1"/>
+      <text x="${margemEsq - 6}" y="16" font-size="11" text-anchor="end" fill="${COR_SECUNDARIA}">${formatarNumero(vMax)}</text>
+      <text x="${margemEsq - 6}" y="${altura - margemInf}" font-size="11" text-anchor="end" fill="${COR_SECUNDARIA}">${formatarNumero(vMin)}</text>
+      <text x="${margemEsq}" y="${altura - 6}" font-size="11" fill="${COR_SECUNDARIA}">${formatarData(pontos[0].data)}</text>
+      <text x="${largura - 10}" y="${altura - 6}" font-size="11" text-anchor="end" fill="${COR_SECUNDARIA}">${formatarData(pontos[pontos.length - 1].data)}</text>
+      <polyline points="${linha}" fill="none" stroke="${COR_DESTAQUE}" stroke-width="2"/>
+      ${marcadores}
+    </svg></section>`;
+}
+
+function secaoManutencoes({ manutencoes }) {
+  if (!manutencoes.length) {
+    return '<section><h2>Manutenções</h2><p class="secundario">Nenhuma manutenção registrada.</p></section>';
+  }
+  const itens = manutencoes.map(m => {
+    const detalhes = [
+      formatarData(m.data),
+      m.km_antes !== null && m.km_antes !== undefined ? `${formatarNumero(m.km_antes)} km` : null,
+      m.tipo_manutencao,
+      m.oficina_nome,
+      m.valor !== undefined && m.valor !== null ? formatarMoeda(m.valor) : null,
+    ].filter(Boolean).join(' · ');
+    return `<li>
+      <strong>${escaparHtml(m.descricao || 'Manutenção')}</strong><br>
+      <span class="secundario">${escaparHtml(detalhes)}</span>
+      ${m.imagem_url ? `<br><a href="${escaparHtml(m.imagem_url)}" rel="noopener"><img src="${escaparHtml(m.imagem_url)}" alt="Comprovante da manutenção" loading="lazy"></a>` : ''}
+      ${linksAnexos(m)}
+    </li>`;
+  });
+  return `<section><h2>Manutenções (${manutencoes.length})</h2><ul class="manutencoes">${itens.join('')}</ul></section>`;
+}
+
+// Demais anexos (notas fiscais em PDF, garantias) como links
+const ROTULOS_ANEXO = { foto: 'Foto', nota_fiscal: 'Nota fiscal', garantia: 'Garantia', outro: 'Anexo' };
+
+function linksAnexos(m) {
+  const outros = (m.anexos || []).filter(a => a.url && a.url !== m.imagem_url);
+  if (outros.length === 0) return '';
+  const links = outros.map(a =>
+    `<a href="${escaparHtml(a.url)}" rel="noopener">${escaparHtml(a.nome_original || ROTULOS_ANEXO[a.categoria] || 'Anexo')}</a>`
+  );
+  return `<br><span class="secundario">${links.join(' · ')}</span>`;
+}
+
+function secaoAbastecimentos({ abastecimentos: a }) {
+  const itens = [
+    ['Abastecimentos', formatarNumero(a.total_abastecimentos)],
+    ['Litros', formatarNumero(a.total_litros, 1)],
+    ['Consumo médio', a.consumo_medio ? `${formatarNumero(a.consumo_medio, 1)} ${a.unidade_consumo}` : null],
+    ['Total gasto', a.total_gasto !== undefined ? formatarMoeda(a.total_gasto) : null],
+  ].filter(([, valor]) => valor !== null);
+  return `<section><h2>Abastecimentos</h2><dl>${itens
+    .map(([rotulo, valor]) => `<dt>${rotulo}</dt><dd>${escaparHtml(valor)}</dd>`)
+    .join('')}</dl></section>`;
+}
+
+function tituloVeiculo(veiculo) {
+  return [veiculo.marca, veiculo.modelo, veiculo.ano].filter(Boolean).join(' ') || 'Veículo';
+}
+
+function rotuloUnidade(unidade) {
+  return unidade === 'horas' ? 'h' : 'km';
+}
+
+function formatarNumero(valor, casas = 0) {
+  const numero = parseFloat(valor);
+  if (isNaN(numero)) return '-';
+  return numero.toLocaleString('pt-BR', { minimumFractionDigits: casas, maximumFractionDigits: casas });
+}
+
+function formatarMoeda(valor) {
+  const numero = parseFloat(valor);
+  if (isNaN(numero)) return '-';
+  return numero.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+function formatarData(valor) {
+  const data = converterData(valor);
+  return data ? data.toLocaleDateString('pt-BR', { timeZone: 'UTC' }) : '-';
+}
+
+// SQLite devolve texto ('YYYY-MM-DD' ou 'YYYY-MM-DD HH:MM:SS'); PostgreSQL devolve Date
+function converterData(valor) {
+  if (!valor) return null;
+  if (valor instanceof Date) return valor;
+  const data = new Date(String(valor).replace(' ', 'T'));
+  return isNaN(data.getTime()) ? null : data;
+}
+
+function escaparHtml(valor) {
+  return String(valor ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export default {
+  isRoboPrevia,
+  isRoboBusca,
+  renderizarPaginaHistorico,
+  renderizarPrevia,
+  renderizarPaginaRoboBusca,
+  renderizarPaginaSenha,
+  renderizarPaginaErro
+};
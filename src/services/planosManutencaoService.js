@@ -0,0 +1,461 @@
+/**
+ * Serviço de Planos de Manutenção
+ *
+ * Resolve o plano efetivo de um veículo e avalia cada item do plano contra
+ * km_historico e manutencoes para gerar alertas.
+ *
+ * Prioridade do plano efetivo:
+ * 1. Itens cadastrados para o próprio veículo
+ * 2. Padrão do modelo (modelo_id)
+ * 3. Padrão do fabricante (fabricante_id)
+ * 4. Plano padrão do sistema (PLANO_PADRAO)
+ */
+
+import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { TIPOS_MANUTENCAO_VALIDOS, AREAS_MANUTENCAO_VALIDAS } from '../utils/categoriasManutencao.js';
+import { getUnidadeUso } from '../utils/tipoEquipamento.js';
+
+const MS_POR_MES = 1000 * 60 * 60 * 24 * 30;
+
+// Plano usado quando não há itens para o veículo, modelo ou fabricante
+export const PLANO_PADRAO = [
+  {
+    id: null,
+    nome: 'Troca de Óleo',
+    intervalo_km: 10000,
+    intervalo_horas: 250,
+    intervalo_meses: 6,
+    tipo_manutencao: 'preventiva',
+    area_manutencao: 'motor_cambio',
+    palavras_chave: 'óleo,oleo,lubrific',
+  },
+  {
+    id: null,
+    nome: 'Revisão Geral',
+    intervalo_km: 10000,
+    intervalo_horas: 500,
+    intervalo_meses: 12,
+    tipo_manutencao: 'preventiva',
+    area_manutencao: null,
+    palavras_chave: null,
+  },
+];
+
+/**
+ * Converte um intervalo recebido na requisição para inteiro positivo
+ * @param {any} valor - Valor recebido
+ * @returns {number|null|undefined} Inteiro, null (vazio) ou undefined (inválido)
+ */
+function normalizarIntervalo(valor) {
+  if (valor === undefined || valor === null || valor === '') {
+    return null;
+  }
+  const numero = parseInt(valor, 10);
+  if (isNaN(numero) || numero <= 0) {
+    return undefined;
+  }
+  return numero;
+}
+
+/**
+ * Normaliza palavras-chave (array ou string separada por vírgula) para texto
+ * @param {string|string[]|null} palavras
+ * @returns {string|null}
+ */
+function normalizarPalavrasChave(palavras) {
+  if (!palavras) return null;
+  const lista = Array.isArray(palavras) ? palavras : String(palavras).split(',');
+  const limpas = lista
+    .map(p => String(p).trim().toLowerCase())
+    .filter(p => p !== '');
+  return limpas.length > 0 ? limpas.join(',') : null;
+}
+
+/**
+ * Valida e normaliza os dados de um item de plano
+ * @param {Object} dados - Body da requisição
+ * @returns {{ erro: string|null, item: Object|null }}
+ */
+export function validarItemPlano(dados = {}) {
+  const nome = typeof dados.nome === 'string' ? dados.nome.trim() : '';
+  if (!nome) {
+    return { erro: 'Nome do item do plano é obrigatório', item: null };
+  }
+
+  const intervaloKm = normalizarIntervalo(dados.intervalo_km);
+  const intervaloHoras = normalizarIntervalo(dados.intervalo_horas);
+  const intervaloMeses = normalizarIntervalo(dados.intervalo_meses);
+
+  if (intervaloKm === undefined || intervaloHoras === undefined || intervaloMeses === undefined) {
+    return { erro: 'Intervalos devem ser números inteiros positivos', item: null };
+  }
+
+  if (!intervaloKm && !intervaloHoras && !intervaloMeses) {
+    return { erro: 'Informe ao menos um intervalo (intervalo_km, intervalo_horas ou intervalo_meses)', item: null };
+  }
+
+  const tipoManutencao = dados.tipo_manutencao || null;
+  if (tipoManutencao && !TIPOS_MANUTENCAO_VALIDOS.includes(tipoManutencao)) {
+    return {
+      erro: `Tipo de manutenção inválido. Valores aceitos: ${TIPOS_MANUTENCAO_VALIDOS.join(', ')}`,
+      item: null,
+    };
+  }
+
+  const areaManutencao = dados.area_manutencao || null;
+  if (areaManutencao && !AREAS_MANUTENCAO_VALIDAS.includes(areaManutencao)) {
+    return {
+      erro: `Área de manutenção inválida. Valores aceitos: ${AREAS_MANUTENCAO_VALIDAS.join(', ')}`,
+      item: null,
+    };
+  }
+
+  const palavrasChave = normalizarPalavrasChave(dados.palavras_chave);
+
+  // Sem categoria nem palavras-chave não há como associar manutenções ao item
+  if (!tipoManutencao && !areaManutencao && !palavrasChave) {
+    return {
+      erro: 'Informe a categoria (tipo_manutencao/area_manutencao) ou palavras_chave do item',
+      item: null,
+    };
+  }
+
+  return {
+    erro: null,
+    item: {
+      nome,
+      intervalo_km: intervaloKm,
+      intervalo_horas: intervaloHoras,
+      intervalo_meses: intervaloMeses,
+      tipo_manutencao: tipoManutencao,
+      area_manutencao: areaManutencao,
+      palavras_chave: palavrasChave,
+    },
+  };
+}
+
+/**
+ * Lista itens de plano de um escopo (veículo, modelo ou fabricante)
+ * @param {{ veiculoId?: number, modeloId?: number, fabricanteId?: number }} escopo
+ * @returns {Promise<Array>}
+ */
+export async function listarItensPlano({ veiculoId = null, modeloId = null, fabricanteId = null }) {
+  if (veiculoId) {
+    return await queryAll(
+      'SELECT * FROM planos_manutencao WHERE veiculo_id = ? AND ativo = true ORDER BY id ASC',
+      [veiculoId]
+    ) || [];
+  }
+  if (modeloId) {
+    return await queryAll(
+      'SELECT * FROM planos_manutencao WHERE modelo_id = ? AND veiculo_id IS NULL AND ativo = true ORDER BY id ASC',
+      [modeloId]
+    ) || [];
+  }
+  if (fabricanteId) {
+    return await queryAll(
+      `SELECT * FROM planos_manutencao
+       WHERE fabricante_id = ? AND modelo_id IS NULL AND veiculo_id IS NULL AND ativo = true
+       ORDER BY id ASC`,
+      [fabricanteId]
+    ) || [];
+  }
+  return [];
+}
+
+/**
+ * Resolve o plano efetivo de um veículo
+ * @param {Object} veiculo - Registro do veículo (id, modelo_id, fabricante_id)
+ * @returns {Promise<{ origem: string, itens: Array }>}
+ */
+export async function obterPlanoEfetivo(veiculo) {
+  const itensVeiculo = await listarItensPlano({ veiculoId: veiculo.id });
+  if (itensVeiculo.length > 0) {
+    return { origem: 'veiculo', itens: itensVeiculo };
+  }
+
+  if (veiculo.modelo_id) {
+    const itensModelo = await listarItensPlano({ modeloId: veiculo.modelo_id });
+    if (itensModelo.length > 0) {
+      return { origem: 'modelo', itens: itensModelo };
+    }
+  }
+
+  if (veiculo.fabricante_id) {
+    const itensFabricante = await listarItensPlano({ fabricanteId: veiculo.fabricante_id });
+    if (itensFabricante.length > 0) {
+      return { origem: 'fabricante', itens: itensFabricante };
+    }
+  }
+
+  return { origem: 'padrao', itens: PLANO_PADRAO };
+}
+
+/**
+ * Cria um item de plano
+ * @param {{ veiculoId?: number, modeloId?: number, fabricanteId?: number }} escopo
+ * @param {Object} item - Item já validado por validarItemPlano
+ * @param {number} usuarioId - Usuário que cadastrou
+ * @returns {Promise<Object>} Item criado
+ */
+export async function criarItemPlano({ veiculoId = null, modeloId = null, fabricanteId = null }, item, usuarioId) {
+  const result = await query(
+    `INSERT INTO planos_manutencao
+     (veiculo_id, modelo_id, fabricante_id, usuario_id, nome, intervalo_km, intervalo_horas,
+      intervalo_meses, tipo_manutencao, area_manutencao, palavras_chave)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      veiculoId,
+      modeloId,
+      fabricanteId,
+      usuarioId || null,
+      item.nome,
+      item.intervalo_km,
+      item.intervalo_horas,
+      item.intervalo_meses,
+      item.tipo_manutencao,
+      item.area_manutencao,
+      item.palavras_chave,
+    ]
+  );
+
+  return await queryOne('SELECT * FROM planos_manutencao WHERE id = ?', [result.insertId]);
+}
+
+/**
+ * Atualiza um item de plano
+ * @param {number} itemId
+ * @param {Object} item - Item já validado por validarItemPlano
+ * @returns {Promise<Object|null>} Item atualizado
+ */
+export async function atualizarItemPlano(itemId, item) {
+  await query(
+    `UPDATE planos_manutencao
+     SET nome = ?, intervalo_km = ?, intervalo_horas = ?, intervalo_meses = ?,
+         tipo_manutencao = ?, area_manutencao = ?, palavras_chave = ?
+     WHERE id = ?`,
+    [
+      item.nome,
+      item.intervalo_km,
+      item.intervalo_horas,
+      item.intervalo_meses,
+      item.tipo_manutencao,
+      item.area_manutencao,
+      item.palavras_chave,
+      itemId,
+    ]
+  );
+
+  return await queryOne('SELECT * FROM planos_manutencao WHERE id = ?', [itemId]);
+}
+
+/**
+ * Remove um item de plano
+ * @param {number} itemId
+ */
+export async function removerItemPlano(itemId) {
+  await query('DELETE FROM planos_manutencao WHERE id = ?', [itemId]);
+}
+
+/**
+ * Normaliza data para YYYY-MM-DD (ou null se inválida)
+ */
+function normalizarData(data) {
+  if (!data) return null;
+  const dataObj = new Date(data);
+  if (isNaN(dataObj.getTime())) return null;
+  return dataObj.toISOString().split('T')[0];
+}
+
+/**
+ * Busca a última manutenção que atende um item do plano
+ * Casa pela categoria (tipo/área) ou por palavras-chave na descrição
+ * Inclui manutenções herdadas (sem filtro por usuario_id)
+ */
+async function buscarUltimaManutencaoDoItem(veiculoId, item, dataInicio) {
+  const criterios = [];
+  const params = [veiculoId];
+
+  if (item.tipo_manutencao && item.area_manutencao) {
+    criterios.push('(m.tipo_manutencao = ? AND m.area_manutencao = ?)');
+    params.push(item.tipo_manutencao, item.area_manutencao);
+  } else if (item.tipo_manutencao) {
+    criterios.push('m.tipo_manutencao = ?');
+    params.push(item.tipo_manutencao);
+  } else if (item.area_manutencao) {
+    criterios.push('m.area_manutencao = ?');
+    params.push(item.area_manutencao);
+  }
+
+  const palavras = item.palavras_chave ? item.palavras_chave.split(',') : [];
+  for (const palavra of palavras) {
+    criterios.push('LOWER(m.descricao) LIKE ?');
+    params.push(`%${palavra}%`);
+  }
+
+  if (criterios.length === 0) {
+    return null;
+  }
+
+  let filtroData = '';
+  if (dataInicio) {
+    filtroData = 'AND m.data >= ?';
+    params.push(dataInicio);
+  }
+
+  return await queryOne(
+    `SELECT m.*
+     FROM manutencoes m
+     WHERE m.veiculo_id = ?
+       AND (${criterios.join(' OR ')})
+       AND m.data IS NOT NULL
+       ${filtroData}
+     ORDER BY m.data DESC, m.id DESC
+     LIMIT 1`,
+    params
+  );
+}
+
+/**
+ * Busca a leitura de km_historico mais recente até uma data
+ */
+async function buscarKmNaData(veiculoId, data) {
+  const registro = await queryOne(
+    `SELECT km FROM km_historico
+     WHERE veiculo_id = ?
+       AND COALESCE(data_registro, criado_em) <= ?
+     ORDER BY COALESCE(data_registro, criado_em) DESC, id DESC
+     LIMIT 1`,
+    [veiculoId, `${data} 23:59:59`]
+  );
+  return registro && registro.km != null ? parseInt(registro.km) || 0 : null;
+}
+
+/**
+ * Classifica o status de um item a partir do que falta para o vencimento
+ * Amarelo quando falta até 20% do intervalo de uso ou ~1/6 do intervalo de tempo
+ */
+function classificarStatus({ faltaUso, intervaloUso, faltaMeses, intervaloMeses }) {
+  if ((faltaUso != null && faltaUso <= 0) || (faltaMeses != null && faltaMeses <= 0)) {
+    return 'vermelho';
+  }
+  const margemUso = intervaloUso ? Math.round(intervaloUso * 0.2) : null;
+  const margemMeses = intervaloMeses ? Math.max(1, Math.round(intervaloMeses / 6)) : null;
+  if ((faltaUso != null && faltaUso <= margemUso) || (faltaMeses != null && faltaMeses <= margemMeses)) {
+    return 'amarelo';
+  }
+  return 'verde';
+}
+
+/**
+ * Avalia um item do plano para um veículo
+ * @param {Object} params
+ * @param {Object} params.veiculo - Registro do veículo (id, km_atual, tipo_veiculo, unidade_uso)
+ * @param {Object} params.periodo - Período do proprietário atual ({ dataInicio, kmInicio })
+ * @param {Object} params.item - Item do plano
+ * @param {Date} params.agora - Data de referência
+ * @returns {Promise<Object|null>} Alerta ou null se o item não se aplica ao veículo
+ */
+export async function avaliarItemPlano({ veiculo, periodo, item, agora = new Date() }) {
+  // Equipamentos com horímetro avaliam intervalo_horas; os demais, intervalo_km
+  const metrica = getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso);
+  const intervaloUso = metrica === 'horas' ? item.intervalo_horas : item.intervalo_km;
+  const intervaloMeses = item.intervalo_meses || null;
+
+  // Item sem intervalo aplicável à métrica do veículo nem intervalo de tempo
+  if (!intervaloUso && !intervaloMeses) {
+    return null;
+  }
+
+  const kmInicio = parseInt(periodo.kmInicio) || 0;
+  const kmAtual = parseInt(veiculo.km_atual) || 0;
+  const dataInicio = normalizarData(periodo.dataInicio);
+
+  const ultima = await buscarUltimaManutencaoDoItem(veiculo.id, item, dataInicio);
+  const dataUltima = ultima ? normalizarData(ultima.data) : null;
+
+  // Leitura no momento do último serviço: km da manutenção, histórico ou início do período
+  let usoUltimoServico = null;
+  if (ultima) {
+    if (ultima.km != null && ultima.km !== '') {
+      usoUltimoServico = parseInt(ultima.km) || 0;
+    } else if (dataUltima) {
+      usoUltimoServico = await buscarKmNaData(veiculo.id, dataUltima);
+    }
+  }
+
+  // Considerar apenas o uso no período do proprietário atual
+  const usoReferencia = Math.max(usoUltimoServico ?? kmInicio, kmInicio);
+  const usoDesdeReferencia = Math.max(0, kmAtual - usoReferencia);
+  const faltaUso = intervaloUso ? intervaloUso - usoDesdeReferencia : null;
+
+  // Tempo: desde o último serviço ou desde o início da posse (o que for mais recente)
+  let faltaMeses = null;
+  if (intervaloMeses) {
+    const datas = [dataUltima, dataInicio].filter(Boolean).map(d => new Date(d));
+    if (datas.length > 0) {
+      const dataReferencia = new Date(Math.max(...datas.map(d => d.getTime())));
+      const mesesDesdeReferencia = (agora - dataReferencia) / MS_POR_MES;
+      faltaMeses = intervaloMeses - mesesDesdeReferencia;
+    }
+  }
+
+  // Sem referência alguma para avaliar
+  if (faltaUso == null && faltaMeses == null) {
+    return null;
+  }
+
+  const status = classificarStatus({ faltaUso, intervaloUso, faltaMeses, intervaloMeses });
+  const faltaUsoArredondado = faltaUso != null ? Math.max(0, Math.round(faltaUso)) : null;
+
+  return {
+    tipo: item.nome,
+    planoItemId: item.id || null,
+    metrica,
+    status,
+    faltaKm: metrica === 'km' ? faltaUsoArredondado : null,
+    faltaHoras: metrica === 'horas' ? faltaUsoArredondado : null,
+    faltaMeses: faltaMeses != null ? Math.max(0, Math.round(faltaMeses * 10) / 10) : null,
+    proximoServicoEm: intervaloUso ? usoReferencia + intervaloUso : null,
+    ultimoServicoKm: ultima ? usoUltimoServico : null,
+    ultimoServicoData: ultima ? ultima.data : null,
+  };
+}
+
+/**
+ * Avalia todos os itens do plano efetivo de um veículo
+ * @param {Object} veiculo - Registro do veículo
+ * @param {Object} periodo - Período do proprietário atual
+ * @param {Date} agora - Data de referência
+ * @returns {Promise<{ origem: string, alertas: Array }>}
+ */
+export async function avaliarPlanoVeiculo(veiculo, periodo, agora = new Date()) {
+  const plano = await obterPlanoEfetivo(veiculo);
+  const alertas = [];
+
+  for (const item of plano.itens) {
+    try {
+      const alerta = await avaliarItemPlano({ veiculo, periodo, item, agora });
+      if (alerta) {
+        alertas.push(alerta);
+      }
+    } catch (err) {
+      // Um item com problema não deve impedir a avaliação dos demais
+      console.error(`[PLANOS] Erro ao avaliar item "${item.nome}" do veículo ${veiculo.id}:`, err.message);
+    }
+  }
+
+  return { origem: plano.origem, alertas };
+}
+
+export default {
+  PLANO_PADRAO,
+  validarItemPlano,
+  listarItensPlano,
+  obterPlanoEfetivo,
+  criarItemPlano,
+  atualizarItemPlano,
+  removerItemPlano,
+  avaliarItemPlano,
+  avaliarPlanoVeiculo,
+};
@@ -0,0 +1,496 @@
+/**
+ * Serviço de Relatório de Histórico do Veículo
+ *
+ * Gera o PDF de histórico para revenda: dados do veículo, períodos de posse,
+ * gráfico de km_historico, manutenções com miniaturas dos comprovantes e
+ * estatísticas de abastecimento.
+ *
+ * Cada relatório recebe um código de verificação impresso no rodapé. O PDF fica
+ * no armazenamento configurado (pasta 'relatorios') e o SHA-256 do arquivo é
+ * gravado em relatorios_veiculo para que a rota pública de verificação possa
+ * confirmar que um PDF apresentado pelo vendedor não foi alterado.
+ */
+
+import PDFDocument from 'pdfkit';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { query, queryOne, queryAll } from '../database/db-adapter.js';
+import { getUnidadeUso, getUnidadeConsumo } from '../utils/tipoEquipamento.js';
+import { calcularConsumoTanqueCheio } from './abastecimentosService.js';
+import { listarAnexosPorManutencao, imagemPrincipal } from './anexosManutencaoService.js';
+import { getStorageDriver, lerArquivo, removerArquivos } from './armazenamento/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Prefixo das chaves dos PDFs no armazenamento
+// (baixados só pelo GET /veiculos/:id/relatorios/:relatorioId, nunca por URL assinada)
+export const PASTA_RELATORIOS = 'relatorios';
+
+// Pasta local usada antes do armazenamento configurável (origem da migração de arquivos)
+export const relatoriosDir = process.env.RELATORIOS_DIR || path.join(__dirname, '..', 'relatorios');
+
+// Sem 0/O e 1/I para facilitar a digitação do código impresso
+const ALFABETO_CODIGO = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const MARGEM = 50;
+const COR_TEXTO = '#222222';
+const COR_SECUNDARIA = '#666666';
+const COR_DESTAQUE = '#1f5fa8';
+
+/**
+ * Gera um código de verificação no formato XXXX-XXXX-XXXX
+ * @returns {string}
+ */
+export function gerarCodigoVerificacao() {
+  const bytes = crypto.randomBytes(12);
+  let codigo = '';
+  for (let i = 0; i < bytes.length; i++) {
+    if (i > 0 && i % 4 === 0) codigo += '-';
+    codigo += ALFABETO_CODIGO[bytes[i] % ALFABETO_CODIGO.length];
+  }
+  return codigo;
+}
+
+/**
+ * Normaliza um código digitado pelo usuário (minúsculas, sem hífens)
+ * @param {string} codigo
+ * @returns {string|null}
+ */
+export function normalizarCodigoVerificacao(codigo) {
+  const limpo = String(codigo || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (limpo.length !== 12) return null;
+  return limpo.match(/.{4}/g).join('-');
+}
+
+/**
+ * Reúne os dados do relatório
+ * @param {number} veiculoId
+ * @returns {Promise<Object|null>}
+ */
+export async function coletarDadosRelatorio(veiculoId) {
+  const veiculo = await queryOne('SELECT * FROM veiculos WHERE id = ?', [veiculoId]);
+  if (!veiculo) {
+    return null;
+  }
+
+  const unidade = getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso);
+
+  const proprietarios = await queryAll(
+    `SELECT nome, data_aquisicao, data_venda, km_aquisicao, km_venda
+     FROM proprietarios_historico
+     WHERE veiculo_id = ?
+     ORDER BY COALESCE(data_aquisicao, criado_em) ASC, id ASC`,
+    [veiculoId]
+  );
+
+  const kmHistorico = await queryAll(
+    `SELECT km, origem, COALESCE(data_registro, criado_em) as data
+     FROM km_historico
+     WHERE veiculo_id = ?
+     ORDER BY COALESCE(data_registro, criado_em) ASC, criado_em ASC, id ASC`,
+    [veiculoId]
+  );
+
+  // Valores pagos ficam de fora, como no compartilhamento público
+  const manutencoes = await queryAll(
+    `SELECT id, data, tipo, tipo_manutencao, area_manutencao, descricao
+     FROM manutencoes
+     WHERE veiculo_id = ?
+     ORDER BY data DESC, id DESC`,
+    [veiculoId]
+  );
+
+  // Miniatura: primeira foto anexada à manutenção (conteúdo lido do armazenamento)
+  const anexosPorManutencao = await listarAnexosPorManutencao(manutencoes.map(m => parseInt(m.id)));
+  for (const m of manutencoes) {
+    m.imagem = imagemPrincipal(anexosPorManutencao.get(parseInt(m.id)) || []);
+    m.imagem_conteudo = null;
+    if (m.imagem) {
+      try {
+        m.imagem_conteudo = await lerArquivo(m.imagem);
+      } catch (error) {
+        console.warn(`[Relatório] Miniatura indisponível (${m.imagem}):`, error.message);
+      }
+    }
+  }
+
+  const abastecimentos = await queryAll(
+    `SELECT id, data, litros, valor_total, km_depois, tanque_cheio, tipo_combustivel
+     FROM abastecimentos
+     WHERE veiculo_id = ?`,
+    [veiculoId]
+  );
+
+  const consumo = calcularConsumoTanqueCheio(abastecimentos, unidade);
+
+  return {
+    veiculo,
+    unidade,
+    proprietarios,
+    kmHistorico,
+    manutencoes,
+    combustivel: {
+      total_abastecimentos: abastecimentos.length,
+      litros_total: abastecimentos.reduce((acc, ab) => acc + (parseFloat(ab.litros) || 0), 0),
+      consumo_medio: consumo.consumoMedio,
+      trechos_consumo: consumo.trechos.length
+    }
+  };
+}
+
+/**
+ * Gera o PDF, guarda no armazenamento e registra em relatorios_veiculo
+ * @param {Object} params
+ * @param {number} params.veiculoId
+ * @param {number} params.usuarioId
+ * @param {string} params.urlVerificacaoBase - URL pública da rota de verificação (sem o código)
+ * @returns {Promise<Object>} Registro criado em relatorios_veiculo
+ */
+export async function gerarRelatorioVeiculo({ veiculoId, usuarioId, urlVerificacaoBase }) {
+  const dados = await coletarDadosRelatorio(veiculoId);
+  if (!dados) {
+    throw new Error('Veículo não encontrado');
+  }
+
+  const codigo = gerarCodigoVerificacao();
+  const geradoEm = new Date();
+  const pdf = await renderizarPdf(dados, {
+    codigo,
+    geradoEm,
+    urlVerificacao: `${urlVerificacaoBase}/${codigo}`
+  });
+
+  const arquivo = `relatorio-${veiculoId}-${codigo}.pdf`;
+  const chave = `${PASTA_RELATORIOS}/${arquivo}`;
+  // O driver move o arquivo recebido: o PDF passa por uma pasta temporária
+  const temporario = path.join(os.tmpdir(), `troia-${arquivo}`);
+  await fs.promises.writeFile(temporario, pdf);
+  try {
+    await getStorageDriver().salvar(chave, temporario, { contentType: 'application/pdf' });
+  } finally {
+    await fs.promises.rm(temporario, { force: true });
+  }
+
+  const hash = crypto.createHash('sha256').update(pdf).digest('hex');
+  const leituraAtual = dados.kmHistorico.length > 0
+    ? parseInt(dados.kmHistorico[dados.kmHistorico.length - 1].km) || 0
+    : parseInt(dados.veiculo.km_atual) || 0;
+
+  try {
+    const result = await query(
+      `INSERT INTO relatorios_veiculo
+        (veiculo_id, usuario_id, codigo_verificacao, arquivo, hash_sha256, tamanho_bytes, placa, km_relatorio, unidade, gerado_em)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [veiculoId, usuarioId, codigo, arquivo, hash, pdf.length, dados.veiculo.placa, leituraAtual, dados.unidade, geradoEm.toISOString()]
+    );
+    return queryOne('SELECT * FROM relatorios_veiculo WHERE id = ?', [result.insertId]);
+  } catch (error) {
+    // Sem registro o PDF não pode ser verificado: não deixar arquivo órfão
+    await removerArquivos([chave]);
+    throw error;
+  }
+}
+
+/**
+ * Conteúdo do PDF de um relatório registrado
+ * @param {Object} relatorio - Registro de relatorios_veiculo
+ * @returns {Promise<Buffer|null>} null se o arquivo não existir mais
+ */
+export async function lerArquivoRelatorio(relatorio) {
+  if (!relatorio?.arquivo) return null;
+  return lerArquivo(`${PASTA_RELATORIOS}/${path.basename(relatorio.arquivo)}`);
+}
+
+// ---------------------------------------------------------------------------
+// Renderização
+// ---------------------------------------------------------------------------
+
+function renderizarPdf(dados, { codigo, geradoEm, urlVerificacao }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGEM,
+      bufferPages: true,
+      info: {
+        Title: `Histórico do veículo ${dados.veiculo.placa || ''}`.trim(),
+        Subject: `Código de verificação ${codigo}`,
+        CreationDate: geradoEm
+      }
+    });
+
+    const partes = [];
+    doc.on('data', parte => partes.push(parte));
+    doc.on('end', () => resolve(Buffer.concat(partes)));
+    doc.on('error', reject);
+
+    try {
+      desenharCabecalho(doc, dados, geradoEm);
+      desenharProprietarios(doc, dados);
+      desenharGraficoKm(doc, dados);
+      desenharCombustivel(doc, dados);
+      desenharManutencoes(doc, dados);
+      desenharRodapes(doc, codigo, urlVerificacao);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function desenharCabecalho(doc, { veiculo, unidade }, geradoEm) {
+  doc.fillColor(COR_DESTAQUE).font('Helvetica-Bold').fontSize(20)
+    .text('Histórico do Veículo');
+  doc.fillColor(COR_SECUNDARIA).font('Helvetica').fontSize(9)
+    .text(`Gerado em ${formatarData(geradoEm, true)}`);
+  doc.moveDown(1);
+
+  const rotuloUso = unidade === 'horas' ? 'Horímetro atual' : 'KM atual';
+  const linhas = [
+    ['Placa', veiculo.placa],
+    ['Marca / Modelo', [veiculo.marca, veiculo.modelo].filter(Boolean).join(' ')],
+    ['Ano', veiculo.ano],
+    ['Tipo', veiculo.tipo_veiculo],
+    ['Cor', veiculo.cor],
+    ['Chassi', veiculo.chassi],
+    ['RENAVAM', veiculo.renavam],
+    [rotuloUso, veiculo.km_atual !== null && veiculo.km_atual !== undefined
+      ? `${formatarNumero(veiculo.km_atual)} ${rotuloUnidade(unidade)}`
+      : null]
+  ];
+
+  titulo(doc, 'Dados do veículo');
+  for (const [rotulo, valor] of linhas) {
+    if (valor === null || valor === undefined || valor === '') continue;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COR_TEXTO)
+      .text(`${rotulo}: `, { continued: true })
+      .font('Helvetica').text(String(valor));
+  }
+}
+
+function desenharProprietarios(doc, { proprietarios, unidade }) {
+  titulo(doc, 'Períodos de posse');
+
+  if (proprietarios.length === 0) {
+    textoVazio(doc, 'Nenhum período de posse registrado.');
+    return;
+  }
+
+  proprietarios.forEach((p, i) => {
+    garantirEspaco(doc, 30);
+    const periodo = `${formatarData(p.data_aquisicao)} até ${p.data_venda ? formatarData(p.data_venda) : 'o momento'}`;
+    const temKm = v => v !== null && v !== undefined && v !== '';
+    const uso = temKm(p.km_aquisicao) || temKm(p.km_venda)
+      ? ` · ${temKm(p.km_aquisicao) ? formatarNumero(p.km_aquisicao) : '?'} a ${temKm(p.km_venda) ? formatarNumero(p.km_venda) : 'atual'} ${rotuloUnidade(unidade)}`
+      : '';
+
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COR_TEXTO)
+      .text(`${i + 1}º proprietário`, { continued: true })
+      .font('Helvetica').text(`  ${periodo}${uso}`);
+  });
+}
+
+function desenharGraficoKm(doc, { kmHistorico, unidade }) {
+  titulo(doc, unidade === 'horas' ? 'Evolução do horímetro' : 'Evolução da quilometragem');
+
+  const pontos = kmHistorico
+    .map(l => ({ data: converterData(l.data), valor: parseInt(l.km) || 0 }))
+    .filter(p => p.data);
+
+  if (pontos.length < 2) {
+    textoVazio(doc, 'Leituras insuficientes para o gráfico.');
+    return;
+  }
+
+  const altura = 160;
+  garantirEspaco(doc, altura + 40);
+
+  const x0 = MARGEM + 45;
+  const y0 = doc.y + 5;
+  const largura = doc.page.width - MARGEM - x0;
+
+  const tMin = pontos[0].data.getTime();
+  const tMax = Math.max(pontos[pontos.length - 1].data.getTime(), tMin + 1);
+  const vMin = Math.min(...pontos.map(p => p.valor));
+  const vMax = Math.max(Math.max(...pontos.map(p => p.valor)), vMin + 1);
+
+  const px = t => x0 + ((t - tMin) / (tMax - tMin)) * largura;
+  const py = v => y0 + altura - ((v - vMin) / (vMax - vMin)) * altura;
+
+  // Eixos
+  doc.save().lineWidth(0.5).strokeColor('#bbbbbb')
+    .moveTo(x0, y0).lineTo(x0, y0 + altura).lineTo(x0 + largura, y0 + altura).stroke()
+    .restore();
+
+  doc.font('Helvetica').fontSize(7).fillColor(COR_SECUNDARIA);
+  doc.text(formatarNumero(vMax), MARGEM - 5, y0 - 3, { width: 45, align: 'right' });
+  doc.text(formatarNumero(vMin), MARGEM - 5, y0 + altura - 6, { width: 45, align: 'right' });
+  doc.text(formatarData(pontos[0].data), x0, y0 + altura + 4, { lineBreak: false });
+  doc.text(formatarData(pontos[pontos.length - 1].data), x0 + largura - 60, y0 + altura + 4, { width: 60, align: 'right' });
+
+  // Linha da série
+  doc.save().lineWidth(1.5).strokeColor(COR_DESTAQUE);
+  pontos.forEach((p, i) => {
+    const x = px(p.data.getTime());
+    const y = py(p.valor);
+    if (i === 0) doc.moveTo(x, y);
+    else doc.lineTo(x, y);
+  });
+  doc.stroke().restore();
+
+  doc.save().fillColor(COR_DESTAQUE);
+  for (const p of pontos) {
+    doc.circle(px(p.data.getTime()), py(p.valor), 2).fill();
+  }
+  doc.restore();
+
+  doc.x = MARGEM;
+  doc.y = y0 + altura + 20;
+}
+
+function desenharCombustivel(doc, { combustivel, unidade }) {
+  titulo(doc, 'Abastecimentos');
+
+  if (combustivel.total_abastecimentos === 0) {
+    textoVazio(doc, 'Nenhum abastecimento registrado.');
+    return;
+  }
+
+  const linhas = [
+    ['Abastecimentos registrados', formatarNumero(combustivel.total_abastecimentos)],
+    ['Litros abastecidos', `${formatarNumero(combustivel.litros_total, 1)} l`],
+    ['Consumo médio (tanque cheio)', combustivel.consumo_medio !== null
+      ? `${formatarNumero(combustivel.consumo_medio, 2)} ${getUnidadeConsumo(unidade)} em ${combustivel.trechos_consumo} trecho(s)`
+      : 'sem trechos de tanque cheio suficientes']
+  ];
+
+  for (const [rotulo, valor] of linhas) {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COR_TEXTO)
+      .text(`${rotulo}: `, { continued: true })
+      .font('Helvetica').text(valor);
+  }
+}
+
+function desenharManutencoes(doc, { manutencoes }) {
+  titulo(doc, `Manutenções (${manutencoes.length})`);
+
+  if (manutencoes.length === 0) {
+    textoVazio(doc, 'Nenhuma manutenção registrada.');
+    return;
+  }
+
+  const tamanhoMiniatura = 60;
+  const xTexto = MARGEM + tamanhoMiniatura + 10;
+  const larguraTexto = doc.page.width - MARGEM - xTexto;
+
+  for (const m of manutencoes) {
+    garantirEspaco(doc, tamanhoMiniatura + 10);
+    const yInicio = doc.y;
+
+    const temMiniatura = desenharMiniatura(doc, m.imagem_conteudo, MARGEM, yInicio, tamanhoMiniatura);
+    if (!temMiniatura) {
+      doc.save().lineWidth(0.5).strokeColor('#dddddd')
+        .rect(MARGEM, yInicio, tamanhoMiniatura, tamanhoMiniatura).stroke().restore();
+    }
+
+    const classificacao = [m.tipo_manutencao, m.area_manutencao].filter(Boolean).join(' · ');
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COR_TEXTO)
+      .text(`${formatarData(m.data)}  ${m.tipo || classificacao || 'Manutenção'}`, xTexto, yInicio, { width: larguraTexto });
+    if (classificacao && m.tipo) {
+      doc.font('Helvetica').fontSize(8).fillColor(COR_SECUNDARIA).text(classificacao, { width: larguraTexto });
+    }
+    if (m.descricao) {
+      doc.font('Helvetica').fontSize(9).fillColor(COR_TEXTO)
+        .text(m.descricao, { width: larguraTexto, height: 36, ellipsis: true });
+    }
+
+    doc.x = MARGEM;
+    doc.y = Math.max(doc.y, yInicio + tamanhoMiniatura) + 8;
+  }
+}
+
+// Miniatura do comprovante; formatos que o PDFKit não lê (HEIC, PDF) ficam sem imagem
+function desenharMiniatura(doc, conteudo, x, y, tamanho) {
+  if (!conteudo) return false;
+
+  try {
+    doc.image(conteudo, x, y, { fit: [tamanho, tamanho], align: 'center', valign: 'center' });
+    return true;
+  } catch (error) {
+    console.warn('[Relatório] Miniatura ignorada:', error.message);
+    return false;
+  }
+}
+
+function desenharRodapes(doc, codigo, urlVerificacao) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    // Escrever na margem inferior sem criar página nova
+    const margemInferior = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(COR_SECUNDARIA)
+      .text(
+        `Código de verificação ${codigo} · ${urlVerificacao} · Página ${i - start + 1} de ${count}`,
+        MARGEM,
+        doc.page.height - margemInferior + 15,
+        { width: doc.page.width - MARGEM * 2, align: 'center', lineBreak: false }
+      );
+    doc.page.margins.bottom = margemInferior;
+  }
+}
+
+function titulo(doc, texto) {
+  garantirEspaco(doc, 50);
+  doc.moveDown(1);
+  doc.x = MARGEM;
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(COR_DESTAQUE).text(texto);
+  doc.moveDown(0.3);
+}
+
+function textoVazio(doc, texto) {
+  doc.font('Helvetica-Oblique').fontSize(9).fillColor(COR_SECUNDARIA).text(texto);
+}
+
+function garantirEspaco(doc, altura) {
+  if (doc.y + altura > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function rotuloUnidade(unidade) {
+  return unidade === 'horas' ? 'h' : 'km';
+}
+
+function formatarNumero(valor, casas = 0) {
+  const numero = parseFloat(valor);
+  if (isNaN(numero)) return '-';
+  return numero.toLocaleString('pt-BR', { minimumFractionDigits: casas, maximumFractionDigits: casas });
+}
+
+function formatarData(valor, comHora = false) {
+  const data = converterData(valor);
+  if (!data) return '-';
+  return comHora
+    ? data.toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })
+    : data.toLocaleDateString('pt-BR', { timeZone: 'UTC' });
+}
+
+// SQLite devolve texto ('YYYY-MM-DD' ou 'YYYY-MM-DD HH:MM:SS'); PostgreSQL devolve Date
+function converterData(valor) {
+  if (!valor) return null;
+  if (valor instanceof Date) return valor;
+  const data = new Date(String(valor).replace(' ', 'T'));
+  return isNaN(data.getTime()) ? null : data;
+}
+
+export default {
+  gerarCodigoVerificacao,
+  normalizarCodigoVerificacao,
+  coletarDadosRelatorio,
+  gerarRelatorioVeiculo,
+  lerArquivoRelatorio
+};
@@ -13,6 +13,9 @@ export const TABLES_TO_CLEAN = [
   'abastecimentos',
   'manutencoes',
   'ocr_usage',
+  'notificacao_entregas',
+  'notificacoes',
+  'obrigacoes_veiculo',
   'veiculo_compartilhamentos',
   'proprietarios_historico',
   'proprietarios',
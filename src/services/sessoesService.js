@@ -0,0 +1,176 @@
+/**
+ * Serviço de Sessões de login
+ *
+ * Cada login cria uma sessão com um refresh token de longa duração (guardado
+ * apenas como hash SHA-256). Os access tokens (JWT curtos) carregam o id da
+ * sessão em `sid`, e authRequired recusa tokens de sessões revogadas.
+ *
+ * O refresh token tem o formato `<sessaoId>.<segredo>` e é trocado a cada uso
+ * (rotação). Se um refresh token já substituído for reapresentado, a sessão é
+ * revogada: indica que o token vazou e está sendo usado por outra pessoa.
+ */
+
+import crypto from 'crypto';
+import { query, queryOne, queryAll, isPostgres } from '../database/db-adapter.js';
+
+const REFRESH_TOKEN_DIAS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (segredo) => crypto.createHash('sha256').update(segredo).digest('hex');
+
+const gerarSegredo = () => crypto.randomBytes(32).toString('base64url');
+
+const calcularExpiracao = () => new Date(Date.now() + REFRESH_TOKEN_DIAS * 24 * 60 * 60 * 1000).toISOString();
+
+const agoraSql = () => (isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')");
+
+/**
+ * Separa `<sessaoId>.<segredo>`
+ * @returns {{sessaoId: number, segredo: string}|null}
+ */
+function lerRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const separador = refreshToken.indexOf('.');
+  if (separador <= 0) return null;
+  const sessaoId = parseInt(refreshToken.slice(0, separador));
+  const segredo = refreshToken.slice(separador + 1);
+  if (!sessaoId || !segredo) return null;
+  return { sessaoId, segredo };
+}
+
+/**
+ * Cria uma sessão para o usuário
+ * @param {number} usuarioId
+ * @param {Object} [origem]
+ * @param {string} [origem.userAgent]
+ * @param {string} [origem.ip]
+ * @returns {Promise<{sessaoId: number, refreshToken: string, expiraEm: string}>}
+ */
+export async function criarSessao(usuarioId, { userAgent = null, ip = null } = {}) {
+  const segredo = gerarSegredo();
+  const expiraEm = calcularExpiracao();
+
+  const result = await query(
+    'INSERT INTO sessoes (usuario_id, refresh_token_hash, user_agent, ip, expira_em) VALUES (?, ?, ?, ?, ?)',
+    [usuarioId, hashToken(segredo), userAgent ? String(userAgent).slice(0, 255) : null, ip, expiraEm]
+  );
+
+  return { sessaoId: result.insertId, refreshToken: `${result.insertId}.${segredo}`, expiraEm };
+}
+
+/**
+ * Valida o refresh token e troca por um novo (o anterior deixa de valer)
+ * @param {string} refreshToken
+ * @returns {Promise<{sessao: Object, refreshToken: string, expiraEm: string}|{erro: string}>}
+ *   erro: 'TOKEN_INVALIDO' | 'SESSAO_REVOGADA' | 'SESSAO_EXPIRADA' | 'TOKEN_REUTILIZADO'
+ */
+export async function rotacionarRefreshToken(refreshToken) {
+  const lido = lerRefreshToken(refreshToken);
+  if (!lido) return { erro: 'TOKEN_INVALIDO' };
+
+  const sessao = await queryOne('SELECT * FROM sessoes WHERE id = ?', [lido.sessaoId]);
+  if (!sessao) return { erro: 'TOKEN_INVALIDO' };
+  if (sessao.revogada_em) return { erro: 'SESSAO_REVOGADA' };
+
+  if (sessao.refresh_token_hash !== hashToken(lido.segredo)) {
+    await revogarSessao(sessao.id, 'reuso_refresh_token');
+    return { erro: 'TOKEN_REUTILIZADO' };
+  }
+
+  if (new Date(sessao.expira_em).getTime() <= Date.now()) {
+    await revogarSessao(sessao.id, 'expirada');
+    return { erro: 'SESSAO_EXPIRADA' };
+  }
+
+  const segredo = gerarSegredo();
+  const expiraEm = calcularExpiracao();
+  await query(
+    `UPDATE sessoes SET refresh_token_hash = ?, expira_em = ?, ultimo_uso_em = ${agoraSql()} WHERE id = ?`,
+    [hashToken(segredo), expiraEm, sessao.id]
+  );
+
+  return { sessao, refreshToken: `${sessao.id}.${segredo}`, expiraEm };
+}
+
+/**
+ * Revoga uma sessão (logout). Access tokens emitidos para ela deixam de valer.
+ * @param {number} sessaoId
+ * @param {string} [motivo]
+ * @param {number} [usuarioId] - Se informado, só revoga sessão desse usuário
+ * @returns {Promise<boolean>} true se alguma sessão ativa foi revogada
+ */
+export async function revogarSessao(sessaoId, motivo = 'logout', usuarioId = null) {
+  const params = [motivo, sessaoId];
+  let filtroUsuario = '';
+  if (usuarioId) {
+    filtroUsuario = ' AND usuario_id = ?';
+    params.push(usuarioId);
+  }
+  const result = await query(
+    `UPDATE sessoes SET revogada_em = ${agoraSql()}, motivo_revogacao = ?
+     WHERE id = ?${filtroUsuario} AND revogada_em IS NULL`,
+    params
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoga todas as sessões ativas do usuário
+ * @param {number} usuarioId
+ * @param {Object} [opcoes]
+ * @param {number} [opcoes.exceto] - Sessão a manter (ex.: a atual)
+ * @param {string} [opcoes.motivo]
+ * @returns {Promise<number>} Quantidade de sessões revogadas
+ */
+export async function revogarTodasSessoes(usuarioId, { exceto = null, motivo = 'logout_todas' } = {}) {
+  const params = [motivo, usuarioId];
+  let filtroExceto = '';
+  if (exceto) {
+    filtroExceto = ' AND id <> ?';
+    params.push(exceto);
+  }
+  const result = await query(
+    `UPDATE sessoes SET revogada_em = ${agoraSql()}, motivo_revogacao = ?
+     WHERE usuario_id = ? AND revogada_em IS NULL${filtroExceto}`,
+    params
+  );
+  return result.rowCount || 0;
+}
+
+/**
+ * Lista as sessões ativas (não revogadas e não expiradas) do usuário
+ * @param {number} usuarioId
+ * @returns {Promise<Array>}
+ */
+export async function listarSessoesAtivas(usuarioId) {
+  const sessoes = await queryAll(
+    `SELECT id, user_agent, ip, criado_em, ultimo_uso_em, expira_em
+     FROM sessoes
+     WHERE usuario_id = ? AND revogada_em IS NULL
+     ORDER BY ultimo_uso_em DESC`,
+    [usuarioId]
+  );
+  return sessoes.filter(s => new Date(s.expira_em).getTime() > Date.now());
+}
+
+/**
+ * Verifica se a sessão de um access token ainda vale
+ * @param {number} sessaoId
+ * @param {number} usuarioId
+ * @returns {Promise<boolean>}
+ */
+export async function sessaoAtiva(sessaoId, usuarioId) {
+  const sessao = await queryOne(
+    'SELECT usuario_id, revogada_em FROM sessoes WHERE id = ?',
+    [sessaoId]
+  );
+  return !!sessao && !sessao.revogada_em && parseInt(sessao.usuario_id) === parseInt(usuarioId);
+}
+
+export default {
+  criarSessao,
+  rotacionarRefreshToken,
+  revogarSessao,
+  revogarTodasSessoes,
+  listarSessoesAtivas,
+  sessaoAtiva
+};
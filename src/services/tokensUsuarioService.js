@@ -0,0 +1,80 @@
+/**
+ * Tokens de uso único enviados por e-mail (verificação de e-mail, redefinição de senha)
+ *
+ * Só o hash SHA-256 do token fica no banco. Cada token vale uma vez e expira;
+ * emitir um novo token do mesmo tipo invalida os anteriores ainda não usados.
+ */
+
+import crypto from 'crypto';
+import { query, queryOne, isPostgres } from '../database/db-adapter.js';
+
+export const TIPOS_TOKEN = {
+  VERIFICACAO_EMAIL: 'verificacao_email',
+  REDEFINICAO_SENHA: 'redefinicao_senha'
+};
+
+// Validade em horas por tipo
+const VALIDADE_HORAS = {
+  [TIPOS_TOKEN.VERIFICACAO_EMAIL]: parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 48,
+  [TIPOS_TOKEN.REDEFINICAO_SENHA]: parseInt(process.env.PASSWORD_RESET_HOURS) || 1
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Emite um token para o usuário
+ * @param {number} usuarioId
+ * @param {string} tipo - TIPOS_TOKEN.*
+ * @returns {Promise<{token: string, expiraEm: string}>} token em claro (só vai no e-mail)
+ */
+export async function criarTokenUsuario(usuarioId, tipo) {
+  await query(
+    'DELETE FROM tokens_usuario WHERE usuario_id = ? AND tipo = ? AND usado_em IS NULL',
+    [usuarioId, tipo]
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiraEm = new Date(Date.now() + VALIDADE_HORAS[tipo] * 60 * 60 * 1000).toISOString();
+
+  await query(
+    'INSERT INTO tokens_usuario (usuario_id, tipo, token_hash, expira_em) VALUES (?, ?, ?, ?)',
+    [usuarioId, tipo, hashToken(token), expiraEm]
+  );
+
+  return { token, expiraEm };
+}
+
+/**
+ * Valida e consome um token (não pode ser usado de novo)
+ * @param {string} token
+ * @param {string} tipo - TIPOS_TOKEN.*
+ * @returns {Promise<{usuarioId: number}|{erro: string}>} erro: 'TOKEN_INVALIDO' | 'TOKEN_EXPIRADO' | 'TOKEN_USADO'
+ */
+export async function consumirTokenUsuario(token, tipo) {
+  if (!token) return { erro: 'TOKEN_INVALIDO' };
+
+  const registro = await queryOne(
+    'SELECT * FROM tokens_usuario WHERE token_hash = ? AND tipo = ?',
+    [hashToken(token), tipo]
+  );
+
+  if (!registro) return { erro: 'TOKEN_INVALIDO' };
+  if (registro.usado_em) return { erro: 'TOKEN_USADO' };
+  if (new Date(registro.expira_em).getTime() <= Date.now()) return { erro: 'TOKEN_EXPIRADO' };
+
+  // Condição em usado_em evita que duas requisições simultâneas usem o mesmo token
+  const agora = isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')";
+  const result = await query(
+    `UPDATE tokens_usuario SET usado_em = ${agora} WHERE id = ? AND usado_em IS NULL`,
+    [registro.id]
+  );
+  if (result.rowCount === 0) return { erro: 'TOKEN_USADO' };
+
+  return { usuarioId: registro.usuario_id };
+}
+
+export default {
+  TIPOS_TOKEN,
+  criarTokenUsuario,
+  consumirTokenUsuario
+};
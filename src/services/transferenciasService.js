@@ -0,0 +1,438 @@
+/**
+ * Serviço de Transferências de Veículo
+ *
+ * A transferência tem dois lados: o dono cria um pedido para o destinatário,
+ * que aceita ou recusa até expira_em; o dono pode cancelar enquanto estiver
+ * pendente. Quem recebeu um link de compartilhamento também pode pedir o
+ * veículo (iniciada_por = 'destinatario'): aí é o dono quem aprova ou recusa.
+ * O histórico de proprietários só é encerrado/aberto no aceite.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { query, queryOne, queryAll, isPostgres, withTransaction } from '../database/db-adapter.js';
+import { buscarVeiculoAcessivel, temPermissao } from './organizacoesService.js';
+import { getProprietarioAtual } from '../utils/proprietarioAtual.js';
+import { getUnidadeUso } from '../utils/tipoEquipamento.js';
+import { registrarAuditoria } from './auditoriaService.js';
+import { lerArquivo } from './armazenamento/index.js';
+import { revogarCompartilhamentosDoVeiculo } from './compartilhamentosService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STATUS_TRANSFERENCIA = ['pendente', 'aceita', 'recusada', 'cancelada', 'expirada'];
+
+export const PRAZO_TRANSFERENCIA_DIAS = parseInt(process.env.TRANSFERENCIA_PRAZO_DIAS) || 7;
+
+// Prefixo das chaves dos documentos de venda no armazenamento
+// (baixados só pelas partes via GET /transferencias/:id/documento, nunca por URL assinada)
+export const PASTA_DOCUMENTOS_TRANSFERENCIA = 'transferencias';
+
+// Pasta local usada antes do armazenamento configurável (origem da migração de arquivos)
+export const documentosTransferenciaDir = process.env.DOCUMENTOS_TRANSFERENCIA_DIR
+  || path.join(__dirname, '..', 'documents', 'transferencias');
+
+const agoraSql = () => (isPostgres() ? 'CURRENT_TIMESTAMP' : "datetime('now')");
+
+const SELECT_TRANSFERENCIA = `
+  SELECT t.*,
+         v.placa, v.marca, v.modelo, v.ano,
+         r.nome as remetente_nome, r.email as remetente_email,
+         d.nome as destinatario_nome, d.email as destinatario_email
+  FROM transferencias_veiculo t
+  JOIN veiculos v ON v.id = t.veiculo_id
+  LEFT JOIN usuarios r ON r.id = t.remetente_usuario_id
+  LEFT JOIN usuarios d ON d.id = t.destinatario_usuario_id`;
+
+/**
+ * Marca como expirado o pedido pendente cujo prazo passou
+ * @param {Object} transferencia
+ * @returns {Promise<Object>} Transferência com status atualizado
+ */
+async function expirarSeVencida(transferencia) {
+  if (transferencia.status !== 'pendente' || new Date(transferencia.expira_em).getTime() > Date.now()) {
+    return transferencia;
+  }
+  await query(
+    "UPDATE transferencias_veiculo SET status = 'expirada' WHERE id = ? AND status = 'pendente'",
+    [transferencia.id]
+  );
+  return { ...transferencia, status: 'expirada' };
+}
+
+/**
+ * Parte que aceita ou recusa o pedido (a outra só pode cancelar)
+ * @param {Object} transferencia
+ * @returns {'remetente'|'destinatario'}
+ */
+export function parteQueResponde(transferencia) {
+  return transferencia.iniciada_por === 'destinatario' ? 'remetente' : 'destinatario';
+}
+
+/**
+ * Busca uma transferência visível ao usuário (remetente ou destinatário)
+ * @param {number} transferenciaId
+ * @param {number} usuarioId
+ * @returns {Promise<Object|null>}
+ */
+export async function buscarTransferencia(transferenciaId, usuarioId) {
+  const transferencia = await queryOne(
+    `${SELECT_TRANSFERENCIA}
+     WHERE t.id = ? AND (t.remetente_usuario_id = ? OR t.destinatario_usuario_id = ?)`,
+    [transferenciaId, usuarioId, usuarioId]
+  );
+  return transferencia ? expirarSeVencida(transferencia) : null;
+}
+
+/**
+ * Transferências enviadas e/ou recebidas pelo usuário, mais recentes primeiro
+ * @param {number} usuarioId
+ * @param {Object} [filtros]
+ * @param {string} [filtros.tipo] - 'recebidas' (o usuário responde) | 'enviadas' (o usuário pediu); padrão: ambas
+ * @param {string} [filtros.status]
+ * @returns {Promise<Array>}
+ */
+export async function listarTransferencias(usuarioId, { tipo = null, status = null } = {}) {
+  let filtro = '(t.remetente_usuario_id = ? OR t.destinatario_usuario_id = ?)';
+  const params = [usuarioId, usuarioId];
+  // No pedido feito pelo link (iniciada_por = 'destinatario') quem responde é o remetente
+  if (tipo === 'recebidas') {
+    filtro = `((t.destinatario_usuario_id = ? AND t.iniciada_por <> 'destinatario')
+      OR (t.remetente_usuario_id = ? AND t.iniciada_por = 'destinatario'))`;
+  } else if (tipo === 'enviadas') {
+    filtro = `((t.remetente_usuario_id = ? AND t.iniciada_por <> 'destinatario')
+      OR (t.destinatario_usuario_id = ? AND t.iniciada_por = 'destinatario'))`;
+  }
+
+  const transferencias = await queryAll(
+    `${SELECT_TRANSFERENCIA}
+     WHERE ${filtro}
+     ORDER BY t.criado_em DESC, t.id DESC`,
+    params
+  );
+  const atualizadas = await Promise.all(transferencias.map(expirarSeVencida));
+  return status ? atualizadas.filter(t => t.status === status) : atualizadas;
+}
+
+/**
+ * Verifica se o usuário pode transferir o veículo
+ * Veículo pessoal: o proprietário atual; veículo de organização: papel com veiculo:transferir
+ * @returns {Promise<{veiculo: Object, proprietarioAtual: Object}|{erro: string}>}
+ *   erro: 'VEICULO_NAO_ENCONTRADO' | 'PERMISSAO_NEGADA' | 'PROPRIETARIO_INDEFINIDO'
+ */
+export async function verificarPodeTransferir(veiculoId, usuarioId) {
+  const veiculo = await buscarVeiculoAcessivel(veiculoId, usuarioId);
+  if (!veiculo) return { erro: 'VEICULO_NAO_ENCONTRADO' };
+  if (!temPermissao(veiculo.papel_organizacao, 'veiculo:transferir')) return { erro: 'PERMISSAO_NEGADA' };
+
+  const proprietarioAtual = await getProprietarioAtual(veiculo.id);
+  if (!proprietarioAtual) return { erro: 'PROPRIETARIO_INDEFINIDO' };
+  // Em veículo de organização a autorização vem do papel owner
+  if (!veiculo.organizacao_id && parseInt(proprietarioAtual.usuario_id) !== parseInt(usuarioId)) {
+    return { erro: 'PERMISSAO_NEGADA' };
+  }
+  return { veiculo, proprietarioAtual };
+}
+
+/**
+ * Cria um pedido de transferência pendente
+ * @param {Object} dados
+ * @param {Object} dados.veiculo
+ * @param {number} dados.remetenteId
+ * @param {number} dados.destinatarioId
+ * @param {number|null} [dados.km]
+ * @param {number|null} [dados.valorVenda]
+ * @param {Object|null} [dados.documento] - { arquivo, nome, tipo }
+ * @param {string|null} [dados.mensagem]
+ * @param {'remetente'|'destinatario'} [dados.iniciadaPor='remetente'] - Quem fez o pedido
+ * @param {number|null} [dados.compartilhamentoId] - Link usado no pedido do destinatário
+ * @returns {Promise<Object|{erro: string}>} erro: 'TRANSFERENCIA_PENDENTE'
+ */
+export async function criarPedidoTransferencia({
+  veiculo,
+  remetenteId,
+  destinatarioId,
+  km = null,
+  valorVenda = null,
+  documento = null,
+  mensagem = null,
+  iniciadaPor = 'remetente',
+  compartilhamentoId = null
+}) {
+  const pendentes = await queryAll(
+    "SELECT * FROM transferencias_veiculo WHERE veiculo_id = ? AND status = 'pendente'",
+    [veiculo.id]
+  );
+  const aindaPendentes = (await Promise.all(pendentes.map(expirarSeVencida))).filter(t => t.status === 'pendente');
+  if (aindaPendentes.length > 0) {
+    return { erro: 'TRANSFERENCIA_PENDENTE', transferencia_id: aindaPendentes[0].id };
+  }
+
+  const expiraEm = new Date(Date.now() + PRAZO_TRANSFERENCIA_DIAS * 24 * 60 * 60 * 1000).toISOString();
+  const result = await query(
+    `INSERT INTO transferencias_veiculo
+     (veiculo_id, remetente_usuario_id, destinatario_usuario_id, km_transferencia, valor_venda,
+      documento_venda, documento_venda_nome, documento_venda_tipo, mensagem, expira_em,
+      iniciada_por, compartilhamento_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      veiculo.id,
+      remetenteId,
+      destinatarioId,
+      km,
+      valorVenda,
+      documento?.arquivo || null,
+      documento?.nome || null,
+      documento?.tipo || null,
+      mensagem,
+      expiraEm,
+      iniciadaPor,
+      compartilhamentoId
+    ]
+  );
+
+  return buscarTransferencia(result.insertId, iniciadaPor === 'destinatario' ? destinatarioId : remetenteId);
+}
+
+/**
+ * Encerra o período do proprietário atual, abre o do novo dono, registra a
+ * leitura de KM, revoga os links de compartilhamento do dono anterior e passa
+ * o veículo para o novo usuário (tudo ou nada)
+ * @param {Object} dados
+ * @param {Object} dados.veiculo
+ * @param {Object|null} dados.proprietarioAtual
+ * @param {number} dados.novoUsuarioId
+ * @param {number} dados.km
+ * @returns {Promise<{novoProprietarioId: number, leituraId: number, compartilhamentosRevogados: number[], data: string}>}
+ */
+export async function efetivarTransferencia({ veiculo, proprietarioAtual, novoUsuarioId, km }) {
+  const hoje = new Date().toISOString().split('T')[0];
+  const novoUsuario = await queryOne('SELECT nome, email FROM usuarios WHERE id = ?', [novoUsuarioId]);
+  const nomeNovoProprietario = novoUsuario?.nome || novoUsuario?.email || 'Novo Proprietário';
+
+  return withTransaction(async () => {
+    if (proprietarioAtual) {
+      await query(
+        `UPDATE proprietarios_historico
+         SET data_venda = ?, km_venda = ?
+         WHERE id = ? AND veiculo_id = ?`,
+        [hoje, km, proprietarioAtual.id, veiculo.id]
+      );
+    }
+
+    const novoProprietarioResult = await query(
+      `INSERT INTO proprietarios_historico
+       (veiculo_id, usuario_id, nome, data_aquisicao, km_aquisicao, data_inicio, km_inicio, origem_posse, data_venda, km_venda)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'transferencia', NULL, NULL)`,
+      [veiculo.id, novoUsuarioId, nomeNovoProprietario, hoje, km, hoje, km]
+    );
+
+    const leituraResult = await query(
+      `INSERT INTO km_historico (veiculo_id, usuario_id, km, origem, fonte, unidade, data_registro, criado_em)
+       VALUES (?, ?, ?, 'transferencia', 'transferencia', ?, ${agoraSql()}, ${agoraSql()})`,
+      [veiculo.id, novoUsuarioId, km, getUnidadeUso(veiculo.tipo_veiculo, veiculo.unidade_uso)]
+    );
+
+    // O veículo deixa a organização (se houver) e passa a ser pessoal do novo usuário
+    await query(
+      'UPDATE veiculos SET usuario_id = ?, organizacao_id = NULL, km_atual = ? WHERE id = ?',
+      [novoUsuarioId, km, veiculo.id]
+    );
+
+    // Links do dono anterior (inclusive 'mecanico') não valem para o histórico do novo dono
+    const compartilhamentosRevogados = await revogarCompartilhamentosDoVeiculo(veiculo.id);
+
+    return {
+      novoProprietarioId: novoProprietarioResult.insertId,
+      leituraId: leituraResult.insertId,
+      compartilhamentosRevogados,
+      data: hoje
+    };
+  });
+}
+
+/**
+ * Grava na auditoria as alterações de uma transferência efetivada
+ */
+export async function auditarTransferencia(req, { veiculo, proprietarioAtual, novoUsuarioId, km, efetivada }) {
+  const veiculoId = veiculo.id;
+  if (proprietarioAtual) {
+    await registrarAuditoria({
+      req,
+      acao: 'atualizar',
+      entidade: 'proprietarios_historico',
+      entidadeId: proprietarioAtual.id,
+      veiculoId,
+      antes: { data_venda: proprietarioAtual.data_venda ?? null, km_venda: proprietarioAtual.km_venda ?? null },
+      depois: { data_venda: efetivada.data, km_venda: km }
+    });
+  }
+  await registrarAuditoria({
+    req,
+    acao: 'criar',
+    entidade: 'proprietarios_historico',
+    entidadeId: efetivada.novoProprietarioId,
+    veiculoId,
+    depois: { usuario_id: novoUsuarioId, data_aquisicao: efetivada.data, km_aquisicao: km, origem_posse: 'transferencia' }
+  });
+  await registrarAuditoria({
+    req,
+    acao: 'criar',
+    entidade: 'km_historico',
+    entidadeId: efetivada.leituraId,
+    veiculoId,
+    depois: { usuario_id: novoUsuarioId, km, origem: 'transferencia', fonte: 'transferencia' }
+  });
+  for (const compartilhamentoId of efetivada.compartilhamentosRevogados || []) {
+    await registrarAuditoria({
+      req,
+      acao: 'atualizar',
+      entidade: 'veiculo_compartilhamentos',
+      entidadeId: compartilhamentoId,
+      veiculoId,
+      antes: { revogado_em: null },
+      depois: { revogado: true, motivo: 'transferencia' }
+    });
+  }
+  await registrarAuditoria({
+    req,
+    acao: 'transferir',
+    entidade: 'veiculos',
+    entidadeId: veiculoId,
+    veiculoId,
+    antes: { usuario_id: veiculo.usuario_id, organizacao_id: veiculo.organizacao_id ?? null, km_atual: veiculo.km_atual },
+    depois: { usuario_id: novoUsuarioId, organizacao_id: null, km_atual: km }
+  });
+}
+
+/**
+ * Aceite pela parte que responde (parteQueResponde): efetiva a transferência
+ * @param {Object} transferencia - Pendente
+ * @param {Object} req - Requisição de quem aceitou (auditoria)
+ * @returns {Promise<Object|{erro: string}>}
+ *   erro: 'TRANSFERENCIA_NAO_PENDENTE' | 'REMETENTE_SEM_PERMISSAO'
+ */
+export async function aceitarTransferencia(transferencia, req) {
+  // O remetente pode ter perdido o veículo (ou o papel) depois do pedido
+  const origem = await verificarPodeTransferir(transferencia.veiculo_id, transferencia.remetente_usuario_id);
+  if (origem.erro) {
+    await query(
+      `UPDATE transferencias_veiculo SET status = 'cancelada', respondida_em = ${agoraSql()} WHERE id = ? AND status = 'pendente'`,
+      [transferencia.id]
+    );
+    return { erro: 'REMETENTE_SEM_PERMISSAO' };
+  }
+
+  const { veiculo, proprietarioAtual } = origem;
+  const km = transferencia.km_transferencia !== null && transferencia.km_transferencia !== undefined
+    ? parseInt(transferencia.km_transferencia)
+    : (parseInt(veiculo.km_atual) || 0);
+
+  let efetivada;
+  try {
+    efetivada = await withTransaction(async () => {
+      // Condicional: dois aceites simultâneos não efetivam duas vezes
+      const marcada = await query(
+        `UPDATE transferencias_veiculo SET status = 'aceita', respondida_em = ${agoraSql()}
+         WHERE id = ? AND status = 'pendente'`,
+        [transferencia.id]
+      );
+      if (marcada.rowCount === 0) {
+        throw Object.assign(new Error('Transferência não está pendente'), { code: 'TRANSFERENCIA_NAO_PENDENTE' });
+      }
+      return efetivarTransferencia({ veiculo, proprietarioAtual, novoUsuarioId: transferencia.destinatario_usuario_id, km });
+    });
+  } catch (error) {
+    if (error.code === 'TRANSFERENCIA_NAO_PENDENTE') return { erro: error.code };
+    throw error;
+  }
+
+  await auditarTransferencia(req, { veiculo, proprietarioAtual, novoUsuarioId: transferencia.destinatario_usuario_id, km, efetivada });
+  return buscarTransferencia(transferencia.id, transferencia.destinatario_usuario_id);
+}
+
+/**
+ * Encerra um pedido pendente sem transferir (recusa ou cancelamento)
+ * @param {Object} transferencia
+ * @param {'recusada'|'cancelada'} status
+ * @param {string|null} [motivo]
+ * @returns {Promise<boolean>} false se não estava mais pendente
+ */
+export async function encerrarTransferencia(transferencia, status, motivo = null) {
+  const result = await query(
+    `UPDATE transferencias_veiculo SET status = ?, motivo_recusa = ?, respondida_em = ${agoraSql()}
+     WHERE id = ? AND status = 'pendente'`,
+    [status, motivo, transferencia.id]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Conteúdo do documento de venda (null se não houver ou se sumiu)
+ * @returns {Promise<Buffer|null>}
+ */
+export async function lerDocumentoVenda(transferencia) {
+  if (!transferencia.documento_venda) return null;
+  return lerArquivo(`${PASTA_DOCUMENTOS_TRANSFERENCIA}/${path.basename(transferencia.documento_venda)}`);
+}
+
+/**
+ * Dados públicos da transferência (sem caminho de arquivo)
+ * @param {Object} transferencia
+ * @param {string} urlBase - URL base da API
+ */
+export function formatarTransferencia(transferencia, urlBase) {
+  return {
+    id: transferencia.id,
+    veiculo: {
+      id: transferencia.veiculo_id,
+      placa: transferencia.placa,
+      marca: transferencia.marca,
+      modelo: transferencia.modelo,
+      ano: transferencia.ano
+    },
+    remetente: {
+      id: transferencia.remetente_usuario_id,
+      nome: transferencia.remetente_nome,
+      email: transferencia.remetente_email
+    },
+    destinatario: {
+      id: transferencia.destinatario_usuario_id,
+      nome: transferencia.destinatario_nome,
+      email: transferencia.destinatario_email
+    },
+    status: transferencia.status,
+    iniciada_por: transferencia.iniciada_por || 'remetente',
+    km_transferencia: transferencia.km_transferencia !== null ? parseInt(transferencia.km_transferencia) : null,
+    valor_venda: transferencia.valor_venda !== null ? parseFloat(transferencia.valor_venda) : null,
+    mensagem: transferencia.mensagem,
+    motivo_recusa: transferencia.motivo_recusa,
+    documento_venda: transferencia.documento_venda
+      ? {
+          nome: transferencia.documento_venda_nome,
+          tipo: transferencia.documento_venda_tipo,
+          download_url: `${urlBase}/transferencias/${transferencia.id}/documento`
+        }
+      : null,
+    expira_em: transferencia.expira_em,
+    respondida_em: transferencia.respondida_em,
+    criado_em: transferencia.criado_em
+  };
+}
+
+export default {
+  STATUS_TRANSFERENCIA,
+  PRAZO_TRANSFERENCIA_DIAS,
+  buscarTransferencia,
+  listarTransferencias,
+  verificarPodeTransferir,
+  parteQueResponde,
+  criarPedidoTransferencia,
+  efetivarTransferencia,
+  auditarTransferencia,
+  aceitarTransferencia,
+  encerrarTransferencia,
+  lerDocumentoVenda,
+  formatarTransferencia
+};
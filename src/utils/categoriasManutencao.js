@@ -0,0 +1,13 @@
+/**
+ * Categorias de manutenção (tipo e área)
+ * Compartilhadas entre cadastro de manutenções e planos de manutenção
+ */
+
+export const TIPOS_MANUTENCAO_VALIDOS = ['preventiva', 'corretiva'];
+
+export const AREAS_MANUTENCAO_VALIDAS = [
+  'motor_cambio',
+  'suspensao_freio',
+  'funilaria_pintura',
+  'higienizacao_estetica'
+];
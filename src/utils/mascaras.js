@@ -0,0 +1,30 @@
+/**
+ * Máscaras de identificação do veículo para páginas públicas
+ */
+
+/**
+ * Placa com o miolo oculto (ex.: ABC1D23 -> ABC**23)
+ * @param {string|null} placa
+ * @returns {string|null}
+ */
+export function mascararPlaca(placa) {
+  if (!placa) return null;
+  const limpa = String(placa).toUpperCase();
+  return limpa.length > 4 ? `${limpa.slice(0, 3)}${'*'.repeat(limpa.length - 5)}${limpa.slice(-2)}` : limpa;
+}
+
+/**
+ * RENAVAM com apenas os 4 últimos dígitos
+ * @param {string|null} renavam
+ * @returns {string|null}
+ */
+export function mascararRenavam(renavam) {
+  if (!renavam) return null;
+  const limpo = String(renavam).replace(/\s/g, '');
+  return limpo.length > 4 ? `${'*'.repeat(limpo.length - 4)}${limpo.slice(-4)}` : '*'.repeat(limpo.length);
+}
+
+export default {
+  mascararPlaca,
+  mascararRenavam
+};
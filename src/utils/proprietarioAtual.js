@@ -363,6 +363,15 @@ export async function getResumoPeriodoProprietarioAtual(veiculoId) {
     // Buscar proprietário atual para obter usuario_id (apenas para filtro)
     const proprietarioAtual = await getProprietarioAtual(veiculoId);
     const usuarioId = proprietarioAtual?.usuario_id || null;
+
+    // Unidade das leituras: km (odômetro) ou horas (horímetro)
+    // Os campos km_* do resumo seguem essa unidade
+    const { getUnidadeUso } = await import('./tipoEquipamento.js');
+    const veiculoUnidade = await queryOne(
+      'SELECT tipo_veiculo, unidade_uso FROM veiculos WHERE id = ?',
+      [veiculoId]
+    );
+    const unidade = getUnidadeUso(veiculoUnidade?.tipo_veiculo, veiculoUnidade?.unidade_uso);
     
     // FONTE ÚNICA DE VERDADE: Buscar todos os dados do histórico
     // Se houver proprietário atual, filtrar por usuario_id (período do proprietário atual)
@@ -411,6 +420,7 @@ export async function getResumoPeriodoProprietarioAtual(veiculoId) {
         : 0;
       
       return {
+        unidade,
         km_total_veiculo: kmTotalVeiculo,
         km_inicio_periodo: 0,
         km_atual: 0,
@@ -440,6 +450,7 @@ export async function getResumoPeriodoProprietarioAtual(veiculoId) {
     const dataInicio = validarData(historicoResult.data_inicio);
     
     return {
+      unidade,
       km_total_veiculo: kmTotalVeiculo,
       km_inicio_periodo: kmInicial,
       km_atual: kmAtual,
@@ -42,3 +42,57 @@ export function isTipoValido(tipo) {
   return tiposValidos.includes(tipo);
 }
 
+/**
+ * Indica se o tipo passa pelo licenciamento anual do DETRAN (veículo de via terrestre)
+ * Embarcações (Capitania dos Portos) e máquinas agrícolas/industriais ficam de fora;
+ * 'outro' e cadastros antigos sem tipo entram (podem ser reboques, quadriciclos...)
+ * @param {string|null} tipo - Tipo do equipamento
+ * @returns {boolean}
+ */
+export function exigeLicenciamento(tipo) {
+  return !['barco', 'jetski', 'maquina_agricola', 'maquina_industrial'].includes(tipo);
+}
+
+/**
+ * Unidades aceitas para leituras de uso (odômetro ou horímetro)
+ */
+export const UNIDADES_USO = ['km', 'horas'];
+
+/**
+ * Resolve a unidade das leituras de uso de um equipamento
+ * Tipos com métrica 'configuravel' usam a unidade escolhida no cadastro (padrão 'km')
+ * @param {string} tipo - Tipo do equipamento
+ * @param {string|null} unidadeConfigurada - veiculos.unidade_uso
+ * @returns {string} - 'km' ou 'horas'
+ */
+export function getUnidadeUso(tipo, unidadeConfigurada = null) {
+  const metrica = getMetricaPorTipo(tipo);
+  if (metrica === 'configuravel') {
+    return UNIDADES_USO.includes(unidadeConfigurada) ? unidadeConfigurada : 'km';
+  }
+  return metrica;
+}
+
+/**
+ * Retorna a unidade de consumo de combustível para a unidade de uso
+ * @param {string} unidade - 'km' ou 'horas'
+ * @returns {string} - 'km/l' ou 'l/h'
+ */
+export function getUnidadeConsumo(unidade) {
+  return unidade === 'horas' ? 'l/h' : 'km/l';
+}
+
+/**
+ * Calcula consumo de combustível na unidade adequada
+ * km: distância / litros (km/l) | horas: litros / horas (l/h)
+ * @param {number} usoPercorrido - Km rodados ou horas trabalhadas
+ * @param {number} litros - Litros consumidos
+ * @param {string} unidade - 'km' ou 'horas'
+ * @returns {number|null} - Consumo ou null se não for possível calcular
+ */
+export function calcularConsumo(usoPercorrido, litros, unidade) {
+  if (!usoPercorrido || usoPercorrido <= 0 || !litros || litros <= 0) {
+    return null;
+  }
+  return unidade === 'horas' ? litros / usoPercorrido : usoPercorrido / litros;
+}